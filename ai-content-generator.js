@@ -6,11 +6,112 @@
  * company analysis, and professional commentary.
  */
 
+const CarouselBrand = typeof BrandKit !== 'undefined' ? BrandKit : require('./brand-kit');
+const CarouselExport = typeof CarouselExporter !== 'undefined' ? CarouselExporter : require('./carousel-exporter');
+const ContentLLM = typeof LLMProvider !== 'undefined' ? LLMProvider : require('./llm-provider');
+const ContentSchema = typeof LLMSchema !== 'undefined' ? LLMSchema : require('./llm-schema');
+const ContentCache = typeof ResearchCache !== 'undefined' ? ResearchCache : require('./research-cache');
+const ContentScheduler = typeof RequestScheduler !== 'undefined' ? RequestScheduler : require('./request-scheduler');
+const ContentSearch = typeof SearchProvider !== 'undefined' ? SearchProvider : require('./search-provider');
+
+// queryLLMWithStructuredPrompt analysis type to its output schema (llm-schema.js)
+const ANALYSIS_STAGES = {
+    'market': 'market',
+    'technical': 'technical',
+    'competitive': 'competitive',
+    'developments': 'developments',
+    'structure': 'structure',
+    'slide-content': 'slide',
+    'summary': 'summary'
+};
+
+// Research dimensions gathered for every company, keyed as in research results
+const RESEARCH_DIMENSIONS = {
+    latestNews: 'latest news',
+    marketData: 'market data',
+    technicalInfo: 'technical details',
+    competitors: 'competitive landscape',
+    recentDevelopments: 'recent developments'
+};
+
+// How much the research asks for: reply budget and guidance for the model
+const RESEARCH_DEPTHS = {
+    quick: { maxTokens: 512, guidance: 'Keep it brief: only the few most important facts.' },
+    standard: { maxTokens: null, guidance: null },
+    deep: { maxTokens: 2048, guidance: 'Be thorough: include specific figures, dates and named examples.' }
+};
+
+const RESEARCH_LIMITS = {
+    maxSources: 20
+};
+
+// Carousel look without a brand kit
+const DEFAULT_CAROUSEL_THEME = {
+    theme: 'professional-dark',
+    brandKit: null,
+    brandName: null,
+    variant: 'dark',
+    colorScheme: {
+        primary: '#0077B5', // LinkedIn blue
+        secondary: '#58a6ff',
+        accent: '#00A0DC',
+        background: '#1A1A1A',
+        text: '#FFFFFF'
+    },
+    typography: {
+        headline: 'Inter Bold 32px',
+        body: 'Inter Regular 18px',
+        accent: 'Inter Medium 16px'
+    },
+    fonts: {
+        heading: 'Inter, -apple-system, sans-serif',
+        body: 'Inter, -apple-system, sans-serif',
+        mono: 'JetBrains Mono, monospace'
+    },
+    logo: null
+};
+
 class AIContentGenerator {
-    constructor() {
+    constructor(options = {}) {
+        const env = typeof process !== 'undefined' && process.env ? process.env : {};
+
         this.ollamaEndpoint = 'http://localhost:11434/api/generate';
-        this.serperAPIKey = process.env.SERPER_API_KEY || null;
-        this.openaiAPIKey = process.env.OPENAI_API_KEY || null;
+        this.openaiAPIKey = options.openaiAPIKey || env.OPENAI_API_KEY || null;
+        this.anthropicAPIKey = options.anthropicAPIKey || env.ANTHROPIC_API_KEY || null;
+
+        // Our own documents for retrieval: anything with search(query, { k }),
+        // normally a KnowledgeBase (knowledge-base.js, Node only)
+        this.knowledgeBase = options.knowledgeBase || null;
+        if (!this.knowledgeBase && env.COMPOSEON_KNOWLEDGE_DIR && typeof require === 'function') {
+            const KnowledgeBase = require('./knowledge-base');
+            this.knowledgeBase = new KnowledgeBase({
+                directory: env.COMPOSEON_KNOWLEDGE_DIR,
+                embedder: { type: env.COMPOSEON_EMBEDDER || 'ollama', model: env.COMPOSEON_EMBED_MODEL }
+            });
+        }
+
+        // Language model backends by name; queryLLM picks one per call. Ollama
+        // and the mock are always there, the hosted APIs once they have a key
+        // (or, for OpenAI-compatible local servers, a base URL)
+        this.llmProviders = new Map();
+        this.registerLLMProvider('ollama', { type: 'ollama', model: env.OLLAMA_MODEL });
+        this.registerLLMProvider('mock', { type: 'mock' });
+        if (this.openaiAPIKey || env.OPENAI_BASE_URL) {
+            this.registerLLMProvider('openai', { type: 'openai', apiKey: this.openaiAPIKey, baseURL: env.OPENAI_BASE_URL, model: env.OPENAI_MODEL });
+        }
+        if (this.anthropicAPIKey) {
+            this.registerLLMProvider('anthropic', { type: 'anthropic', apiKey: this.anthropicAPIKey, model: env.ANTHROPIC_MODEL });
+        }
+        for (const [name, provider] of Object.entries(options.providers || {})) {
+            this.registerLLMProvider(name, provider);
+        }
+
+        // Per-call defaults: { provider, model, temperature, maxTokens }
+        this.llmDefaults = { provider: env.COMPOSEON_LLM_PROVIDER || 'ollama', ...options.llm };
+        this.getLLMProvider(this.llmDefaults.provider);
+
+        // Repair prompts sent when structured output fails validation
+        this.structuredRetries = options.structuredRetries === undefined ? 2 : options.structuredRetries;
 
         // Content templates for different carousel types
         this.carouselTemplates = {
@@ -36,73 +137,353 @@ class AIContentGenerator {
             }
         };
 
-        // Research sources configuration
-        this.researchSources = {
+        // Research sources configuration: web search results are limited to these sites
+        this.researchSources = options.researchSources || {
             news: ['techcrunch.com', 'venturebeat.com', 'theverge.com', 'arstechnica.com'],
             financial: ['bloomberg.com', 'reuters.com', 'wsj.com', 'ft.com'],
             developer: ['github.com', 'stackoverflow.com', 'dev.to', 'hackernews.ycombinator.com'],
             industry: ['gartner.com', 'forrester.com', 'mckinsey.com', 'pwc.com']
         };
 
-        this.cache = new Map();
-        this.rateLimiter = new Map();
+        // Web search backend (search-provider.js): a SearchProvider or a spec like
+        // { type: 'searxng', baseURL: 'http://localhost:8888' }. Without one, news
+        // comes from the model's knowledge.
+        this.searchProvider = options.search ? ContentSearch.create(options.search) : this.getSearchProviderFromEnv(env);
+
+        // Research per company and dimension: a ResearchCache (research-cache.js)
+        // or its options, e.g. { store: { type: 'file', path }, ttl: { latestNews: 600000 } }
+        if (options.cache instanceof ContentCache) {
+            this.cache = options.cache;
+        } else {
+            const cacheOptions = { ...options.cache };
+            if (!cacheOptions.store && env.COMPOSEON_CACHE_FILE) {
+                cacheOptions.store = { type: 'file', path: env.COMPOSEON_CACHE_FILE };
+            }
+            this.cache = new ContentCache(cacheOptions);
+        }
+        // Outbound calls queue per LLM provider and search API (request-scheduler.js):
+        // a RequestScheduler or its options, e.g. { lanes: { ollama: { concurrency: 1 } }, retries: 2 }
+        this.scheduler = options.scheduler instanceof ContentScheduler
+            ? options.scheduler
+            : new ContentScheduler(options.scheduler);
+        this.exporter = new CarouselExport();
+
+        this.brandKit = null;
+        this.brandVariant = null;
+        if (options.brandKit) {
+            this.applyBrandKit(options.brandKit, options.brandVariant);
+        }
+    }
+
+    /**
+     * Style carousels with a brand kit (a BrandKit or its spec) in its dark or
+     * light variant; passing null restores the default theme
+     */
+    applyBrandKit(kit, variant = null) {
+        this.brandKit = kit ? CarouselBrand.from(kit) : null;
+        this.brandVariant = this.brandKit ? (variant || this.brandKit.defaultVariant) : null;
+        if (this.brandKit) {
+            this.brandKit.checkVariant(this.brandVariant);
+        }
+        return this.brandKit;
+    }
+
+    /**
+     * Search provider from COMPOSEON_SEARCH_PROVIDER (serper, searxng, brave,
+     * bing or fixture) and its key or URL; Serper when only SERPER_API_KEY is set
+     */
+    getSearchProviderFromEnv(env) {
+        const type = env.COMPOSEON_SEARCH_PROVIDER || (env.SERPER_API_KEY ? 'serper' : null);
+        if (!type) {
+            return null;
+        }
+
+        const settings = {
+            serper: { apiKey: env.SERPER_API_KEY },
+            searxng: { baseURL: env.SEARXNG_URL },
+            brave: { apiKey: env.BRAVE_API_KEY },
+            bing: { apiKey: env.BING_API_KEY },
+            fixture: { path: env.COMPOSEON_SEARCH_FIXTURE }
+        };
+        return ContentSearch.create({ type, ...settings[type] });
+    }
+
+    getCarouselTheme() {
+        return this.brandKit ? this.brandKit.toCarouselTheme(this.brandVariant) : DEFAULT_CAROUSEL_THEME;
     }
 
     /**
-     * Generate comprehensive carousel content for selected companies/tools
+     * Add or replace a language model backend: an LLMProvider or a spec like
+     * { type: 'openai', baseURL: 'http://localhost:8080/v1', model: 'qwen2.5' }
      */
-    async generateCarousel(selectedIcons, carouselType = 'tech-stack-review', customPrompt = null) {
+    registerLLMProvider(name, provider) {
+        const spec = provider && typeof provider === 'object' && !(provider instanceof ContentLLM)
+            ? { name, ...provider }
+            : provider;
+        this.llmProviders.set(name, ContentLLM.create(spec));
+        return this;
+    }
+
+    getLLMProvider(name = this.llmDefaults.provider) {
+        const provider = this.llmProviders.get(name);
+        if (!provider) {
+            throw new Error(`Unknown LLM provider '${name}' (registered: ${[...this.llmProviders.keys()].join(', ')})`);
+        }
+        return provider;
+    }
+
+    /**
+     * Complete a prompt with the default provider, or the provider, model,
+     * temperature, maxTokens and system prompt given for this call. Calls wait
+     * their turn in the provider's scheduler lane and are retried on transient
+     * failures, unless part of the reply was already streamed.
+     */
+    async queryLLM(prompt, options = {}) {
+        const { provider, ...callOptions } = { ...this.llmDefaults, ...options };
+        const llm = this.getLLMProvider(provider);
+        let streamed = false;
+        const onToken = callOptions.onToken && (token => {
+            streamed = true;
+            callOptions.onToken(token);
+        });
+
+        return this.withRateLimit(provider, signal => llm.complete(prompt, { ...callOptions, onToken, signal }), {
+            signal: callOptions.signal,
+            retryable: () => !streamed
+        });
+    }
+
+    /**
+     * Ask for JSON matching a stage schema: the schema goes into the prompt and
+     * the provider's JSON mode, and a reply that does not parse or validate is
+     * sent back with the errors, up to structuredRetries times
+     */
+    async queryStructured(stage, prompt, options = {}) {
+        const schema = ContentSchema.forStage(stage);
+        const instructions = `Respond with a single JSON object and nothing else, matching this JSON schema:\n${JSON.stringify(schema)}`;
+
+        let request = `${prompt}\n\n${instructions}`;
+        let problem;
+        for (let attempt = 1; attempt <= this.structuredRetries + 1; attempt++) {
+            const result = await this.queryLLM(request, { ...options, format: schema });
+
+            try {
+                const data = ContentSchema.extractJSON(result.text);
+                const errors = ContentSchema.validate(schema, data);
+                if (errors.length === 0) {
+                    return { data, provider: result.provider, model: result.model, attempts: attempt };
+                }
+                problem = errors.slice(0, 10).join('\n');
+            } catch (error) {
+                problem = error.message;
+            }
+
+            request = `${prompt}
+
+Your previous reply did not match the required format:
+${problem}
+
+Previous reply:
+${String(result.text).slice(0, 4000)}
+
+Fix these problems and keep the content. ${instructions}`;
+        }
+
+        throw new Error(`Invalid ${stage} output after ${this.structuredRetries + 1} attempts: ${problem.split('\n')[0]}`);
+    }
+
+    /**
+     * Generate comprehensive carousel content for selected companies/tools.
+     * options.onToken(token, { type, company }) streams every LLM reply as it
+     * is written, options.onProgress(event) reports each step (see
+     * createProgressReporter), options.research picks what is researched (see
+     * normalizeResearchOptions) and options.signal cancels the run
+     */
+    async generateCarousel(selectedIcons, carouselType = 'tech-stack-review', customPrompt = null, options = {}) {
         console.log(`🧠 Starting AI content generation for ${selectedIcons.length} companies`);
+        const llmOptions = { onToken: options.onToken, signal: options.signal };
+        const research = this.normalizeResearchOptions(options.research);
+
+        // Research dimensions per company, the structure, every slide and the summary
+        const template = this.carouselTemplates[carouselType];
+        const totalSteps = selectedIcons.length * research.dimensions.length
+            + (template ? template.slides.length : 0) + 2;
+        const report = this.createProgressReporter(options.onProgress, totalSteps);
+
+        // Cache lookups of this run, for the carousel metadata
+        const cacheStats = { hits: 0, misses: 0 };
 
         try {
             // Step 1: Research each company/tool
-            const researchData = await this.conductResearch(selectedIcons);
+            const researchData = await this.conductResearch(selectedIcons, llmOptions, report, research, cacheStats);
 
             // Step 2: Generate carousel structure
-            const carouselStructure = await this.createCarouselStructure(researchData, carouselType);
+            report({ stage: 'structure', status: 'started', message: 'Creating carousel structure' });
+            const carouselStructure = await this.createCarouselStructure(researchData, carouselType, llmOptions);
+            report(this.stepResult(carouselStructure.structure, { stage: 'structure', message: 'Carousel structure' }), 1);
 
             // Step 3: Generate content for each slide
-            const slides = await this.generateSlideContent(carouselStructure, researchData, customPrompt);
+            const slides = await this.generateSlideContent(carouselStructure, researchData, customPrompt, llmOptions, report);
 
             // Step 4: Create visual layouts
-            const visualCarousel = await this.createVisualCarousel(slides);
+            const sources = this.getUsedSources(researchData);
+            const visualCarousel = await this.createVisualCarousel(slides, sources);
 
-            return {
+            report({ stage: 'summary', status: 'started', message: 'Writing the summary' });
+            const textSummary = await this.generateTextSummary(slides, llmOptions);
+            report(this.stepResult(textSummary, { stage: 'summary', message: 'Summary' }), 1);
+
+            const carousel = {
                 metadata: {
                     type: carouselType,
                     companiesAnalyzed: selectedIcons.length,
                     generatedAt: new Date().toISOString(),
-                    researchSources: this.getUsedSources(researchData)
+                    research: research,
+                    researchSources: sources,
+                    cache: {
+                        store: this.cache.getStats().store,
+                        ...cacheStats,
+                        hitRate: cacheStats.hits + cacheStats.misses ? cacheStats.hits / (cacheStats.hits + cacheStats.misses) : 0
+                    }
                 },
                 slides: slides,
                 visualCarousel: visualCarousel,
-                textSummary: this.generateTextSummary(slides)
+                textSummary: textSummary
             };
 
+            report({ stage: 'carousel', status: 'completed', message: `Generated ${slides.length} slides` });
+            return carousel;
+
         } catch (error) {
+            if (options.signal && options.signal.aborted) {
+                console.log('⏹️ Carousel generation cancelled');
+                report({ stage: 'carousel', status: 'cancelled', message: 'Generation cancelled' });
+                throw error;
+            }
             console.error('❌ Carousel generation failed:', error);
+            report({ stage: 'carousel', status: 'failed', message: 'Generation failed', error: error.message });
             throw new Error(`Failed to generate carousel: ${error.message}`);
         }
     }
 
     /**
-     * Conduct comprehensive research on selected companies/tools
+     * Research options with defaults filled in:
+     * - dimensions: research dimensions to run (default all: latestNews,
+     *   marketData, technicalInfo, competitors, recentDevelopments)
+     * - depth: quick, standard or deep
+     * - maxSources: news items and search results kept per company (1-20, default 5)
+     * - dateRange: { from, to } dates limiting news and developments (either end optional)
      */
-    async conductResearch(selectedIcons) {
-        console.log('🔍 Conducting research phase...');
+    normalizeResearchOptions(options) {
+        // JSON bodies and MCP arguments send null for "not given"
+        const research = options || {};
+        const dimensions = [...new Set(research.dimensions || Object.keys(RESEARCH_DIMENSIONS))];
+        const unknown = dimensions.find(dimension => !RESEARCH_DIMENSIONS[dimension]);
+        if (unknown) {
+            throw new Error(`Unknown research dimension '${unknown}' (use ${Object.keys(RESEARCH_DIMENSIONS).join(', ')})`);
+        }
 
-        const researchPromises = selectedIcons.map(async (icon) => {
-            const cacheKey = `research_${icon.name}_${Date.now() - (Date.now() % 3600000)}`; // 1-hour cache
+        const depth = research.depth || 'standard';
+        if (!RESEARCH_DEPTHS[depth]) {
+            throw new Error(`Unknown research depth '${depth}' (use ${Object.keys(RESEARCH_DEPTHS).join(', ')})`);
+        }
 
-            if (this.cache.has(cacheKey)) {
-                return this.cache.get(cacheKey);
+        const maxSources = research.maxSources === undefined || research.maxSources === null ? 5 : Number(research.maxSources);
+        if (!Number.isInteger(maxSources) || maxSources < 1 || maxSources > RESEARCH_LIMITS.maxSources) {
+            throw new Error(`maxSources must be an integer between 1 and ${RESEARCH_LIMITS.maxSources}`);
+        }
+
+        let dateRange = null;
+        if (research.dateRange && (research.dateRange.from || research.dateRange.to)) {
+            const toDate = value => {
+                if (!value) return null;
+                const date = new Date(value);
+                if (Number.isNaN(date.getTime())) {
+                    throw new Error(`Invalid date in dateRange: ${value}`);
+                }
+                return date.toISOString().slice(0, 10);
+            };
+            dateRange = { from: toDate(research.dateRange.from), to: toDate(research.dateRange.to) };
+            if (dateRange.from && dateRange.to && dateRange.from > dateRange.to) {
+                throw new Error('dateRange.from must not be after dateRange.to');
             }
+        }
 
-            const research = await this.researchCompany(icon);
-            this.cache.set(cacheKey, research);
-            return research;
-        });
+        return { dimensions, depth, maxSources, dateRange };
+    }
+
+    /**
+     * System prompt carrying the research depth, date range and source limit
+     */
+    getResearchGuidance(research) {
+        const { from, to } = research.dateRange || {};
+        return [
+            RESEARCH_DEPTHS[research.depth].guidance,
+            from || to ? `Only use information published${from ? ` from ${from}` : ''}${to ? ` up to ${to}` : ''}.` : null,
+            `Draw on at most ${research.maxSources} sources.`
+        ].filter(Boolean).join(' ');
+    }
 
+    /**
+     * The research period for prompts and search queries: `text` describes the
+     * date range ("since 2026-01-01"), or the 12 months up to today without one,
+     * and `years` names the first and last calendar year of the range ("2025 2026")
+     */
+    getResearchPeriod(dateRange, now = new Date()) {
+        const { from, to } = dateRange || {};
+        const today = now.toISOString().slice(0, 10);
+
+        let text = `in the 12 months up to ${today}`;
+        if (from && to) text = `between ${from} and ${to}`;
+        else if (from) text = `since ${from}`;
+        else if (to) text = `up to ${to}`;
+
+        const last = Number((to || today).slice(0, 4));
+        const first = from ? Number(from.slice(0, 4)) : last;
+        return { text, years: first === last ? `${last}` : `${first} ${last}` };
+    }
+
+    /**
+     * Progress callback for one generateCarousel run. Events look like
+     * { stage, status, message, company?, dimension?, slide?, error?,
+     * completed, total, progress } where stage is research, structure, slide,
+     * summary or carousel, status is started, completed, cached, failed or
+     * cancelled, and progress goes from 0 to 1. `steps` is how many of the
+     * total steps an event finishes.
+     */
+    createProgressReporter(onProgress, total) {
+        let completed = 0;
+
+        return (event, steps = 0) => {
+            completed = Math.min(total, completed + steps);
+            if (typeof onProgress !== 'function') {
+                return;
+            }
+
+            try {
+                onProgress({ ...event, completed, total, progress: total ? completed / total : 1 });
+            } catch (error) {
+                console.warn('Progress callback failed:', error.message);
+            }
+        };
+    }
+
+    /**
+     * Completed or failed event for a step whose result may carry an error
+     */
+    stepResult(result, event) {
+        return result && result.error
+            ? { ...event, status: 'failed', error: String(result.error.message || result.error) }
+            : { ...event, status: 'completed' };
+    }
+
+    /**
+     * Conduct comprehensive research on selected companies/tools
+     */
+    async conductResearch(selectedIcons, llmOptions = {}, report = () => {}, researchOptions = this.normalizeResearchOptions(), cacheStats = {}) {
+        console.log('🔍 Conducting research phase...');
+
+        const researchPromises = selectedIcons.map(icon => this.researchCompany(icon, llmOptions, report, researchOptions, cacheStats));
         const researchResults = await Promise.all(researchPromises);
         console.log('✅ Research phase completed');
 
@@ -112,26 +493,72 @@ class AIContentGenerator {
     /**
      * Research individual company/tool with multiple data sources
      */
-    async researchCompany(icon) {
+    async researchCompany(icon, llmOptions = {}, report = () => {}, researchOptions = this.normalizeResearchOptions(), cacheStats = {}) {
         const companyName = icon.displayName || icon.name;
 
         try {
             console.log(`🔬 Researching ${companyName}...`);
 
-            // Parallel research across multiple dimensions
-            const [
-                latestNews,
-                marketData,
-                technicalInfo,
-                competitorAnalysis,
-                recentDevelopments
-            ] = await Promise.allSettled([
-                this.fetchLatestNews(companyName),
-                this.fetchMarketData(companyName),
-                this.fetchTechnicalInformation(companyName, icon.category),
-                this.analyzeCompetitors(companyName, icon.category),
-                this.fetchRecentDevelopments(companyName)
-            ]);
+            const { maxTokens } = RESEARCH_DEPTHS[researchOptions.depth];
+            const options = {
+                ...llmOptions,
+                system: this.getResearchGuidance(researchOptions),
+                ...(maxTokens && { maxTokens })
+            };
+            const fetchers = {
+                latestNews: dimensionOptions => this.fetchLatestNews(companyName, dimensionOptions, researchOptions),
+                marketData: dimensionOptions => this.fetchMarketData(companyName, dimensionOptions),
+                technicalInfo: dimensionOptions => this.fetchTechnicalInformation(companyName, icon.category, dimensionOptions),
+                competitors: dimensionOptions => this.analyzeCompetitors(companyName, icon.category, dimensionOptions),
+                recentDevelopments: dimensionOptions => this.fetchRecentDevelopments(companyName, dimensionOptions, researchOptions)
+            };
+
+            // Parallel research across the selected dimensions; skipped ones stay out of the results
+            const dimensions = researchOptions.dimensions;
+            const results = await Promise.allSettled(dimensions.map(async dimension => {
+                const event = {
+                    stage: 'research',
+                    company: companyName,
+                    dimension,
+                    message: `${companyName}: ${RESEARCH_DIMENSIONS[dimension]}`
+                };
+
+                const cached = await this.readResearchCache(companyName, dimension, researchOptions, llmOptions, cacheStats);
+                if (cached !== undefined) {
+                    report({ ...event, status: 'cached', message: `${event.message} (cached)` }, 1);
+                    return cached;
+                }
+                report({ ...event, status: 'started' });
+
+                try {
+                    // Passages from our documents go to the model with the research guidance
+                    const passages = await this.retrievePassages(companyName, dimension, researchOptions, llmOptions.signal);
+                    const passageSources = passages.map(passage => this.createSource({
+                        type: 'document',
+                        docId: passage.docId,
+                        passage: passage.id,
+                        title: passage.title,
+                        snippet: passage.text
+                    }));
+                    const result = await fetchers[dimension](passages.length > 0
+                        ? { ...options, system: `${options.system}\n\n${this.formatPassages(passages, passageSources)}` }
+                        : options);
+                    report(this.stepResult(result, event), 1);
+
+                    // Failed research and half-finished research from a cancelled run are not cached
+                    const research = this.withSources(result, passageSources);
+                    if (llmOptions.signal) llmOptions.signal.throwIfAborted();
+                    if (!(result && result.error)) {
+                        await this.writeResearchCache(companyName, dimension, researchOptions, llmOptions, research);
+                    }
+                    return research;
+                } catch (error) {
+                    if (!(llmOptions.signal && llmOptions.signal.aborted)) {
+                        report({ ...event, status: 'failed', error: error.message }, 1);
+                    }
+                    throw error;
+                }
+            }));
 
             return {
                 company: {
@@ -139,13 +566,7 @@ class AIContentGenerator {
                     category: icon.category,
                     icon: icon
                 },
-                research: {
-                    latestNews: this.extractValue(latestNews),
-                    marketData: this.extractValue(marketData),
-                    technicalInfo: this.extractValue(technicalInfo),
-                    competitors: this.extractValue(competitorAnalysis),
-                    recentDevelopments: this.extractValue(recentDevelopments)
-                },
+                research: Object.fromEntries(dimensions.map((dimension, index) => [dimension, this.extractValue(results[index])])),
                 researchedAt: new Date().toISOString()
             };
 
@@ -155,20 +576,158 @@ class AIContentGenerator {
         }
     }
 
+    /**
+     * Cached research for a company and dimension, counted in cacheStats; a
+     * broken cache store counts as a miss
+     */
+    async readResearchCache(companyName, dimension, researchOptions, llmOptions = {}, cacheStats = {}) {
+        let value;
+        try {
+            value = await this.cache.get(companyName, dimension, this.getResearchVariant(researchOptions, llmOptions));
+        } catch (error) {
+            console.warn(`⚠️ Research cache unavailable: ${error.message}`);
+        }
+
+        const counter = value === undefined ? 'misses' : 'hits';
+        cacheStats[counter] = (cacheStats[counter] || 0) + 1;
+        return value;
+    }
+
+    async writeResearchCache(companyName, dimension, researchOptions, llmOptions, value) {
+        try {
+            await this.cache.set(companyName, dimension, this.getResearchVariant(researchOptions, llmOptions), value);
+        } catch (error) {
+            console.warn(`⚠️ Research could not be cached: ${error.message}`);
+        }
+    }
+
+    /**
+     * Options that change a dimension's research, so results for other options
+     * or from another provider or model are not reused
+     */
+    getResearchVariant({ depth, maxSources, dateRange }, llmOptions = {}) {
+        const { provider, model } = { ...this.llmDefaults, ...llmOptions };
+        return JSON.stringify({ provider, model: model || this.getLLMProvider(provider).model, depth, maxSources, dateRange });
+    }
+
+    /**
+     * Drop the cached research of a company, e.g. after big news; resolves to
+     * the number of entries removed
+     */
+    invalidateResearch(companyName) {
+        return this.cache.invalidate(companyName);
+    }
+
+    /**
+     * Knowledge base passages about one research dimension of a company; an
+     * unavailable knowledge base only costs the grounding, not the research
+     */
+    async retrievePassages(companyName, dimension, researchOptions, signal) {
+        if (!this.knowledgeBase) {
+            return [];
+        }
+
+        try {
+            return await this.knowledgeBase.search(`${companyName} ${RESEARCH_DIMENSIONS[dimension]}`, {
+                k: researchOptions.maxSources,
+                signal
+            });
+        } catch (error) {
+            if (signal && signal.aborted) throw error;
+            console.warn(`Knowledge base search failed for ${companyName}:`, error.message);
+            return [];
+        }
+    }
+
+    formatPassages(passages, sources) {
+        return `Passages from our own documents. Prefer them over general knowledge and cite them by id, e.g. [${sources[0].id}]:\n\n${
+            passages.map((passage, index) => `[${sources[index].id}] ${passage.title}\n${passage.text}`).join('\n\n')}`;
+    }
+
+    /**
+     * Source record for research results: { id, type, url, docId, title,
+     * retrievedAt, snippet } with type web, document or model (the model's own
+     * knowledge, kept so unverified claims stay visible). The id comes from the
+     * location, so a page or passage keeps its id across companies and runs.
+     */
+    createSource({ type, url = null, docId = null, passage = null, title = null, snippet = null, publishedAt = null }) {
+        const prefixes = { web: 'web', document: 'doc', model: 'llm' };
+        const text = snippet ? String(snippet).replace(/\s+/g, ' ').trim() : null;
+
+        return {
+            id: `${prefixes[type] || 'src'}-${AIContentGenerator.hashKey(url || passage || docId || title)}`,
+            type,
+            url,
+            docId,
+            ...(passage && { passage }),
+            title: title || url || docId,
+            ...(publishedAt && { publishedAt }),
+            retrievedAt: new Date().toISOString(),
+            snippet: text && text.length > 240 ? `${text.slice(0, 240)}...` : text
+        };
+    }
+
+    /**
+     * Research result with its sources: its own (search results), the given
+     * passages and the model that wrote it
+     */
+    withSources(result, extraSources = []) {
+        if (!result || typeof result !== 'object') {
+            return result;
+        }
+
+        const sources = [...(result.sources || []), ...extraSources];
+        if (result.provider && result.model) {
+            sources.push(this.createSource({
+                type: 'model',
+                title: `Model knowledge (${result.provider} ${result.model}) - verify before publishing`
+            }));
+        }
+        return { ...result, sources: [...new Map(sources.map(source => [source.id, source])).values()] };
+    }
+
+    /**
+     * Short, stable id for a source location (FNV-1a, base 36)
+     */
+    static hashKey(value) {
+        let hash = 2166136261;
+        const text = String(value);
+        for (let i = 0; i < text.length; i++) {
+            hash = Math.imul(hash ^ text.charCodeAt(i), 16777619);
+        }
+        return (hash >>> 0).toString(36).padStart(7, '0');
+    }
+
     /**
      * Fetch latest news about a company using web search
      */
-    async fetchLatestNews(companyName) {
-        const query = `"${companyName}" news 2024 latest updates`;
+    async fetchLatestNews(companyName, llmOptions = {}, researchOptions = this.normalizeResearchOptions()) {
+        const { maxSources, dateRange } = researchOptions;
+        const query = `"${companyName}" news ${this.getResearchPeriod(dateRange).years} latest updates`;
 
         try {
-            // Use Serper API for web search if available
-            if (this.serperAPIKey) {
-                return await this.searchWithSerper(query, 'news');
+            // Web search when a provider is configured and the research sources have news
+            if (this.searchProvider) {
+                const results = await this.searchWeb(query, { type: 'news', num: maxSources, dateRange, signal: llmOptions.signal });
+                if (results.length > 0) {
+                    return {
+                        news: results,
+                        searchProvider: this.searchProvider.name,
+                        sources: results.map(result => this.createSource({
+                            type: 'web',
+                            url: result.url,
+                            title: result.title,
+                            snippet: result.snippet,
+                            publishedAt: result.publishedAt
+                        }))
+                    };
+                }
+                console.warn(`No ${this.searchProvider.name} results for ${companyName} from the research sources, using model knowledge`);
             }
 
             // Fallback to LLM knowledge
-            return await this.queryLLMForNews(companyName);
+            const result = await this.queryLLMForNews(companyName, llmOptions, researchOptions);
+            return Array.isArray(result.news) ? { ...result, news: result.news.slice(0, maxSources) } : result;
 
         } catch (error) {
             console.warn(`News search failed for ${companyName}:`, error.message);
@@ -177,79 +736,66 @@ class AIContentGenerator {
     }
 
     /**
-     * Search using Serper API (Google Search)
+     * Search the web with the configured provider, in its scheduler lane.
+     * Options are those of SearchProvider.search (type, num, dateRange, signal);
+     * results are limited to the researchSources domains.
      */
-    async searchWithSerper(query, type = 'search') {
-        if (!this.serperAPIKey) {
-            throw new Error('Serper API key not configured');
+    async searchWeb(query, options = {}) {
+        if (!this.searchProvider) {
+            throw new Error('No search provider configured');
         }
 
-        const response = await fetch('https://google.serper.dev/search', {
-            method: 'POST',
-            headers: {
-                'X-API-KEY': this.serperAPIKey,
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                q: query,
-                num: 5,
-                type: type
-            })
-        });
-
-        if (!response.ok) {
-            throw new Error(`Serper API failed: ${response.status}`);
-        }
+        const { signal, ...searchOptions } = options;
+        return this.withRateLimit(this.searchProvider.name, attemptSignal => this.searchProvider.search(query, {
+            domains: this.getResearchDomains(),
+            ...searchOptions,
+            signal: attemptSignal
+        }), { signal });
+    }
 
-        return await response.json();
+    /**
+     * Every site listed in researchSources, once
+     */
+    getResearchDomains() {
+        return [...new Set(Object.values(this.researchSources || {}).flat())];
     }
 
     /**
      * Query LLM for company information
      */
-    async queryLLMForNews(companyName) {
+    async queryLLMForNews(companyName, llmOptions = {}, researchOptions = this.normalizeResearchOptions()) {
+        const period = this.getResearchPeriod(researchOptions.dateRange);
         const prompt = `Provide a comprehensive analysis of ${companyName} including:
 
-1. Latest developments and news (2024)
+1. Latest developments and news (${period.text})
 2. Market position and competitive landscape
 3. Key products/services and innovations
 4. Financial performance and business model
 5. Future outlook and growth prospects
 
 Focus on factual, business-relevant information suitable for professional LinkedIn content.
-Format as structured JSON with clear categories.`;
+List the news items individually.`;
 
         try {
-            const response = await fetch('http://localhost:3000/api/ollama', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    model: 'llama3.2',
-                    prompt: prompt,
-                    stream: false
-                })
-            });
-
-            if (!response.ok) {
-                throw new Error('LLM query failed');
-            }
-
-            const data = await response.json();
-            return this.parseLLMResponse(data.response);
+            const result = await this.queryStructured('news', prompt, this.labelTokens(llmOptions, 'news', companyName));
+            return {
+                ...result.data,
+                analysis: ContentSchema.toText(result.data),
+                provider: result.provider,
+                model: result.model
+            };
 
         } catch (error) {
+            if (llmOptions.signal && llmOptions.signal.aborted) throw error;
             console.warn(`LLM query failed for ${companyName}:`, error.message);
             return { analysis: 'Research unavailable', error: error.message };
         }
     }
 
     /**
-     * Fetch market data and financial information
+     * Market data and financial information, from the model's knowledge
      */
-    async fetchMarketData(companyName) {
-        // This would integrate with financial APIs like Alpha Vantage, Yahoo Finance, etc.
-        // For now, we'll use LLM to provide market insights
-
+    async fetchMarketData(companyName, llmOptions = {}) {
         const prompt = `Provide market analysis for ${companyName}:
 
 1. Market capitalization and valuation (if public)
@@ -260,13 +806,13 @@ Format as structured JSON with clear categories.`;
 
 Return structured data suitable for business analysis.`;
 
-        return await this.queryLLMWithStructuredPrompt(prompt, companyName, 'market');
+        return await this.queryLLMWithStructuredPrompt(prompt, companyName, 'market', llmOptions);
     }
 
     /**
      * Fetch technical information about the tool/platform
      */
-    async fetchTechnicalInformation(companyName, category) {
+    async fetchTechnicalInformation(companyName, category, llmOptions = {}) {
         const prompt = `Provide technical analysis of ${companyName} as a ${category} tool:
 
 1. Core technology stack and architecture
@@ -278,13 +824,13 @@ Return structured data suitable for business analysis.`;
 
 Focus on technical details relevant for developers and IT decision makers.`;
 
-        return await this.queryLLMWithStructuredPrompt(prompt, companyName, 'technical');
+        return await this.queryLLMWithStructuredPrompt(prompt, companyName, 'technical', llmOptions);
     }
 
     /**
      * Analyze competitors in the same space
      */
-    async analyzeCompetitors(companyName, category) {
+    async analyzeCompetitors(companyName, category, llmOptions = {}) {
         const prompt = `Analyze ${companyName}'s competitive landscape in the ${category} space:
 
 1. Direct competitors and alternatives
@@ -296,14 +842,15 @@ Focus on technical details relevant for developers and IT decision makers.`;
 
 Provide objective analysis suitable for business decision making.`;
 
-        return await this.queryLLMWithStructuredPrompt(prompt, companyName, 'competitive');
+        return await this.queryLLMWithStructuredPrompt(prompt, companyName, 'competitive', llmOptions);
     }
 
     /**
      * Fetch recent developments and announcements
      */
-    async fetchRecentDevelopments(companyName) {
-        const prompt = `What are the most significant recent developments for ${companyName} in 2024?
+    async fetchRecentDevelopments(companyName, llmOptions = {}, researchOptions = this.normalizeResearchOptions()) {
+        const period = this.getResearchPeriod(researchOptions.dateRange);
+        const prompt = `What are the most significant developments for ${companyName} ${period.text}?
 
 Include:
 1. Product launches and updates
@@ -315,41 +862,50 @@ Include:
 
 Focus on developments that would impact users, investors, or the broader market.`;
 
-        return await this.queryLLMWithStructuredPrompt(prompt, companyName, 'developments');
+        return await this.queryLLMWithStructuredPrompt(prompt, companyName, 'developments', llmOptions);
     }
 
     /**
-     * Query LLM with structured prompt and response parsing
+     * Query LLM with structured prompt and response parsing; llmOptions pick
+     * the provider, model, temperature and maxTokens for this call. The
+     * validated fields of the analysis type's schema are merged into the
+     * result, and `analysis` keeps a text version of them
      */
-    async queryLLMWithStructuredPrompt(prompt, companyName, analysisType) {
-        try {
-            const response = await fetch('http://localhost:3000/api/ollama', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    model: 'llama3.2',
-                    prompt: prompt,
-                    stream: false,
-                    options: {
-                        temperature: 0.3, // Lower temperature for more factual responses
-                        top_p: 0.9
-                    }
-                })
-            });
+    async queryLLMWithStructuredPrompt(prompt, companyName, analysisType, llmOptions = {}) {
+        const options = this.labelTokens({
+            temperature: 0.3, // Lower temperature for more factual responses
+            ...this.llmDefaults,
+            ...llmOptions
+        }, analysisType, companyName);
 
-            if (!response.ok) {
-                throw new Error(`LLM request failed: ${response.status}`);
+        try {
+            const stage = ANALYSIS_STAGES[analysisType];
+            if (!stage) {
+                const result = await this.queryLLM(prompt, options);
+                return {
+                    type: analysisType,
+                    company: companyName,
+                    analysis: result.text,
+                    provider: result.provider,
+                    model: result.model,
+                    generatedAt: new Date().toISOString()
+                };
             }
 
-            const data = await response.json();
+            const result = await this.queryStructured(stage, prompt, options);
             return {
+                ...result.data,
                 type: analysisType,
                 company: companyName,
-                analysis: data.response,
+                analysis: ContentSchema.toText(result.data),
+                provider: result.provider,
+                model: result.model,
+                attempts: result.attempts,
                 generatedAt: new Date().toISOString()
             };
 
         } catch (error) {
+            if (options.signal && options.signal.aborted) throw error;
             return {
                 type: analysisType,
                 company: companyName,
@@ -359,10 +915,19 @@ Focus on developments that would impact users, investors, or the broader market.
         }
     }
 
+    /**
+     * Tag streamed tokens with the analysis they belong to, since research
+     * dimensions run in parallel
+     */
+    labelTokens(llmOptions, type, company) {
+        const { onToken } = llmOptions;
+        return onToken ? { ...llmOptions, onToken: token => onToken(token, { type, company }) } : llmOptions;
+    }
+
     /**
      * Create carousel structure based on template and research data
      */
-    async createCarouselStructure(researchData, carouselType) {
+    async createCarouselStructure(researchData, carouselType, llmOptions = {}) {
         const template = this.carouselTemplates[carouselType];
         if (!template) {
             throw new Error(`Unknown carousel type: ${carouselType}`);
@@ -389,7 +954,7 @@ Return a detailed outline for each slide with:
 
 Make it suitable for C-level executives and technical decision makers.`;
 
-        const response = await this.queryLLMWithStructuredPrompt(structurePrompt, companies, 'structure');
+        const response = await this.queryLLMWithStructuredPrompt(structurePrompt, companies, 'structure', llmOptions);
 
         return {
             template: template,
@@ -402,7 +967,7 @@ Make it suitable for C-level executives and technical decision makers.`;
     /**
      * Generate detailed content for each carousel slide
      */
-    async generateSlideContent(carouselStructure, researchData, customPrompt) {
+    async generateSlideContent(carouselStructure, researchData, customPrompt, llmOptions = {}, report = () => {}) {
         console.log('📝 Generating slide content...');
 
         const slides = [];
@@ -410,15 +975,24 @@ Make it suitable for C-level executives and technical decision makers.`;
 
         for (let i = 0; i < template.slides.length; i++) {
             const slideType = template.slides[i];
+            const event = {
+                stage: 'slide',
+                slide: i + 1,
+                slideType,
+                message: `Slide ${i + 1} of ${template.slides.length}: ${slideType}`
+            };
+            report({ ...event, status: 'started' });
 
             const slideContent = await this.generateIndividualSlide(
                 slideType,
                 i,
                 researchData,
                 carouselStructure.structure,
-                customPrompt
+                customPrompt,
+                llmOptions
             );
 
+            report(this.stepResult(slideContent.content, event), 1);
             slides.push(slideContent);
         }
 
@@ -429,15 +1003,20 @@ Make it suitable for C-level executives and technical decision makers.`;
     /**
      * Generate content for individual slide
      */
-    async generateIndividualSlide(slideType, slideIndex, researchData, structure, customPrompt) {
+    async generateIndividualSlide(slideType, slideIndex, researchData, structure, customPrompt, llmOptions = {}) {
         const relevantResearch = this.extractRelevantResearch(researchData, slideType);
+        const sources = this.collectSources(relevantResearch);
+        const sourceList = sources.length > 0
+            ? `\nSources (put the ids of the ones your content relies on in "sources"):\n${
+                sources.map(source => `[${source.id}] ${source.title}${source.snippet ? ` - ${source.snippet}` : ''}`).join('\n')}\n`
+            : '';
 
         const slidePrompt = `Generate professional LinkedIn carousel slide content:
 
 Slide ${slideIndex + 1}: ${slideType}
 Context: ${structure.analysis}
-Research Data: ${JSON.stringify(relevantResearch, null, 2)}
-Custom Requirements: ${customPrompt || 'Standard professional format'}
+Research Data: ${JSON.stringify(relevantResearch, (key, value) => (key === 'sources' ? undefined : value), 2)}
+${sourceList}Custom Requirements: ${customPrompt || 'Standard professional format'}
 
 Create:
 1. Compelling headline (under 60 characters)
@@ -449,48 +1028,50 @@ Create:
 Tone: Professional, data-driven, thought leadership
 Format: Ready for LinkedIn business audience`;
 
-        const response = await this.queryLLMWithStructuredPrompt(slidePrompt, slideType, 'slide-content');
+        const response = await this.queryLLMWithStructuredPrompt(slidePrompt, slideType, 'slide-content', llmOptions);
+
+        // The sources the model says it used, or else everything behind the slide's research
+        const known = new Set(sources.map(source => source.id));
+        const cited = (Array.isArray(response.sources) ? response.sources : []).filter(id => known.has(id));
 
         return {
             slideNumber: slideIndex + 1,
             type: slideType,
             content: response,
+            sourceIds: cited.length > 0 ? [...new Set(cited)] : [...known],
             relevantData: relevantResearch,
             visualElements: this.determineVisualElements(slideType, relevantResearch)
         };
     }
 
     /**
-     * Create visual carousel with professional design
+     * Plan the carousel design - theme, dimensions and a layout per slide - that
+     * CarouselDesigner draws into slide images and a PDF
      */
-    async createVisualCarousel(slides) {
+    async createVisualCarousel(slides, sources = []) {
         console.log('🎨 Creating visual carousel...');
 
-        // This would integrate with a sophisticated design system
-        // For now, we'll create a structured layout plan
-
+        const theme = this.getCarouselTheme();
         const visualDesign = {
-            theme: 'professional-dark',
+            theme: theme.theme,
+            brandKit: theme.brandKit,
+            brandName: theme.brandName,
+            variant: theme.variant,
             dimensions: {
                 width: 1080,
                 height: 1350 // LinkedIn carousel standard
             },
-            colorScheme: {
-                primary: '#0077B5', // LinkedIn blue
-                secondary: '#58a6ff',
-                accent: '#00A0DC',
-                background: '#1A1A1A',
-                text: '#FFFFFF'
-            },
-            typography: {
-                headline: 'Inter Bold 32px',
-                body: 'Inter Regular 18px',
-                accent: 'Inter Medium 16px'
-            },
+            colorScheme: { ...theme.colorScheme },
+            typography: { ...theme.typography },
+            fonts: { ...theme.fonts },
+            logo: theme.logo,
+            sources: sources,
             slides: slides.map((slide, index) => ({
                 slideNumber: index + 1,
+                type: slide.type,
                 layout: this.determineSlideLayout(slide.type),
                 content: slide.content,
+                sourceIds: slide.sourceIds || [],
                 visualElements: slide.visualElements,
                 dataVisualization: this.createDataVisualization(slide.relevantData)
             }))
@@ -502,7 +1083,7 @@ Format: Ready for LinkedIn business audience`;
     /**
      * Generate comprehensive text summary
      */
-    generateTextSummary(slides) {
+    generateTextSummary(slides, llmOptions = {}) {
         const summaryPrompt = `Create an executive summary from these carousel slides:
 
 ${slides.map((slide, i) => `Slide ${i + 1}: ${JSON.stringify(slide.content)}`).join('\n\n')}
@@ -515,7 +1096,7 @@ Generate:
 
 Format as professional LinkedIn post with relevant hashtags.`;
 
-        return this.queryLLMWithStructuredPrompt(summaryPrompt, 'carousel-summary', 'summary');
+        return this.queryLLMWithStructuredPrompt(summaryPrompt, 'carousel-summary', 'summary', llmOptions);
     }
 
     /**
@@ -543,16 +1124,30 @@ Format as professional LinkedIn post with relevant hashtags.`;
     parseLLMResponse(response) {
         try {
             // Try to extract JSON if present
-            const jsonMatch = response.match(/\{[\s\S]*\}/);
-            if (jsonMatch) {
-                return JSON.parse(jsonMatch[0]);
-            }
-            return { analysis: response };
+            const parsed = ContentSchema.extractJSON(response);
+            return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : { analysis: response };
         } catch {
             return { analysis: response };
         }
     }
 
+    /**
+     * Sources behind a slide's research, once each
+     */
+    collectSources(relevantResearch) {
+        const sources = new Map();
+        relevantResearch.forEach(({ relevantData }) => {
+            Object.values(relevantData).forEach(data => {
+                ((data && data.sources) || []).forEach(source => {
+                    if (source && source.id && !sources.has(source.id)) {
+                        sources.set(source.id, source);
+                    }
+                });
+            });
+        });
+        return Array.from(sources.values());
+    }
+
     extractRelevantResearch(researchData, slideType) {
         // Filter research data based on slide type
         return researchData.map(research => ({
@@ -597,13 +1192,31 @@ Format as professional LinkedIn post with relevant hashtags.`;
     }
 
     determineSlideLayout(slideType) {
+        // Slides built around a number get the metric layout, lists of names
+        // the grid, closing slides the call to action
         const layoutMap = {
             'intro': 'hero-centered',
+            'cover': 'hero-centered',
             'market-overview': 'data-focused',
+            'overview': 'data-focused',
+            'trend-overview': 'data-focused',
+            'financials': 'data-focused',
+            'impact-analysis': 'data-focused',
+            'driving-forces': 'data-focused',
+            'strengths': 'data-focused',
+            'use-cases': 'data-focused',
+            'innovation': 'data-focused',
             'company-overview': 'info-grid',
+            'key-players': 'info-grid',
+            'alternatives': 'info-grid',
             'recent-news': 'timeline-vertical',
+            'timeline': 'timeline-vertical',
             'trends': 'chart-emphasis',
-            'conclusion': 'summary-action'
+            'predictions': 'chart-emphasis',
+            'conclusion': 'summary-action',
+            'recommendation': 'summary-action',
+            'outlook': 'summary-action',
+            'implications': 'summary-action'
         };
 
         return layoutMap[slideType] || 'standard';
@@ -619,27 +1232,35 @@ Format as professional LinkedIn post with relevant hashtags.`;
     }
 
     getUsedSources(researchData) {
-        // Extract sources used in research
-        const sources = new Set();
+        // Every source behind the research, once each: web pages and documents
+        // first, model knowledge last. This order numbers the references.
+        const sources = new Map();
         researchData.forEach(research => {
-            Object.values(research.research).forEach(data => {
-                if (data.sources) {
-                    data.sources.forEach(source => sources.add(source));
-                }
+            Object.values(research.research || {}).forEach(data => {
+                ((data && data.sources) || []).forEach(source => {
+                    const entry = typeof source === 'string' ? this.createSource({ type: 'web', url: source }) : source;
+                    if (entry && entry.id && !sources.has(entry.id)) {
+                        sources.set(entry.id, entry);
+                    }
+                });
             });
         });
-        return Array.from(sources);
+
+        const rank = source => (source.type === 'model' ? 1 : 0);
+        return Array.from(sources.values()).sort((a, b) => rank(a) - rank(b));
     }
 
     /**
-     * Export carousel for different platforms
+     * Export carousel for different platforms; pdf, powerpoint, json and
+     * markdown return a file ({ format, fileName, mimeType, content })
      */
     async exportCarousel(carousel, format = 'linkedin') {
         const exportFormats = {
             'linkedin': this.exportForLinkedIn,
             'pdf': this.exportToPDF,
             'powerpoint': this.exportToPowerPoint,
-            'json': this.exportToJSON
+            'json': this.exportToJSON,
+            'markdown': this.exportToMarkdown
         };
 
         const exporter = exportFormats[format];
@@ -664,6 +1285,29 @@ Format as professional LinkedIn post with relevant hashtags.`;
         };
     }
 
+    exportToPDF(carousel) {
+        return this.exporter.toPDF(carousel);
+    }
+
+    exportToPowerPoint(carousel) {
+        return this.exporter.toPowerPoint(carousel);
+    }
+
+    exportToJSON(carousel) {
+        return this.exporter.toJSON(carousel);
+    }
+
+    exportToMarkdown(carousel) {
+        return this.exporter.toMarkdown(carousel);
+    }
+
+    /**
+     * Read back a carousel saved with exportCarousel(carousel, 'json')
+     */
+    importCarousel(source) {
+        return CarouselExport.fromJSON(source);
+    }
+
     generateHashtags(carousel) {
         const companies = carousel.metadata.companiesAnalyzed;
         const categories = [...new Set(carousel.slides.map(s => s.relevantData).flat().map(d => d.company))];
@@ -679,28 +1323,13 @@ Format as professional LinkedIn post with relevant hashtags.`;
     }
 
     /**
-     * Rate limiting and caching utilities
+     * Run fn(signal) in the scheduler lane for key (an LLM or search provider
+     * name): it waits for a free slot under the lane's concurrency and rate
+     * limits, gets a timeout signal and is retried on transient failures. Options
+     * are those of RequestScheduler.schedule (signal, timeout, retries, retryable).
      */
-    async withRateLimit(key, fn, limit = 10, window = 60000) {
-        const now = Date.now();
-        const windowStart = now - window;
-
-        if (!this.rateLimiter.has(key)) {
-            this.rateLimiter.set(key, []);
-        }
-
-        const requests = this.rateLimiter.get(key).filter(time => time > windowStart);
-
-        if (requests.length >= limit) {
-            const oldestRequest = Math.min(...requests);
-            const waitTime = window - (now - oldestRequest);
-            throw new Error(`Rate limit exceeded. Wait ${waitTime}ms`);
-        }
-
-        requests.push(now);
-        this.rateLimiter.set(key, requests);
-
-        return await fn();
+    async withRateLimit(key, fn, options = {}) {
+        return this.scheduler.schedule(key, fn, options);
     }
 }
 
@@ -0,0 +1,288 @@
+/**
+ * Brand Kit - One palette, font set and logo for everything Composeon produces
+ *
+ * A kit has a dark and a light variant. Each variant is a semantic palette
+ * (background, surface, text, muted and the primary/secondary/accent brand
+ * colors) plus an optional logo, so a light logo can sit on dark posts and a
+ * dark one on light posts. The kit maps onto the VisualPostGenerator colors and
+ * onto the AIContentGenerator carousel theme, and round-trips through JSON (or
+ * YAML in Node) so a team can share one file.
+ */
+
+const BRAND_VARIANTS = ['dark', 'light'];
+const BRAND_PALETTE_KEYS = ['background', 'surface', 'text', 'muted', 'primary', 'secondary', 'accent'];
+const BRAND_FONT_KEYS = ['heading', 'body', 'mono'];
+
+// The Composeon look; a kit only needs to set what differs
+const BRAND_PALETTES = {
+    dark: {
+        background: '#0d1117',
+        surface: '#161b22',
+        text: '#f0f6fc',
+        muted: '#7d8590',
+        primary: '#58a6ff',
+        secondary: '#a5a1ff',
+        accent: '#3fb950'
+    },
+    light: {
+        background: '#ffffff',
+        surface: '#f6f8fa',
+        text: '#0d1117',
+        muted: '#57606a',
+        primary: '#0969da',
+        secondary: '#8250df',
+        accent: '#1a7f37'
+    }
+};
+
+const BRAND_FONTS = {
+    heading: 'Inter, -apple-system, sans-serif',
+    body: 'Inter, -apple-system, sans-serif',
+    mono: 'JetBrains Mono, monospace'
+};
+
+class BrandKit {
+    constructor(spec = {}) {
+        if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+            throw new Error('Brand kit must be an object');
+        }
+
+        this.id = String(spec.id || 'brand').trim();
+        if (!/^[a-z0-9][a-z0-9-]*$/.test(this.id)) {
+            throw new Error(`Invalid brand kit id '${this.id}' (lowercase letters, digits and '-' only)`);
+        }
+
+        this.name = String(spec.name || this.id);
+        this.palette = this.normalizePalette(spec.palette, 'palette');
+        this.fonts = this.normalizeFonts(spec.fonts);
+        this.logo = this.normalizeLogo(spec.logo, 'logo');
+
+        const variants = spec.variants || {};
+        this.variants = {};
+        for (const [variant, value] of Object.entries(variants)) {
+            this.checkVariant(variant);
+            this.variants[variant] = {
+                palette: this.normalizePalette(value && value.palette, `variants.${variant}.palette`),
+                logo: this.normalizeLogo(value && value.logo, `variants.${variant}.logo`)
+            };
+        }
+
+        this.defaultVariant = spec.defaultVariant || 'dark';
+        this.checkVariant(this.defaultVariant);
+    }
+
+    /**
+     * Full semantic palette of a variant: Composeon defaults, then the shared
+     * palette, then the variant's own colors
+     */
+    getPalette(variant = this.defaultVariant) {
+        this.checkVariant(variant);
+        const own = this.variants[variant] || {};
+        return { ...BRAND_PALETTES[variant], ...this.palette, ...own.palette };
+    }
+
+    getLogo(variant = this.defaultVariant) {
+        this.checkVariant(variant);
+        const own = this.variants[variant] || {};
+        return own.logo || this.logo;
+    }
+
+    /**
+     * Colors for VisualPostGenerator: its dark/darker/light tones become the
+     * variant's background, surface and text, while paper and ink (the light
+     * surface of the minimal template) always come from the light variant
+     */
+    toGeneratorColors(variant = this.defaultVariant) {
+        const palette = this.getPalette(variant);
+        const light = this.getPalette('light');
+
+        return {
+            primary: palette.primary,
+            secondary: palette.secondary,
+            accent: palette.accent,
+            dark: palette.background,
+            darker: palette.surface,
+            light: palette.text,
+            muted: palette.muted,
+            paper: light.background,
+            ink: light.text
+        };
+    }
+
+    /**
+     * Theme for AIContentGenerator.createVisualCarousel
+     */
+    toCarouselTheme(variant = this.defaultVariant) {
+        const palette = this.getPalette(variant);
+        const family = font => font.split(',')[0].trim();
+
+        return {
+            theme: `${this.id}-${variant}`,
+            brandKit: this.id,
+            brandName: this.name,
+            variant,
+            colorScheme: {
+                primary: palette.primary,
+                secondary: palette.secondary,
+                accent: palette.accent,
+                background: palette.background,
+                surface: palette.surface,
+                text: palette.text,
+                muted: palette.muted
+            },
+            typography: {
+                headline: `${family(this.fonts.heading)} Bold 32px`,
+                body: `${family(this.fonts.body)} Regular 18px`,
+                accent: `${family(this.fonts.body)} Medium 16px`
+            },
+            fonts: { ...this.fonts },
+            logo: this.getLogo(variant)
+        };
+    }
+
+    /**
+     * Plain spec, as accepted by the constructor
+     */
+    toJSON() {
+        const spec = {
+            id: this.id,
+            name: this.name,
+            palette: { ...this.palette },
+            fonts: { ...this.fonts },
+            defaultVariant: this.defaultVariant
+        };
+        if (this.logo) {
+            spec.logo = this.logo;
+        }
+        if (Object.keys(this.variants).length > 0) {
+            spec.variants = {};
+            for (const [variant, value] of Object.entries(this.variants)) {
+                spec.variants[variant] = value.logo ? { palette: { ...value.palette }, logo: value.logo } : { palette: { ...value.palette } };
+            }
+        }
+        return spec;
+    }
+
+    /**
+     * Save the kit as JSON, or YAML for .yaml/.yml files (Node only)
+     */
+    async save(filePath) {
+        const fs = require('fs').promises;
+        const path = require('path');
+
+        const extension = path.extname(filePath).toLowerCase();
+        const content = extension === '.yaml' || extension === '.yml'
+            ? require('js-yaml').dump(this.toJSON())
+            : JSON.stringify(this.toJSON(), null, 2) + '\n';
+
+        await fs.writeFile(filePath, content, 'utf8');
+        return filePath;
+    }
+
+    normalizePalette(values, label) {
+        const palette = {};
+        for (const [key, value] of Object.entries(values || {})) {
+            if (!BRAND_PALETTE_KEYS.includes(key)) {
+                throw new Error(`${label}: unknown color '${key}' (use ${BRAND_PALETTE_KEYS.join(', ')})`);
+            }
+            palette[key] = BrandKit.normalizeHex(value, `${label}.${key}`);
+        }
+        return palette;
+    }
+
+    normalizeFonts(values) {
+        const fonts = { ...BRAND_FONTS };
+        for (const [key, value] of Object.entries(values || {})) {
+            if (!BRAND_FONT_KEYS.includes(key)) {
+                throw new Error(`fonts: unknown font '${key}' (use ${BRAND_FONT_KEYS.join(', ')})`);
+            }
+            if (!String(value).trim()) {
+                throw new Error(`fonts.${key} must not be empty`);
+            }
+            fonts[key] = String(value).trim();
+        }
+        return fonts;
+    }
+
+    normalizeLogo(value, label) {
+        if (value === undefined || value === null || value === '') {
+            return null;
+        }
+        if (typeof value !== 'string') {
+            throw new Error(`${label} must be an image URL, data: URL or file path`);
+        }
+        return value.trim();
+    }
+
+    checkVariant(variant) {
+        if (!BRAND_VARIANTS.includes(variant)) {
+            throw new Error(`Unknown brand variant '${variant}' (use ${BRAND_VARIANTS.join(', ')})`);
+        }
+    }
+
+    /**
+     * Colors must be hex - the templates add alpha by appending two digits
+     */
+    static normalizeHex(value, label) {
+        const match = String(value).trim().match(/^#?([0-9a-f]{3}|[0-9a-f]{6})$/i);
+        if (!match) {
+            throw new Error(`${label}: '${value}' is not a hex color like #0a66c2`);
+        }
+
+        const hex = match[1].length === 3 ? match[1].replace(/./g, digit => digit + digit) : match[1];
+        return `#${hex.toLowerCase()}`;
+    }
+
+    /**
+     * Build a kit from a BrandKit, a spec object or a JSON string
+     */
+    static from(source) {
+        if (source instanceof BrandKit) {
+            return source;
+        }
+        return new BrandKit(typeof source === 'string' ? JSON.parse(source) : source);
+    }
+
+    /**
+     * Load a kit from a JSON or YAML file (Node only); the id defaults to the
+     * file name and a logo path relative to the file is embedded as a data URL
+     */
+    static async load(filePath) {
+        const fs = require('fs').promises;
+        const path = require('path');
+        const TemplateLoader = require('./template-loader');
+
+        const source = await fs.readFile(filePath, 'utf8');
+        const extension = path.extname(filePath).toLowerCase();
+        const spec = extension === '.json' ? JSON.parse(source) : require('js-yaml').load(source);
+        if (!spec || typeof spec !== 'object') {
+            throw new Error('Brand kit file is empty');
+        }
+
+        const directory = path.dirname(filePath);
+        const variants = {};
+        for (const [variant, value] of Object.entries(spec.variants || {})) {
+            variants[variant] = value && value.logo
+                ? { ...value, logo: await TemplateLoader.inlineImage(value.logo, directory) }
+                : value;
+        }
+
+        return new BrandKit({
+            ...spec,
+            id: spec.id || path.basename(filePath, extension).toLowerCase().replace(/[^a-z0-9-]+/g, '-'),
+            logo: spec.logo ? await TemplateLoader.inlineImage(spec.logo, directory) : spec.logo,
+            variants
+        });
+    }
+}
+
+BrandKit.VARIANTS = BRAND_VARIANTS;
+BrandKit.PALETTE_KEYS = BRAND_PALETTE_KEYS;
+BrandKit.DEFAULT_PALETTES = BRAND_PALETTES;
+
+// Export for different module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BrandKit;
+} else if (typeof window !== 'undefined') {
+    window.BrandKit = BrandKit;
+}
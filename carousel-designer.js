@@ -0,0 +1,889 @@
+/**
+ * Carousel Designer - Draws AI carousel slides and packs them into a PDF
+ *
+ * Takes the visual design from AIContentGenerator.createVisualCarousel (theme
+ * colors, fonts, logo, dimensions and per-slide layout) and draws each slide's
+ * headline, bullets, statistic and closing question with its layout:
+ * hero-centered, data-focused, info-grid, timeline-vertical, chart-emphasis,
+ * summary-action or standard. Slides become 1080x1350 canvases, and the whole
+ * carousel a multi-page PDF - the format LinkedIn takes for document posts.
+ * When the carousel has research sources, slides get numbered source
+ * footnotes and a closing references slide lists them.
+ *
+ * Platform hooks (canvas creation, image loading, JPEG encoding) default to the
+ * browser; carousel-renderer.js overrides them for Node.
+ */
+
+const SlideLayout = typeof LayoutEngine !== 'undefined' ? LayoutEngine : require('./layout-engine');
+const SlidePdf = typeof PdfDocument !== 'undefined' ? PdfDocument : require('./pdf-document');
+const SlideBrand = typeof BrandKit !== 'undefined' ? BrandKit : require('./brand-kit');
+
+const SLIDE_WIDTH = 1080;
+const SLIDE_HEIGHT = 1350;
+
+// Layout name (see AIContentGenerator.determineSlideLayout) to drawing method
+const SLIDE_LAYOUTS = {
+    'hero-centered': 'drawHeroLayout',
+    'data-focused': 'drawDataLayout',
+    'info-grid': 'drawGridLayout',
+    'timeline-vertical': 'drawTimelineLayout',
+    'chart-emphasis': 'drawChartLayout',
+    'summary-action': 'drawSummaryLayout',
+    'standard': 'drawStandardLayout',
+    'references': 'drawReferencesLayout'
+};
+
+const MAX_BULLETS = 5;
+
+// Numbers worth calling out: 42%, $3.5B, 10x, 1,200 users...
+const STATISTIC_PATTERN = /(?:[$€£]\s?)?\d[\d,.]*\s?(?:%|x\b|[KMBT]\b|(?:thousand|million|billion|trillion)\b)?/i;
+
+class CarouselDesigner {
+    constructor(options = {}) {
+        this.quality = options.quality || 0.9;
+        this.images = {};
+    }
+
+    /**
+     * Draw every slide of a carousel (a generateCarousel result or its
+     * visualCarousel); a brandKit option re-themes the design first
+     */
+    async renderSlides(carousel, options = {}) {
+        const design = this.resolveDesign(carousel, options);
+        await this.loadDesignImages(design);
+
+        const canvases = [];
+        for (let index = 0; index < design.slides.length; index++) {
+            canvases.push(this.drawSlide(design, index));
+        }
+        return canvases;
+    }
+
+    /**
+     * Render the carousel as a multi-page PDF (Uint8Array)
+     */
+    async renderPDF(carousel, options = {}) {
+        const design = this.resolveDesign(carousel, options);
+        const canvases = await this.renderSlides(design);
+        const pdf = new SlidePdf({
+            title: options.title || this.getTitle(design),
+            author: options.author,
+            subject: 'LinkedIn carousel'
+        });
+
+        for (const canvas of canvases) {
+            pdf.addImagePage(await this.encodeJpeg(canvas, options.quality || this.quality), design.dimensions.width, design.dimensions.height);
+        }
+        return pdf.toBytes();
+    }
+
+    /**
+     * Normalize the design: accept the full carousel or its visual design, fill
+     * in dimensions, palette fallbacks, the slide text and source numbers, and
+     * add the references slide (unless options.references is false)
+     */
+    resolveDesign(carousel, options = {}) {
+        if (carousel && carousel.resolved) {
+            return carousel;
+        }
+
+        const source = carousel && carousel.visualCarousel ? carousel.visualCarousel : carousel;
+        if (!source || !Array.isArray(source.slides) || source.slides.length === 0) {
+            throw new Error('Carousel has no slides');
+        }
+
+        let theme = source;
+        if (options.brandKit) {
+            theme = SlideBrand.from(options.brandKit).toCarouselTheme(options.variant || undefined);
+        }
+
+        const colors = theme.colorScheme || {};
+        const palette = {
+            primary: colors.primary || '#0077B5',
+            secondary: colors.secondary || colors.primary || '#58a6ff',
+            accent: colors.accent || colors.primary || '#00A0DC',
+            background: colors.background || '#1A1A1A',
+            surface: colors.surface || CarouselDesigner.mix(colors.background || '#1A1A1A', colors.text || '#FFFFFF', 0.08),
+            text: colors.text || '#FFFFFF',
+            muted: colors.muted || CarouselDesigner.mix(colors.background || '#1A1A1A', colors.text || '#FFFFFF', 0.65)
+        };
+
+        const fonts = theme.fonts || {};
+        const dimensions = source.dimensions || {};
+        const sources = ((carousel.metadata && carousel.metadata.researchSources) || source.sources || [])
+            .map(entry => (typeof entry === 'string' ? { id: entry, type: 'web', url: entry, title: entry } : entry))
+            .filter(entry => entry && entry.id);
+        const numbers = new Map(sources.map((entry, index) => [entry.id, index + 1]));
+        const references = options.references !== false && sources.length > 0;
+        const total = source.slides.length + (references ? 1 : 0);
+
+        const slides = source.slides.map((slide, index) => ({
+            number: slide.slideNumber || index + 1,
+            total,
+            type: slide.type || null,
+            layout: SLIDE_LAYOUTS[slide.layout] ? slide.layout : 'standard',
+            visualElements: slide.visualElements || [],
+            companies: this.getCompanies(slide),
+            text: this.getSlideText(slide),
+            sources: (slide.sourceIds || []).map(id => numbers.get(id)).filter(Boolean).sort((a, b) => a - b)
+        }));
+        if (references) {
+            slides.push({
+                number: total,
+                total,
+                type: 'references',
+                layout: 'references',
+                visualElements: [],
+                companies: [],
+                text: { headline: 'Sources', bullets: [], statistic: null, question: null },
+                sources: []
+            });
+        }
+
+        return {
+            resolved: true,
+            palette,
+            fonts: {
+                heading: fonts.heading || 'Inter, -apple-system, sans-serif',
+                body: fonts.body || 'Inter, -apple-system, sans-serif'
+            },
+            logo: theme.logo || null,
+            brand: options.brandName || theme.brandName || 'Composeon AI',
+            dimensions: {
+                width: dimensions.width || SLIDE_WIDTH,
+                height: dimensions.height || SLIDE_HEIGHT
+            },
+            sources,
+            slides
+        };
+    }
+
+    /**
+     * Headline, bullets, statistic and question of a slide: structured content
+     * (headline, bullets, statistic, question) is used as is, free LLM text is
+     * picked apart by its labels, list markers and numbers
+     */
+    getSlideText(slide) {
+        const content = slide.content && typeof slide.content === 'object' ? slide.content : { analysis: slide.content };
+        const clean = value => String(value || '').replace(/\*\*|__|`/g, '').replace(/^#+\s*/, '').replace(/^["']|["']$/g, '').trim();
+        const fallbackHeadline = slide.type
+            ? slide.type.split('-').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ')
+            : `Slide ${slide.slideNumber || ''}`.trim();
+
+        if (content.headline || content.bullets) {
+            const statistic = typeof content.statistic === 'string'
+                ? this.parseStatistic(content.statistic)
+                : content.statistic || null;
+            return {
+                headline: clean(content.headline || fallbackHeadline),
+                bullets: (content.bullets || []).map(clean).filter(Boolean).slice(0, MAX_BULLETS),
+                statistic: statistic && statistic.value ? { value: clean(statistic.value), label: clean(statistic.label) } : null,
+                question: clean(content.question || content.cta) || null
+            };
+        }
+
+        const text = String(content.analysis || content.fallback || '');
+        const result = { headline: '', bullets: [], statistic: null, question: null };
+        const loose = [];
+
+        for (const rawLine of text.split(/\n+/)) {
+            const line = clean(rawLine);
+            if (!line) continue;
+
+            const labelled = line.match(/^(?:\d+[.)]\s*)?([a-z][a-z\s/-]{2,40}?)\s*:\s*(.*)$/i);
+            const label = labelled ? labelled[1].toLowerCase() : '';
+            const value = labelled ? clean(labelled[2]) : '';
+
+            if (/headline|title/.test(label)) {
+                if (value) result.headline = result.headline || value;
+            } else if (/statistic|insight|metric/.test(label)) {
+                if (value) result.statistic = result.statistic || this.parseStatistic(value);
+            } else if (/call[\s-]*to[\s-]*action|question|cta/.test(label)) {
+                if (value) result.question = result.question || value;
+            } else if (/visual|design|image/.test(label) || (labelled && !value)) {
+                continue;
+            } else if (/^([-*•]|\d+[.)])\s+/.test(line)) {
+                result.bullets.push(clean(line.replace(/^([-*•]|\d+[.)])\s+/, '')));
+            } else if (/\?$/.test(line) && !result.question) {
+                result.question = line;
+            } else {
+                loose.push(labelled ? `${labelled[1]}: ${value}` : line);
+            }
+        }
+
+        if (!result.headline) {
+            result.headline = loose.length > 0 && loose[0].length <= 90 ? loose.shift() : fallbackHeadline;
+        }
+        if (result.bullets.length === 0) {
+            result.bullets = loose.join(' ').split(/(?<=[.!])\s+/).map(clean).filter(sentence => sentence.length > 3);
+        }
+        result.bullets = result.bullets.filter(Boolean).slice(0, MAX_BULLETS);
+
+        if (!result.statistic) {
+            const bullet = result.bullets.find(entry => /(?:[$€£]\s?\d|\d\s?(?:%|x\b|[KMBT]\b|(?:million|billion)\b))/i.test(entry));
+            result.statistic = bullet ? this.parseStatistic(bullet) : null;
+        }
+
+        return result;
+    }
+
+    /**
+     * Split "42% of teams ship weekly" into a value and a label
+     */
+    parseStatistic(text) {
+        const source = String(text);
+        const match = source.match(STATISTIC_PATTERN);
+        if (!match) {
+            return { value: source.trim(), label: '' };
+        }
+
+        const label = (source.slice(0, match.index) + source.slice(match.index + match[0].length))
+            .replace(/\s+/g, ' ')
+            .replace(/^[\s:,.-]+|[\s:,-]+$/g, '');
+        return { value: match[0].trim(), label };
+    }
+
+    getCompanies(slide) {
+        return (slide.relevantData || [])
+            .map(entry => (entry && typeof entry.company === 'object' ? entry.company.name : entry && entry.company))
+            .filter(Boolean);
+    }
+
+    getTitle(design) {
+        return design.slides[0].text.headline;
+    }
+
+    /**
+     * Where a source lives and when it was read: "example.com/page · retrieved 2026-05-01"
+     */
+    static describeSource(source) {
+        const location = source.url
+            ? source.url.replace(/^https?:\/\/(www\.)?/, '')
+            : source.docId || (source.type === 'model' ? 'model output, not independently verified' : '');
+        const retrieved = source.retrievedAt ? `retrieved ${String(source.retrievedAt).slice(0, 10)}` : '';
+        return [location, retrieved].filter(Boolean).join(' · ');
+    }
+
+    /**
+     * Load the logo once per carousel so drawing stays synchronous
+     */
+    async loadDesignImages(design) {
+        this.images = {};
+        if (design.logo) {
+            try {
+                this.images.logo = await this.loadImage(design.logo);
+            } catch (error) {
+                const failure = new Error(`Could not load logo: ${error.message}`);
+                failure.status = 400;
+                throw failure;
+            }
+        }
+    }
+
+    /**
+     * Draw one slide on a new canvas
+     */
+    drawSlide(design, index) {
+        const { width, height } = design.dimensions;
+        const canvas = this.createCanvasElement(width, height);
+        const ctx = canvas.getContext('2d');
+        const slide = design.slides[index];
+
+        this.ctx = ctx;
+        this.design = design;
+        this.unit = Math.min(width / SLIDE_WIDTH, height / SLIDE_HEIGHT);
+
+        this.drawBackground(slide);
+        const region = this.getContentRegion();
+        this[SLIDE_LAYOUTS[slide.layout]](slide, region);
+        this.drawChrome(slide);
+
+        return canvas;
+    }
+
+    /**
+     * Platform hooks - overridden by the Node renderer (carousel-renderer.js)
+     */
+    createCanvasElement(width, height) {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        return canvas;
+    }
+
+    loadImage(src) {
+        return new Promise((resolve, reject) => {
+            const img = new Image();
+            img.crossOrigin = 'anonymous';
+            img.onload = () => resolve(img);
+            img.onerror = () => reject(new Error(`Failed to load image: ${src}`));
+            img.src = src;
+        });
+    }
+
+    async encodeJpeg(canvas, quality) {
+        const base64 = canvas.toDataURL('image/jpeg', quality).split(',')[1];
+        const binary = atob(base64);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+
+    getContentRegion() {
+        const { width, height } = this.design.dimensions;
+        const u = this.unit;
+        return { left: 90 * u, right: width - 90 * u, top: 170 * u, bottom: height - 170 * u };
+    }
+
+    drawBackground(slide) {
+        const ctx = this.ctx;
+        const { width, height } = this.design.dimensions;
+        const { palette } = this.design;
+
+        const gradient = ctx.createLinearGradient(0, 0, width, height);
+        gradient.addColorStop(0, palette.background);
+        gradient.addColorStop(1, palette.surface);
+        ctx.fillStyle = gradient;
+        ctx.fillRect(0, 0, width, height);
+
+        // Brand bar along the top, progress shown in the accent color
+        ctx.fillStyle = palette.primary;
+        ctx.fillRect(0, 0, width, 14 * this.unit);
+        ctx.fillStyle = palette.accent;
+        ctx.fillRect(0, 0, width * slide.number / slide.total, 14 * this.unit);
+    }
+
+    /**
+     * Logo, source footnote, brand name, page number and swipe hint
+     */
+    drawChrome(slide) {
+        const ctx = this.ctx;
+        const { width, height } = this.design.dimensions;
+        const { palette, fonts } = this.design;
+        const u = this.unit;
+        const footerY = height - 80 * u;
+
+        if (this.images.logo) {
+            const logo = this.images.logo;
+            const logoHeight = 56 * u;
+            const logoWidth = Math.min(240 * u, logoHeight * (logo.width / logo.height));
+            ctx.drawImage(logo, width - 90 * u - logoWidth, 60 * u, logoWidth, logoWidth / (logo.width / logo.height));
+        }
+
+        ctx.strokeStyle = palette.muted;
+        ctx.globalAlpha = 0.4;
+        ctx.lineWidth = 2 * u;
+        ctx.beginPath();
+        ctx.moveTo(90 * u, footerY - 50 * u);
+        ctx.lineTo(width - 90 * u, footerY - 50 * u);
+        ctx.stroke();
+        ctx.globalAlpha = 1;
+
+        if (slide.sources.length > 0) {
+            ctx.font = `${20 * u}px ${fonts.body}`;
+            ctx.fillStyle = palette.muted;
+            ctx.textAlign = 'left';
+            ctx.fillText(`Sources: ${slide.sources.map(number => `[${number}]`).join(' ')}`, 90 * u, footerY - 70 * u);
+        }
+
+        ctx.font = `600 ${26 * u}px ${fonts.body}`;
+        ctx.fillStyle = palette.muted;
+        ctx.textAlign = 'left';
+        ctx.fillText(this.design.brand, 90 * u, footerY);
+
+        ctx.textAlign = 'right';
+        if (slide.number < slide.total) {
+            ctx.fillStyle = palette.primary;
+            ctx.fillText(`${slide.number} / ${slide.total}  →`, width - 90 * u, footerY);
+        } else {
+            ctx.fillText(`${slide.number} / ${slide.total}`, width - 90 * u, footerY);
+        }
+        ctx.textAlign = 'left';
+    }
+
+    /**
+     * Cover: large centered headline, the first point as subtitle, the
+     * companies as pills and the question at the bottom
+     */
+    drawHeroLayout(slide, region) {
+        const ctx = this.ctx;
+        const { palette, fonts } = this.design;
+        const u = this.unit;
+        const { headline, bullets, question } = slide.text;
+        const centerX = (region.left + region.right) / 2;
+        const maxWidth = region.right - region.left;
+
+        const title = this.fitText(headline, maxWidth, 96 * u, 56 * u, 5, fonts.heading, 'bold');
+        const subtitle = bullets[0] ? this.fitText(bullets[0], maxWidth * 0.9, 36 * u, 28 * u, 3, fonts.body) : null;
+        const showCompanies = slide.companies.length > 0 && slide.visualElements.includes('company-logos');
+
+        const blockHeight = title.height + 60 * u + (subtitle ? subtitle.height + 40 * u : 0) + (showCompanies ? 90 * u : 0);
+        let y = region.top + Math.max(0, (region.bottom - region.top - blockHeight) / 2 - 60 * u);
+
+        ctx.textAlign = 'center';
+        y = this.drawLines(title, centerX, y, palette.text);
+
+        ctx.fillStyle = palette.accent;
+        ctx.fillRect(centerX - 80 * u, y + 20 * u, 160 * u, 8 * u);
+        y += 68 * u;
+
+        if (subtitle) {
+            y = this.drawLines(subtitle, centerX, y, palette.muted) + 40 * u;
+        }
+
+        if (showCompanies) {
+            this.drawPills(slide.companies.slice(0, 6), centerX, y + 10 * u);
+        }
+        ctx.textAlign = 'left';
+
+        if (question) {
+            this.drawQuestion(question, region);
+        }
+    }
+
+    /**
+     * Metric first: the statistic as a big number, then the supporting points
+     */
+    drawDataLayout(slide, region) {
+        const { statistic } = slide.text;
+        let y = this.drawHeadline(slide.text.headline, region);
+
+        if (statistic) {
+            y = this.drawStatistic(statistic, region, y);
+        }
+
+        const bullets = slide.text.bullets.filter(bullet => !statistic || !bullet.includes(statistic.value));
+        this.drawBullets(bullets, { ...region, top: y }, { marker: 'dot', arrows: slide.visualElements.includes('trend-arrows') });
+    }
+
+    /**
+     * Points as numbered cards in two columns
+     */
+    drawGridLayout(slide, region) {
+        const { palette, fonts } = this.design;
+        const u = this.unit;
+        const top = this.drawHeadline(slide.text.headline, region);
+        const items = slide.text.bullets.slice(0, 4);
+        if (items.length === 0) return;
+
+        const gap = 30 * u;
+        const cols = items.length === 1 ? 1 : 2;
+        const rows = Math.ceil(items.length / cols);
+        const cardWidth = (region.right - region.left - gap * (cols - 1)) / cols;
+        const cardHeight = Math.min(420 * u, (region.bottom - top - gap * (rows - 1)) / rows);
+
+        items.forEach((item, index) => {
+            const x = region.left + (index % cols) * (cardWidth + gap);
+            const y = top + Math.floor(index / cols) * (cardHeight + gap);
+            this.fillRoundedRect(x, y, cardWidth, cardHeight, 24 * u, palette.surface);
+
+            this.ctx.font = `bold ${44 * u}px ${fonts.heading}`;
+            this.ctx.fillStyle = index % 2 === 0 ? palette.primary : palette.accent;
+            this.ctx.fillText(String(index + 1).padStart(2, '0'), x + 36 * u, y + 80 * u);
+
+            const lineLimit = Math.max(1, Math.floor((cardHeight - 140 * u) / (30 * u * 1.3)));
+            const text = this.fitText(item, cardWidth - 72 * u, 32 * u, 24 * u, lineLimit, fonts.body);
+            this.drawLines(text, x + 36 * u, y + 120 * u, palette.text);
+        });
+    }
+
+    /**
+     * Points as events along a vertical line; update-badges marks the newest
+     */
+    drawTimelineLayout(slide, region) {
+        const ctx = this.ctx;
+        const { palette, fonts } = this.design;
+        const u = this.unit;
+        const top = this.drawHeadline(slide.text.headline, region);
+        const items = slide.text.bullets;
+        if (items.length === 0) return;
+
+        const lineX = region.left + 24 * u;
+        const textLeft = lineX + 60 * u;
+        const step = (region.bottom - top) / items.length;
+
+        ctx.strokeStyle = palette.muted;
+        ctx.lineWidth = 4 * u;
+        ctx.beginPath();
+        ctx.moveTo(lineX, top + 20 * u);
+        ctx.lineTo(lineX, top + step * (items.length - 1) + 30 * u);
+        ctx.stroke();
+
+        items.forEach((item, index) => {
+            const y = top + index * step;
+            ctx.fillStyle = index === 0 ? palette.accent : palette.primary;
+            ctx.beginPath();
+            ctx.arc(lineX, y + 24 * u, 16 * u, 0, Math.PI * 2);
+            ctx.fill();
+
+            let textTop = y;
+            if (index === 0 && slide.visualElements.includes('update-badges')) {
+                this.fillRoundedRect(textLeft, y, 110 * u, 44 * u, 22 * u, palette.accent);
+                ctx.font = `bold ${24 * u}px ${fonts.body}`;
+                ctx.fillStyle = palette.background;
+                ctx.textAlign = 'center';
+                ctx.fillText('NEW', textLeft + 55 * u, y + 31 * u);
+                ctx.textAlign = 'left';
+                textTop += 60 * u;
+            }
+
+            const lineLimit = Math.max(1, Math.floor((step - (textTop - y) - 20 * u) / (34 * u * 1.3)));
+            const text = this.fitText(item, region.right - textLeft, 34 * u, 24 * u, lineLimit, fonts.body);
+            this.drawLines(text, textLeft, textTop, palette.text);
+        });
+    }
+
+    /**
+     * Bar chart of the numbers found in the points, falling back to the
+     * statistic and a plain list when there is nothing to chart
+     */
+    drawChartLayout(slide, region) {
+        const ctx = this.ctx;
+        const { palette, fonts } = this.design;
+        const u = this.unit;
+        let y = this.drawHeadline(slide.text.headline, region);
+
+        const bars = slide.text.bullets
+            .map(bullet => ({ bullet, statistic: this.parseStatistic(bullet) }))
+            .map(entry => ({ ...entry, amount: parseFloat(entry.statistic.value.replace(/[^\d.]/g, '')) }))
+            .filter(entry => Number.isFinite(entry.amount) && entry.amount > 0);
+
+        if (bars.length < 2) {
+            this.drawDataLayout({ ...slide, text: { ...slide.text, headline: '' } }, { ...region, top: y - 40 * u });
+            return;
+        }
+
+        const max = Math.max(...bars.map(bar => bar.amount));
+        const width = region.right - region.left;
+        const step = Math.min(200 * u, (region.bottom - y) / bars.length);
+
+        bars.forEach((bar, index) => {
+            const top = y + index * step;
+            const label = this.fitText(bar.statistic.label || bar.bullet, width, 28 * u, 22 * u, 1, fonts.body);
+            this.drawLines(label, region.left, top, palette.muted);
+
+            const barTop = top + label.height + 12 * u;
+            const barWidth = Math.max(12 * u, (width - 200 * u) * bar.amount / max);
+            this.fillRoundedRect(region.left, barTop, width - 200 * u, 56 * u, 28 * u, palette.surface);
+            this.fillRoundedRect(region.left, barTop, barWidth, 56 * u, 28 * u, index % 2 === 0 ? palette.primary : palette.accent);
+
+            ctx.font = `bold ${40 * u}px ${fonts.heading}`;
+            ctx.fillStyle = palette.text;
+            ctx.fillText(bar.statistic.value, region.left + barWidth + 24 * u, barTop + 43 * u);
+        });
+    }
+
+    /**
+     * Takeaways as a checklist with the question as a call to action
+     */
+    drawSummaryLayout(slide, region) {
+        const u = this.unit;
+        const top = this.drawHeadline(slide.text.headline, region);
+        const bottom = slide.text.question ? region.bottom - 260 * u : region.bottom;
+
+        this.drawBullets(slide.text.bullets, { ...region, top, bottom }, { marker: 'check' });
+        if (slide.text.question) {
+            this.drawQuestion(slide.text.question, region, true);
+        }
+    }
+
+    /**
+     * Headline, the statistic card when there is one, points and question
+     */
+    drawStandardLayout(slide, region) {
+        const u = this.unit;
+        const { statistic } = slide.text;
+        let top = this.drawHeadline(slide.text.headline, region);
+        const bottom = slide.text.question ? region.bottom - 200 * u : region.bottom;
+
+        if (statistic) {
+            top = this.drawStatistic(statistic, region, top);
+        }
+
+        const bullets = slide.text.bullets.filter(bullet => !statistic || !bullet.includes(statistic.value));
+        this.drawBullets(bullets, { ...region, top, bottom }, { marker: 'dot' });
+        if (slide.text.question) {
+            this.drawQuestion(slide.text.question, region);
+        }
+    }
+
+    /**
+     * Numbered list of the carousel's sources, as many as fit, then a count of the rest
+     */
+    drawReferencesLayout(slide, region) {
+        const { palette, fonts, sources } = this.design;
+        const u = this.unit;
+        const width = region.right - region.left;
+        const indent = 56 * u;
+        let y = this.drawHeadline(slide.text.headline, region);
+
+        for (let index = 0; index < sources.length; index++) {
+            const source = sources[index];
+            const title = this.fitText(`${index + 1}. ${source.title || source.url || source.docId}`, width, 30 * u, 24 * u, 2, fonts.body, '600');
+            const location = CarouselDesigner.describeSource(source);
+            const detail = location ? this.fitText(location, width - indent, 22 * u, 18 * u, 1, fonts.body) : null;
+            const height = title.height + (detail ? detail.height + 6 * u : 0);
+            const remaining = sources.length - index;
+
+            // Keep room for the "more" line unless this is the last entry
+            if (y + height > region.bottom - (remaining > 1 ? 40 * u : 0)) {
+                const more = this.fitText(`+ ${remaining} more sources`, width, 24 * u, 20 * u, 1, fonts.body);
+                this.drawLines(more, region.left, y, palette.muted);
+                break;
+            }
+
+            y = this.drawLines(title, region.left, y, palette.text);
+            if (detail) {
+                y = this.drawLines(detail, region.left + indent, y + 6 * u, palette.muted);
+            }
+            y += 24 * u;
+        }
+    }
+
+    /**
+     * Left-aligned slide title; returns where the content below starts
+     */
+    drawHeadline(headline, region) {
+        if (!headline) {
+            return region.top;
+        }
+
+        const { palette, fonts } = this.design;
+        const u = this.unit;
+        const title = this.fitText(headline, region.right - region.left, 68 * u, 44 * u, 3, fonts.heading, 'bold');
+        const bottom = this.drawLines(title, region.left, region.top, palette.text);
+
+        this.ctx.fillStyle = palette.accent;
+        this.ctx.fillRect(region.left, bottom + 24 * u, 120 * u, 8 * u);
+        return bottom + 80 * u;
+    }
+
+    /**
+     * The statistic as a big number on a card, its label below; returns the
+     * y where the content under the card starts
+     */
+    drawStatistic(statistic, region, top) {
+        const ctx = this.ctx;
+        const { palette, fonts } = this.design;
+        const u = this.unit;
+        const width = region.right - region.left;
+        const cardHeight = statistic.label ? 300 * u : 230 * u;
+
+        this.fillRoundedRect(region.left, top, width, cardHeight, 28 * u, palette.surface);
+        ctx.fillStyle = palette.primary;
+        ctx.fillRect(region.left, top + 30 * u, 10 * u, cardHeight - 60 * u);
+
+        const value = this.fitText(statistic.value, width - 120 * u, 150 * u, 70 * u, 1, fonts.heading, 'bold');
+        this.drawLines(value, region.left + 60 * u, top + 40 * u, palette.primary);
+        if (statistic.label) {
+            const label = this.fitText(statistic.label, width - 120 * u, 32 * u, 24 * u, 2, fonts.body);
+            this.drawLines(label, region.left + 60 * u, top + 60 * u + value.height, palette.muted);
+        }
+        return top + cardHeight + 60 * u;
+    }
+
+    /**
+     * Bulleted list spread over the region, shrinking text until it fits
+     */
+    drawBullets(bullets, region, { marker = 'dot', arrows = false } = {}) {
+        if (bullets.length === 0) return;
+
+        const ctx = this.ctx;
+        const { palette, fonts } = this.design;
+        const u = this.unit;
+        const textLeft = region.left + 56 * u;
+        const maxWidth = region.right - textLeft;
+        const available = region.bottom - region.top;
+
+        // Largest size at which every point fits (max 4 lines each)
+        let size = 38 * u;
+        let blocks;
+        for (; size >= 24 * u; size -= 2 * u) {
+            blocks = bullets.map(bullet => this.fitText(bullet, maxWidth, size, size, 4, fonts.body));
+            const height = blocks.reduce((sum, block) => sum + block.height, 0) + (bullets.length - 1) * size * 1.2;
+            if (height <= available) break;
+        }
+
+        let y = region.top;
+        blocks.forEach((block, index) => {
+            const markerY = y + block.lineHeight / 2;
+            ctx.fillStyle = index % 2 === 0 ? palette.primary : palette.accent;
+
+            if (marker === 'check') {
+                ctx.strokeStyle = palette.accent;
+                ctx.lineWidth = 5 * u;
+                ctx.beginPath();
+                ctx.moveTo(region.left + 4 * u, markerY);
+                ctx.lineTo(region.left + 16 * u, markerY + 12 * u);
+                ctx.lineTo(region.left + 36 * u, markerY - 14 * u);
+                ctx.stroke();
+            } else if (arrows) {
+                ctx.font = `bold ${block.size}px ${fonts.body}`;
+                ctx.fillText('↗', region.left, y + block.size);
+            } else {
+                ctx.beginPath();
+                ctx.arc(region.left + 14 * u, markerY, 9 * u, 0, Math.PI * 2);
+                ctx.fill();
+            }
+
+            y = this.drawLines(block, textLeft, y, palette.text) + block.size * 1.2;
+        });
+    }
+
+    /**
+     * Closing question pinned to the bottom of the region, boxed as a call to action
+     */
+    drawQuestion(question, region, boxed = false) {
+        const ctx = this.ctx;
+        const { palette, fonts } = this.design;
+        const u = this.unit;
+        const width = region.right - region.left;
+        const text = this.fitText(question, width - (boxed ? 100 * u : 0), 36 * u, 26 * u, 3, fonts.body, '600');
+        const top = region.bottom - text.height - (boxed ? 50 * u : 0);
+
+        if (boxed) {
+            this.fillRoundedRect(region.left, top - 50 * u, width, text.height + 100 * u, 28 * u, palette.surface);
+            ctx.strokeStyle = palette.primary;
+            ctx.lineWidth = 4 * u;
+            this.roundedRectPath(region.left, top - 50 * u, width, text.height + 100 * u, 28 * u);
+            ctx.stroke();
+            ctx.textAlign = 'center';
+            this.drawLines(text, region.left + width / 2, top, palette.accent);
+            ctx.textAlign = 'left';
+        } else {
+            ctx.textAlign = 'center';
+            this.drawLines(text, region.left + width / 2, top, palette.accent);
+            ctx.textAlign = 'left';
+        }
+    }
+
+    /**
+     * Centered row of rounded name tags, wrapping onto a second row
+     */
+    drawPills(names, centerX, top) {
+        const ctx = this.ctx;
+        const { palette, fonts } = this.design;
+        const u = this.unit;
+        const height = 64 * u;
+        const gap = 18 * u;
+        const maxWidth = this.getContentRegion().right - this.getContentRegion().left;
+
+        ctx.font = `600 ${28 * u}px ${fonts.body}`;
+        const pills = names.map(name => ({ name, width: ctx.measureText(name).width + 56 * u }));
+
+        const rows = [[]];
+        let rowWidth = 0;
+        for (const pill of pills) {
+            if (rows[rows.length - 1].length > 0 && rowWidth + gap + pill.width > maxWidth) {
+                rows.push([]);
+                rowWidth = 0;
+            }
+            rows[rows.length - 1].push(pill);
+            rowWidth += (rowWidth > 0 ? gap : 0) + pill.width;
+        }
+
+        rows.forEach((row, rowIndex) => {
+            const total = row.reduce((sum, pill) => sum + pill.width, 0) + gap * (row.length - 1);
+            let x = centerX - total / 2;
+            const y = top + rowIndex * (height + gap);
+            for (const pill of row) {
+                this.fillRoundedRect(x, y, pill.width, height, height / 2, palette.surface);
+                ctx.strokeStyle = palette.primary;
+                ctx.lineWidth = 2 * u;
+                this.roundedRectPath(x, y, pill.width, height, height / 2);
+                ctx.stroke();
+                ctx.fillStyle = palette.text;
+                ctx.textAlign = 'center';
+                ctx.fillText(pill.name, x + pill.width / 2, y + height / 2 + 10 * u);
+                x += pill.width + gap;
+            }
+        });
+    }
+
+    /**
+     * Wrap text to maxWidth at the largest size (maxSize down to minSize) that
+     * needs at most maxLines; the last line is ellipsized when even minSize is too big
+     */
+    fitText(text, maxWidth, maxSize, minSize, maxLines, family, weight = '') {
+        const layout = new SlideLayout({
+            measureText: (value, size) => {
+                this.ctx.font = `${weight} ${size}px ${family}`.trim();
+                return this.ctx.measureText(value).width;
+            }
+        });
+
+        let size = maxSize;
+        let lines = layout.wrapText(text, maxWidth, size);
+        while (lines.length > maxLines && size > minSize) {
+            size = Math.max(minSize, size - 2 * this.unit);
+            lines = layout.wrapText(text, maxWidth, size);
+        }
+        if (lines.length > maxLines) {
+            lines = layout.wrapText(text, maxWidth, size, maxLines);
+        }
+
+        const lineHeight = size * 1.25;
+        return { lines, size, lineHeight, height: lines.length * lineHeight, font: `${weight} ${size}px ${family}`.trim() };
+    }
+
+    /**
+     * Draw fitted lines from a top edge; returns the bottom edge
+     */
+    drawLines(block, x, top, color) {
+        const ctx = this.ctx;
+        ctx.font = block.font;
+        ctx.fillStyle = color;
+        block.lines.forEach((line, index) => {
+            ctx.fillText(line, x, top + block.size + index * block.lineHeight);
+        });
+        return top + block.height;
+    }
+
+    roundedRectPath(x, y, width, height, radius) {
+        const ctx = this.ctx;
+        const r = Math.min(radius, width / 2, height / 2);
+        ctx.beginPath();
+        ctx.moveTo(x + r, y);
+        ctx.lineTo(x + width - r, y);
+        ctx.arc(x + width - r, y + r, r, -Math.PI / 2, 0);
+        ctx.lineTo(x + width, y + height - r);
+        ctx.arc(x + width - r, y + height - r, r, 0, Math.PI / 2);
+        ctx.lineTo(x + r, y + height);
+        ctx.arc(x + r, y + height - r, r, Math.PI / 2, Math.PI);
+        ctx.lineTo(x, y + r);
+        ctx.arc(x + r, y + r, r, Math.PI, Math.PI * 1.5);
+        ctx.closePath();
+    }
+
+    fillRoundedRect(x, y, width, height, radius, color) {
+        this.roundedRectPath(x, y, width, height, radius);
+        this.ctx.fillStyle = color;
+        this.ctx.fill();
+    }
+
+    /**
+     * Blend two hex colors (amount 0 = a, 1 = b)
+     */
+    static mix(a, b, amount) {
+        const parse = hex => {
+            const value = String(hex).replace('#', '');
+            const full = value.length === 3 ? value.replace(/./g, digit => digit + digit) : value.slice(0, 6);
+            return [0, 2, 4].map(offset => parseInt(full.slice(offset, offset + 2), 16) || 0);
+        };
+        const [from, to] = [parse(a), parse(b)];
+        return `#${from.map((channel, index) => Math.round(channel + (to[index] - channel) * amount).toString(16).padStart(2, '0')).join('')}`;
+    }
+}
+
+CarouselDesigner.LAYOUTS = Object.keys(SLIDE_LAYOUTS);
+CarouselDesigner.SLIDE_WIDTH = SLIDE_WIDTH;
+CarouselDesigner.SLIDE_HEIGHT = SLIDE_HEIGHT;
+
+// Export for different module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CarouselDesigner;
+} else if (typeof window !== 'undefined') {
+    window.CarouselDesigner = CarouselDesigner;
+}
@@ -0,0 +1,367 @@
+/**
+ * Carousel Exporter - Saves AI carousels as PowerPoint, PDF, JSON and Markdown
+ *
+ * Every exporter returns { format, fileName, mimeType, content }, with content a
+ * Uint8Array for the binary formats and a string for JSON and Markdown:
+ *
+ * - powerpoint: one editable slide per carousel slide (headline, bullets,
+ *   statistic, question) in the carousel theme, with the slide's full source
+ *   text as speaker notes, source footnotes and a references slide
+ * - pdf: the rendered slides, one page each, ready for a LinkedIn document post
+ * - json: a schema-versioned document that fromJSON() turns back into a carousel
+ * - markdown: a reviewable outline with the slide text, notes and numbered sources
+ *
+ * Slide text and colors come from CarouselDesigner.resolveDesign, so every format
+ * shows the same headline and bullets as the rendered slides. PowerPoint files
+ * are written with pptxgenjs (the PptxGenJS global in the browser).
+ */
+
+const ExportDesigner = typeof CarouselDesigner !== 'undefined' ? CarouselDesigner : require('./carousel-designer');
+
+const CAROUSEL_SCHEMA = 'composeon-carousel';
+const CAROUSEL_SCHEMA_VERSION = 1;
+
+const EXPORT_FORMATS = {
+    powerpoint: { extension: 'pptx', mimeType: 'application/vnd.openxmlformats-officedocument.presentationml.presentation' },
+    pdf: { extension: 'pdf', mimeType: 'application/pdf' },
+    json: { extension: 'json', mimeType: 'application/json' },
+    markdown: { extension: 'md', mimeType: 'text/markdown' }
+};
+
+// Slide pixels per PowerPoint inch: a 1080x1350 carousel becomes a 7.5x9.375in slide
+const PIXELS_PER_INCH = 144;
+
+class CarouselExporter {
+    constructor(options = {}) {
+        this.designer = options.designer || null;
+        this.fileName = options.fileName || 'composeon-carousel';
+    }
+
+    /**
+     * Export a carousel (a generateCarousel result) in one of EXPORT_FORMATS
+     */
+    async export(carousel, format, options = {}) {
+        const exporters = {
+            powerpoint: this.toPowerPoint,
+            pdf: this.toPDF,
+            json: this.toJSON,
+            markdown: this.toMarkdown
+        };
+
+        const exporter = exporters[format];
+        if (!exporter) {
+            throw new Error(`Unsupported export format: ${format} (use ${Object.keys(EXPORT_FORMATS).join(', ')})`);
+        }
+        return exporter.call(this, carousel, options);
+    }
+
+    /**
+     * PowerPoint deck, one editable slide per carousel slide with speaker notes
+     */
+    async toPowerPoint(carousel, options = {}) {
+        const PowerPoint = typeof PptxGenJS !== 'undefined' ? PptxGenJS : require('pptxgenjs');
+        const design = this.getDesigner().resolveDesign(carousel, options);
+        const sourceSlides = this.getSourceSlides(carousel);
+        const { palette } = design;
+        const family = font => font.split(',')[0].trim();
+        const color = hex => hex.replace('#', '').toUpperCase();
+        const inches = pixels => pixels / PIXELS_PER_INCH;
+
+        const width = inches(design.dimensions.width);
+        const height = inches(design.dimensions.height);
+        const margin = inches(90);
+        const contentWidth = width - margin * 2;
+
+        const pptx = new PowerPoint();
+        pptx.defineLayout({ name: 'CAROUSEL', width, height });
+        pptx.layout = 'CAROUSEL';
+        pptx.title = options.title || this.getTitle(design);
+        pptx.author = options.author || design.brand;
+        pptx.company = design.brand;
+        pptx.subject = 'LinkedIn carousel';
+
+        design.slides.forEach((entry, index) => {
+            const slide = pptx.addSlide();
+            const { text } = entry;
+            const sources = entry.sources.map(number => ({ number, source: design.sources[number - 1] }));
+            const centered = entry.layout === 'hero-centered';
+            const heading = { fontFace: family(design.fonts.heading), bold: true, color: color(palette.text) };
+            const body = { fontFace: family(design.fonts.body), color: color(palette.text) };
+
+            slide.background = { color: color(palette.background) };
+            slide.addShape(pptx.ShapeType.rect, {
+                x: 0, y: 0, w: width * (entry.number / entry.total), h: inches(14),
+                fill: { color: color(palette.accent) }, line: { color: color(palette.accent) }
+            });
+
+            let top = centered ? height * 0.22 : inches(170);
+            slide.addText(text.headline, {
+                ...heading,
+                x: margin, y: top, w: contentWidth, h: centered ? inches(480) : inches(200),
+                fontSize: centered ? 40 : 30,
+                align: centered ? 'center' : 'left',
+                valign: centered ? 'middle' : 'top',
+                fit: 'shrink'
+            });
+            top += centered ? inches(520) : inches(230);
+
+            if (text.statistic) {
+                slide.addText([
+                    { text: text.statistic.value, options: { ...heading, fontSize: 48, color: color(palette.primary), breakLine: true } },
+                    { text: text.statistic.label || ' ', options: { ...body, fontSize: 14, color: color(palette.muted) } }
+                ], {
+                    x: margin, y: top, w: contentWidth, h: inches(260),
+                    align: centered ? 'center' : 'left',
+                    fill: { color: color(palette.surface) },
+                    margin: 12
+                });
+                top += inches(300);
+            }
+
+            if (entry.layout === 'references') {
+                slide.addText(design.sources.flatMap((source, sourceIndex) => [
+                    { text: `${sourceIndex + 1}. ${source.title || source.url || source.docId}`, options: { bold: true, breakLine: true } },
+                    { text: ExportDesigner.describeSource(source) || ' ', options: { fontSize: 10, color: color(palette.muted), breakLine: true } }
+                ]), {
+                    ...body,
+                    x: margin, y: top, w: contentWidth, h: height - top - inches(200),
+                    fontSize: 13,
+                    valign: 'top',
+                    paraSpaceAfter: 4,
+                    fit: 'shrink'
+                });
+            }
+
+            if (text.bullets.length > 0) {
+                const marker = entry.layout === 'summary-action' ? { code: '2713' } : true;
+                slide.addText(text.bullets.map(bullet => ({ text: bullet, options: { bullet: marker, breakLine: true } })), {
+                    ...body,
+                    x: margin, y: top, w: contentWidth, h: Math.max(inches(200), height - top - inches(360)),
+                    fontSize: 16,
+                    valign: 'top',
+                    paraSpaceAfter: 10,
+                    fit: 'shrink'
+                });
+            }
+
+            if (text.question) {
+                slide.addText(text.question, {
+                    ...body,
+                    x: margin, y: height - inches(330), w: contentWidth, h: inches(120),
+                    fontSize: 18,
+                    bold: true,
+                    color: color(palette.accent),
+                    align: 'center',
+                    line: entry.layout === 'summary-action' ? { color: color(palette.primary), width: 2 } : undefined
+                });
+            }
+
+            if (sources.length > 0) {
+                slide.addText(`Sources: ${sources.map(({ number }) => `[${number}]`).join(' ')}`, {
+                    ...body, x: margin, y: height - inches(200), w: contentWidth, h: inches(50), fontSize: 9, color: color(palette.muted)
+                });
+            }
+
+            slide.addText(design.brand, {
+                ...body, x: margin, y: height - inches(140), w: contentWidth / 2, h: inches(60), fontSize: 11, color: color(palette.muted)
+            });
+            slide.addText(`${entry.number} / ${entry.total}`, {
+                ...body, x: margin + contentWidth / 2, y: height - inches(140), w: contentWidth / 2, h: inches(60), fontSize: 11, align: 'right', color: color(palette.primary)
+            });
+
+            const references = sources.map(({ number, source }) => `[${number}] ${source.title} - ${ExportDesigner.describeSource(source)}`);
+            slide.addNotes([this.getSpeakerNotes(sourceSlides[index], entry), references.length > 0 ? `Sources:\n${references.join('\n')}` : '']
+                .filter(Boolean)
+                .join('\n\n'));
+        });
+
+        const content = await pptx.write({ outputType: 'uint8array' });
+        return this.createExport('powerpoint', content);
+    }
+
+    /**
+     * Rendered slides as a multi-page PDF; in Node the slides are drawn with
+     * CarouselRenderer (@napi-rs/canvas)
+     */
+    async toPDF(carousel, options = {}) {
+        const content = await this.getDesigner({ canvas: true }).renderPDF(carousel, options);
+        return this.createExport('pdf', content);
+    }
+
+    /**
+     * Schema-versioned JSON document; fromJSON() reads it back
+     */
+    async toJSON(carousel) {
+        const exported = {
+            schema: CAROUSEL_SCHEMA,
+            schemaVersion: CAROUSEL_SCHEMA_VERSION,
+            exportedAt: new Date().toISOString(),
+            carousel: {
+                metadata: carousel.metadata || {},
+                slides: carousel.slides || [],
+                visualCarousel: carousel.visualCarousel || null,
+                textSummary: (await carousel.textSummary) || null
+            }
+        };
+        return this.createExport('json', JSON.stringify(exported, null, 2) + '\n');
+    }
+
+    /**
+     * Markdown outline for reviewing the carousel text, e.g. in a pull request
+     */
+    async toMarkdown(carousel, options = {}) {
+        const design = this.getDesigner().resolveDesign(carousel, options);
+        const sourceSlides = this.getSourceSlides(carousel);
+        const metadata = carousel.metadata || {};
+        const summary = await carousel.textSummary;
+        const theme = carousel.visualCarousel || carousel;
+        const inline = value => String(value).replace(/\s+/g, ' ').trim();
+        const slides = design.slides.filter(entry => entry.layout !== 'references');
+
+        const lines = [`# ${this.getTitle(design)}`, ''];
+
+        const details = [
+            ['Type', metadata.type],
+            ['Companies analyzed', metadata.companiesAnalyzed],
+            ['Generated', metadata.generatedAt],
+            ['Theme', theme.theme],
+            ['Slides', slides.length]
+        ].filter(([, value]) => value !== undefined && value !== null);
+        lines.push('| | |', '|---|---|', ...details.map(([label, value]) => `| ${label} | ${inline(value)} |`), '');
+
+        if (summary && summary.analysis) {
+            lines.push('## Summary', '', summary.analysis.trim(), '');
+        }
+
+        lines.push('## Slides', '');
+        slides.forEach((entry, index) => {
+            const { text } = entry;
+            lines.push(`### ${entry.number}. ${inline(text.headline)}`, '');
+            lines.push(`_${[entry.type, entry.layout].filter(Boolean).join(' · ')}_`, '');
+
+            if (text.statistic) {
+                lines.push(`> **${inline(text.statistic.value)}** ${inline(text.statistic.label)}`.trimEnd(), '');
+            }
+            if (text.bullets.length > 0) {
+                lines.push(...text.bullets.map(bullet => `- ${inline(bullet)}`), '');
+            }
+            if (text.question) {
+                lines.push(`**Question:** ${inline(text.question)}`, '');
+            }
+            if (entry.sources.length > 0) {
+                lines.push(`_Sources: ${entry.sources.map(number => `[${number}]`).join(', ')}_`, '');
+            }
+
+            const notes = this.getSpeakerNotes(sourceSlides[index], entry);
+            if (notes) {
+                lines.push('<details><summary>Speaker notes</summary>', '', notes, '', '</details>', '');
+            }
+        });
+
+        if (design.sources.length > 0) {
+            lines.push('## Sources', '');
+            design.sources.forEach((source, index) => {
+                const title = inline(source.title || source.url || source.docId);
+                lines.push(`${index + 1}. ${source.url ? `[${title}](${source.url})` : `**${title}**`} - ${ExportDesigner.describeSource(source)}`);
+                if (source.snippet) {
+                    lines.push(`   > ${inline(source.snippet)}`);
+                }
+            });
+            lines.push('');
+        }
+
+        return this.createExport('markdown', lines.join('\n'));
+    }
+
+    /**
+     * Carousel from a toJSON() document (object or JSON string)
+     */
+    static fromJSON(source) {
+        const exported = typeof source === 'string' ? JSON.parse(source) : source;
+        if (!exported || exported.schema !== CAROUSEL_SCHEMA) {
+            throw new Error(`Not a Composeon carousel export (expected schema '${CAROUSEL_SCHEMA}')`);
+        }
+        if (!Number.isInteger(exported.schemaVersion) || exported.schemaVersion < 1) {
+            throw new Error(`Invalid carousel schemaVersion '${exported.schemaVersion}'`);
+        }
+        if (exported.schemaVersion > CAROUSEL_SCHEMA_VERSION) {
+            throw new Error(`Carousel schemaVersion ${exported.schemaVersion} is newer than this version of Composeon supports (${CAROUSEL_SCHEMA_VERSION})`);
+        }
+
+        const carousel = exported.carousel || {};
+        if (!Array.isArray(carousel.slides) || carousel.slides.length === 0) {
+            throw new Error('Carousel export has no slides');
+        }
+
+        return {
+            metadata: carousel.metadata || {},
+            slides: carousel.slides,
+            visualCarousel: carousel.visualCarousel || null,
+            textSummary: carousel.textSummary || null
+        };
+    }
+
+    /**
+     * The full source text behind a slide, plus the companies it covers
+     */
+    getSpeakerNotes(sourceSlide, entry) {
+        const content = sourceSlide && sourceSlide.content;
+        let notes = '';
+        if (content && typeof content === 'object') {
+            notes = content.analysis || content.fallback || '';
+            if (!notes && (content.headline || content.bullets)) {
+                notes = [content.headline, ...(content.bullets || []), content.statistic, content.question]
+                    .filter(value => typeof value === 'string' && value)
+                    .join('\n');
+            }
+        } else if (content) {
+            notes = String(content);
+        }
+
+        const names = entry.companies.length > 0 || !sourceSlide ? entry.companies : this.getDesigner().getCompanies(sourceSlide);
+        const companies = names.length > 0 ? `\n\nCompanies: ${names.join(', ')}` : '';
+        return `${notes.trim()}${companies}`.trim();
+    }
+
+    getSourceSlides(carousel) {
+        if (Array.isArray(carousel.slides)) {
+            return carousel.slides;
+        }
+        return carousel.visualCarousel ? carousel.visualCarousel.slides : [];
+    }
+
+    getTitle(design) {
+        return this.getDesigner().getTitle(design) || 'Composeon carousel';
+    }
+
+    /**
+     * Slide designer; drawing needs a canvas, which Node gets from CarouselRenderer
+     */
+    getDesigner({ canvas = false } = {}) {
+        if (this.designer) {
+            return this.designer;
+        }
+        if (canvas && typeof document === 'undefined') {
+            const CarouselRenderer = require('./carousel-renderer');
+            this.designer = new CarouselRenderer();
+            return this.designer;
+        }
+        return this.layoutDesigner || (this.layoutDesigner = new ExportDesigner());
+    }
+
+    createExport(format, content) {
+        const { extension, mimeType } = EXPORT_FORMATS[format];
+        return { format, fileName: `${this.fileName}.${extension}`, mimeType, content };
+    }
+}
+
+CarouselExporter.FORMATS = EXPORT_FORMATS;
+CarouselExporter.SCHEMA = CAROUSEL_SCHEMA;
+CarouselExporter.SCHEMA_VERSION = CAROUSEL_SCHEMA_VERSION;
+
+// Export for different module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CarouselExporter;
+} else if (typeof window !== 'undefined') {
+    window.CarouselExporter = CarouselExporter;
+}
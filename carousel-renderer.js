@@ -0,0 +1,131 @@
+/**
+ * Carousel Renderer - Headless rendering of AI carousels
+ *
+ * Draws the CarouselDesigner slides on a Skia canvas (@napi-rs/canvas) in plain
+ * Node and encodes them as PNG/JPEG images, a zip of slide images or a
+ * multi-page PDF ready to upload as a LinkedIn document post. Used by the MCP
+ * server and the HTTP API. Logos load from data: or http(s) URLs, and from local
+ * files when the caller allows it.
+ */
+
+const { createCanvas, Image } = require('@napi-rs/canvas');
+const JSZip = require('jszip');
+const CarouselDesigner = require('./carousel-designer');
+const VisualPostRenderer = require('./visual-post-renderer');
+
+const FORMATS = {
+    pdf: 'application/pdf',
+    png: 'image/png',
+    jpeg: 'image/jpeg',
+    zip: 'application/zip'
+};
+
+const LIMITS = {
+    maxSlides: 20
+};
+
+class CarouselRenderer extends CarouselDesigner {
+    constructor({ allowFiles = false, quality } = {}) {
+        super({ quality });
+        this.allowFiles = allowFiles;
+    }
+
+    createCanvasElement(width, height) {
+        return createCanvas(Math.round(width), Math.round(height));
+    }
+
+    async loadImage(src) {
+        const buffer = await VisualPostRenderer.readImageSource(src, { allowFiles: this.allowFiles });
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            image.onload = () => resolve(image);
+            image.onerror = error => reject(new Error(`failed to decode image: ${error.message || error}`));
+            image.src = buffer;
+        });
+    }
+
+    async encodeJpeg(canvas, quality) {
+        return canvas.toBuffer(FORMATS.jpeg, Math.round(quality * 100));
+    }
+
+    async renderSlides(carousel, options = {}) {
+        VisualPostRenderer.loadFonts();
+        return super.renderSlides(carousel, options);
+    }
+
+    /**
+     * Validate a carousel and its options up front so callers can report bad input separately
+     */
+    prepare(carousel, options = {}) {
+        const format = String(options.format || 'pdf').toLowerCase().replace('jpg', 'jpeg');
+        if (!FORMATS[format]) {
+            throw new Error(`Unsupported format '${options.format}' (use ${Object.keys(FORMATS).join(', ')})`);
+        }
+
+        const design = this.resolveDesign(carousel, options);
+        if (design.slides.length > LIMITS.maxSlides) {
+            throw new Error(`A carousel can have at most ${LIMITS.maxSlides} slides`);
+        }
+
+        // Single images need a slide number (1-based); pdf and zip take every slide
+        let slide = null;
+        if (format === 'png' || format === 'jpeg') {
+            slide = Number(options.slide || 1);
+            if (!Number.isInteger(slide) || slide < 1 || slide > design.slides.length) {
+                throw new Error(`slide must be between 1 and ${design.slides.length}`);
+            }
+        }
+
+        const quality = options.quality === undefined ? this.quality : Number(options.quality);
+        if (!(quality > 0 && quality <= 1)) {
+            throw new Error('quality must be greater than 0 and at most 1');
+        }
+
+        return { design, format, slide, quality };
+    }
+
+    /**
+     * Render a prepared carousel (see prepare) to a buffer
+     */
+    async draw({ design, format, slide, quality }) {
+        VisualPostRenderer.loadFonts();
+
+        let buffer;
+        if (format === 'pdf') {
+            buffer = Buffer.from(await this.renderPDF(design, { quality }));
+        } else if (format === 'zip') {
+            const canvases = await this.renderSlides(design);
+            const zip = new JSZip();
+            canvases.forEach((canvas, index) => {
+                zip.file(`slide-${String(index + 1).padStart(2, '0')}.png`, canvas.toBuffer(FORMATS.png));
+            });
+            buffer = await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+        } else {
+            await this.loadDesignImages(design);
+            const canvas = this.drawSlide(design, slide - 1);
+            buffer = format === 'png'
+                ? canvas.toBuffer(FORMATS.png)
+                : canvas.toBuffer(FORMATS.jpeg, Math.round(quality * 100));
+        }
+
+        return {
+            buffer,
+            mimeType: FORMATS[format],
+            format,
+            slide,
+            slides: design.slides.length,
+            layouts: design.slides.map(entry => entry.layout),
+            width: design.dimensions.width,
+            height: design.dimensions.height
+        };
+    }
+
+    async render(carousel, options = {}) {
+        return this.draw(this.prepare(carousel, options));
+    }
+}
+
+CarouselRenderer.FORMATS = FORMATS;
+CarouselRenderer.LIMITS = LIMITS;
+
+module.exports = CarouselRenderer;
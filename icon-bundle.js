@@ -0,0 +1,277 @@
+/**
+ * Icon Bundle - Sprite sheets and bundles of Composeon icons
+ *
+ * Packs a list of icons (name or name/variation) into a single deliverable:
+ * an SVG <symbol> sprite, a CSS file with data-URI classes, a JSON map or a
+ * zip archive of individual SVG files. Files are resolved through the catalog's
+ * per-variation manifest paths and can be recolored with the SvgTransformer.
+ */
+
+const JSZip = require('jszip');
+const SvgTransformer = require('./svg-transform');
+
+const FORMATS = {
+    sprite: { mimeType: 'image/svg+xml', extension: 'svg' },
+    css: { mimeType: 'text/css', extension: 'css' },
+    json: { mimeType: 'application/json', extension: 'json' },
+    zip: { mimeType: 'application/zip', extension: 'zip' }
+};
+
+const LIMITS = {
+    maxIcons: 200
+};
+
+// Root attributes that describe the document rather than how the icon is painted
+const DOCUMENT_ATTRIBUTES = ['xmlns', 'xmlns:xlink', 'width', 'height', 'viewBox', 'style', 'version', 'x', 'y'];
+
+class IconBundler {
+    constructor({ catalog, iconsPath }) {
+        this.catalog = catalog;
+        this.iconsPath = iconsPath;
+        this.transformer = new SvgTransformer();
+        this.defaults = {
+            format: 'sprite',
+            prefix: 'icon'
+        };
+    }
+
+    /**
+     * Validate and normalize bundle options (accepts strings from query params)
+     */
+    normalizeOptions(options = {}) {
+        const format = String(options.format || this.defaults.format).toLowerCase();
+        if (!FORMATS[format]) {
+            throw new Error(`Unsupported format '${options.format}' (use ${Object.keys(FORMATS).join(', ')})`);
+        }
+
+        const prefix = String(options.prefix === undefined ? this.defaults.prefix : options.prefix).trim();
+        if (prefix && !/^[a-z_][\w-]*$/i.test(prefix)) {
+            throw new Error(`Invalid prefix '${prefix}' (letters, digits, '-' and '_' only)`);
+        }
+
+        return { format, prefix, transform: this.transformer.normalizeOptions(options) };
+    }
+
+    /**
+     * Turn requested entries into catalog lookups
+     *
+     * Entries may be "openai", "openai/color", "openai-color" or { name, variation };
+     * a comma separated string is accepted as well.
+     */
+    parseItems(items) {
+        const list = typeof items === 'string' ? items.split(',') : (items || []);
+
+        return list
+            .map(item => {
+                if (item && typeof item === 'object') {
+                    return { name: String(item.name || '').trim(), variation: item.variation || null };
+                }
+                const [name, variation] = String(item).trim().split('/');
+                return { name: name.trim(), variation: variation ? variation.trim() : null };
+            })
+            .filter(item => item.name);
+    }
+
+    /**
+     * Resolve entries against the catalog, collecting the ones that do not exist
+     */
+    resolve(items) {
+        const resolved = [];
+        const missing = [];
+        const seen = new Set();
+
+        for (const item of this.parseItems(items)) {
+            const icon = this.catalog.getIcon(item.name);
+            const variation = item.variation || this.catalog.getVariation(item.name);
+
+            if (!icon || !icon.paths[variation]) {
+                missing.push(item.variation ? `${item.name}/${item.variation}` : item.name);
+                continue;
+            }
+
+            const id = variation === 'default' ? icon.name : `${icon.name}-${variation}`;
+            if (!seen.has(id)) {
+                seen.add(id);
+                resolved.push({ id, icon, variation, fileName: this.catalog.getIconFile(icon.name, variation) });
+            }
+        }
+
+        if (resolved.length > LIMITS.maxIcons) {
+            throw new Error(`A bundle can contain at most ${LIMITS.maxIcons} icons`);
+        }
+
+        return { resolved, missing };
+    }
+
+    /**
+     * Build a bundle; content is a string for text formats and a Buffer for zip
+     */
+    async build(items, options = {}) {
+        const { format, prefix, transform } = this.normalizeOptions(options);
+        const { resolved, missing } = this.resolve(items);
+
+        if (resolved.length === 0) {
+            throw new Error(missing.length > 0
+                ? `No icons found: ${missing.join(', ')}`
+                : 'No icons requested');
+        }
+
+        const entries = await Promise.all(resolved.map(async entry => {
+            const svg = await this.catalog.readIconSvg(this.iconsPath, entry.icon.name, entry.variation);
+            return { ...entry, svg: this.transformer.transform(svg, transform) };
+        }));
+
+        const builders = {
+            sprite: () => this.buildSprite(entries, prefix),
+            css: () => this.buildCss(entries, prefix),
+            json: () => this.buildJson(entries, prefix),
+            zip: () => this.buildZip(entries)
+        };
+
+        return {
+            format,
+            mimeType: FORMATS[format].mimeType,
+            fileName: `composeon-icons.${FORMATS[format].extension}`,
+            content: await builders[format](),
+            icons: entries.map(entry => entry.id),
+            missing
+        };
+    }
+
+    /**
+     * One hidden <svg> with a <symbol> per icon, used as <svg><use href="#icon-openai"/></svg>
+     */
+    buildSprite(entries, prefix) {
+        const symbols = entries.map(entry => {
+            const symbolId = this.className(prefix, entry.id);
+            const svg = this.transformer.namespaceIds(entry.svg, symbolId);
+            const attributes = this.getPaintAttributes(svg);
+            const viewBox = this.getViewBox(svg);
+
+            return `  <symbol id="${symbolId}" viewBox="${viewBox}"${attributes}>${this.getInnerMarkup(svg)}</symbol>`;
+        });
+
+        return [
+            '<svg xmlns="http://www.w3.org/2000/svg" style="display:none">',
+            ...symbols,
+            '</svg>',
+            ''
+        ].join('\n');
+    }
+
+    /**
+     * One class per icon with the SVG as background image; sized by font-size
+     */
+    buildCss(entries, prefix) {
+        const base = prefix || 'icon';
+        const rules = entries.map(entry => {
+            const [, , width, height] = this.getViewBox(entry.svg).split(/[\s,]+/).map(Number);
+            const aspectRatio = width > 0 && height > 0 ? `${width} / ${height}` : '1 / 1';
+
+            return [
+                `.${this.className(prefix, entry.id)} {`,
+                `  aspect-ratio: ${aspectRatio};`,
+                `  background-image: url("${this.toDataUri(entry.svg)}");`,
+                '}'
+            ].join('\n');
+        });
+
+        return [
+            `/* Composeon icons - ${entries.length} icons, generated ${new Date().toISOString()} */`,
+            `.${base} {`,
+            '  display: inline-block;',
+            '  height: 1em;',
+            '  aspect-ratio: 1 / 1;',
+            '  background: no-repeat center / contain;',
+            '  vertical-align: -0.125em;',
+            '}',
+            '',
+            rules.join('\n\n'),
+            ''
+        ].join('\n');
+    }
+
+    buildJson(entries, prefix) {
+        const icons = {};
+
+        for (const entry of entries) {
+            icons[entry.id] = {
+                name: entry.icon.name,
+                displayName: entry.icon.displayName,
+                category: entry.icon.category,
+                variation: entry.variation,
+                className: this.className(prefix, entry.id),
+                viewBox: this.getViewBox(entry.svg),
+                svg: entry.svg,
+                dataUri: this.toDataUri(entry.svg)
+            };
+        }
+
+        return JSON.stringify({
+            generated: new Date().toISOString(),
+            total: entries.length,
+            icons
+        }, null, 2);
+    }
+
+    async buildZip(entries) {
+        const zip = new JSZip();
+
+        for (const entry of entries) {
+            zip.file(entry.fileName, entry.svg);
+        }
+
+        return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+    }
+
+    className(prefix, id) {
+        return prefix ? `${prefix}-${id}` : id;
+    }
+
+    getViewBox(svg) {
+        const root = (svg.match(/<svg\b[^>]*>/i) || [''])[0];
+        const viewBox = root.match(/\bviewBox\s*=\s*["']([^"']+)["']/i);
+        if (viewBox) {
+            return viewBox[1].trim();
+        }
+
+        const width = parseFloat((root.match(/\bwidth\s*=\s*["']([\d.]+)/i) || [])[1]) || 24;
+        const height = parseFloat((root.match(/\bheight\s*=\s*["']([\d.]+)/i) || [])[1]) || 24;
+        return `0 0 ${width} ${height}`;
+    }
+
+    /**
+     * Presentation attributes of the root (fill, fill-rule, ...) carried over to the symbol
+     */
+    getPaintAttributes(svg) {
+        const root = (svg.match(/<svg\b[^>]*>/i) || [''])[0];
+        const attributes = root.match(/\s[\w:-]+\s*=\s*("[^"]*"|'[^']*')/g) || [];
+
+        return attributes
+            .filter(attribute => !DOCUMENT_ATTRIBUTES.includes(attribute.trim().split('=')[0].trim()))
+            .map(attribute => ` ${attribute.trim()}`)
+            .join('');
+    }
+
+    getInnerMarkup(svg) {
+        const match = svg.match(/<svg\b[^>]*>([\s\S]*)<\/svg>/i);
+        return match ? match[1].trim() : '';
+    }
+
+    /**
+     * URL-encoded data URI - smaller than base64 for SVG and safe inside url("...")
+     */
+    toDataUri(svg) {
+        const compact = this.transformer.minify(svg).replace(/"/g, '\'');
+        const encoded = encodeURIComponent(compact)
+            .replace(/%20/g, ' ')
+            .replace(/%(3D|3A|2F)/g, (match, code) => String.fromCharCode(parseInt(code, 16)));
+
+        return `data:image/svg+xml,${encoded}`;
+    }
+}
+
+IconBundler.FORMATS = FORMATS;
+IconBundler.LIMITS = LIMITS;
+
+module.exports = IconBundler;
@@ -0,0 +1,491 @@
+/**
+ * Icon Catalog - Shared cataloging rules for Composeon
+ *
+ * Single source of truth for how Lobe Icons are grouped, named and categorized.
+ * The MCP server, the icon scanner and the browser icons loader all build on
+ * this module so search results, categories and variations agree everywhere.
+ */
+
+const ICON_WEB_PATH = 'lobe-icons/packages/static-svg/icons/';
+
+// Variation suffixes, longest first so compound suffixes win over their parts
+const VARIATION_SUFFIXES = ['brand-color', 'text-color', 'text-cn', 'color', 'text', 'brand', 'mono'];
+const VARIATION_PATTERN = new RegExp(`-(${VARIATION_SUFFIXES.join('|')})$`);
+const VARIATION_ORDER = ['default', 'color', 'text', 'brand', 'mono', 'brand-color', 'text-color', 'text-cn'];
+
+// Category mapping - each keyword belongs to exactly one category
+const CATEGORY_KEYWORDS = {
+    ai: [
+        'openai', 'claude', 'anthropic', 'gemini', 'chatgpt', 'gpt', 'midjourney',
+        'stability', 'huggingface', 'deepseek', 'cohere', 'replicate', 'runway',
+        'perplexity', 'character', 'mistral', 'ai21', 'ai2', 'ai302', 'ai360', 'aihubmix',
+        'aimass', 'aionlabs', 'aistudio', 'akashchat', 'alephalpha', 'baai', 'baichuan',
+        'chatglm', 'glm', 'qwen', 'yi', 'deepai', 'deepcogito', 'deepinfra', 'deepmind',
+        'doubao', 'dreammachine', 'elevenx', 'essentialai', 'glmv', 'goose'
+    ],
+    cloud: [
+        'aws', 'azure', 'google', 'googlecloud', 'gcp', 'microsoft', 'digitalocean',
+        'cloudflare', 'heroku', 'netlify', 'vercel', 'railway', 'render', 'alibaba',
+        'alibabacloud', 'baidu', 'baiducloud', 'tencent', 'huawei', 'oracle', 'ibm',
+        'linode', 'vultr', 'hetzner', 'baseten', 'crusoe', 'anyscale', 'centml',
+        'fireworks', 'featherless', 'friendli'
+    ],
+    database: [
+        'mongodb', 'postgresql', 'mysql', 'redis', 'elasticsearch', 'cassandra',
+        'neo4j', 'sqlite', 'supabase', 'planetscale', 'snowflake', 'databricks',
+        'clickhouse', 'cockroachdb'
+    ],
+    design: [
+        'figma', 'adobe', 'sketch', 'canva', 'framer', 'invision', 'principle',
+        'dribbble', 'behance', 'unsplash', 'pexels', 'clipdrop', 'miro', 'whimsical',
+        'lucidchart', 'webflow'
+    ],
+    dev: [
+        'github', 'gitlab', 'bitbucket', 'vscode', 'cursor', 'jetbrains', 'sublime',
+        'atom', 'vim', 'docker', 'kubernetes', 'jenkins', 'circleci', 'travis',
+        'copilot', 'githubcopilot', 'cline', 'codeflicker', 'codegeex', 'commanda',
+        'copilotkit', 'greptile', 'colab', 'gradio'
+    ],
+    framework: [
+        'react', 'vue', 'angular', 'svelte', 'nextjs', 'nuxt', 'gatsby',
+        'nodejs', 'python', 'javascript', 'typescript', 'java', 'golang', 'rust',
+        'php', 'ruby', 'swift', 'kotlin', 'dart', 'flutter', 'unity', 'unreal'
+    ],
+    social: [
+        'linkedin', 'twitter', 'facebook', 'instagram', 'youtube', 'tiktok',
+        'twitch', 'spotify', 'netflix'
+    ],
+    communication: [
+        'discord', 'slack', 'telegram', 'whatsapp', 'zoom', 'teams', 'meet',
+        'webex', 'skype'
+    ],
+    analytics: [
+        'mixpanel', 'amplitude', 'segment', 'hotjar', 'fullstory', 'logrocket',
+        'sentry', 'datadog', 'newrelic'
+    ],
+    ecommerce: [
+        'shopify', 'woocommerce', 'magento', 'stripe', 'paypal', 'square',
+        'klarna', 'razorpay', 'adyen'
+    ],
+    productivity: [
+        'notion', 'obsidian', 'todoist', 'trello', 'asana', 'monday',
+        'clickup', 'airtable', 'sheets', 'excel', 'word', 'powerpoint'
+    ],
+    browser: [
+        'chrome', 'firefox', 'safari', 'edge', 'opera', 'brave'
+    ],
+    crypto: [
+        'bitcoin', 'ethereum', 'binance', 'coinbase', 'metamask'
+    ],
+    security: [
+        'nordvpn', 'expressvpn', '1password', 'bitwarden', 'lastpass'
+    ]
+};
+
+// Keywords shorter than this only match exactly (avoids "yi" matching "yiyan" etc.)
+const MIN_PARTIAL_KEYWORD_LENGTH = 4;
+
+const SPECIAL_NAMES = {
+    'openai': 'OpenAI',
+    'chatgpt': 'ChatGPT',
+    'github': 'GitHub',
+    'gitlab': 'GitLab',
+    'vscode': 'VS Code',
+    'nodejs': 'Node.js',
+    'nextjs': 'Next.js',
+    'typescript': 'TypeScript',
+    'javascript': 'JavaScript',
+    'csharp': 'C#',
+    'cplusplus': 'C++',
+    'mongodb': 'MongoDB',
+    'postgresql': 'PostgreSQL',
+    'mysql': 'MySQL',
+    'aws': 'AWS',
+    'gcp': 'Google Cloud',
+    'ui': 'UI',
+    'api': 'API',
+    'ai': 'AI',
+    'ml': 'ML',
+    'ar': 'AR',
+    'vr': 'VR',
+    'iot': 'IoT',
+    'sdk': 'SDK'
+};
+
+// Common alternative names and related terms used as search tags
+const TAG_ALTERNATIVES = {
+    'openai': ['chatgpt', 'gpt', 'artificial intelligence'],
+    'github': ['git', 'version control', 'repository'],
+    'figma': ['ui', 'ux', 'prototyping'],
+    'aws': ['amazon', 'ec2', 's3'],
+    'azure': ['microsoft'],
+    'google': ['search', 'gmail', 'drive'],
+    'docker': ['container', 'virtualization', 'devops'],
+    'kubernetes': ['k8s', 'orchestration', 'container'],
+    'postgresql': ['postgres', 'sql'],
+    'mongodb': ['mongo', 'nosql'],
+    'javascript': ['js', 'node'],
+    'typescript': ['ts'],
+    'react': ['reactjs', 'frontend', 'jsx'],
+    'vue': ['vuejs', 'frontend'],
+    'angular': ['ng', 'frontend', 'spa']
+};
+
+// Popular icons, in display priority order
+const POPULAR_ICONS = [
+    'openai', 'github', 'figma', 'google', 'microsoft', 'aws', 'azure',
+    'docker', 'kubernetes', 'react', 'vue', 'angular', 'nodejs', 'python',
+    'javascript', 'typescript', 'mongodb', 'postgresql', 'redis', 'vscode',
+    'claude', 'anthropic', 'gemini', 'chatgpt', 'apple', 'amazon', 'meta',
+    'netflix', 'googlecloud', 'adobe', 'chrome', 'firefox', 'linkedin',
+    'twitter', 'instagram', 'youtube', 'tiktok', 'elasticsearch'
+];
+
+// Minimal set used when neither a manifest nor an icons directory is available
+const FALLBACK_ICONS = [
+    'openai', 'claude', 'github', 'figma', 'google', 'microsoft',
+    'aws', 'azure', 'docker', 'kubernetes', 'react', 'vue',
+    'angular', 'nodejs', 'python', 'javascript', 'typescript'
+];
+
+class IconCatalog {
+    constructor(options = {}) {
+        this.iconPath = options.iconPath || ICON_WEB_PATH;
+        this.categories = CATEGORY_KEYWORDS;
+        this.icons = [];
+        this.index = new Map();
+    }
+
+    /**
+     * Get base name without variation suffix
+     */
+    getBaseName(name) {
+        return name.replace(VARIATION_PATTERN, '');
+    }
+
+    /**
+     * Get variation type ("default" when the name has no suffix)
+     */
+    getVariation(name) {
+        const match = name.match(VARIATION_PATTERN);
+        return match ? match[1] : 'default';
+    }
+
+    /**
+     * Format display name for better readability
+     */
+    formatDisplayName(name) {
+        const baseName = this.getBaseName(name);
+
+        if (SPECIAL_NAMES[baseName.toLowerCase()]) {
+            return SPECIAL_NAMES[baseName.toLowerCase()];
+        }
+
+        // Handle camelCase and kebab-case
+        return baseName
+            .replace(/[-_]/g, ' ')
+            .replace(/([a-z])([A-Z])/g, '$1 $2')
+            .split(' ')
+            .filter(Boolean)
+            .map(word => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
+            .join(' ');
+    }
+
+    /**
+     * Categorize icon - exact keyword matches win over partial ones
+     */
+    categorizeIcon(name) {
+        const nameLower = this.getBaseName(name).toLowerCase();
+        const entries = Object.entries(this.categories);
+
+        for (const [category, keywords] of entries) {
+            if (keywords.includes(nameLower)) {
+                return category;
+            }
+        }
+
+        for (const [category, keywords] of entries) {
+            if (keywords.some(keyword =>
+                keyword.length >= MIN_PARTIAL_KEYWORD_LENGTH && nameLower.includes(keyword)
+            )) {
+                return category;
+            }
+        }
+
+        return 'other';
+    }
+
+    /**
+     * Generate search tags
+     */
+    generateTags(name, category = this.categorizeIcon(name)) {
+        const baseName = this.getBaseName(name);
+        return [...new Set([baseName, category, ...(TAG_ALTERNATIVES[baseName] || [])])];
+    }
+
+    /**
+     * Check if icon is popular (for sorting priority)
+     */
+    isPopularIcon(name) {
+        return POPULAR_ICONS.includes(this.getBaseName(name).toLowerCase());
+    }
+
+    /**
+     * Build the catalog from a list of SVG file names, grouping variations by base name
+     */
+    buildFromFiles(fileNames) {
+        const grouped = new Map();
+
+        fileNames
+            .filter(fileName => fileName.endsWith('.svg'))
+            .forEach(fileName => {
+                const name = fileName.slice(0, -'.svg'.length);
+                const baseName = this.getBaseName(name);
+                const variation = this.getVariation(name);
+
+                if (!grouped.has(baseName)) {
+                    grouped.set(baseName, {});
+                }
+                grouped.get(baseName)[variation] = fileName;
+            });
+
+        this.icons = Array.from(grouped.entries()).map(([name, files]) =>
+            this.createIconObject(name, files)
+        );
+
+        // Popular icons first, then alphabetical
+        this.icons.sort((a, b) => {
+            const aPopular = this.isPopularIcon(a.name);
+            const bPopular = this.isPopularIcon(b.name);
+
+            if (aPopular && !bPopular) return -1;
+            if (!aPopular && bPopular) return 1;
+
+            return a.displayName.localeCompare(b.displayName);
+        });
+
+        this.index = new Map(this.icons.map(icon => [icon.name, icon]));
+        return this.icons;
+    }
+
+    /**
+     * Build the catalog from a manifest (as written by the icon scanner)
+     *
+     * Only the file list is taken from the manifest; names, categories and tags
+     * are always derived here so a stale manifest cannot disagree with the rules.
+     */
+    buildFromManifest(manifest) {
+        const fileNames = [];
+
+        (manifest.icons || []).forEach(icon => {
+            const paths = icon.paths ? Object.values(icon.paths) : [icon.path];
+            paths.filter(Boolean).forEach(iconPath => {
+                fileNames.push(iconPath.split('/').pop());
+            });
+        });
+
+        return this.buildFromFiles([...new Set(fileNames)]);
+    }
+
+    /**
+     * Build a minimal catalog of well-known icons (default variation only)
+     */
+    buildFallback(names = FALLBACK_ICONS) {
+        return this.buildFromFiles(names.map(name => `${name}.svg`));
+    }
+
+    /**
+     * Create an icon object with metadata
+     */
+    createIconObject(name, files) {
+        const category = this.categorizeIcon(name);
+        const variations = VARIATION_ORDER.filter(variation => files[variation]);
+        const paths = {};
+
+        variations.forEach(variation => {
+            paths[variation] = `${this.iconPath}${files[variation]}`;
+        });
+
+        return {
+            name,
+            displayName: this.formatDisplayName(name),
+            category,
+            tags: this.generateTags(name, category),
+            variations,
+            // Main file: the default variation when there is one
+            fileName: files[variations[0]],
+            variation: variations[0],
+            path: paths[variations[0]],
+            paths
+        };
+    }
+
+    /**
+     * Get icon by name (variation suffixes are ignored)
+     */
+    getIcon(name) {
+        return this.index.get(name) || this.index.get(this.getBaseName(name)) || null;
+    }
+
+    /**
+     * Get icons by names, preserving the requested order
+     */
+    getIconsByNames(names) {
+        return names.map(name => this.getIcon(name)).filter(Boolean);
+    }
+
+    /**
+     * Get the SVG file name for an icon variation (the main file when no variation
+     * is given); null when the icon or the variation does not exist
+     */
+    getIconFile(name, variation) {
+        const icon = this.getIcon(name);
+        if (!icon) return null;
+
+        const iconPath = variation ? icon.paths[variation] : icon.path;
+        return iconPath ? iconPath.split('/').pop() : null;
+    }
+
+    /**
+     * Search icons by name, display name, category and tags
+     */
+    search(query, { category = 'all', limit = Infinity } = {}) {
+        let results = this.filterByCategory(category);
+
+        if (query && query.trim()) {
+            const searchTerm = query.toLowerCase().trim();
+            results = results.filter(icon =>
+                icon.name.toLowerCase().includes(searchTerm) ||
+                icon.displayName.toLowerCase().includes(searchTerm) ||
+                icon.category.includes(searchTerm) ||
+                icon.tags.some(tag => tag.toLowerCase().includes(searchTerm))
+            );
+        }
+
+        return results.slice(0, limit);
+    }
+
+    /**
+     * Filter icons by category
+     */
+    filterByCategory(category) {
+        if (!category || category === 'all') {
+            return this.icons;
+        }
+
+        return this.icons.filter(icon => icon.category === category);
+    }
+
+    /**
+     * Get popular icons (most commonly used)
+     */
+    getPopularIcons(limit = 20) {
+        return this.getIconsByNames(POPULAR_ICONS).slice(0, limit);
+    }
+
+    /**
+     * Get all categories, including the catch-all "other"
+     */
+    getCategories() {
+        return [...Object.keys(this.categories), 'other'];
+    }
+
+    /**
+     * Get icon counts per category
+     */
+    getCategoryStats() {
+        const stats = {};
+        this.getCategories().forEach(category => {
+            stats[category] = 0;
+        });
+        this.icons.forEach(icon => {
+            stats[icon.category]++;
+        });
+        return stats;
+    }
+
+    /**
+     * Export the catalog in manifest format
+     */
+    toManifest() {
+        return {
+            version: '2.1.0',
+            generated: new Date().toISOString(),
+            total: this.icons.length,
+            categories: this.getCategoryStats(),
+            icons: this.icons
+        };
+    }
+
+    /**
+     * Load the catalog in Node - prefer the manifest, scan the SVG directory when it's missing
+     */
+    async loadFromDisk({ manifestPath, iconsPath }) {
+        const fs = require('fs').promises;
+
+        try {
+            const manifest = JSON.parse(await fs.readFile(manifestPath, 'utf8'));
+            this.buildFromManifest(manifest);
+            if (this.icons.length > 0) {
+                return { source: 'manifest', icons: this.icons };
+            }
+        } catch (error) {
+            // Missing or unreadable manifest - fall through to a directory scan
+        }
+
+        const files = await fs.readdir(iconsPath);
+        this.buildFromFiles(files);
+        return { source: 'directory', icons: this.icons };
+    }
+
+    /**
+     * Read the SVG markup for an icon variation from an icons directory (Node)
+     */
+    async readIconSvg(iconsPath, name, variation) {
+        const fs = require('fs').promises;
+        const path = require('path');
+
+        // Unknown icons and variations are the caller's mistake: status 404
+        const icon = this.getIcon(name);
+        const fileName = this.getIconFile(name, variation);
+        if (!fileName) {
+            const error = new Error(icon
+                ? `Icon '${icon.name}' has no '${variation}' variation (available: ${icon.variations.join(', ')})`
+                : `Icon '${name}' not found`);
+            error.status = 404;
+            throw error;
+        }
+
+        try {
+            return await fs.readFile(path.join(iconsPath, fileName), 'utf-8');
+        } catch (error) {
+            throw new Error(`Failed to read icon file: ${error.message}`);
+        }
+    }
+
+    /**
+     * Load the catalog in the browser from a manifest URL
+     */
+    async loadFromUrl(manifestUrl = './icons-manifest.json') {
+        const response = await fetch(manifestUrl);
+        if (!response.ok) {
+            throw new Error(`Failed to load manifest: ${response.status}`);
+        }
+
+        this.buildFromManifest(await response.json());
+        return this.icons;
+    }
+}
+
+IconCatalog.ICON_WEB_PATH = ICON_WEB_PATH;
+IconCatalog.VARIATIONS = VARIATION_ORDER;
+IconCatalog.CATEGORY_KEYWORDS = CATEGORY_KEYWORDS;
+IconCatalog.POPULAR_ICONS = POPULAR_ICONS;
+IconCatalog.FALLBACK_ICONS = FALLBACK_ICONS;
+
+// Export for different module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = IconCatalog;
+} else if (typeof window !== 'undefined') {
+    window.IconCatalog = IconCatalog;
+}
@@ -0,0 +1,235 @@
+/**
+ * Icon Renderer - Server-side rasterization of SVG icons for Composeon
+ *
+ * Turns icon SVG markup into PNG/WebP/JPEG images at arbitrary sizes, with
+ * padding, background color and scale options. Runs in plain Node with
+ * WebAssembly codecs only (resvg for SVG, libwebp for WebP, jpeg-js for JPEG),
+ * so there is no native binding or browser to install.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const jpeg = require('jpeg-js');
+const { Resvg, initWasm } = require('@resvg/resvg-wasm');
+const SvgTransformer = require('./svg-transform');
+
+const FORMATS = {
+    png: 'image/png',
+    webp: 'image/webp',
+    jpeg: 'image/jpeg'
+};
+
+const LIMITS = {
+    minSize: 8,
+    maxSize: 2048,
+    maxScale: 4,
+    maxOutput: 4096
+};
+
+let codecs = null;
+
+/**
+ * Instantiate the WebAssembly codecs once per process
+ */
+function loadCodecs() {
+    if (!codecs) {
+        codecs = (async () => {
+            await initWasm(fs.readFileSync(require.resolve('@resvg/resvg-wasm/index_bg.wasm')));
+
+            // @jsquash/webp fetches its wasm by URL unless handed a compiled module;
+            // it picks the SIMD build whenever the runtime supports it
+            const webpPath = path.join(path.dirname(require.resolve('@jsquash/webp/package.json')), 'codec/enc');
+            const simd = fs.readFileSync(path.join(webpPath, 'webp_enc_simd.wasm'));
+            const wasm = WebAssembly.validate(simd) ? simd : fs.readFileSync(path.join(webpPath, 'webp_enc.wasm'));
+            const { init, default: encodeWebp } = await import('@jsquash/webp/encode.js');
+            await init(new WebAssembly.Module(wasm));
+
+            return { encodeWebp };
+        })();
+        codecs.catch(() => {
+            codecs = null;
+        });
+    }
+    return codecs;
+}
+
+class IconRenderer {
+    constructor() {
+        this.transformer = new SvgTransformer();
+        this.defaults = {
+            format: 'png',
+            size: 256,
+            padding: 0,
+            background: 'transparent',
+            scale: 1,
+            quality: 0.92
+        };
+    }
+
+    /**
+     * Validate and normalize render options (accepts strings from query params)
+     */
+    normalizeOptions(options = {}) {
+        const format = String(options.format || this.defaults.format).toLowerCase().replace('jpg', 'jpeg');
+        if (!FORMATS[format]) {
+            throw new Error(`Unsupported format '${options.format}' (use ${Object.keys(FORMATS).join(', ')})`);
+        }
+
+        const size = this.parseNumber(options.size, this.defaults.size, 'size');
+        if (size < LIMITS.minSize || size > LIMITS.maxSize) {
+            throw new Error(`size must be between ${LIMITS.minSize} and ${LIMITS.maxSize}`);
+        }
+
+        const scale = this.parseNumber(options.scale, this.defaults.scale, 'scale');
+        if (scale <= 0 || scale > LIMITS.maxScale) {
+            throw new Error(`scale must be greater than 0 and at most ${LIMITS.maxScale}`);
+        }
+
+        const padding = this.parseNumber(options.padding, this.defaults.padding, 'padding');
+        if (padding < 0 || padding * 2 >= size) {
+            throw new Error('padding must be at least 0 and less than half the size');
+        }
+
+        const quality = this.parseNumber(options.quality, this.defaults.quality, 'quality');
+        if (quality <= 0 || quality > 1) {
+            throw new Error('quality must be greater than 0 and at most 1');
+        }
+
+        const background = this.transformer.normalizeColor(options.background || options.bg || this.defaults.background);
+
+        // JPEG has no alpha channel - default to white instead of black
+        const effectiveBackground = format === 'jpeg' && background === 'transparent' ? '#ffffff' : background;
+
+        return { format, size, scale, padding, quality, background: effectiveBackground };
+    }
+
+    parseNumber(value, fallback, name) {
+        if (value === undefined || value === null || value === '') {
+            return fallback;
+        }
+
+        const number = Number(value);
+        if (!Number.isFinite(number)) {
+            throw new Error(`${name} must be a number`);
+        }
+        return number;
+    }
+
+    /**
+     * Read the intrinsic aspect ratio from the SVG viewBox (or width/height)
+     */
+    getAspectRatio(svg) {
+        const root = this.getRootTag(svg);
+        const viewBox = root.match(/\bviewBox\s*=\s*["']([^"']+)["']/i);
+
+        if (viewBox) {
+            const [, , width, height] = viewBox[1].trim().split(/[\s,]+/).map(Number);
+            if (width > 0 && height > 0) {
+                return width / height;
+            }
+        }
+
+        const width = parseFloat((root.match(/\bwidth\s*=\s*["']([\d.]+)/i) || [])[1]);
+        const height = parseFloat((root.match(/\bheight\s*=\s*["']([\d.]+)/i) || [])[1]);
+        return width > 0 && height > 0 ? width / height : 1;
+    }
+
+    getRootTag(svg) {
+        const match = svg.match(/<svg\b[^>]*>/i);
+        if (!match) {
+            throw new Error('Invalid SVG: missing <svg> root element');
+        }
+        return match[0];
+    }
+
+    /**
+     * Pin the root element to explicit pixel dimensions and position so resvg
+     * rasterizes at the target resolution instead of upscaling a "1em" bitmap
+     */
+    withPixelSize(svg, width, height, x = 0, y = 0) {
+        const root = this.getRootTag(svg);
+        const sized = root
+            .replace(/\s(width|height|x|y)\s*=\s*("[^"]*"|'[^']*')/gi, '')
+            .replace(/^<svg\b/i, `<svg x="${x}" y="${y}" width="${width}" height="${height}"`);
+
+        return svg.replace(root, sized);
+    }
+
+    /**
+     * Nest the icon in an output-sized document so padding is just an offset
+     */
+    frameSvg(svg, { outputWidth, outputHeight, innerWidth, innerHeight }) {
+        const offsetX = Math.round((outputWidth - innerWidth) / 2);
+        const offsetY = Math.round((outputHeight - innerHeight) / 2);
+        const icon = svg.slice(svg.search(/<svg\b/i));
+
+        return `<svg xmlns="http://www.w3.org/2000/svg" width="${outputWidth}" height="${outputHeight}" viewBox="0 0 ${outputWidth} ${outputHeight}">${this.withPixelSize(icon, innerWidth, innerHeight, offsetX, offsetY)}</svg>`;
+    }
+
+    /**
+     * Rasterize SVG markup; "size" is the longest edge before scaling
+     */
+    async render(svg, options = {}) {
+        const { format, size, scale, padding, quality, background } = this.normalizeOptions(options);
+
+        const aspectRatio = this.getAspectRatio(svg);
+        const width = Math.round(aspectRatio >= 1 ? size : size * aspectRatio);
+        const height = Math.round(aspectRatio >= 1 ? size / aspectRatio : size);
+        const outputWidth = Math.round(width * scale);
+        const outputHeight = Math.round(height * scale);
+
+        if (Math.max(outputWidth, outputHeight) > LIMITS.maxOutput) {
+            throw new Error(`Rendered image would exceed ${LIMITS.maxOutput}px`);
+        }
+
+        const innerWidth = Math.max(1, Math.round((width - padding * 2) * scale));
+        const innerHeight = Math.max(1, Math.round((height - padding * 2) * scale));
+
+        const { encodeWebp } = await loadCodecs();
+        const image = this.rasterize(this.frameSvg(svg, { outputWidth, outputHeight, innerWidth, innerHeight }), background);
+
+        let buffer;
+        if (format === 'png') {
+            buffer = Buffer.from(image.asPng());
+        } else {
+            const pixels = { data: new Uint8ClampedArray(image.pixels), width: image.width, height: image.height };
+            buffer = format === 'webp'
+                ? Buffer.from(await encodeWebp(pixels, { quality: Math.round(quality * 100) }))
+                : jpeg.encode(pixels, Math.round(quality * 100)).data;
+        }
+
+        return {
+            buffer,
+            mimeType: FORMATS[format],
+            format,
+            width: outputWidth,
+            height: outputHeight
+        };
+    }
+
+    /**
+     * Decode SVG markup into an RGBA bitmap
+     */
+    rasterize(svg, background) {
+        let resvg;
+        try {
+            resvg = new Resvg(svg, {
+                background: background === 'transparent' ? undefined : background,
+                font: { loadSystemFonts: false }
+            });
+        } catch (error) {
+            throw new Error(`Failed to decode SVG: ${error.message || error}`);
+        }
+
+        try {
+            return resvg.render();
+        } finally {
+            resvg.free();
+        }
+    }
+}
+
+IconRenderer.FORMATS = FORMATS;
+IconRenderer.LIMITS = LIMITS;
+
+module.exports = IconRenderer;
@@ -14,6 +14,21 @@ const fs = require('fs');
 const path = require('path');
 const http = require('http');
 const url = require('url');
+const IconCatalog = require('./icon-catalog');
+const IconRenderer = require('./icon-renderer');
+const IconBundler = require('./icon-bundle');
+const VisualPostRenderer = require('./visual-post-renderer');
+const CarouselRenderer = require('./carousel-renderer');
+const CarouselExporter = require('./carousel-exporter');
+const TemplateLoader = require('./template-loader');
+const BrandKit = require('./brand-kit');
+const SvgTransformer = require('./svg-transform');
+
+const ICON_ROUTE = /^\/api\/icons\/([^/]+)$/;
+const RENDER_ROUTE = /^\/api\/icons\/([^/]+)\/render$/;
+
+// Room for a carousel or a post with a 5 MB image inlined as a data: URL
+const MAX_BODY_BYTES = 8 * 1024 * 1024;
 
 class ComposeonIconScanner {
     constructor() {
@@ -22,70 +37,18 @@ class ComposeonIconScanner {
         this.manifestPath = path.join(__dirname, 'icons-manifest.json');
         this.port = 3000;
         this.ollamaUrl = 'http://localhost:11434';
-
-        // Category mapping for better organization
-        this.categoryKeywords = {
-            ai: [
-                'openai', 'claude', 'anthropic', 'gemini', 'chatgpt', 'gpt', 'midjourney',
-                'stability', 'huggingface', 'deepseek', 'cohere', 'replicate', 'runway',
-                'perplexity', 'character', 'ai21', 'ai2', 'ai302', 'ai360', 'aihubmix',
-                'aimass', 'aionlabs', 'aistudio', 'akashchat', 'alephalpha', 'baai',
-                'chatglm', 'deepai', 'deepcogito', 'deepinfra', 'deepmind', 'doubao',
-                'dreammachine', 'elevenx', 'essentialai', 'glmv', 'goose'
-            ],
-            cloud: [
-                'aws', 'azure', 'google', 'googlecloud', 'gcp', 'digitalocean', 'cloudflare',
-                'heroku', 'netlify', 'vercel', 'railway', 'render', 'supabase', 'planetscale',
-                'alibaba', 'alibabacloud', 'baidu', 'baiducloud', 'tencent', 'huawei',
-                'oracle', 'ibm', 'linode', 'vultr', 'hetzner', 'baseten', 'crusoe',
-                'anyscale', 'centml', 'fireworks', 'featherless', 'friendli'
-            ],
-            dev: [
-                'github', 'gitlab', 'bitbucket', 'vscode', 'cursor', 'jetbrains', 'sublime',
-                'atom', 'vim', 'docker', 'kubernetes', 'jenkins', 'circleci', 'travis',
-                'copilot', 'githubcopilot', 'cline', 'codeflicker', 'codegeex', 'commanda',
-                'copilotkit', 'greptile', 'colab', 'gradio'
-            ],
-            framework: [
-                'react', 'vue', 'angular', 'svelte', 'nextjs', 'nuxt', 'gatsby',
-                'nodejs', 'python', 'javascript', 'typescript', 'java', 'golang', 'rust',
-                'php', 'ruby', 'swift', 'kotlin', 'dart', 'flutter', 'unity', 'unreal'
-            ],
-            design: [
-                'figma', 'adobe', 'sketch', 'canva', 'framer', 'invision', 'principle',
-                'dribbble', 'behance', 'unsplash', 'pexels', 'clipdrop', 'miro', 'whimsical',
-                'lucidchart', 'webflow'
-            ],
-            social: [
-                'linkedin', 'twitter', 'facebook', 'instagram', 'youtube', 'tiktok',
-                'discord', 'slack', 'telegram', 'whatsapp', 'zoom', 'teams', 'meet',
-                'webex', 'skype', 'twitch', 'spotify', 'netflix'
-            ],
-            database: [
-                'mongodb', 'postgresql', 'mysql', 'redis', 'elasticsearch', 'cassandra',
-                'neo4j', 'sqlite', 'snowflake', 'databricks', 'clickhouse', 'cockroachdb'
-            ],
-            browser: [
-                'chrome', 'firefox', 'safari', 'edge', 'opera', 'brave'
-            ],
-            crypto: [
-                'bitcoin', 'ethereum', 'binance', 'coinbase', 'metamask'
-            ],
-            ecommerce: [
-                'shopify', 'stripe', 'paypal', 'square', 'klarna', 'razorpay', 'adyen'
-            ],
-            productivity: [
-                'notion', 'obsidian', 'todoist', 'trello', 'asana', 'monday',
-                'clickup', 'airtable', 'sheets', 'excel', 'word', 'powerpoint'
-            ],
-            security: [
-                'nordvpn', 'expressvpn', '1password', 'bitwarden', 'lastpass'
-            ]
-        };
+        this.catalog = new IconCatalog();
+        this.renderer = new IconRenderer();
+        this.transformer = new SvgTransformer();
+        this.bundler = new IconBundler({ catalog: this.catalog, iconsPath: this.iconsPath });
+        this.templateLoader = new TemplateLoader({
+            directory: process.env.COMPOSEON_TEMPLATES_DIR || path.join(__dirname, 'templates'),
+            reservedIds: VisualPostRenderer.BUILT_IN_TEMPLATES
+        });
     }
 
     /**
-     * Scan the icons directory and generate manifest
+     * Scan the icons directory and build the shared icon catalog
      */
     async scanIcons() {
         console.log('🔍 Scanning icons directory...');
@@ -102,50 +65,7 @@ class ComposeonIconScanner {
 
             console.log(`📊 Found ${svgFiles.length} SVG files`);
 
-            const icons = svgFiles.map(file => {
-                const name = path.parse(file).name;
-                const baseName = this.getBaseName(name);
-                const variation = this.getVariation(name);
-
-                return {
-                    name: baseName,
-                    fileName: file,
-                    variation,
-                    displayName: this.formatDisplayName(baseName),
-                    category: this.categorizeIcon(baseName),
-                    path: `lobe-icons/packages/static-svg/icons/${file}`,
-                    tags: this.generateTags(baseName)
-                };
-            });
-
-            // Group by base name and combine variations
-            const groupedIcons = new Map();
-            icons.forEach(icon => {
-                if (!groupedIcons.has(icon.name)) {
-                    groupedIcons.set(icon.name, {
-                        ...icon,
-                        variations: [icon.variation],
-                        paths: { [icon.variation]: icon.path }
-                    });
-                } else {
-                    const existing = groupedIcons.get(icon.name);
-                    existing.variations.push(icon.variation);
-                    existing.paths[icon.variation] = icon.path;
-                }
-            });
-
-            const finalIcons = Array.from(groupedIcons.values());
-
-            // Sort by popularity/category
-            finalIcons.sort((a, b) => {
-                const aPopular = this.isPopularIcon(a.name);
-                const bPopular = this.isPopularIcon(b.name);
-
-                if (aPopular && !bPopular) return -1;
-                if (!aPopular && bPopular) return 1;
-
-                return a.displayName.localeCompare(b.displayName);
-            });
+            const finalIcons = this.catalog.buildFromFiles(svgFiles);
 
             console.log(`✅ Processed ${finalIcons.length} unique icons`);
             return finalIcons;
@@ -157,143 +77,25 @@ class ComposeonIconScanner {
     }
 
     /**
-     * Get base name without variation suffix
+     * Load the catalog for serving - manifest first, directory scan as fallback
      */
-    getBaseName(fileName) {
-        return fileName.replace(/-(?:color|text|brand|mono)$/, '');
-    }
-
-    /**
-     * Get variation type
-     */
-    getVariation(fileName) {
-        if (fileName.endsWith('-color')) return 'color';
-        if (fileName.endsWith('-text')) return 'text';
-        if (fileName.endsWith('-brand')) return 'brand';
-        if (fileName.endsWith('-mono')) return 'mono';
-        return 'default';
-    }
-
-    /**
-     * Format display name for better readability
-     */
-    formatDisplayName(name) {
-        const specialNames = {
-            'openai': 'OpenAI',
-            'chatgpt': 'ChatGPT',
-            'github': 'GitHub',
-            'gitlab': 'GitLab',
-            'vscode': 'VS Code',
-            'nodejs': 'Node.js',
-            'nextjs': 'Next.js',
-            'typescript': 'TypeScript',
-            'javascript': 'JavaScript',
-            'mongodb': 'MongoDB',
-            'postgresql': 'PostgreSQL',
-            'mysql': 'MySQL',
-            'aws': 'AWS',
-            'gcp': 'Google Cloud',
-            'ui': 'UI',
-            'api': 'API',
-            'ai': 'AI',
-            'ml': 'ML',
-            'ar': 'AR',
-            'vr': 'VR',
-            'iot': 'IoT',
-            'sdk': 'SDK'
-        };
-
-        if (specialNames[name.toLowerCase()]) {
-            return specialNames[name.toLowerCase()];
+    async loadCatalog() {
+        if (this.catalog.icons.length > 0) {
+            return this.catalog;
         }
 
-        // Handle camelCase and kebab-case
-        return name
-            .replace(/[-_]/g, ' ')
-            .replace(/([A-Z])/g, ' $1')
-            .split(' ')
-            .map(word => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
-            .join(' ')
-            .trim();
-    }
-
-    /**
-     * Categorize icon based on keywords
-     */
-    categorizeIcon(name) {
-        const nameLower = name.toLowerCase();
-
-        for (const [category, keywords] of Object.entries(this.categoryKeywords)) {
-            if (keywords.some(keyword =>
-                nameLower.includes(keyword.toLowerCase()) ||
-                keyword.toLowerCase().includes(nameLower)
-            )) {
-                return category;
-            }
-        }
-
-        return 'other';
-    }
-
-    /**
-     * Generate search tags
-     */
-    generateTags(name) {
-        const baseTags = [name];
-        const category = this.categorizeIcon(name);
-
-        // Add category tags
-        baseTags.push(category);
-
-        // Add common alternative names
-        const alternatives = {
-            'github': ['git', 'version control'],
-            'docker': ['container', 'virtualization'],
-            'kubernetes': ['k8s', 'orchestration'],
-            'postgresql': ['postgres', 'sql'],
-            'mongodb': ['mongo', 'nosql'],
-            'javascript': ['js', 'node'],
-            'typescript': ['ts'],
-            'react': ['reactjs'],
-            'vue': ['vuejs'],
-            'angular': ['ng']
-        };
-
-        if (alternatives[name]) {
-            baseTags.push(...alternatives[name]);
-        }
-
-        return baseTags;
-    }
-
-    /**
-     * Check if icon is popular (for sorting priority)
-     */
-    isPopularIcon(name) {
-        const popular = [
-            'github', 'google', 'microsoft', 'apple', 'amazon', 'meta', 'netflix',
-            'openai', 'claude', 'anthropic', 'gemini', 'chatgpt',
-            'aws', 'azure', 'googlecloud', 'docker', 'kubernetes',
-            'react', 'vue', 'angular', 'nodejs', 'python', 'javascript',
-            'figma', 'adobe', 'vscode', 'chrome', 'firefox',
-            'linkedin', 'twitter', 'instagram', 'youtube', 'tiktok',
-            'mongodb', 'postgresql', 'redis', 'elasticsearch'
-        ];
-
-        return popular.includes(name.toLowerCase());
+        await this.catalog.loadFromDisk({
+            manifestPath: this.manifestPath,
+            iconsPath: this.iconsPath
+        });
+        return this.catalog;
     }
 
     /**
      * Generate and save manifest file
      */
-    async generateManifest(icons) {
-        const manifest = {
-            version: '2.0.0',
-            generated: new Date().toISOString(),
-            total: icons.length,
-            categories: this.getCategoryStats(icons),
-            icons: icons
-        };
+    async generateManifest() {
+        const manifest = this.catalog.toManifest();
 
         fs.writeFileSync(this.manifestPath, JSON.stringify(manifest, null, 2));
         console.log(`💾 Manifest saved: ${this.manifestPath}`);
@@ -302,17 +104,6 @@ class ComposeonIconScanner {
         return manifest;
     }
 
-    /**
-     * Get category statistics
-     */
-    getCategoryStats(icons) {
-        const stats = {};
-        icons.forEach(icon => {
-            stats[icon.category] = (stats[icon.category] || 0) + 1;
-        });
-        return stats;
-    }
-
     /**
      * Start development server with CORS and Ollama proxy
      */
@@ -336,6 +127,18 @@ class ComposeonIconScanner {
                 // API Routes
                 if (pathname === '/api/icons') {
                     await this.handleIconsAPI(req, res);
+                } else if (ICON_ROUTE.test(pathname)) {
+                    await this.handleIconSVG(req, res, pathname);
+                } else if (RENDER_ROUTE.test(pathname)) {
+                    await this.handleRenderAPI(req, res, pathname);
+                } else if (pathname === '/api/bundle') {
+                    await this.handleBundleAPI(req, res);
+                } else if (pathname === '/api/visual-post') {
+                    await this.handleVisualPostAPI(req, res);
+                } else if (pathname === '/api/carousel') {
+                    await this.handleCarouselAPI(req, res);
+                } else if (pathname === '/api/visual-templates') {
+                    await this.handleVisualTemplatesAPI(req, res);
                 } else if (pathname === '/api/ollama') {
                     await this.handleOllamaProxy(req, res);
                 } else if (pathname === '/api/health') {
@@ -359,6 +162,12 @@ class ComposeonIconScanner {
         server.listen(this.port, () => {
             console.log(`🚀 Composeon server running at http://localhost:${this.port}`);
             console.log(`📡 Icons API: http://localhost:${this.port}/api/icons`);
+            console.log(`🎨 Icon SVG: http://localhost:${this.port}/api/icons/:name?fill=0a66c2`);
+            console.log(`🖼️  Icon renderer: http://localhost:${this.port}/api/icons/:name/render?format=png&size=256`);
+            console.log(`📦 Icon bundles: http://localhost:${this.port}/api/bundle?icons=openai,claude/color&format=sprite`);
+            console.log(`🖼️  Visual posts: http://localhost:${this.port}/api/visual-post?icons=openai,github&template=modern`);
+            console.log(`🎠 Carousels: POST http://localhost:${this.port}/api/carousel`);
+            console.log(`🧩 Visual templates: http://localhost:${this.port}/api/visual-templates?preview=1`);
             console.log(`🧠 Ollama proxy: http://localhost:${this.port}/api/ollama`);
             console.log(`❤️  Health check: http://localhost:${this.port}/api/health`);
         });
@@ -371,25 +180,12 @@ class ComposeonIconScanner {
      */
     async handleIconsAPI(req, res) {
         try {
-            const manifest = JSON.parse(fs.readFileSync(this.manifestPath, 'utf8'));
+            const catalog = await this.loadCatalog();
             const parsedUrl = url.parse(req.url, true);
             const query = parsedUrl.query;
 
-            let icons = manifest.icons;
-
             // Apply filters
-            if (query.category && query.category !== 'all') {
-                icons = icons.filter(icon => icon.category === query.category);
-            }
-
-            if (query.search) {
-                const searchTerm = query.search.toLowerCase();
-                icons = icons.filter(icon =>
-                    icon.name.toLowerCase().includes(searchTerm) ||
-                    icon.displayName.toLowerCase().includes(searchTerm) ||
-                    icon.tags.some(tag => tag.toLowerCase().includes(searchTerm))
-                );
-            }
+            const icons = catalog.search(query.search, { category: query.category });
 
             // Pagination
             const page = parseInt(query.page) || 0;
@@ -403,7 +199,7 @@ class ComposeonIconScanner {
                 limit,
                 hasMore: endIndex < icons.length,
                 icons: icons.slice(startIndex, endIndex),
-                categories: manifest.categories
+                categories: catalog.getCategoryStats()
             };
 
             res.writeHead(200, { 'Content-Type': 'application/json' });
@@ -416,46 +212,430 @@ class ComposeonIconScanner {
     }
 
     /**
-     * Handle Ollama proxy to avoid CORS issues
+     * Handle single icon endpoint (/api/icons/:name) - SVG with optional recoloring
      */
-    async handleOllamaProxy(req, res) {
-        if (req.method !== 'POST') {
+    async handleIconSVG(req, res, pathname) {
+        const catalog = await this.loadCatalog();
+        const query = url.parse(req.url, true).query;
+        const iconName = decodeURIComponent(pathname.match(ICON_ROUTE)[1]);
+        const icon = catalog.getIcon(iconName);
+
+        if (!icon) {
+            res.writeHead(404, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: `Icon '${iconName}' not found` }));
+            return;
+        }
+
+        let transform;
+        try {
+            transform = this.transformer.normalizeOptions(query);
+        } catch (error) {
+            res.writeHead(400, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: error.message }));
+            return;
+        }
+
+        if (query.variation && !icon.paths[query.variation]) {
+            res.writeHead(404, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: `Icon '${icon.name}' has no '${query.variation}' variation`, availableVariations: icon.variations }));
+            return;
+        }
+
+        try {
+            const svg = await catalog.readIconSvg(this.iconsPath, icon.name, query.variation);
+            res.writeHead(200, { 'Content-Type': 'image/svg+xml' });
+            res.end(this.transformer.transform(svg, transform));
+        } catch (error) {
+            console.error('Icon API error:', error);
+            res.writeHead(500, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: 'Failed to load icon', details: error.message }));
+        }
+    }
+
+    /**
+     * Handle icon rendering endpoint (/api/icons/:name/render)
+     */
+    async handleRenderAPI(req, res, pathname) {
+        const catalog = await this.loadCatalog();
+        const query = url.parse(req.url, true).query;
+        const iconName = decodeURIComponent(pathname.match(RENDER_ROUTE)[1]);
+        const icon = catalog.getIcon(iconName);
+
+        if (!icon) {
+            res.writeHead(404, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: `Icon '${iconName}' not found` }));
+            return;
+        }
+
+        let options;
+        let transform;
+        try {
+            options = this.renderer.normalizeOptions(query);
+            transform = this.transformer.normalizeOptions(query);
+        } catch (error) {
+            res.writeHead(400, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: error.message }));
+            return;
+        }
+
+        if (query.variation && !icon.paths[query.variation]) {
+            res.writeHead(404, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: `Icon '${icon.name}' has no '${query.variation}' variation`, availableVariations: icon.variations }));
+            return;
+        }
+
+        try {
+            const svg = await catalog.readIconSvg(this.iconsPath, icon.name, query.variation);
+            const image = await this.renderer.render(this.transformer.transform(svg, transform), options);
+
+            res.writeHead(200, {
+                'Content-Type': image.mimeType,
+                'Content-Length': image.buffer.length,
+                'Content-Disposition': `inline; filename="${icon.name}.${image.format}"`
+            });
+            res.end(image.buffer);
+        } catch (error) {
+            console.error('Render API error:', error);
+            res.writeHead(500, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: 'Failed to render icon', details: error.message }));
+        }
+    }
+
+    /**
+     * Handle icon bundle endpoint (/api/bundle) - GET with query params or POST with a JSON body
+     */
+    async handleBundleAPI(req, res) {
+        if (req.method !== 'GET' && req.method !== 'POST') {
             res.writeHead(405, { 'Content-Type': 'application/json' });
             res.end(JSON.stringify({ error: 'Method not allowed' }));
             return;
         }
 
-        let body = '';
-        req.on('data', chunk => {
-            body += chunk.toString();
+        await this.loadCatalog();
+
+        let bundle;
+        try {
+            const options = req.method === 'POST'
+                ? await this.readJsonBody(req)
+                : url.parse(req.url, true).query;
+            bundle = await this.bundler.build(options.icons, options);
+        } catch (error) {
+            res.writeHead(error.status === 413 ? 413 : 400, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: error.message }));
+            return;
+        }
+
+        const body = Buffer.isBuffer(bundle.content) ? bundle.content : Buffer.from(bundle.content);
+        const disposition = bundle.format === 'zip' ? 'attachment' : 'inline';
+
+        res.writeHead(200, {
+            'Content-Type': bundle.mimeType,
+            'Content-Length': body.length,
+            'Content-Disposition': `${disposition}; filename="${bundle.fileName}"`,
+            'X-Bundle-Icons': bundle.icons.join(','),
+            'X-Bundle-Missing': bundle.missing.map(encodeURIComponent).join(',')
         });
+        res.end(body);
+    }
 
-        req.on('end', async () => {
-            try {
-                const requestData = JSON.parse(body);
+    /**
+     * Handle visual post endpoint (/api/visual-post) - GET with query params or POST with a JSON body
+     */
+    async handleVisualPostAPI(req, res) {
+        if (req.method !== 'GET' && req.method !== 'POST') {
+            res.writeHead(405, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: 'Method not allowed' }));
+            return;
+        }
+
+        await this.loadCatalog();
+        const { templates } = await this.templateLoader.load();
+
+        let renderer;
+        let post;
+        try {
+            const options = req.method === 'POST'
+                ? await this.readJsonBody(req)
+                : url.parse(req.url, true).query;
+            renderer = new VisualPostRenderer({
+                catalog: this.catalog,
+                iconsPath: this.iconsPath,
+                templates,
+                brandKit: await this.resolveBrandKit(options.brandKit),
+                brandVariant: options.variant
+            });
+            post = renderer.prepare(options.icons, options);
+        } catch (error) {
+            res.writeHead(error.status === 413 ? 413 : 400, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: error.message }));
+            return;
+        }
+
+        try {
+            const image = await renderer.draw(post);
+            const headers = {
+                'Content-Type': image.mimeType,
+                'Content-Length': image.buffer.length,
+                'Content-Disposition': `inline; filename="composeon-${image.template}.${image.format}"`
+            };
+
+            if (image.brandKit) {
+                headers['X-Brand-Kit'] = `${image.brandKit}; variant=${image.variant}`;
+            }
+
+            // Layouts too dense to read still render; the caller decides what to do
+            if (image.warnings.length > 0) {
+                headers['X-Layout-Warnings'] = image.warnings.map(encodeURIComponent).join(',');
+            }
+
+            res.writeHead(200, headers);
+            res.end(image.buffer);
+        } catch (error) {
+            console.error('Visual post API error:', error);
+            res.writeHead(error.status === 400 ? 400 : 500, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: 'Failed to render visual post', details: error.message }));
+        }
+    }
 
-                const response = await fetch(`${this.ollamaUrl}/api/generate`, {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify(requestData)
-                });
+    /**
+     * Handle carousel rendering (/api/carousel) - POST a JSON body with the
+     * carousel and the format (pdf, zip, png or jpeg)
+     */
+    async handleCarouselAPI(req, res) {
+        if (req.method !== 'POST') {
+            res.writeHead(405, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: 'Method not allowed' }));
+            return;
+        }
+
+        const renderer = new CarouselRenderer();
+        let prepared;
+        try {
+            const options = await this.readJsonBody(req);
+            if (!options.carousel || typeof options.carousel !== 'object') {
+                throw new Error('A carousel object is required');
+            }
+            const carousel = options.carousel.schema ? CarouselExporter.fromJSON(options.carousel) : options.carousel;
+
+            // The COMPOSEON_BRAND_KIT default only applies to unbranded carousels
+            const source = carousel.visualCarousel || carousel;
+            const brandKit = options.brandKit || !source.brandKit ? await this.resolveBrandKit(options.brandKit) : null;
+            prepared = renderer.prepare(carousel, { ...options, brandKit });
+        } catch (error) {
+            res.writeHead(error.status === 413 ? 413 : 400, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: error.message }));
+            return;
+        }
 
-                if (!response.ok) {
-                    throw new Error(`Ollama request failed: ${response.status}`);
+        try {
+            const result = await renderer.draw(prepared);
+            const extension = result.format === 'jpeg' ? 'jpg' : result.format;
+            const fileName = result.slide ? `composeon-carousel-${result.slide}.${extension}` : `composeon-carousel.${extension}`;
+
+            res.writeHead(200, {
+                'Content-Type': result.mimeType,
+                'Content-Length': result.buffer.length,
+                'Content-Disposition': `${result.slide ? 'inline' : 'attachment'}; filename="${fileName}"`,
+                'X-Carousel-Slides': result.slides
+            });
+            res.end(result.buffer);
+        } catch (error) {
+            console.error('Carousel API error:', error);
+            res.writeHead(error.status === 400 ? 400 : 500, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: 'Failed to render carousel', details: error.message }));
+        }
+    }
+
+    /**
+     * Brand kit for a visual post: an inline kit (object or JSON string) or the
+     * server's kit file in COMPOSEON_BRAND_KIT - kit files are never read by path
+     */
+    async resolveBrandKit(value) {
+        if (value) {
+            return BrandKit.from(value);
+        }
+        return process.env.COMPOSEON_BRAND_KIT ? BrandKit.load(process.env.COMPOSEON_BRAND_KIT) : null;
+    }
+
+    /**
+     * Handle visual template listing (/api/visual-templates) - built-in and user
+     * templates, the user template files that failed to load and, with
+     * ?preview=1, a small PNG preview of each template as a data URL
+     */
+    async handleVisualTemplatesAPI(req, res) {
+        if (req.method !== 'GET') {
+            res.writeHead(405, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: 'Method not allowed' }));
+            return;
+        }
+
+        const query = url.parse(req.url, true).query;
+
+        try {
+            const { templates, errors } = await this.templateLoader.load();
+            const renderer = new VisualPostRenderer({ catalog: this.catalog, iconsPath: this.iconsPath, templates });
+            const list = renderer.getAvailableTemplates();
+
+            // One at a time - previews borrow the renderer's canvas state
+            if (query.preview && !this.transformer.isFalse(query.preview)) {
+                await this.loadCatalog();
+                await renderer.initialize();
+                for (const template of list) {
+                    template.preview = await renderer.previewTemplate(template.id);
                 }
+            }
 
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ templates: list, errors }));
+        } catch (error) {
+            console.error('Visual templates API error:', error);
+            res.writeHead(500, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: 'Failed to list visual templates', details: error.message }));
+        }
+    }
+
+    /**
+     * Collect and parse a JSON request body; bodies over MAX_BODY_BYTES are
+     * drained without being kept and rejected with status 413
+     */
+    readJsonBody(req) {
+        return new Promise((resolve, reject) => {
+            const tooLarge = () => {
+                const error = new Error(`Request body is larger than ${MAX_BODY_BYTES} bytes`);
+                error.status = 413;
+                return error;
+            };
+
+            if (Number(req.headers['content-length']) > MAX_BODY_BYTES) {
+                req.resume();
+                reject(tooLarge());
+                return;
+            }
+
+            const chunks = [];
+            let size = 0;
+            req.on('data', chunk => {
+                if (size > MAX_BODY_BYTES) return;
+                size += chunk.length;
+                if (size > MAX_BODY_BYTES) {
+                    chunks.length = 0;
+                    reject(tooLarge());
+                    return;
+                }
+                chunks.push(chunk);
+            });
+            req.on('end', () => {
+                if (size > MAX_BODY_BYTES) return;
+                try {
+                    const body = Buffer.concat(chunks).toString();
+                    resolve(body ? JSON.parse(body) : {});
+                } catch (error) {
+                    reject(new Error('Invalid JSON body'));
+                }
+            });
+            req.on('error', reject);
+        });
+    }
+
+    /**
+     * Handle Ollama proxy to avoid CORS issues. The reply is a single JSON
+     * document unless the request sends `stream: true`; then chunks pass
+     * through as they arrive, as NDJSON, or as Server-Sent Events when the
+     * client accepts text/event-stream (or asks with ?sse=1). A client that
+     * disconnects cancels the generation.
+     */
+    async handleOllamaProxy(req, res) {
+        if (req.method !== 'POST') {
+            res.writeHead(405, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: 'Method not allowed' }));
+            return;
+        }
+
+        let requestData;
+        try {
+            requestData = await this.readJsonBody(req);
+        } catch (error) {
+            res.writeHead(error.status === 413 ? 413 : 400, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: error.message }));
+            return;
+        }
+
+        const query = url.parse(req.url, true).query;
+        const stream = requestData.stream === true;
+        const sse = stream && (query.sse === '1' || /text\/event-stream/.test(req.headers.accept || ''));
+
+        const controller = new AbortController();
+        res.on('close', () => {
+            if (!res.writableFinished) controller.abort();
+        });
+
+        try {
+            const response = await fetch(`${this.ollamaUrl}/api/generate`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ ...requestData, stream }),
+                signal: controller.signal
+            });
+
+            if (!response.ok) {
+                const details = await response.text().catch(() => '');
+                throw new Error(`Ollama request failed: ${response.status}${details ? ` ${details.slice(0, 200)}` : ''}`);
+            }
+
+            if (!stream) {
                 const data = await response.json();
                 res.writeHead(200, { 'Content-Type': 'application/json' });
                 res.end(JSON.stringify(data));
-            } catch (error) {
-                console.error('Ollama proxy error:', error);
-                res.writeHead(500, { 'Content-Type': 'application/json' });
-                res.end(JSON.stringify({
-                    error: 'Ollama connection failed',
-                    details: error.message
-                }));
+                return;
+            }
+
+            await this.pipeOllamaStream(response, res, { sse });
+        } catch (error) {
+            if (controller.signal.aborted) {
+                return;
             }
+
+            console.error('Ollama proxy error:', error);
+            if (res.headersSent) {
+                // Mid-stream failures are reported in the stream's own format
+                const payload = JSON.stringify({ error: 'Ollama connection failed', details: error.message });
+                res.end(sse ? `event: error\ndata: ${payload}\n\n` : `${payload}\n`);
+                return;
+            }
+            res.writeHead(500, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({
+                error: 'Ollama connection failed',
+                details: error.message
+            }));
+        }
+    }
+
+    /**
+     * Forward Ollama's NDJSON chunks as they arrive, re-framed as SSE `data:`
+     * events (closed by an `event: done`) when requested
+     */
+    async pipeOllamaStream(response, res, { sse }) {
+        res.writeHead(200, {
+            'Content-Type': sse ? 'text/event-stream' : 'application/x-ndjson',
+            'Cache-Control': 'no-cache',
+            'X-Accel-Buffering': 'no'
         });
+
+        const decoder = new TextDecoder();
+        let buffer = '';
+        const forward = line => {
+            if (line.trim()) res.write(sse ? `data: ${line.trim()}\n\n` : `${line.trim()}\n`);
+        };
+
+        for await (const chunk of response.body) {
+            buffer += decoder.decode(chunk, { stream: true });
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+            lines.forEach(forward);
+        }
+        forward(buffer + decoder.decode());
+
+        res.end(sse ? 'event: done\ndata: {}\n\n' : undefined);
     }
 
     /**
@@ -531,11 +711,11 @@ class ComposeonIconScanner {
             return;
         }
 
-        await this.generateManifest(icons);
+        await this.generateManifest();
 
         console.log('\n🎉 Icon scanning complete!');
         console.log(`📈 Total: ${icons.length} icons`);
-        console.log(`🏷️  Categories: ${Object.keys(this.getCategoryStats(icons)).length}`);
+        console.log(`🏷️  Categories: ${this.catalog.getCategories().length}`);
 
         console.log('\n🚀 Starting development server...\n');
         this.startServer();
@@ -3,22 +3,14 @@
  * Part of the Composeon project - Smart Icon Repository & LinkedIn Post Generator
  */
 
+const Catalog = typeof IconCatalog !== 'undefined' ? IconCatalog : require('./icon-catalog');
+
 class IconsLoader {
     constructor() {
+        this.catalog = new Catalog();
         this.icons = [];
-        this.categories = {
-            ai: ['openai', 'claude', 'anthropic', 'gemini', 'chatglm', 'deepseek', 'cohere', 'mistral', 'yi', 'baichuan', 'doubao', 'glm', 'qwen'],
-            cloud: ['aws', 'azure', 'google', 'googlecloud', 'microsoft', 'alibaba', 'alibabacloud', 'baidu', 'baiducloud', 'tencent', 'huawei'],
-            database: ['mongodb', 'postgresql', 'mysql', 'redis', 'elasticsearch', 'cassandra', 'neo4j', 'sqlite', 'oracle', 'supabase'],
-            design: ['figma', 'adobe', 'sketch', 'canva', 'framer', 'principle', 'invision', 'webflow', 'dribbble', 'behance'],
-            dev: ['github', 'gitlab', 'bitbucket', 'vscode', 'cursor', 'jetbrains', 'docker', 'kubernetes', 'jenkins', 'circleci', 'travis', 'vercel', 'netlify'],
-            social: ['linkedin', 'twitter', 'facebook', 'instagram', 'youtube', 'tiktok', 'discord', 'slack', 'telegram', 'whatsapp'],
-            analytics: ['google', 'adobe', 'mixpanel', 'amplitude', 'segment', 'hotjar', 'fullstory', 'logrocket'],
-            ecommerce: ['shopify', 'woocommerce', 'magento', 'stripe', 'paypal', 'square', 'klarna'],
-            productivity: ['notion', 'obsidian', 'todoist', 'trello', 'asana', 'monday', 'clickup', 'airtable'],
-            communication: ['zoom', 'teams', 'meet', 'webex', 'discord', 'slack', 'telegram', 'skype']
-        };
-        this.iconPath = 'lobe-icons/packages/static-svg/icons/';
+        this.categories = this.catalog.categories;
+        this.iconPath = this.catalog.iconPath;
     }
 
     /**
@@ -27,10 +19,9 @@ class IconsLoader {
     async initialize() {
         try {
             // First, try to load from a pre-generated icons list if available
-            const response = await fetch('./icons-manifest.json').catch(() => null);
-            if (response && response.ok) {
-                const manifest = await response.json();
-                this.icons = manifest.icons;
+            const manifest = await this.catalog.loadFromUrl('./icons-manifest.json').catch(() => null);
+            if (manifest) {
+                this.icons = this.catalog.icons;
                 return this.icons;
             }
 
@@ -114,236 +105,43 @@ class IconsLoader {
             'bitcoin', 'ethereum', 'binance', 'coinbase', 'metamask'
         ];
 
-        // Generate icon objects with categories
-        this.icons = knownIcons.map(name => this.createIconObject(name));
-
-        // Remove duplicates
-        this.icons = this.icons.filter((icon, index, self) =>
-            index === self.findIndex(i => i.name === icon.name)
-        );
-    }
-
-    /**
-     * Create an icon object with metadata
-     */
-    createIconObject(name) {
-        const category = this.getCategoryForIcon(name);
-        const variations = this.getIconVariations(name);
-
-        return {
-            name: name,
-            displayName: this.formatDisplayName(name),
-            category: category,
-            tags: this.generateTags(name, category),
-            variations: variations,
-            path: `${this.iconPath}${name}.svg`,
-            paths: variations.reduce((acc, variation) => {
-                acc[variation] = `${this.iconPath}${name}${variation === 'default' ? '' : '-' + variation}.svg`;
-                return acc;
-            }, {}),
-            searchable: this.generateSearchableText(name, category)
-        };
-    }
-
-    /**
-     * Determine category for an icon based on its name
-     */
-    getCategoryForIcon(name) {
-        for (const [category, keywords] of Object.entries(this.categories)) {
-            if (keywords.some(keyword => name.toLowerCase().includes(keyword.toLowerCase()))) {
-                return category;
-            }
-        }
-
-        // Additional category detection logic
-        if (name.match(/(ai|gpt|llm|neural|deep|machine)/i)) return 'ai';
-        if (name.match(/(cloud|server|hosting|deploy)/i)) return 'cloud';
-        if (name.match(/(db|data|sql|nosql|base)/i)) return 'database';
-        if (name.match(/(design|ui|ux|proto|wireframe)/i)) return 'design';
-        if (name.match(/(code|dev|git|ide|editor)/i)) return 'dev';
-        if (name.match(/(social|chat|message|communicate)/i)) return 'social';
-        if (name.match(/(analytics|track|measure|metrics)/i)) return 'analytics';
-        if (name.match(/(shop|commerce|pay|store)/i)) return 'ecommerce';
-        if (name.match(/(task|todo|project|organize)/i)) return 'productivity';
-
-        return 'other';
-    }
-
-    /**
-     * Get available variations for an icon (default, color, text, brand)
-     */
-    getIconVariations(name) {
-        // Default variations that might exist
-        const possibleVariations = ['default', 'color', 'text', 'brand'];
-
-        // For now, assume all icons have default, and popular ones have color/text variations
-        const popularIcons = ['openai', 'google', 'microsoft', 'aws', 'azure', 'github', 'figma'];
-
-        if (popularIcons.includes(name)) {
-            return ['default', 'color', 'text'];
-        }
-
-        return ['default'];
-    }
-
-    /**
-     * Format display name for better readability
-     */
-    formatDisplayName(name) {
-        // Handle special cases
-        const specialNames = {
-            'openai': 'OpenAI',
-            'chatgpt': 'ChatGPT',
-            'github': 'GitHub',
-            'gitlab': 'GitLab',
-            'vscode': 'VS Code',
-            'nodejs': 'Node.js',
-            'nextjs': 'Next.js',
-            'typescript': 'TypeScript',
-            'javascript': 'JavaScript',
-            'csharp': 'C#',
-            'cplusplus': 'C++',
-            'postgresql': 'PostgreSQL',
-            'mongodb': 'MongoDB',
-            'mysql': 'MySQL',
-            'redis': 'Redis',
-            'aws': 'AWS',
-            'gcp': 'Google Cloud',
-            'azure': 'Microsoft Azure'
-        };
-
-        if (specialNames[name.toLowerCase()]) {
-            return specialNames[name.toLowerCase()];
-        }
-
-        // Capitalize first letter and handle camelCase
-        return name
-            .replace(/([A-Z])/g, ' $1')
-            .replace(/^./, str => str.toUpperCase())
-            .trim();
-    }
-
-    /**
-     * Generate search tags for an icon
-     */
-    generateTags(name, category) {
-        const baseTags = [name, category];
-        const additionalTags = [];
-
-        // Add common alternative names and related terms
-        const tagMap = {
-            'openai': ['chatgpt', 'gpt', 'artificial intelligence', 'ai'],
-            'github': ['git', 'version control', 'repository', 'code'],
-            'figma': ['design', 'ui', 'ux', 'prototyping'],
-            'aws': ['amazon', 'cloud', 'ec2', 's3'],
-            'azure': ['microsoft', 'cloud', 'windows'],
-            'google': ['search', 'gmail', 'drive', 'chrome'],
-            'docker': ['container', 'virtualization', 'devops'],
-            'kubernetes': ['k8s', 'orchestration', 'container'],
-            'react': ['facebook', 'frontend', 'javascript', 'jsx'],
-            'vue': ['vuejs', 'frontend', 'javascript'],
-            'angular': ['typescript', 'frontend', 'spa']
-        };
-
-        if (tagMap[name]) {
-            additionalTags.push(...tagMap[name]);
-        }
-
-        return [...new Set([...baseTags, ...additionalTags])];
-    }
-
-    /**
-     * Generate searchable text for fuzzy matching
-     */
-    generateSearchableText(name, category) {
-        const tags = this.generateTags(name, category);
-        const displayName = this.formatDisplayName(name);
-
-        return [name, displayName, category, ...tags]
-            .join(' ')
-            .toLowerCase();
+        // Without a manifest only the default variation is known to exist
+        this.icons = this.catalog.buildFromFiles(knownIcons.map(name => `${name}.svg`));
     }
 
     /**
      * Load fallback icons if dynamic loading fails
      */
     loadFallbackIcons() {
-        const fallbackIcons = [
-            'openai', 'claude', 'github', 'figma', 'google', 'microsoft',
-            'aws', 'azure', 'docker', 'kubernetes', 'react', 'vue',
-            'angular', 'nodejs', 'python', 'javascript', 'typescript'
-        ];
-
-        this.icons = fallbackIcons.map(name => this.createIconObject(name));
+        this.icons = this.catalog.buildFallback();
     }
 
     /**
      * Search icons by query
      */
     search(query) {
-        if (!query || query.trim() === '') {
-            return this.icons;
-        }
-
-        const searchTerm = query.toLowerCase().trim();
-
-        return this.icons.filter(icon =>
-            icon.searchable.includes(searchTerm) ||
-            this.fuzzyMatch(icon.name, searchTerm) ||
-            this.fuzzyMatch(icon.displayName, searchTerm)
-        );
-    }
-
-    /**
-     * Simple fuzzy matching implementation
-     */
-    fuzzyMatch(text, pattern) {
-        const textLower = text.toLowerCase();
-        const patternLower = pattern.toLowerCase();
-
-        let textIndex = 0;
-        let patternIndex = 0;
-
-        while (textIndex < textLower.length && patternIndex < patternLower.length) {
-            if (textLower[textIndex] === patternLower[patternIndex]) {
-                patternIndex++;
-            }
-            textIndex++;
-        }
-
-        return patternIndex === patternLower.length;
+        return this.catalog.search(query);
     }
 
     /**
      * Filter icons by category
      */
     filterByCategory(category) {
-        if (category === 'all' || !category) {
-            return this.icons;
-        }
-
-        return this.icons.filter(icon => icon.category === category);
+        return this.catalog.filterByCategory(category);
     }
 
     /**
      * Get icons by names
      */
     getIconsByNames(names) {
-        return this.icons.filter(icon => names.includes(icon.name));
+        return this.catalog.getIconsByNames(names);
     }
 
     /**
      * Get popular icons (most commonly used)
      */
     getPopularIcons(limit = 20) {
-        const popularNames = [
-            'openai', 'github', 'figma', 'google', 'microsoft', 'aws',
-            'azure', 'docker', 'react', 'nodejs', 'python', 'javascript',
-            'typescript', 'vue', 'angular', 'mongodb', 'postgresql', 'redis',
-            'kubernetes', 'vscode'
-        ];
-
-        return this.getIconsByNames(popularNames).slice(0, limit);
+        return this.catalog.getPopularIcons(limit);
     }
 
     /**
@@ -362,23 +160,16 @@ class IconsLoader {
      * Get all categories
      */
     getCategories() {
-        return Object.keys(this.categories);
+        return this.catalog.getCategories();
     }
 
     /**
      * Get statistics
      */
     getStats() {
-        const categoryStats = {};
-        const categories = this.getCategories();
-
-        categories.forEach(category => {
-            categoryStats[category] = this.filterByCategory(category).length;
-        });
-
         return {
             total: this.icons.length,
-            categories: categoryStats,
+            categories: this.catalog.getCategoryStats(),
             popular: this.getPopularIcons().length,
             trending: this.getTrendingIcons().length
         };
@@ -388,14 +179,14 @@ class IconsLoader {
      * Validate if an icon exists
      */
     iconExists(name) {
-        return this.icons.some(icon => icon.name === name);
+        return Boolean(this.catalog.getIcon(name));
     }
 
     /**
      * Get icon by name
      */
     getIcon(name) {
-        return this.icons.find(icon => icon.name === name);
+        return this.catalog.getIcon(name) || undefined;
     }
 
     /**
@@ -410,12 +201,7 @@ class IconsLoader {
      * Export icons data for caching
      */
     exportManifest() {
-        return {
-            version: '1.0.0',
-            generated: new Date().toISOString(),
-            total: this.icons.length,
-            icons: this.icons
-        };
+        return this.catalog.toManifest();
     }
 }
 
@@ -0,0 +1,497 @@
+/**
+ * Knowledge Base - Retrieval over a folder of our own documents
+ *
+ * Markdown, HTML, PDF and text files in a directory (and its subdirectories)
+ * are split into overlapping passages, embedded, and stored with their vectors
+ * in one JSON index file, so research can quote our documents instead of the
+ * model's memory. Ingestion is incremental: only new or changed files are
+ * embedded again, and deleted files drop out of the index. Embeddings come from
+ * Ollama's embed API by default; any { id, embed(texts) } object can be used.
+ *
+ * Usage: node knowledge-base.js <directory> ["search query"]
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const EXTENSIONS = ['.md', '.markdown', '.html', '.htm', '.pdf', '.txt'];
+
+const INDEX_VERSION = 1;
+
+const DEFAULTS = {
+    indexFile: '.knowledge-index.json',
+    chunkSize: 1200,
+    chunkOverlap: 200,
+    batchSize: 16,
+    topK: 4
+};
+
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+/**
+ * Embeddings from Ollama's /api/embed (e.g. nomic-embed-text, mxbai-embed-large)
+ */
+class OllamaEmbedder {
+    constructor(options = {}) {
+        this.baseURL = (options.baseURL || 'http://localhost:11434').replace(/\/+$/, '');
+        this.model = options.model || 'nomic-embed-text';
+        this.fetch = options.fetch || ((...args) => fetch(...args));
+    }
+
+    get id() {
+        return `ollama:${this.model}`;
+    }
+
+    async embed(texts, { signal } = {}) {
+        const response = await this.fetch(`${this.baseURL}/api/embed`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ model: this.model, input: texts }),
+            signal
+        });
+
+        if (!response.ok) {
+            const details = await response.text().catch(() => '');
+            throw new Error(`Ollama embeddings failed: ${response.status}${details ? ` ${details.slice(0, 200)}` : ''}`);
+        }
+
+        const data = await response.json();
+        if (!Array.isArray(data.embeddings) || data.embeddings.length !== texts.length) {
+            throw new Error('Ollama embeddings: unexpected response');
+        }
+        return data.embeddings;
+    }
+}
+
+/**
+ * Hashed bag of words - needs no model and only matches shared words, for
+ * tests and machines without an embedding model
+ */
+class HashingEmbedder {
+    constructor(options = {}) {
+        this.dimensions = options.dimensions || 512;
+    }
+
+    get id() {
+        return `hashing:${this.dimensions}`;
+    }
+
+    async embed(texts) {
+        return texts.map(text => {
+            const vector = new Array(this.dimensions).fill(0);
+            for (const word of String(text).toLowerCase().match(/[\p{L}\p{N}]{2,}/gu) || []) {
+                // FNV-1a
+                let hash = 2166136261;
+                for (let i = 0; i < word.length; i++) {
+                    hash = Math.imul(hash ^ word.charCodeAt(i), 16777619);
+                }
+                vector[(hash >>> 0) % this.dimensions] += 1;
+            }
+            return vector;
+        });
+    }
+}
+
+const EMBEDDER_TYPES = {
+    ollama: OllamaEmbedder,
+    hashing: HashingEmbedder
+};
+
+class KnowledgeBase {
+    constructor(options = {}) {
+        if (!options.directory) {
+            throw new Error('KnowledgeBase needs a directory');
+        }
+
+        this.directory = path.resolve(options.directory);
+        this.indexPath = path.resolve(options.indexPath || path.join(this.directory, DEFAULTS.indexFile));
+        this.embedder = KnowledgeBase.createEmbedder(options.embedder);
+        this.chunkSize = options.chunkSize || DEFAULTS.chunkSize;
+        this.chunkOverlap = options.chunkOverlap === undefined ? DEFAULTS.chunkOverlap : options.chunkOverlap;
+        this.batchSize = options.batchSize || DEFAULTS.batchSize;
+        this.topK = options.topK || DEFAULTS.topK;
+        // Ingest on the first search, so changed documents are picked up once per process
+        this.autoIngest = options.autoIngest !== false;
+
+        this.index = null;
+        this.ready = null;
+    }
+
+    /**
+     * Embedder from an instance, or a spec { type: 'ollama' | 'hashing', ...options }
+     */
+    static createEmbedder(spec) {
+        if (spec && typeof spec.embed === 'function') {
+            return spec;
+        }
+
+        const { type = 'ollama', ...options } = spec || {};
+        const Embedder = EMBEDDER_TYPES[type];
+        if (!Embedder) {
+            throw new Error(`Unknown embedder '${type}' (use ${Object.keys(EMBEDDER_TYPES).join(', ')})`);
+        }
+        return new Embedder(options);
+    }
+
+    /**
+     * Read the index file; an index built with another embedder or chunking starts over
+     */
+    async load() {
+        const empty = {
+            version: INDEX_VERSION,
+            embedder: this.embedder.id,
+            chunkSize: this.chunkSize,
+            chunkOverlap: this.chunkOverlap,
+            documents: {}
+        };
+
+        try {
+            const index = JSON.parse(await fs.readFile(this.indexPath, 'utf8'));
+            const compatible = index.version === INDEX_VERSION
+                && index.embedder === empty.embedder
+                && index.chunkSize === empty.chunkSize
+                && index.chunkOverlap === empty.chunkOverlap;
+            this.index = compatible ? index : empty;
+        } catch (error) {
+            if (error.code !== 'ENOENT' && !(error instanceof SyntaxError)) {
+                throw error;
+            }
+            this.index = empty;
+        }
+        return this.index;
+    }
+
+    async save() {
+        // Write then rename, so a crash never leaves half an index behind
+        const temporary = `${this.indexPath}.tmp`;
+        await fs.mkdir(path.dirname(this.indexPath), { recursive: true });
+        await fs.writeFile(temporary, JSON.stringify(this.index));
+        await fs.rename(temporary, this.indexPath);
+    }
+
+    /**
+     * Bring the index up to date with the directory. Files that cannot be read
+     * are reported in `errors` and keep their previous passages.
+     */
+    async ingest({ signal, onFile } = {}) {
+        if (!this.index) {
+            await this.load();
+        }
+
+        const files = await this.listFiles();
+        const documents = this.index.documents;
+        const stats = { added: 0, updated: 0, removed: 0, unchanged: 0, errors: [] };
+
+        for (const docId of Object.keys(documents)) {
+            if (!files.includes(docId)) {
+                delete documents[docId];
+                stats.removed++;
+            }
+        }
+
+        for (const docId of files) {
+            if (signal) signal.throwIfAborted();
+
+            const filePath = path.join(this.directory, docId);
+            const { mtimeMs, size } = await fs.stat(filePath);
+            const existing = documents[docId];
+            if (existing && existing.mtimeMs === mtimeMs && existing.size === size) {
+                stats.unchanged++;
+                continue;
+            }
+
+            try {
+                const { title, text } = await KnowledgeBase.extractText(filePath);
+                const passages = KnowledgeBase.chunk(text, { chunkSize: this.chunkSize, chunkOverlap: this.chunkOverlap });
+                const vectors = await this.embedAll(passages, signal);
+
+                documents[docId] = {
+                    title,
+                    mtimeMs,
+                    size,
+                    chunks: passages.map((passage, index) => ({ text: passage, vector: KnowledgeBase.encodeVector(vectors[index]) }))
+                };
+                stats[existing ? 'updated' : 'added']++;
+                if (onFile) onFile({ docId, title, chunks: passages.length });
+            } catch (error) {
+                if (signal && signal.aborted) throw error;
+                stats.errors.push({ file: docId, error: error.message });
+            }
+        }
+
+        await this.save();
+        return {
+            ...stats,
+            documents: Object.keys(documents).length,
+            chunks: Object.values(documents).reduce((total, document) => total + document.chunks.length, 0)
+        };
+    }
+
+    /**
+     * Supported files under the directory as forward-slash paths relative to it;
+     * dot files and folders (including the index) are skipped
+     */
+    async listFiles(relative = '') {
+        let entries;
+        try {
+            entries = await fs.readdir(path.join(this.directory, relative), { withFileTypes: true });
+        } catch (error) {
+            if (error.code === 'ENOENT' && !relative) {
+                throw new Error(`Knowledge base directory not found: ${this.directory}`);
+            }
+            throw error;
+        }
+
+        const files = [];
+        for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+            const entryPath = relative ? `${relative}/${entry.name}` : entry.name;
+            if (entry.name.startsWith('.')) {
+                continue;
+            }
+            if (entry.isDirectory()) {
+                files.push(...await this.listFiles(entryPath));
+            } else if (EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) {
+                files.push(entryPath);
+            }
+        }
+        return files;
+    }
+
+    async embedAll(texts, signal) {
+        const vectors = [];
+        for (let i = 0; i < texts.length; i += this.batchSize) {
+            vectors.push(...await this.embedder.embed(texts.slice(i, i + this.batchSize), { signal }));
+        }
+        return vectors.map(KnowledgeBase.normalize);
+    }
+
+    /**
+     * Top passages for a query as { id, docId, title, path, text, score }, best
+     * first; passages scoring minScore or lower (cosine similarity) are dropped
+     */
+    async search(query, { k = this.topK, minScore = 0, signal } = {}) {
+        if (!this.ready) {
+            this.ready = this.autoIngest ? this.ingest({ signal }) : this.load();
+            // A failed first ingestion is retried on the next search
+            this.ready.catch(() => {
+                this.ready = null;
+            });
+        }
+        await this.ready;
+
+        const entries = Object.entries(this.index.documents);
+        if (entries.length === 0) {
+            return [];
+        }
+
+        const [queryVector] = (await this.embedder.embed([String(query)], { signal })).map(KnowledgeBase.normalize);
+        const results = [];
+        for (const [docId, document] of entries) {
+            document.chunks.forEach((chunk, index) => {
+                const score = KnowledgeBase.dot(queryVector, KnowledgeBase.decodeVector(chunk.vector));
+                if (score > minScore) {
+                    results.push({
+                        id: `${docId}#${index + 1}`,
+                        docId,
+                        title: document.title,
+                        path: path.join(this.directory, docId),
+                        text: chunk.text,
+                        score: Math.round(score * 1000) / 1000
+                    });
+                }
+            });
+        }
+
+        return results.sort((a, b) => b.score - a.score).slice(0, k);
+    }
+
+    /**
+     * Plain text and title of a document
+     */
+    static async extractText(filePath) {
+        const extension = path.extname(filePath).toLowerCase();
+        const fallbackTitle = path.basename(filePath, extension);
+
+        if (extension === '.pdf') {
+            return KnowledgeBase.extractPdfText(await fs.readFile(filePath), fallbackTitle);
+        }
+
+        const source = await fs.readFile(filePath, 'utf8');
+        if (extension === '.html' || extension === '.htm') {
+            const title = (source.match(/<title[^>]*>([\s\S]*?)<\/title>/i) || source.match(/<h1[^>]*>([\s\S]*?)<\/h1>/i) || [])[1];
+            const text = source
+                .replace(/<(script|style|noscript|head)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+                .replace(/<!--[\s\S]*?-->/g, ' ')
+                .replace(/<\/?(p|div|section|article|h[1-6]|li|tr|br|blockquote|pre)\b[^>]*>/gi, '\n\n')
+                .replace(/<[^>]+>/g, ' ');
+            return {
+                title: title ? KnowledgeBase.decodeEntities(title.replace(/<[^>]+>/g, '')).trim() : fallbackTitle,
+                text: KnowledgeBase.decodeEntities(text)
+            };
+        }
+
+        if (extension === '.md' || extension === '.markdown') {
+            const body = source.replace(/^---\n[\s\S]*?\n---\n/, '');
+            const heading = body.match(/^#\s+(.+)$/m);
+            const text = body
+                .replace(/```[a-z]*\n?/gi, '')
+                .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+                .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+                .replace(/^#{1,6}\s+/gm, '')
+                .replace(/[*_`]+/g, '');
+            return { title: heading ? heading[1].trim() : fallbackTitle, text };
+        }
+
+        return { title: fallbackTitle, text: source };
+    }
+
+    static async extractPdfText(buffer, fallbackTitle) {
+        const pdfjs = KnowledgeBase.loadPdfjs();
+        const document = await pdfjs.getDocument({
+            data: new Uint8Array(buffer),
+            disableFontFace: true,
+            isEvalSupported: false,
+            verbosity: 0
+        }).promise;
+
+        try {
+            const pages = [];
+            for (let number = 1; number <= document.numPages; number++) {
+                const page = await document.getPage(number);
+                const content = await page.getTextContent();
+                pages.push(content.items.map(item => item.str + (item.hasEOL ? '\n' : ' ')).join(''));
+            }
+
+            const metadata = await document.getMetadata().catch(() => null);
+            const title = metadata && metadata.info && metadata.info.Title;
+            return { title: title || fallbackTitle, text: pages.join('\n\n') };
+        } finally {
+            await document.destroy();
+        }
+    }
+
+    static loadPdfjs() {
+        // pdf.js looks for DOMMatrix and Path2D when it loads and warns without
+        // them; text extraction does not use them, the Skia canvas provides both
+        if (typeof globalThis.DOMMatrix === 'undefined' || typeof globalThis.Path2D === 'undefined') {
+            const { DOMMatrix, Path2D } = require('@napi-rs/canvas');
+            globalThis.DOMMatrix = globalThis.DOMMatrix || DOMMatrix;
+            globalThis.Path2D = globalThis.Path2D || Path2D;
+        }
+        return require('pdfjs-dist/legacy/build/pdf.js');
+    }
+
+    static decodeEntities(text) {
+        return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+            if (code[0] === '#') {
+                const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+                return Number.isFinite(point) ? String.fromCodePoint(point) : entity;
+            }
+            return HTML_ENTITIES[code.toLowerCase()] || entity;
+        });
+    }
+
+    /**
+     * Split text into passages of about chunkSize characters along paragraph and
+     * sentence boundaries; each passage repeats the last chunkOverlap characters
+     * of the one before it
+     */
+    static chunk(text, { chunkSize = DEFAULTS.chunkSize, chunkOverlap = DEFAULTS.chunkOverlap } = {}) {
+        const pieces = String(text)
+            .split(/\n\s*\n/)
+            .map(paragraph => paragraph.replace(/\s+/g, ' ').trim())
+            .filter(Boolean)
+            .flatMap(paragraph => (paragraph.length <= chunkSize ? [paragraph] : KnowledgeBase.splitParagraph(paragraph, chunkSize)));
+
+        const chunks = [];
+        let current = '';
+        let fresh = false;
+        for (const piece of pieces) {
+            if (fresh && current.length + piece.length + 1 > chunkSize) {
+                chunks.push(current);
+                const tail = chunkOverlap > 0 ? current.slice(-chunkOverlap) : '';
+                current = tail.includes(' ') ? tail.slice(tail.indexOf(' ') + 1) : '';
+                fresh = false;
+            }
+            current = current ? `${current}\n${piece}` : piece;
+            fresh = true;
+        }
+        if (fresh) {
+            chunks.push(current);
+        }
+        return chunks;
+    }
+
+    static splitParagraph(paragraph, chunkSize) {
+        return paragraph
+            .split(/(?<=[.!?])\s+/)
+            .flatMap(sentence => {
+                const parts = [];
+                for (let start = 0; start < sentence.length; start += chunkSize) {
+                    parts.push(sentence.slice(start, start + chunkSize));
+                }
+                return parts;
+            });
+    }
+
+    static normalize(vector) {
+        const length = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+        return length ? vector.map(value => value / length) : vector;
+    }
+
+    static dot(a, b) {
+        let sum = 0;
+        for (let i = 0; i < Math.min(a.length, b.length); i++) {
+            sum += a[i] * b[i];
+        }
+        return sum;
+    }
+
+    // Vectors are stored as base64 float32 to keep the index small
+    static encodeVector(vector) {
+        return Buffer.from(new Float32Array(vector).buffer).toString('base64');
+    }
+
+    static decodeVector(encoded) {
+        // Copied into a fresh (aligned) buffer
+        return new Float32Array(new Uint8Array(Buffer.from(encoded, 'base64')).buffer);
+    }
+}
+
+KnowledgeBase.EXTENSIONS = EXTENSIONS;
+KnowledgeBase.DEFAULTS = DEFAULTS;
+KnowledgeBase.EMBEDDERS = EMBEDDER_TYPES;
+KnowledgeBase.OllamaEmbedder = OllamaEmbedder;
+KnowledgeBase.HashingEmbedder = HashingEmbedder;
+
+module.exports = KnowledgeBase;
+
+if (require.main === module) {
+    const [directory, query] = process.argv.slice(2);
+    if (!directory) {
+        console.error('Usage: node knowledge-base.js <directory> ["search query"]');
+        process.exit(1);
+    }
+
+    const knowledgeBase = new KnowledgeBase({
+        directory,
+        embedder: { type: process.env.COMPOSEON_EMBEDDER || 'ollama', model: process.env.COMPOSEON_EMBED_MODEL },
+        autoIngest: false
+    });
+
+    knowledgeBase.ingest({ onFile: ({ docId, chunks }) => console.log(`📄 ${docId}: ${chunks} passages`) })
+        .then(async stats => {
+            console.log(`📚 ${stats.documents} documents, ${stats.chunks} passages (${stats.added} added, ${stats.updated} updated, ${stats.removed} removed)`);
+            stats.errors.forEach(({ file, error }) => console.warn(`⚠️ ${file}: ${error}`));
+
+            if (query) {
+                for (const passage of await knowledgeBase.search(query)) {
+                    console.log(`\n[${passage.score}] ${passage.id} - ${passage.title}\n${passage.text.slice(0, 300)}`);
+                }
+            }
+        })
+        .catch(error => {
+            console.error('❌', error.message);
+            process.exit(1);
+        });
+}
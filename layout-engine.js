@@ -0,0 +1,240 @@
+/**
+ * Layout Engine - Fits any number of icons into the visual post templates
+ *
+ * Picks the grid (rows, columns, icon size, label font size) that gives the
+ * largest icons inside a content region, wraps long labels to the cell width and
+ * flags layouts that drop below a minimum legibility threshold. Text is measured
+ * through a callback so it works with the browser canvas, the Skia canvas and
+ * the SVG backend alike.
+ */
+
+// Below these sizes (in canvas pixels) a post stops being readable in a feed
+const LEGIBILITY = {
+    minIconSize: 36,
+    minFontSize: 12
+};
+
+// Rough average glyph width as a share of font size, used when no measure callback is given
+const AVERAGE_CHAR_WIDTH = 0.55;
+
+const ELLIPSIS = '…';
+
+class LayoutEngine {
+    constructor(options = {}) {
+        this.measure = options.measureText || LayoutEngine.estimateTextWidth;
+        this.minIconSize = options.minIconSize || LEGIBILITY.minIconSize;
+        this.minFontSize = options.minFontSize || LEGIBILITY.minFontSize;
+    }
+
+    /**
+     * Fit labelled icons into a region; every size derives from a base cell
+     * (icon, gap, label and row gap at scale 1) so the design keeps its proportions
+     *
+     * Each column count is tried with 1..maxLines label lines; the combination
+     * giving the largest icons wins, ties going to fewer label lines and then
+     * fewer rows. Columns spread out (up to the region width) before labels wrap.
+     */
+    fitGrid(labels, region, options = {}) {
+        const {
+            cell = { width: 120, icon: 80, gap: 12, label: 16, rowGap: 26 },
+            maxCell = cell.width,
+            maxColumns = 8,
+            maxLines = 2,
+            lineHeight = 1.25,
+            labelWidth = 0.9,
+            family
+        } = options;
+
+        const count = labels.length;
+        const regionWidth = region.right - region.left;
+        const regionHeight = region.bottom - region.top;
+
+        let best = null;
+        for (let cols = 1; cols <= Math.max(1, Math.min(count, maxColumns)); cols++) {
+            const rows = Math.ceil(count / cols);
+            const columnWidth = regionWidth / cols;
+            const basePitch = Math.min(maxCell, columnWidth);
+            const widthScale = basePitch / cell.width;
+
+            for (let lines = 1; lines <= maxLines; lines++) {
+                const rowUnits = cell.icon + cell.gap + lines * cell.label * lineHeight + cell.rowGap;
+                const scale = Math.min(widthScale, regionHeight / (rows * rowUnits));
+                const labelSize = cell.label * scale;
+                const widest = labels.reduce((max, label) => Math.max(max, this.measure(label, labelSize, family)), 0);
+                const pitch = Math.min(columnWidth, Math.max(basePitch, widest / labelWidth));
+                const needed = this.countLines(labels, pitch * labelWidth, labelSize, family);
+
+                // Settle on the first line count that holds every label, or give up at maxLines
+                if (needed > lines && lines < maxLines) continue;
+
+                const candidate = { cols, rows, pitch, scale, lines: Math.min(needed, lines) };
+                if (!best || this.compareGrids(candidate, best) < 0) {
+                    best = candidate;
+                }
+                break;
+            }
+        }
+
+        const { cols, rows, pitch, scale, lines } = best;
+        const labelSize = cell.label * scale;
+        const labelLineHeight = labelSize * lineHeight;
+        const rowHeight = scale * (cell.icon + cell.gap + cell.rowGap) + lines * labelLineHeight;
+        const iconSize = cell.icon * scale;
+
+        return {
+            cols,
+            rows,
+            spacing: pitch,
+            rowHeight,
+            iconSize,
+            labelSize,
+            labelGap: cell.gap * scale,
+            labelLineHeight,
+            labels: labels.map(label => this.wrapText(label, pitch * labelWidth, labelSize, maxLines, family)),
+            top: region.top + (regionHeight - rows * rowHeight) / 2,
+            legible: this.isLegible(iconSize, labelSize),
+            cut: lines < this.countLines(labels, pitch * labelWidth, labelSize, family)
+        };
+    }
+
+    /**
+     * Split items over columns for list layouts: add columns while items would
+     * be shorter than preferredHeight, up to maxColumns
+     */
+    fitColumns(count, height, options = {}) {
+        const { maxHeight, preferredHeight, maxColumns = 3 } = options;
+
+        let cols = 1;
+        let rows = Math.max(count, 1);
+        let itemHeight = Math.min(maxHeight, height / rows);
+        while (itemHeight < preferredHeight && cols < maxColumns) {
+            cols += 1;
+            rows = Math.ceil(count / cols);
+            itemHeight = Math.min(maxHeight, height / rows);
+        }
+
+        return { cols, rows, itemHeight };
+    }
+
+    /**
+     * Word-wrap text to maxWidth; words longer than a line are broken and the
+     * last allowed line is ellipsized
+     */
+    wrapText(text, maxWidth, fontSize, maxLines = Infinity, family) {
+        const lines = [];
+        let current = '';
+
+        for (const word of String(text).split(/\s+/).filter(Boolean)) {
+            const candidate = current ? `${current} ${word}` : word;
+            if (this.measure(candidate, fontSize, family) <= maxWidth) {
+                current = candidate;
+                continue;
+            }
+
+            if (current) {
+                lines.push(current);
+                current = '';
+            }
+
+            // Break words that do not fit on a line of their own
+            let rest = word;
+            while (this.measure(rest, fontSize, family) > maxWidth && rest.length > 1) {
+                const head = this.fitCharacters(rest, maxWidth, fontSize, family);
+                lines.push(head);
+                rest = rest.slice(head.length);
+            }
+            current = rest;
+        }
+
+        if (current) {
+            lines.push(current);
+        }
+
+        if (lines.length > maxLines) {
+            const kept = lines.slice(0, maxLines);
+            kept[maxLines - 1] = this.truncateText(`${kept[maxLines - 1]} ${lines.slice(maxLines).join(' ')}`, maxWidth, fontSize, family);
+            return kept;
+        }
+
+        return lines;
+    }
+
+    /**
+     * Shorten text with an ellipsis until it fits maxWidth
+     */
+    truncateText(text, maxWidth, fontSize, family) {
+        const value = String(text);
+        if (this.measure(value, fontSize, family) <= maxWidth) {
+            return value;
+        }
+
+        const room = maxWidth - this.measure(ELLIPSIS, fontSize, family);
+        return `${this.fitCharacters(value, room, fontSize, family).trimEnd()}${ELLIPSIS}`;
+    }
+
+    /**
+     * Longest prefix of text that fits maxWidth (at least one character)
+     */
+    fitCharacters(text, maxWidth, fontSize, family) {
+        let low = 1;
+        let high = text.length;
+        while (low < high) {
+            const middle = Math.ceil((low + high) / 2);
+            if (this.measure(text.slice(0, middle), fontSize, family) <= maxWidth) {
+                low = middle;
+            } else {
+                high = middle - 1;
+            }
+        }
+        return text.slice(0, low);
+    }
+
+    /**
+     * Order candidate grids: larger icons first, then fewer label lines, then fewer rows
+     */
+    compareGrids(a, b) {
+        if (Math.abs(a.scale - b.scale) > 1e-6) return b.scale - a.scale;
+        if (a.lines !== b.lines) return a.lines - b.lines;
+        return a.rows - b.rows;
+    }
+
+    countLines(labels, maxWidth, fontSize, family) {
+        return labels.reduce((max, label) => Math.max(max, this.wrapText(label, maxWidth, fontSize, Infinity, family).length), 1);
+    }
+
+    isLegible(iconSize, fontSize) {
+        return iconSize >= this.minIconSize && fontSize >= this.minFontSize;
+    }
+
+    /**
+     * Explain an illegible layout; maxLegible is the largest icon count that still
+     * fits. With cut, labels are readable in size but too long for their space.
+     */
+    describeIllegible(count, iconSize, fontSize, maxLegible, cut = false) {
+        const advice = maxLegible > 0
+            ? `select at most ${maxLegible} icons or use a larger preset`
+            : 'use a larger preset';
+
+        if (cut && this.isLegible(iconSize, fontSize)) {
+            return `${count} icons do not fit legibly: labels are cut short to fit their columns - ${advice}`;
+        }
+        return `${count} icons do not fit legibly: icons shrink to ${Math.round(iconSize)}px and text to ` +
+            `${Math.round(fontSize)}px (minimum ${this.minIconSize}px / ${this.minFontSize}px) - ${advice}`;
+    }
+
+    /**
+     * Approximate text width without a font engine
+     */
+    static estimateTextWidth(text, fontSize) {
+        return String(text).length * fontSize * AVERAGE_CHAR_WIDTH;
+    }
+}
+
+LayoutEngine.LEGIBILITY = LEGIBILITY;
+
+// Export for different module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LayoutEngine;
+} else if (typeof window !== 'undefined') {
+    window.LayoutEngine = LayoutEngine;
+}
@@ -0,0 +1,427 @@
+/**
+ * LLM Provider - One interface over the language model backends
+ *
+ * Every provider takes a prompt plus per-call options (model, temperature,
+ * maxTokens, system prompt) and resolves to { text, provider, model, usage }.
+ * A `format` option (a JSON schema, or 'json') asks for JSON output where the
+ * backend has a JSON mode; callers still validate the reply (see llm-schema.js).
+ * An `onToken` callback streams the reply: it gets each piece of text as it
+ * arrives, and the promise still resolves to the full text. `signal` cancels.
+ *
+ * - ollama: Ollama's generate API, by default through the local proxy at /api/ollama
+ * - openai: OpenAI-compatible chat completions - OpenAI itself, llama.cpp server,
+ *   vLLM, LM Studio or anything else serving /v1/chat/completions
+ * - anthropic: the Anthropic Messages API
+ * - mock: canned, deterministic answers for tests and offline demos
+ *
+ * LLMProvider.create({ type, ...options }) builds a provider from a plain spec,
+ * so providers can be configured from JSON or environment variables.
+ */
+
+const LLM_DEFAULTS = {
+    temperature: 0.7,
+    maxTokens: 1024
+};
+
+class LLMProvider {
+    constructor(options = {}) {
+        this.name = options.name || this.constructor.TYPE;
+        this.model = options.model || null;
+        this.temperature = options.temperature === undefined ? LLM_DEFAULTS.temperature : options.temperature;
+        this.maxTokens = options.maxTokens || LLM_DEFAULTS.maxTokens;
+        this.fetch = options.fetch || ((...args) => fetch(...args));
+    }
+
+    /**
+     * Complete a prompt; options override the provider's model, temperature and maxTokens
+     */
+    async complete(prompt, options = {}) {
+        const request = {
+            prompt: String(prompt),
+            system: options.system || null,
+            model: options.model || this.model,
+            temperature: options.temperature === undefined ? this.temperature : Number(options.temperature),
+            maxTokens: options.maxTokens === undefined ? this.maxTokens : Number(options.maxTokens),
+            format: options.format || null,
+            onToken: typeof options.onToken === 'function' ? options.onToken : null,
+            signal: options.signal
+        };
+
+        if (!request.model) {
+            throw new Error(`${this.name}: no model configured`);
+        }
+        if (!(request.temperature >= 0 && request.temperature <= 2)) {
+            throw new Error(`${this.name}: temperature must be between 0 and 2`);
+        }
+        if (!(Number.isInteger(request.maxTokens) && request.maxTokens > 0)) {
+            throw new Error(`${this.name}: maxTokens must be a positive integer`);
+        }
+
+        const result = await this.send(request);
+        return {
+            text: result.text,
+            provider: this.name,
+            model: result.model || request.model,
+            usage: result.usage || null
+        };
+    }
+
+    /**
+     * Backend call - implemented by each provider
+     */
+    async send() {
+        throw new Error(`${this.name}: send() is not implemented`);
+    }
+
+    /**
+     * POST JSON; failed requests carry the status and the start of the body,
+     * and the error has `status` and `retryAfter` (ms) for RequestScheduler
+     */
+    async post(url, body, { headers = {}, signal } = {}) {
+        const response = await this.fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...headers },
+            body: JSON.stringify(body),
+            signal
+        });
+
+        if (!response.ok) {
+            const details = await response.text().catch(() => '');
+            const error = new Error(`${this.name} request failed: ${response.status}${details ? ` ${details.slice(0, 200)}` : ''}`);
+            const retryAfter = Number(response.headers && response.headers.get('retry-after'));
+            error.status = response.status;
+            if (retryAfter > 0) error.retryAfter = retryAfter * 1000;
+            throw error;
+        }
+        return response;
+    }
+
+    async postJSON(url, body, options = {}) {
+        const response = await this.post(url, body, options);
+        return response.json();
+    }
+
+    /**
+     * POST JSON and hand each non-empty line of the streamed reply (NDJSON or
+     * Server-Sent Events) to onLine; an error thrown by onLine cancels the stream
+     */
+    async postStream(url, body, onLine, options = {}) {
+        const response = await this.post(url, body, options);
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+
+        let buffer = '';
+        try {
+            for (;;) {
+                const { done, value } = await reader.read();
+                buffer += done ? decoder.decode() : decoder.decode(value, { stream: true });
+
+                const lines = buffer.split('\n');
+                buffer = done ? '' : lines.pop();
+                for (const line of lines) {
+                    if (line.trim()) onLine(line.trim());
+                }
+                if (done) return;
+            }
+        } catch (error) {
+            reader.cancel().catch(() => {});
+            throw error;
+        }
+    }
+
+    /**
+     * Build a provider from { type, ...options } (a provider instance is returned as is)
+     */
+    static create(spec) {
+        if (spec instanceof LLMProvider) {
+            return spec;
+        }
+
+        const { type, ...options } = typeof spec === 'string' ? { type: spec } : spec || {};
+        const Provider = LLM_PROVIDER_TYPES[type];
+        if (!Provider) {
+            throw new Error(`Unknown LLM provider '${type}' (use ${Object.keys(LLM_PROVIDER_TYPES).join(', ')})`);
+        }
+        return new Provider(options);
+    }
+}
+
+class OllamaProvider extends LLMProvider {
+    constructor(options = {}) {
+        super({ ...options, model: options.model || 'llama3.2' });
+        this.endpoint = options.endpoint || 'http://localhost:3000/api/ollama';
+        this.topP = options.topP === undefined ? 0.9 : options.topP;
+    }
+
+    async send({ prompt, system, model, temperature, maxTokens, format, onToken, signal }) {
+        // Ollama takes 'json' or a JSON schema as the format
+        const body = {
+            model,
+            prompt,
+            ...(system && { system }),
+            ...(format && { format }),
+            stream: Boolean(onToken),
+            options: {
+                temperature,
+                top_p: this.topP,
+                num_predict: maxTokens
+            }
+        };
+
+        if (!onToken) {
+            return this.toResult(await this.postJSON(this.endpoint, body, { signal }));
+        }
+
+        // Streamed replies are NDJSON chunks; the last one (done: true) has the counts
+        let text = '';
+        let last = {};
+        await this.postStream(this.endpoint, body, line => {
+            const chunk = JSON.parse(line);
+            if (chunk.error) {
+                throw new Error(`${this.name}: ${chunk.error}`);
+            }
+            if (chunk.response) {
+                text += chunk.response;
+                onToken(chunk.response);
+            }
+            if (chunk.done) last = chunk;
+        }, { signal });
+
+        return { ...this.toResult(last), text };
+    }
+
+    toResult(data) {
+        return {
+            text: data.response || '',
+            model: data.model,
+            usage: { inputTokens: data.prompt_eval_count || 0, outputTokens: data.eval_count || 0 }
+        };
+    }
+}
+
+class OpenAICompatibleProvider extends LLMProvider {
+    constructor(options = {}) {
+        super({ ...options, model: options.model || 'gpt-4o-mini' });
+        this.baseURL = (options.baseURL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+        this.apiKey = options.apiKey || null;
+        // How JSON output is requested: json_schema, json_object (older servers) or none
+        this.jsonMode = options.jsonMode || 'json_schema';
+    }
+
+    async send({ prompt, system, model, temperature, maxTokens, format, onToken, signal }) {
+        const messages = system
+            ? [{ role: 'system', content: system }, { role: 'user', content: prompt }]
+            : [{ role: 'user', content: prompt }];
+
+        // Local servers (llama.cpp, vLLM, LM Studio) usually need no key
+        const headers = this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {};
+        const body = {
+            model,
+            messages,
+            temperature,
+            max_tokens: maxTokens,
+            ...(format && this.jsonMode !== 'none' && { response_format: this.getResponseFormat(format) })
+        };
+
+        if (onToken) {
+            // Server-Sent Events with content deltas, ending in "data: [DONE]"
+            let text = '';
+            let streamedModel;
+            await this.postStream(`${this.baseURL}/chat/completions`, { ...body, stream: true }, line => {
+                const payload = line.startsWith('data:') ? line.slice(5).trim() : '';
+                if (!payload || payload === '[DONE]') return;
+
+                const chunk = JSON.parse(payload);
+                const delta = chunk.choices && chunk.choices[0] && chunk.choices[0].delta;
+                streamedModel = chunk.model || streamedModel;
+                if (delta && delta.content) {
+                    text += delta.content;
+                    onToken(delta.content);
+                }
+            }, { headers, signal });
+            return { text, model: streamedModel, usage: null };
+        }
+
+        const data = await this.postJSON(`${this.baseURL}/chat/completions`, body, { headers, signal });
+
+        const choice = (data.choices || [])[0];
+        return {
+            text: choice && choice.message ? choice.message.content || '' : '',
+            model: data.model,
+            usage: data.usage ? { inputTokens: data.usage.prompt_tokens || 0, outputTokens: data.usage.completion_tokens || 0 } : null
+        };
+    }
+
+    getResponseFormat(format) {
+        if (format === 'json' || this.jsonMode === 'json_object') {
+            return { type: 'json_object' };
+        }
+        return { type: 'json_schema', json_schema: { name: 'response', schema: format } };
+    }
+}
+
+class AnthropicProvider extends LLMProvider {
+    constructor(options = {}) {
+        super({ ...options, model: options.model || 'claude-3-5-haiku-latest' });
+        this.baseURL = (options.baseURL || 'https://api.anthropic.com').replace(/\/+$/, '');
+        this.apiKey = options.apiKey || null;
+        this.version = options.version || '2023-06-01';
+    }
+
+    // No JSON mode in the Messages API - the prompt carries the schema
+    async send({ prompt, system, model, temperature, maxTokens, onToken, signal }) {
+        if (!this.apiKey) {
+            throw new Error('anthropic: API key not configured');
+        }
+
+        const headers = { 'x-api-key': this.apiKey, 'anthropic-version': this.version };
+        if (typeof window !== 'undefined') {
+            headers['anthropic-dangerous-direct-browser-access'] = 'true';
+        }
+
+        const body = {
+            model,
+            max_tokens: maxTokens,
+            temperature,
+            ...(system && { system }),
+            messages: [{ role: 'user', content: prompt }]
+        };
+
+        if (onToken) {
+            // Server-Sent Events: message_start has the input usage, text arrives
+            // in content_block_delta events and message_delta has the output usage
+            let text = '';
+            let streamedModel;
+            const usage = { inputTokens: 0, outputTokens: 0 };
+            await this.postStream(`${this.baseURL}/v1/messages`, { ...body, stream: true }, line => {
+                if (!line.startsWith('data:')) return;
+
+                const event = JSON.parse(line.slice(5).trim());
+                if (event.type === 'error') {
+                    throw new Error(`${this.name}: ${event.error ? event.error.message : 'stream error'}`);
+                } else if (event.type === 'message_start') {
+                    streamedModel = event.message.model;
+                    usage.inputTokens = (event.message.usage || {}).input_tokens || 0;
+                } else if (event.type === 'content_block_delta' && event.delta.type === 'text_delta') {
+                    text += event.delta.text;
+                    onToken(event.delta.text);
+                } else if (event.type === 'message_delta' && event.usage) {
+                    usage.outputTokens = event.usage.output_tokens || 0;
+                }
+            }, { headers, signal });
+            return { text, model: streamedModel, usage };
+        }
+
+        const data = await this.postJSON(`${this.baseURL}/v1/messages`, body, { headers, signal });
+
+        return {
+            text: (data.content || []).filter(block => block.type === 'text').map(block => block.text).join(''),
+            model: data.model,
+            usage: data.usage ? { inputTokens: data.usage.input_tokens || 0, outputTokens: data.usage.output_tokens || 0 } : null
+        };
+    }
+}
+
+/**
+ * Deterministic provider for tests: `responses` is a function of the request,
+ * an array answered in turn, or an object whose first key found in the prompt
+ * picks the answer (objects are sent as JSON). Anything else gets an echo of
+ * the prompt's first line, or a sample document when a JSON schema is
+ * requested. Every request is recorded in `calls`. With `onToken` the answer
+ * is streamed word by word.
+ */
+class MockProvider extends LLMProvider {
+    constructor(options = {}) {
+        super({ ...options, model: options.model || 'mock' });
+        this.responses = options.responses || null;
+        this.calls = [];
+    }
+
+    async send(request) {
+        const { signal, onToken, ...recorded } = request;
+        this.calls.push(recorded);
+        if (signal && signal.aborted) {
+            throw new Error('mock: request aborted');
+        }
+
+        let text;
+        if (typeof this.responses === 'function') {
+            text = await this.responses(recorded);
+        } else if (Array.isArray(this.responses) && this.responses.length > 0) {
+            text = this.responses[(this.calls.length - 1) % this.responses.length];
+        } else if (this.responses && typeof this.responses === 'object') {
+            const key = Object.keys(this.responses).find(match => request.prompt.includes(match));
+            text = key === undefined ? undefined : this.responses[key];
+        }
+
+        if (text === undefined) {
+            text = request.format && typeof request.format === 'object'
+                ? MockProvider.sample(request.format)
+                : `Mock response to: ${request.prompt.trim().split('\n')[0].slice(0, 120)}`;
+        }
+        if (typeof text === 'object') {
+            text = JSON.stringify(text);
+        }
+        if (onToken) {
+            for (const token of String(text).match(/\s*\S+/g) || []) {
+                if (signal && signal.aborted) {
+                    throw new Error('mock: request aborted');
+                }
+                onToken(token);
+                await Promise.resolve();
+            }
+        }
+
+        return {
+            text: String(text),
+            usage: { inputTokens: request.prompt.length, outputTokens: String(text).length }
+        };
+    }
+
+    /**
+     * Smallest document matching a schema, with every property filled in
+     */
+    static sample(schema, key = 'value') {
+        const type = [].concat(schema.type || 'string')[0];
+        if (schema.enum) return schema.enum[0];
+        if (type === 'object') {
+            const value = {};
+            for (const [name, property] of Object.entries(schema.properties || {})) {
+                value[name] = MockProvider.sample(property, name);
+            }
+            return value;
+        }
+        if (type === 'array') {
+            return Array.from({ length: Math.max(schema.minItems || 0, 1) }, (entry, index) => MockProvider.sample(schema.items || {}, `${key} ${index + 1}`));
+        }
+        if (type === 'number' || type === 'integer') return 1;
+        if (type === 'boolean') return true;
+        return `Mock ${key}`.slice(0, schema.maxLength || undefined);
+    }
+}
+
+OllamaProvider.TYPE = 'ollama';
+OpenAICompatibleProvider.TYPE = 'openai';
+AnthropicProvider.TYPE = 'anthropic';
+MockProvider.TYPE = 'mock';
+
+const LLM_PROVIDER_TYPES = {
+    ollama: OllamaProvider,
+    openai: OpenAICompatibleProvider,
+    anthropic: AnthropicProvider,
+    mock: MockProvider
+};
+
+LLMProvider.TYPES = LLM_PROVIDER_TYPES;
+LLMProvider.DEFAULTS = LLM_DEFAULTS;
+LLMProvider.Ollama = OllamaProvider;
+LLMProvider.OpenAICompatible = OpenAICompatibleProvider;
+LLMProvider.Anthropic = AnthropicProvider;
+LLMProvider.Mock = MockProvider;
+
+// Export for different module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LLMProvider;
+} else if (typeof window !== 'undefined') {
+    window.LLMProvider = LLMProvider;
+}
@@ -0,0 +1,263 @@
+/**
+ * LLM Schema - JSON schemas for every structured LLM step, and their validation
+ *
+ * Each stage of carousel generation (the research dimensions, the carousel
+ * structure, slide content and the summary) declares the JSON it expects. The
+ * schema is sent to providers that support a JSON/format mode, the reply is
+ * extracted and validated here, and validation errors feed the repair prompt.
+ *
+ * The validator covers the JSON Schema subset these schemas use: type, enum,
+ * properties, required, items, minItems/maxItems and minLength/maxLength.
+ * Extra properties are allowed.
+ */
+
+const schemaText = (maxLength = 600) => ({ type: 'string', minLength: 1, maxLength });
+const schemaList = (items, maxItems = 8, minItems = 0) => ({ type: 'array', items, minItems, maxItems });
+
+const STAGE_SCHEMAS = {
+    news: {
+        type: 'object',
+        required: ['news'],
+        properties: {
+            summary: schemaText(),
+            news: schemaList({
+                type: 'object',
+                required: ['title', 'snippet'],
+                properties: { title: schemaText(200), snippet: schemaText(), date: { type: 'string' } }
+            }, 8)
+        }
+    },
+    market: {
+        type: 'object',
+        required: ['summary', 'metrics'],
+        properties: {
+            summary: schemaText(),
+            valuation: { type: 'string' },
+            funding: { type: 'string' },
+            marketShare: { type: 'string' },
+            metrics: schemaList({
+                type: 'object',
+                required: ['label', 'value'],
+                properties: { label: schemaText(80), value: schemaText(40) }
+            }, 6)
+        }
+    },
+    technical: {
+        type: 'object',
+        required: ['summary', 'features'],
+        properties: {
+            summary: schemaText(),
+            stack: schemaList(schemaText(80)),
+            features: schemaList(schemaText(200), 8, 1),
+            integrations: schemaList(schemaText(120)),
+            pricing: { type: 'string' }
+        }
+    },
+    competitive: {
+        type: 'object',
+        required: ['summary', 'competitors'],
+        properties: {
+            summary: schemaText(),
+            competitors: schemaList({
+                type: 'object',
+                required: ['name'],
+                properties: { name: schemaText(80), positioning: { type: 'string' } }
+            }, 6),
+            advantages: schemaList(schemaText(200), 5),
+            threats: schemaList(schemaText(200), 5)
+        }
+    },
+    developments: {
+        type: 'object',
+        required: ['developments'],
+        properties: {
+            summary: schemaText(),
+            developments: schemaList({
+                type: 'object',
+                required: ['title', 'summary'],
+                properties: { title: schemaText(200), summary: schemaText(), date: { type: 'string' } }
+            }, 8)
+        }
+    },
+    structure: {
+        type: 'object',
+        required: ['slides'],
+        properties: {
+            slides: schemaList({
+                type: 'object',
+                required: ['title', 'keyPoints'],
+                properties: {
+                    title: schemaText(120),
+                    purpose: { type: 'string' },
+                    keyPoints: schemaList(schemaText(200), 6, 1),
+                    metrics: schemaList(schemaText(120), 4),
+                    visual: { type: 'string' }
+                }
+            }, 12, 1)
+        }
+    },
+    slide: {
+        type: 'object',
+        required: ['headline', 'bullets'],
+        properties: {
+            headline: schemaText(80),
+            bullets: schemaList(schemaText(160), 5, 1),
+            statistic: {
+                type: 'object',
+                required: ['value'],
+                properties: { value: schemaText(24), label: { type: 'string', maxLength: 120 } }
+            },
+            visual: { type: 'string' },
+            question: { type: 'string', maxLength: 160 },
+            sources: schemaList({ type: 'string', maxLength: 40 }, 8)
+        }
+    },
+    summary: {
+        type: 'object',
+        required: ['overview', 'insights'],
+        properties: {
+            overview: schemaText(800),
+            insights: schemaList(schemaText(240), 6, 1),
+            recommendations: schemaList(schemaText(240), 5),
+            implications: { type: 'string' },
+            hashtags: schemaList({ type: 'string', maxLength: 40 }, 8)
+        }
+    }
+};
+
+class LLMSchema {
+    /**
+     * Schema of a stage (news, market, technical, competitive, developments,
+     * structure, slide or summary)
+     */
+    static forStage(stage) {
+        const schema = STAGE_SCHEMAS[stage];
+        if (!schema) {
+            throw new Error(`No schema for LLM stage '${stage}' (use ${Object.keys(STAGE_SCHEMAS).join(', ')})`);
+        }
+        return schema;
+    }
+
+    /**
+     * Validation errors of a value against a schema, e.g. "$.bullets: expected at most 5 items"
+     */
+    static validate(schema, value, path = '$') {
+        const errors = [];
+        const types = [].concat(schema.type || []);
+
+        if (types.length > 0 && !types.some(type => LLMSchema.isType(value, type))) {
+            errors.push(`${path}: expected ${types.join(' or ')}, got ${value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value}`);
+            return errors;
+        }
+        if (schema.enum && !schema.enum.includes(value)) {
+            errors.push(`${path}: must be one of ${schema.enum.map(entry => JSON.stringify(entry)).join(', ')}`);
+        }
+
+        if (typeof value === 'string') {
+            if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+                errors.push(`${path}: must not be empty`);
+            }
+            if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+                errors.push(`${path}: longer than ${schema.maxLength} characters`);
+            }
+        }
+
+        if (Array.isArray(value)) {
+            if (schema.minItems !== undefined && value.length < schema.minItems) {
+                errors.push(`${path}: expected at least ${schema.minItems} items`);
+            }
+            if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+                errors.push(`${path}: expected at most ${schema.maxItems} items`);
+            }
+            if (schema.items) {
+                value.forEach((item, index) => errors.push(...LLMSchema.validate(schema.items, item, `${path}[${index}]`)));
+            }
+        } else if (value && typeof value === 'object') {
+            for (const key of schema.required || []) {
+                if (value[key] === undefined || value[key] === null) {
+                    errors.push(`${path}.${key}: required`);
+                }
+            }
+            for (const [key, property] of Object.entries(schema.properties || {})) {
+                if (value[key] !== undefined && value[key] !== null) {
+                    errors.push(...LLMSchema.validate(property, value[key], `${path}.${key}`));
+                }
+            }
+        }
+
+        return errors;
+    }
+
+    static isType(value, type) {
+        switch (type) {
+            case 'object': return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+            case 'array': return Array.isArray(value);
+            case 'integer': return Number.isInteger(value);
+            case 'number': return typeof value === 'number' && Number.isFinite(value);
+            case 'null': return value === null;
+            default: return typeof value === type;
+        }
+    }
+
+    /**
+     * Pull the first JSON object or array out of a model reply, skipping code
+     * fences and any prose around it
+     */
+    static extractJSON(reply) {
+        const source = String(reply || '').replace(/```(?:json)?/gi, '');
+        const start = source.search(/[{[]/);
+        if (start === -1) {
+            throw new Error('No JSON found in the response');
+        }
+
+        // Find the matching close bracket, ignoring brackets inside strings
+        const stack = [];
+        let inString = false;
+        for (let i = start; i < source.length; i++) {
+            const char = source[i];
+            if (inString) {
+                if (char === '\\') i++;
+                else if (char === '"') inString = false;
+            } else if (char === '"') {
+                inString = true;
+            } else if (char === '{' || char === '[') {
+                stack.push(char === '{' ? '}' : ']');
+            } else if (char === '}' || char === ']') {
+                if (stack.pop() !== char) {
+                    throw new Error(`Malformed JSON in the response (unexpected '${char}')`);
+                }
+                if (stack.length === 0) {
+                    return JSON.parse(source.slice(start, i + 1));
+                }
+            }
+        }
+        throw new Error('Incomplete JSON in the response');
+    }
+
+    /**
+     * Readable text of structured output ("Headline: ...", "- bullet"), kept
+     * as the `analysis` field for text consumers
+     */
+    static toText(data) {
+        const label = key => key.replace(/([A-Z])/g, ' $1').replace(/^./, char => char.toUpperCase());
+        const line = value => (value && typeof value === 'object'
+            ? Object.values(value).filter(entry => entry !== null && entry !== undefined && entry !== '').join(' - ')
+            : String(value));
+
+        return Object.entries(data || {})
+            .filter(([, value]) => value !== null && value !== undefined && value !== '' && !(Array.isArray(value) && value.length === 0))
+            .map(([key, value]) => (Array.isArray(value)
+                ? `${label(key)}:\n${value.map(entry => `- ${line(entry)}`).join('\n')}`
+                : `${label(key)}: ${line(value)}`))
+            .join('\n\n');
+    }
+}
+
+LLMSchema.STAGES = STAGE_SCHEMAS;
+
+// Export for different module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LLMSchema;
+} else if (typeof window !== 'undefined') {
+    window.LLMSchema = LLMSchema;
+}
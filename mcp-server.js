@@ -8,7 +8,14 @@
  * - Searching and browsing Lobe Icons
  * - Generating LinkedIn posts with selected icons
  * - Managing icon collections
- * - Downloading icons in various formats
+ * - Exposing icons as icon:// resources
+ * - Offering the post templates as MCP prompts
+ * - Rendering icons to PNG/WebP/JPEG at any size
+ * - Bundling icons into SVG sprites, CSS, JSON or zip archives
+ * - Rendering finished visual posts (image + text) without a browser
+ * - Loading user visual templates (JSON/YAML) from the templates directory
+ * - Applying a brand kit (palette, fonts, logo) to visual posts
+ * - Rendering AI carousels to slide images and a LinkedIn document PDF
  */
 
 const { Server } = require('@modelcontextprotocol/sdk/server/index.js');
@@ -16,27 +23,96 @@ const { StdioServerTransport } = require('@modelcontextprotocol/sdk/server/stdio
 const {
   CallToolRequestSchema,
   ErrorCode,
+  GetPromptRequestSchema,
+  ListPromptsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
   ListToolsRequestSchema,
   McpError,
+  ReadResourceRequestSchema,
 } = require('@modelcontextprotocol/sdk/types.js');
 
 const fs = require('fs').promises;
 const path = require('path');
+const IconCatalog = require('./icon-catalog');
+const IconRenderer = require('./icon-renderer');
+const IconBundler = require('./icon-bundle');
+const VisualPostGenerator = require('./visual-post-generator');
+const VisualPostRenderer = require('./visual-post-renderer');
+const TemplateLoader = require('./template-loader');
+const BrandKit = require('./brand-kit');
+const CarouselRenderer = require('./carousel-renderer');
+const CarouselExporter = require('./carousel-exporter');
+const SvgTransformer = require('./svg-transform');
+
+const ICON_URI_SCHEME = 'icon://';
+const RESOURCES_PAGE_SIZE = 100;
+
+// Recoloring arguments shared by get_icon and render_icon
+const TRANSFORM_PROPERTIES = {
+  fill: {
+    type: 'string',
+    description: 'Paint every filled shape with this color (CSS color or hex, e.g. "#0A66C2")'
+  },
+  currentColor: {
+    type: 'string',
+    description: 'Replace currentColor only - tints mono icons and keeps brand colors'
+  },
+  monochrome: {
+    type: 'string',
+    description: 'Single-color silhouette in this color ("true" for black)'
+  },
+  invert: {
+    type: 'boolean',
+    description: 'Lighten dark colors for use on dark backgrounds',
+    default: false
+  },
+  minify: {
+    type: 'boolean',
+    description: 'Strip comments, metadata and whitespace from the SVG',
+    default: false
+  }
+};
+
+// LinkedIn post templates, shared by the generate_linkedin_post tool and MCP prompts
+const POST_TEMPLATES = {
+  'tools-spotlight': {
+    title: 'Tools Spotlight',
+    description: 'Highlight amazing tools and what makes each one stand out',
+    goal: 'Spotlight each tool, explain the unique capability it brings, and invite readers to share their favorite.'
+  },
+  'tech-stack': {
+    title: 'Tech Stack',
+    description: 'Showcase your development stack and how the pieces fit together',
+    goal: 'Present the tools as one stack, explain the role each plays in the development lifecycle and how they work together.'
+  },
+  'comparison': {
+    title: 'Tool Comparison',
+    description: 'Compare different solutions and when to pick each one',
+    goal: 'Compare the tools objectively, covering strengths, ideal use cases and the criteria that should drive the choice.'
+  },
+  'trend-analysis': {
+    title: 'Trend Analysis',
+    description: 'Analyze why these technologies are gaining traction',
+    goal: 'Explain why these technologies are trending, what problems they solve and what to watch next.'
+  }
+};
 
 class ComposeonMCPServer {
   constructor() {
     this.name = 'composeon-server';
     this.version = '1.0.0';
     this.iconBasePath = path.join(__dirname, 'lobe-icons/packages/static-svg/icons');
+    this.manifestPath = path.join(__dirname, 'icons-manifest.json');
+    this.catalog = new IconCatalog();
+    this.renderer = new IconRenderer();
+    this.transformer = new SvgTransformer();
+    this.bundler = new IconBundler({ catalog: this.catalog, iconsPath: this.iconBasePath });
+    this.templateLoader = new TemplateLoader({
+      directory: process.env.COMPOSEON_TEMPLATES_DIR || path.join(__dirname, 'templates'),
+      reservedIds: VisualPostGenerator.BUILT_IN_TEMPLATES
+    });
     this.icons = [];
-    this.categories = {
-      ai: ['openai', 'claude', 'anthropic', 'gemini', 'chatglm', 'deepseek', 'cohere', 'mistral'],
-      cloud: ['aws', 'azure', 'google', 'googlecloud', 'microsoft', 'alibaba', 'alibabacloud'],
-      database: ['mongodb', 'postgresql', 'mysql', 'redis', 'elasticsearch', 'cassandra'],
-      design: ['figma', 'adobe', 'sketch', 'canva', 'framer', 'principle'],
-      dev: ['github', 'gitlab', 'vscode', 'cursor', 'docker', 'kubernetes'],
-      social: ['linkedin', 'twitter', 'facebook', 'instagram', 'discord', 'slack']
-    };
   }
 
   async initialize() {
@@ -46,121 +122,50 @@ class ComposeonMCPServer {
 
   async loadIcons() {
     try {
-      // Load icons from directory
-      const files = await fs.readdir(this.iconBasePath);
-      const svgFiles = files.filter(file => file.endsWith('.svg'));
-
-      this.icons = svgFiles.map(file => {
-        const name = path.parse(file).name;
-        const category = this.categorizeIcon(name);
-        return {
-          name,
-          category,
-          filename: file,
-          path: path.join(this.iconBasePath, file),
-          displayName: this.formatDisplayName(name),
-          variations: this.getVariations(name, svgFiles)
-        };
+      const { source } = await this.catalog.loadFromDisk({
+        manifestPath: this.manifestPath,
+        iconsPath: this.iconBasePath
       });
-
-      // Remove duplicates (keep base version)
-      const uniqueIcons = new Map();
-      this.icons.forEach(icon => {
-        const baseName = icon.name.replace(/-(?:color|text|brand)$/, '');
-        if (!uniqueIcons.has(baseName) || icon.name === baseName) {
-          uniqueIcons.set(baseName, {
-            ...icon,
-            name: baseName,
-            variations: this.getVariations(baseName, svgFiles)
-          });
-        }
-      });
-
-      this.icons = Array.from(uniqueIcons.values());
+      console.error(`Loaded icon catalog from ${source}`);
     } catch (error) {
       console.error('Failed to load icons:', error);
-      this.icons = this.getFallbackIcons();
+      this.catalog.buildFallback();
     }
-  }
 
-  categorizeIcon(name) {
-    const baseName = name.replace(/-(?:color|text|brand)$/, '');
-    for (const [category, keywords] of Object.entries(this.categories)) {
-      if (keywords.some(keyword => baseName.includes(keyword))) {
-        return category;
-      }
-    }
-    return 'other';
+    this.icons = this.catalog.icons;
   }
 
-  formatDisplayName(name) {
-    const specialNames = {
-      'openai': 'OpenAI',
-      'chatgpt': 'ChatGPT',
-      'github': 'GitHub',
-      'vscode': 'VS Code',
-      'nodejs': 'Node.js',
-      'nextjs': 'Next.js',
-      'typescript': 'TypeScript',
-      'javascript': 'JavaScript'
-    };
-
-    const baseName = name.replace(/-(?:color|text|brand)$/, '');
-    return specialNames[baseName] || baseName.charAt(0).toUpperCase() + baseName.slice(1);
+  getIcon(name) {
+    return this.catalog.getIcon(name);
   }
 
-  getVariations(baseName, allFiles) {
-    const variations = ['default'];
-    const possibleVariations = ['color', 'text', 'brand'];
-
-    possibleVariations.forEach(variation => {
-      if (allFiles.includes(`${baseName}-${variation}.svg`)) {
-        variations.push(variation);
-      }
-    });
-
-    return variations;
+  /**
+   * User visual templates; broken files are logged and skipped
+   */
+  async loadVisualTemplates() {
+    const { templates, errors } = await this.templateLoader.load();
+    errors.forEach(({ file, error }) => console.error(`Skipping visual template ${file}: ${error}`));
+    return templates;
   }
 
-  getFallbackIcons() {
-    const fallbackList = [
-      'openai', 'claude', 'github', 'figma', 'google', 'microsoft',
-      'aws', 'azure', 'docker', 'react', 'nodejs', 'python'
-    ];
-
-    return fallbackList.map(name => ({
-      name,
-      category: this.categorizeIcon(name),
-      filename: `${name}.svg`,
-      path: path.join(this.iconBasePath, `${name}.svg`),
-      displayName: this.formatDisplayName(name),
-      variations: ['default']
-    }));
+  /**
+   * Brand kit for a render: an inline spec, a path to a JSON/YAML kit file or
+   * the kit file in COMPOSEON_BRAND_KIT
+   */
+  async resolveBrandKit(value) {
+    const source = value || process.env.COMPOSEON_BRAND_KIT;
+    if (!source) {
+      return null;
+    }
+    return typeof source === 'string' ? BrandKit.load(source) : BrandKit.from(source);
   }
 
   searchIcons(query, category = null, limit = 50) {
-    let filtered = this.icons;
-
-    if (category && category !== 'all') {
-      filtered = filtered.filter(icon => icon.category === category);
-    }
-
-    if (query && query.trim()) {
-      const searchTerm = query.toLowerCase();
-      filtered = filtered.filter(icon =>
-        icon.name.toLowerCase().includes(searchTerm) ||
-        icon.displayName.toLowerCase().includes(searchTerm) ||
-        icon.category.toLowerCase().includes(searchTerm)
-      );
-    }
-
-    return filtered.slice(0, limit);
+    return this.catalog.search(query, { category, limit });
   }
 
   generateLinkedInPost(template, selectedIcons) {
-    const iconObjects = selectedIcons.map(name =>
-      this.icons.find(icon => icon.name === name)
-    ).filter(Boolean);
+    const iconObjects = this.catalog.getIconsByNames(selectedIcons);
 
     const iconList = iconObjects
       .map(icon => `• ${icon.displayName}`)
@@ -236,6 +241,40 @@ ${iconEmojis}
     return templates[template] || `Check out these amazing tools: ${iconObjects.map(i => i.displayName).join(', ')}!`;
   }
 
+  buildPostPrompt(template, iconNames, { audience, tone } = {}) {
+    const postTemplate = POST_TEMPLATES[template];
+    const iconObjects = this.catalog.getIconsByNames(iconNames);
+    const missing = iconNames.filter(name => !this.getIcon(name));
+
+    if (iconObjects.length === 0) {
+      throw new McpError(ErrorCode.InvalidParams, 'At least one known icon must be provided');
+    }
+
+    const toolList = iconObjects
+      .map(icon => `- ${icon.displayName} (${icon.category}, ${this.iconUri(icon.name)})`)
+      .join('\n');
+
+    return `Write a LinkedIn post using the Composeon "${postTemplate.title}" template.
+
+Goal: ${postTemplate.goal}
+
+Tools to feature:
+${toolList}
+
+Audience: ${audience || 'Technology professionals and decision makers'}
+Tone: ${tone || 'Professional, enthusiastic and conversational'}
+
+Requirements:
+1. Open with a hook line that makes people stop scrolling
+2. Mention every tool above by name with one concrete, accurate point about it
+3. Keep it under 1,300 characters with short paragraphs and a few relevant emojis
+4. End with a question that invites comments, followed by 3-5 hashtags
+
+Here is the template's default draft for reference - improve on it rather than copying it:
+
+${this.generateLinkedInPost(template, iconObjects.map(icon => icon.name))}${missing.length > 0 ? `\n\n(Unknown icons ignored: ${missing.join(', ')})` : ''}`;
+  }
+
   getIconEmoji(name) {
     const emojiMap = {
       'openai': '🤖',
@@ -256,37 +295,74 @@ ${iconEmojis}
     return emojiMap[name] || '⭐';
   }
 
-  async getIconContent(iconName, variation = 'default') {
-    const icon = this.icons.find(i => i.name === iconName);
-    if (!icon) {
-      throw new Error(`Icon '${iconName}' not found`);
-    }
+  async getIconContent(iconName, variation = 'default', transform = null) {
+    const content = await this.catalog.readIconSvg(this.iconBasePath, iconName, variation);
+    return transform ? this.transformer.transform(content, transform) : content;
+  }
 
-    let filename = icon.filename;
-    if (variation !== 'default' && icon.variations.includes(variation)) {
-      filename = `${iconName}-${variation}.svg`;
+  // Caller mistakes (unknown icons or variations, images that cannot be loaded)
+  // carry a 4xx status and become InvalidParams; anything else is InternalError
+  toMcpError(error) {
+    if (error instanceof McpError) {
+      return error;
     }
+    const invalid = error.status >= 400 && error.status < 500;
+    return new McpError(invalid ? ErrorCode.InvalidParams : ErrorCode.InternalError, error.message);
+  }
 
-    const filePath = path.join(this.iconBasePath, filename);
-
+  normalizeTransformArgs(args) {
     try {
-      const content = await fs.readFile(filePath, 'utf-8');
-      return content;
+      return this.transformer.normalizeOptions(args);
     } catch (error) {
-      throw new Error(`Failed to read icon file: ${error.message}`);
+      throw new McpError(ErrorCode.InvalidParams, error.message);
     }
   }
 
-  getStats() {
-    const categoryStats = {};
-    Object.keys(this.categories).forEach(category => {
-      categoryStats[category] = this.icons.filter(icon => icon.category === category).length;
-    });
+  iconUri(name, variation = 'default') {
+    return `${ICON_URI_SCHEME}${name}/${variation}`;
+  }
 
+  // Parses icon://{name} and icon://{name}/{variation}
+  parseIconUri(uri) {
+    if (!uri.startsWith(ICON_URI_SCHEME)) {
+      throw new McpError(ErrorCode.InvalidParams, `Unsupported resource URI: ${uri}`);
+    }
+
+    const [name, variation = 'default', ...rest] = uri.slice(ICON_URI_SCHEME.length).split('/');
+    if (!name || rest.length > 0) {
+      throw new McpError(ErrorCode.InvalidParams, `Malformed icon URI: ${uri}`);
+    }
+
+    const icon = this.getIcon(decodeURIComponent(name));
+    if (!icon) {
+      throw new McpError(ErrorCode.InvalidParams, `Icon '${name}' not found`);
+    }
+
+    const decodedVariation = decodeURIComponent(variation);
+    if (!icon.variations.includes(decodedVariation)) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `Icon '${icon.name}' has no '${decodedVariation}' variation (available: ${icon.variations.join(', ')})`
+      );
+    }
+
+    return { icon, variation: decodedVariation };
+  }
+
+  listIconResources() {
+    return this.icons.flatMap(icon => icon.variations.map(variation => ({
+      uri: this.iconUri(icon.name, variation),
+      name: variation === 'default' ? icon.displayName : `${icon.displayName} (${variation})`,
+      description: `${icon.displayName} icon, ${variation} variation, category: ${icon.category}`,
+      mimeType: 'image/svg+xml'
+    })));
+  }
+
+  getStats() {
     return {
       total: this.icons.length,
-      categories: categoryStats,
-      availableCategories: Object.keys(this.categories),
+      categories: this.catalog.getCategoryStats(),
+      availableCategories: this.catalog.getCategories(),
       lastUpdated: new Date().toISOString()
     };
   }
@@ -330,26 +406,260 @@ ${iconEmojis}
             throw new McpError(ErrorCode.InvalidParams, 'Icon name is required');
           }
 
+          const transform = this.normalizeTransformArgs(args);
+
           try {
-            const content = await this.getIconContent(iconName, variation);
-            const icon = this.icons.find(i => i.name === iconName);
+            const content = await this.getIconContent(iconName, variation, transform);
+            const icon = this.getIcon(iconName);
 
             return {
               content: [{
                 type: 'text',
                 text: JSON.stringify({
-                  name: iconName,
-                  variation,
+                  name: icon.name,
+                  variation: icon.variations.includes(variation) ? variation : icon.variations[0],
+                  uri: this.iconUri(icon.name, icon.variations.includes(variation) ? variation : icon.variations[0]),
                   displayName: icon.displayName,
                   category: icon.category,
                   availableVariations: icon.variations,
+                  ...(this.transformer.hasTransforms(transform) && { transform }),
                   svgContent: content
                 }, null, 2)
               }]
             };
           } catch (error) {
-            throw new McpError(ErrorCode.InternalError, error.message);
+            throw this.toMcpError(error);
+          }
+        }
+
+        case 'render_icon': {
+          const { name: iconName, variation = 'default', ...renderArgs } = args;
+          if (!iconName) {
+            throw new McpError(ErrorCode.InvalidParams, 'Icon name is required');
+          }
+
+          const icon = this.getIcon(iconName);
+          if (!icon) {
+            throw new McpError(ErrorCode.InvalidParams, `Icon '${iconName}' not found`);
+          }
+
+          let options;
+          try {
+            options = this.renderer.normalizeOptions(renderArgs);
+          } catch (error) {
+            throw new McpError(ErrorCode.InvalidParams, error.message);
+          }
+          const transform = this.normalizeTransformArgs(renderArgs);
+
+          try {
+            const svg = await this.getIconContent(icon.name, variation, transform);
+            const image = await this.renderer.render(svg, options);
+
+            return {
+              content: [
+                {
+                  type: 'image',
+                  data: image.buffer.toString('base64'),
+                  mimeType: image.mimeType
+                },
+                {
+                  type: 'text',
+                  text: JSON.stringify({
+                    name: icon.name,
+                    variation: icon.variations.includes(variation) ? variation : icon.variations[0],
+                    format: image.format,
+                    width: image.width,
+                    height: image.height,
+                    bytes: image.buffer.length
+                  }, null, 2)
+                }
+              ]
+            };
+          } catch (error) {
+            throw this.toMcpError(error);
+          }
+        }
+
+        case 'build_icon_bundle': {
+          const { icons = [], ...bundleArgs } = args;
+          if (!Array.isArray(icons) || icons.length === 0) {
+            throw new McpError(ErrorCode.InvalidParams, 'At least one icon must be selected');
+          }
+
+          let bundle;
+          try {
+            bundle = await this.bundler.build(icons, bundleArgs);
+          } catch (error) {
+            throw new McpError(ErrorCode.InvalidParams, error.message);
+          }
+
+          const isBinary = Buffer.isBuffer(bundle.content);
+
+          return {
+            content: [
+              {
+                type: 'text',
+                text: JSON.stringify({
+                  format: bundle.format,
+                  fileName: bundle.fileName,
+                  icons: bundle.icons,
+                  missing: bundle.missing,
+                  bytes: isBinary ? bundle.content.length : Buffer.byteLength(bundle.content)
+                }, null, 2)
+              },
+              {
+                type: 'resource',
+                resource: {
+                  uri: `bundle://${bundle.fileName}`,
+                  mimeType: bundle.mimeType,
+                  ...(isBinary ? { blob: bundle.content.toString('base64') } : { text: bundle.content })
+                }
+              }
+            ]
+          };
+        }
+
+        case 'generate_visual_post': {
+          const { icons = [], postTemplate, brandKit, variant, ...renderArgs } = args;
+          if (!Array.isArray(icons) || icons.length === 0) {
+            throw new McpError(ErrorCode.InvalidParams, 'At least one icon must be selected');
+          }
+          if (postTemplate && !POST_TEMPLATES[postTemplate]) {
+            throw new McpError(ErrorCode.InvalidParams, `Unknown post template '${postTemplate}'`);
+          }
+
+          // Local avatar/logo files are fine here - the MCP client runs on this machine
+          const templates = await this.loadVisualTemplates();
+          let renderer;
+          let post;
+          try {
+            renderer = new VisualPostRenderer({
+              catalog: this.catalog,
+              iconsPath: this.iconBasePath,
+              allowFiles: true,
+              templates,
+              brandKit: await this.resolveBrandKit(brandKit),
+              brandVariant: variant
+            });
+            post = renderer.prepare(icons, renderArgs);
+          } catch (error) {
+            throw new McpError(ErrorCode.InvalidParams, error.message);
+          }
+
+          let image;
+          try {
+            image = await renderer.draw(post);
+          } catch (error) {
+            throw this.toMcpError(error);
           }
+
+          // SVG stays editable text; raster formats come back as image content
+          const content = [
+            image.format === 'svg'
+              ? {
+                type: 'resource',
+                resource: {
+                  uri: `visual-post://composeon-${image.template}.svg`,
+                  mimeType: image.mimeType,
+                  text: image.buffer.toString()
+                }
+              }
+              : {
+                type: 'image',
+                data: image.buffer.toString('base64'),
+                mimeType: image.mimeType
+              },
+            {
+              type: 'text',
+              text: JSON.stringify({
+                template: image.template,
+                preset: image.preset,
+                brandKit: image.brandKit,
+                variant: image.variant,
+                format: image.format,
+                width: image.width,
+                height: image.height,
+                icons: image.icons,
+                missing: image.missing,
+                warnings: image.warnings,
+                bytes: image.buffer.length
+              }, null, 2)
+            }
+          ];
+
+          if (postTemplate) {
+            content.push({
+              type: 'text',
+              text: this.generateLinkedInPost(postTemplate, image.icons)
+            });
+          }
+
+          return { content };
+        }
+
+        case 'render_carousel': {
+          const { carousel: input, brandKit, variant, ...renderArgs } = args;
+          if (!input || typeof input !== 'object') {
+            throw new McpError(ErrorCode.InvalidParams, 'A carousel object is required');
+          }
+
+          const renderer = new CarouselRenderer({ allowFiles: true });
+          let prepared;
+          try {
+            // Carousels saved with the JSON exporter render as they are
+            const carousel = input.schema ? CarouselExporter.fromJSON(input) : input;
+
+            // The carousel keeps its own theme unless a kit is passed; the
+            // COMPOSEON_BRAND_KIT default only applies to unbranded carousels
+            const source = carousel.visualCarousel || carousel;
+            const kit = brandKit || !source.brandKit ? await this.resolveBrandKit(brandKit) : null;
+            prepared = renderer.prepare(carousel, { ...renderArgs, brandKit: kit, variant });
+          } catch (error) {
+            throw new McpError(ErrorCode.InvalidParams, error.message);
+          }
+
+          let result;
+          try {
+            result = await renderer.draw(prepared);
+          } catch (error) {
+            throw this.toMcpError(error);
+          }
+
+          const fileName = result.slide
+            ? `composeon-carousel-${result.slide}.${result.format === 'jpeg' ? 'jpg' : result.format}`
+            : `composeon-carousel.${result.format}`;
+
+          return {
+            content: [
+              result.format === 'png' || result.format === 'jpeg'
+                ? {
+                  type: 'image',
+                  data: result.buffer.toString('base64'),
+                  mimeType: result.mimeType
+                }
+                : {
+                  type: 'resource',
+                  resource: {
+                    uri: `carousel://${fileName}`,
+                    mimeType: result.mimeType,
+                    blob: result.buffer.toString('base64')
+                  }
+                },
+              {
+                type: 'text',
+                text: JSON.stringify({
+                  format: result.format,
+                  fileName,
+                  slide: result.slide,
+                  slides: result.slides,
+                  layouts: result.layouts,
+                  width: result.width,
+                  height: result.height,
+                  bytes: result.buffer.length
+                }, null, 2)
+              }
+            ]
+          };
         }
 
         case 'generate_linkedin_post': {
@@ -360,9 +670,7 @@ ${iconEmojis}
           }
 
           const post = this.generateLinkedInPost(template, icons);
-          const selectedIconsData = icons.map(name =>
-            this.icons.find(icon => icon.name === name)
-          ).filter(Boolean);
+          const selectedIconsData = this.catalog.getIconsByNames(icons);
 
           return {
             content: [{
@@ -384,16 +692,7 @@ ${iconEmojis}
 
         case 'get_popular_icons': {
           const { limit = 20 } = args;
-          const popularNames = [
-            'openai', 'github', 'figma', 'google', 'microsoft', 'aws',
-            'azure', 'docker', 'react', 'nodejs', 'python', 'javascript',
-            'typescript', 'vue', 'angular', 'mongodb', 'postgresql'
-          ];
-
-          const popular = popularNames
-            .map(name => this.icons.find(icon => icon.name === name))
-            .filter(Boolean)
-            .slice(0, limit);
+          const popular = this.catalog.getPopularIcons(limit);
 
           return {
             content: [{
@@ -409,6 +708,115 @@ ${iconEmojis}
     });
   }
 
+  setupResourceHandlers(server) {
+    // Every icon variation is a resource, paginated with an offset cursor
+    server.setRequestHandler(ListResourcesRequestSchema, async (request) => {
+      const resources = this.listIconResources();
+      const offset = parseInt(request.params?.cursor, 10) || 0;
+      const nextOffset = offset + RESOURCES_PAGE_SIZE;
+
+      return {
+        resources: resources.slice(offset, nextOffset),
+        ...(nextOffset < resources.length && { nextCursor: String(nextOffset) })
+      };
+    });
+
+    server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
+      return {
+        resourceTemplates: [
+          {
+            uriTemplate: `${ICON_URI_SCHEME}{name}`,
+            name: 'Icon',
+            description: 'Default variation of an icon as SVG (e.g. icon://openai)',
+            mimeType: 'image/svg+xml'
+          },
+          {
+            uriTemplate: `${ICON_URI_SCHEME}{name}/{variation}`,
+            name: 'Icon variation',
+            description: `A specific icon variation as SVG (${IconCatalog.VARIATIONS.join(', ')})`,
+            mimeType: 'image/svg+xml'
+          }
+        ]
+      };
+    });
+
+    server.setRequestHandler(ReadResourceRequestSchema, async (request) => {
+      const { uri } = request.params;
+      const { icon, variation } = this.parseIconUri(uri);
+
+      try {
+        const content = await this.getIconContent(icon.name, variation);
+        return {
+          contents: [{
+            uri,
+            mimeType: 'image/svg+xml',
+            text: content
+          }]
+        };
+      } catch (error) {
+        throw this.toMcpError(error);
+      }
+    });
+  }
+
+  setupPromptHandlers(server) {
+    const promptArguments = [
+      {
+        name: 'icons',
+        description: 'Comma-separated icon names to feature (e.g. "openai,github,figma")',
+        required: true
+      },
+      {
+        name: 'audience',
+        description: 'Who the post is for (e.g. "startup founders", "frontend developers")',
+        required: false
+      },
+      {
+        name: 'tone',
+        description: 'Writing tone (e.g. "professional", "playful", "thought leadership")',
+        required: false
+      }
+    ];
+
+    server.setRequestHandler(ListPromptsRequestSchema, async () => {
+      return {
+        prompts: Object.entries(POST_TEMPLATES).map(([name, template]) => ({
+          name,
+          description: `LinkedIn post: ${template.description}`,
+          arguments: promptArguments
+        }))
+      };
+    });
+
+    server.setRequestHandler(GetPromptRequestSchema, async (request) => {
+      const { name, arguments: args = {} } = request.params;
+
+      if (!POST_TEMPLATES[name]) {
+        throw new McpError(ErrorCode.InvalidParams, `Unknown prompt: ${name}`);
+      }
+
+      const iconNames = (args.icons || '')
+        .split(',')
+        .map(iconName => iconName.trim())
+        .filter(Boolean);
+
+      if (iconNames.length === 0) {
+        throw new McpError(ErrorCode.InvalidParams, 'At least one icon must be selected');
+      }
+
+      return {
+        description: `${POST_TEMPLATES[name].title} LinkedIn post about ${iconNames.join(', ')}`,
+        messages: [{
+          role: 'user',
+          content: {
+            type: 'text',
+            text: this.buildPostPrompt(name, iconNames, args)
+          }
+        }]
+      };
+    });
+  }
+
   setupServer() {
     const server = new Server(
       {
@@ -418,12 +826,16 @@ ${iconEmojis}
       {
         capabilities: {
           tools: {},
+          resources: {},
+          prompts: {},
         },
       }
     );
 
     // List available tools
     server.setRequestHandler(ListToolsRequestSchema, async () => {
+      const visualTemplates = await this.loadVisualTemplates();
+
       return {
         tools: [
           {
@@ -438,7 +850,7 @@ ${iconEmojis}
                 },
                 category: {
                   type: 'string',
-                  description: 'Filter by category (ai, cloud, database, design, dev, social, all)',
+                  description: `Filter by category (${[...new IconCatalog().getCategories(), 'all'].join(', ')})`,
                   default: 'all'
                 },
                 limit: {
@@ -459,7 +871,7 @@ ${iconEmojis}
           },
           {
             name: 'get_icon',
-            description: 'Get a specific icon with its SVG content',
+            description: 'Get a specific icon with its SVG content, optionally recolored',
             inputSchema: {
               type: 'object',
               properties: {
@@ -469,13 +881,200 @@ ${iconEmojis}
                 },
                 variation: {
                   type: 'string',
-                  description: 'Icon variation (default, color, text, brand)',
+                  description: `Icon variation (${IconCatalog.VARIATIONS.join(', ')})`,
                   default: 'default'
-                }
+                },
+                ...TRANSFORM_PROPERTIES
+              },
+              required: ['name']
+            }
+          },
+          {
+            name: 'render_icon',
+            description: 'Render an icon to a PNG, WebP or JPEG image (for slides, chat apps and other places SVG is not supported)',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                name: {
+                  type: 'string',
+                  description: 'Icon name (e.g., "openai", "github")'
+                },
+                variation: {
+                  type: 'string',
+                  description: `Icon variation (${IconCatalog.VARIATIONS.join(', ')})`,
+                  default: 'default'
+                },
+                format: {
+                  type: 'string',
+                  enum: Object.keys(IconRenderer.FORMATS),
+                  default: 'png'
+                },
+                size: {
+                  type: 'number',
+                  description: `Longest edge in pixels (${IconRenderer.LIMITS.minSize}-${IconRenderer.LIMITS.maxSize})`,
+                  default: 256
+                },
+                padding: {
+                  type: 'number',
+                  description: 'Padding around the icon in pixels',
+                  default: 0
+                },
+                background: {
+                  type: 'string',
+                  description: 'Background color (CSS color or hex, e.g. "#ffffff") or "transparent"',
+                  default: 'transparent'
+                },
+                scale: {
+                  type: 'number',
+                  description: `Output scale multiplier, e.g. 2 for retina (max ${IconRenderer.LIMITS.maxScale})`,
+                  default: 1
+                },
+                ...TRANSFORM_PROPERTIES
               },
               required: ['name']
             }
           },
+          {
+            name: 'build_icon_bundle',
+            description: 'Bundle several icons into one SVG <symbol> sprite, CSS file with data-URI classes, JSON map or zip archive',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                icons: {
+                  type: 'array',
+                  items: {
+                    type: 'string'
+                  },
+                  description: 'Icon names, optionally with a variation (e.g., ["openai", "claude/color", "github/text"])'
+                },
+                format: {
+                  type: 'string',
+                  enum: Object.keys(IconBundler.FORMATS),
+                  default: 'sprite'
+                },
+                prefix: {
+                  type: 'string',
+                  description: 'Prefix for symbol ids and CSS class names (empty for none)',
+                  default: 'icon'
+                },
+                ...TRANSFORM_PROPERTIES
+              },
+              required: ['icons']
+            }
+          },
+          {
+            name: 'generate_visual_post',
+            description: 'Render a finished visual post image (modern, gradient, minimal, tech or a user template) for the selected icons, optionally with the matching LinkedIn post text',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                icons: {
+                  type: 'array',
+                  items: {
+                    type: 'string'
+                  },
+                  description: 'Icon names, optionally with a variation (e.g., ["openai", "claude/color"])'
+                },
+                template: {
+                  type: 'string',
+                  enum: [...VisualPostGenerator.BUILT_IN_TEMPLATES, ...visualTemplates.map(template => template.id)],
+                  description: visualTemplates.length > 0
+                    ? `Visual template; user templates: ${visualTemplates.map(template => `${template.id} (${template.name})`).join(', ')}`
+                    : 'Visual template',
+                  default: 'modern'
+                },
+                format: {
+                  type: 'string',
+                  enum: Object.keys(VisualPostRenderer.FORMATS),
+                  description: 'Image format; "svg" returns an editable vector document with live text',
+                  default: 'png'
+                },
+                preset: {
+                  type: 'string',
+                  enum: Object.keys(VisualPostGenerator.SIZE_PRESETS),
+                  description: `Output size (${Object.entries(VisualPostGenerator.SIZE_PRESETS).map(([id, preset]) => `${id} ${preset.width}x${preset.height}`).join(', ')})`,
+                  default: VisualPostGenerator.DEFAULT_PRESET
+                },
+                scale: {
+                  type: 'number',
+                  description: `Output scale multiplier, e.g. 2 for retina (max ${VisualPostRenderer.LIMITS.maxScale})`,
+                  default: 1
+                },
+                post: {
+                  type: 'object',
+                  description: 'Text and branding printed on the image; omitted fields keep the template defaults',
+                  properties: {
+                    title: { type: 'string', description: 'Headline' },
+                    subtitle: { type: 'string', description: 'Line under the headline' },
+                    footer: { type: 'string', description: 'Footer text, replacing the Composeon branding' },
+                    author: {
+                      type: 'object',
+                      properties: {
+                        name: { type: 'string' },
+                        handle: { type: 'string', description: 'e.g. @jordanlee' },
+                        avatar: { type: 'string', description: 'Image URL, data: URL or local file path' }
+                      }
+                    },
+                    logo: { type: 'string', description: 'Watermark logo (top right): image URL, data: URL or local file path' },
+                    branding: { type: 'boolean', description: 'Set to false to drop the "Generated with Composeon AI" footer', default: true }
+                  }
+                },
+                brandKit: {
+                  type: ['object', 'string'],
+                  description: 'Brand kit recoloring the template: a kit object ({ palette, fonts, logo, variants: { dark, light } }) or the path of a JSON/YAML kit file; defaults to the COMPOSEON_BRAND_KIT file'
+                },
+                variant: {
+                  type: 'string',
+                  enum: BrandKit.VARIANTS,
+                  description: "Brand kit variant (default: the kit's defaultVariant)"
+                },
+                postTemplate: {
+                  type: 'string',
+                  description: `Also return the LinkedIn post text for this template (${Object.keys(POST_TEMPLATES).join(', ')})`
+                }
+              },
+              required: ['icons']
+            }
+          },
+          {
+            name: 'render_carousel',
+            description: 'Render an AI carousel (the result of AIContentGenerator.generateCarousel or its visualCarousel) to a multi-page PDF for a LinkedIn document post, a zip of slide images or a single slide image',
+            inputSchema: {
+              type: 'object',
+              properties: {
+                carousel: {
+                  type: 'object',
+                  description: `Carousel with slides ({ slideNumber, type, layout, content }) or a JSON carousel export; layouts: ${Object.keys(CarouselRenderer.LAYOUTS).join(', ')}`
+                },
+                format: {
+                  type: 'string',
+                  enum: Object.keys(CarouselRenderer.FORMATS),
+                  description: '"pdf" is one page per slide; "zip" holds one PNG per slide; png/jpeg render a single slide',
+                  default: 'pdf'
+                },
+                slide: {
+                  type: 'number',
+                  description: 'Slide number (1-based) for png/jpeg',
+                  default: 1
+                },
+                quality: {
+                  type: 'number',
+                  description: 'JPEG quality for jpeg and the PDF pages (0-1)',
+                  default: 0.9
+                },
+                brandKit: {
+                  type: ['object', 'string'],
+                  description: 'Brand kit replacing the carousel theme: a kit object or the path of a JSON/YAML kit file; defaults to the COMPOSEON_BRAND_KIT file for carousels without a kit'
+                },
+                variant: {
+                  type: 'string',
+                  enum: BrandKit.VARIANTS,
+                  description: "Brand kit variant (default: the kit's defaultVariant)"
+                }
+              },
+              required: ['carousel']
+            }
+          },
           {
             name: 'generate_linkedin_post',
             description: 'Generate a LinkedIn post using selected icons',
@@ -484,7 +1083,7 @@ ${iconEmojis}
               properties: {
                 template: {
                   type: 'string',
-                  description: 'Post template (tools-spotlight, tech-stack, comparison, trend-analysis)',
+                  description: `Post template (${Object.keys(POST_TEMPLATES).join(', ')})`,
                   default: 'tools-spotlight'
                 },
                 icons: {
@@ -517,6 +1116,8 @@ ${iconEmojis}
     });
 
     this.setupToolHandlers(server);
+    this.setupResourceHandlers(server);
+    this.setupPromptHandlers(server);
     return server;
   }
 
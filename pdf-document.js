@@ -0,0 +1,143 @@
+/**
+ * PDF Document - Minimal PDF writer for image pages
+ *
+ * Each page is one JPEG image filling the page (JPEG data goes into the PDF
+ * as is, with the DCTDecode filter), which is all a LinkedIn document carousel
+ * needs. Works in the browser and in Node without dependencies; pages are
+ * sized in points, one point per image pixel.
+ */
+
+class PdfDocument {
+    constructor(info = {}) {
+        this.info = info;
+        this.pages = [];
+    }
+
+    /**
+     * Add a page showing a JPEG image (Uint8Array or Buffer) of the given pixel size
+     */
+    addImagePage(jpeg, width, height) {
+        if (!PdfDocument.isJpeg(jpeg)) {
+            throw new Error('PDF pages must be JPEG images');
+        }
+        this.pages.push({ jpeg, width: Math.round(width), height: Math.round(height) });
+        return this;
+    }
+
+    /**
+     * Serialize the document
+     */
+    toBytes() {
+        if (this.pages.length === 0) {
+            throw new Error('A PDF needs at least one page');
+        }
+
+        const encoder = new TextEncoder();
+        const chunks = [];
+        const offsets = [];
+        let length = 0;
+
+        const write = data => {
+            const bytes = typeof data === 'string' ? encoder.encode(data) : data;
+            chunks.push(bytes);
+            length += bytes.length;
+        };
+        const object = (id, body) => {
+            offsets[id] = length;
+            write(`${id} 0 obj\n`);
+            body();
+            write('\nendobj\n');
+        };
+
+        // 1 catalog, 2 page tree, 3 info, then page / image / content per page
+        const pageIds = this.pages.map((page, index) => 4 + index * 3);
+
+        write('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n');
+        object(1, () => write('<< /Type /Catalog /Pages 2 0 R >>'));
+        object(2, () => write(`<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${this.pages.length} >>`));
+        object(3, () => write(this.infoDictionary()));
+
+        this.pages.forEach((page, index) => {
+            const pageId = pageIds[index];
+            const imageId = pageId + 1;
+            const contentId = pageId + 2;
+            const content = `q ${page.width} 0 0 ${page.height} 0 0 cm /Im0 Do Q`;
+
+            object(pageId, () => write(
+                `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${page.width} ${page.height}] ` +
+                `/Resources << /XObject << /Im0 ${imageId} 0 R >> >> /Contents ${contentId} 0 R >>`
+            ));
+            object(imageId, () => {
+                write(`<< /Type /XObject /Subtype /Image /Width ${page.width} /Height ${page.height} ` +
+                    `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${page.jpeg.length} >>\nstream\n`);
+                write(page.jpeg instanceof Uint8Array ? page.jpeg : new Uint8Array(page.jpeg));
+                write('\nendstream');
+            });
+            object(contentId, () => write(`<< /Length ${content.length} >>\nstream\n${content}\nendstream`));
+        });
+
+        const objectCount = 4 + this.pages.length * 3;
+        const xref = length;
+        write(`xref\n0 ${objectCount}\n0000000000 65535 f \n`);
+        for (let id = 1; id < objectCount; id++) {
+            write(`${String(offsets[id]).padStart(10, '0')} 00000 n \n`);
+        }
+        write(`trailer\n<< /Size ${objectCount} /Root 1 0 R /Info 3 0 R >>\nstartxref\n${xref}\n%%EOF\n`);
+
+        const bytes = new Uint8Array(length);
+        let position = 0;
+        for (const chunk of chunks) {
+            bytes.set(chunk, position);
+            position += chunk.length;
+        }
+        return bytes;
+    }
+
+    infoDictionary() {
+        const entries = {
+            Title: this.info.title,
+            Author: this.info.author,
+            Subject: this.info.subject,
+            Creator: this.info.creator || 'Composeon AI',
+            CreationDate: PdfDocument.formatDate(this.info.createdAt || new Date())
+        };
+
+        const fields = Object.entries(entries)
+            .filter(([, value]) => value)
+            .map(([key, value]) => `/${key} ${PdfDocument.encodeText(value)}`);
+        return `<< ${fields.join(' ')} >>`;
+    }
+
+    /**
+     * PDF text string; non-ASCII text is written as UTF-16BE hex
+     */
+    static encodeText(value) {
+        const text = String(value);
+        if (/^[\x20-\x7e]*$/.test(text)) {
+            return `(${text.replace(/[\\()]/g, char => `\\${char}`)})`;
+        }
+
+        let hex = 'FEFF';
+        for (let i = 0; i < text.length; i++) {
+            hex += text.charCodeAt(i).toString(16).padStart(4, '0').toUpperCase();
+        }
+        return `<${hex}>`;
+    }
+
+    static formatDate(date) {
+        const pad = value => String(value).padStart(2, '0');
+        return `D:${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}` +
+            `${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+    }
+
+    static isJpeg(bytes) {
+        return Boolean(bytes) && bytes.length > 3 && bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff;
+    }
+}
+
+// Export for different module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PdfDocument;
+} else if (typeof window !== 'undefined') {
+    window.PdfDocument = PdfDocument;
+}
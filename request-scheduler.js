@@ -0,0 +1,271 @@
+/**
+ * Request Scheduler - Concurrency, rate limits, retries and timeouts for
+ * outbound calls
+ *
+ * Calls are grouped in lanes by key (an LLM or search provider name).
+ * Each lane runs at most `concurrency` calls at once and starts at most
+ * `requests` per `window` ms; calls beyond that wait in a queue instead of
+ * failing. Every attempt gets an AbortSignal that fires after the lane's
+ * `timeout` or when the caller's signal aborts. Transient failures (timeouts,
+ * network errors, 408/425/429/5xx responses) are retried with exponential
+ * backoff and jitter, honoring a Retry-After the error carries as `retryAfter` (ms).
+ */
+
+// Lane settings by key; `default` covers every other key. timeout 0 = none.
+const SCHEDULER_LANES = {
+    ollama: { concurrency: 2, timeout: 180000 },
+    openai: { concurrency: 4, requests: 60, window: 60000, timeout: 120000 },
+    anthropic: { concurrency: 4, requests: 50, window: 60000, timeout: 120000 },
+    serper: { concurrency: 4, requests: 5, window: 1000, timeout: 15000 },
+    brave: { concurrency: 1, requests: 1, window: 1000, timeout: 15000 },
+    bing: { concurrency: 3, requests: 3, window: 1000, timeout: 15000 },
+    searxng: { concurrency: 2, timeout: 20000 },
+    fixture: { concurrency: Infinity, timeout: 0 },
+    mock: { concurrency: Infinity, timeout: 0 },
+    default: { concurrency: 4, timeout: 120000 }
+};
+
+const RETRY_DEFAULTS = {
+    retries: 3,
+    baseDelay: 500,
+    maxDelay: 10000
+};
+
+const TRANSIENT_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+
+class RequestScheduler {
+    constructor(options = {}) {
+        this.lanes = {};
+        for (const key of new Set([...Object.keys(SCHEDULER_LANES), ...Object.keys(options.lanes || {})])) {
+            this.lanes[key] = { ...SCHEDULER_LANES[key], ...(options.lanes || {})[key] };
+        }
+        this.retries = options.retries === undefined ? RETRY_DEFAULTS.retries : options.retries;
+        this.baseDelay = options.baseDelay === undefined ? RETRY_DEFAULTS.baseDelay : options.baseDelay;
+        this.maxDelay = options.maxDelay === undefined ? RETRY_DEFAULTS.maxDelay : options.maxDelay;
+        this.now = options.now || (() => Date.now());
+        this.random = options.random || Math.random;
+
+        // Running count, queued waiters and recent start times per key
+        this.state = new Map();
+    }
+
+    /**
+     * Lane settings of a key: { concurrency, requests, window, timeout }
+     */
+    getLane(key) {
+        return { ...this.lanes.default, ...this.lanes[key] };
+    }
+
+    /**
+     * Change a lane, e.g. setLane('ollama', { concurrency: 1 })
+     */
+    setLane(key, settings) {
+        this.lanes[key] = { ...this.lanes[key], ...settings };
+        this.pump(key);
+        return this;
+    }
+
+    /**
+     * Run task(signal) in the key's lane. Options: signal (cancels waiting,
+     * running and backing off), timeout per attempt, retries, and retryable(error)
+     * to veto a retry (e.g. after streamed output reached the user).
+     */
+    async schedule(key, task, options = {}) {
+        const retries = options.retries === undefined ? this.retries : options.retries;
+        const timeout = options.timeout === undefined ? this.getLane(key).timeout : options.timeout;
+        const { signal } = options;
+
+        for (let attempt = 1; ; attempt++) {
+            await this.acquire(key, signal);
+            let failure;
+            try {
+                return await this.attempt(key, task, timeout, signal);
+            } catch (error) {
+                failure = error;
+            } finally {
+                this.release(key);
+            }
+
+            const canRetry = attempt <= retries
+                && !(signal && signal.aborted)
+                && RequestScheduler.isTransient(failure)
+                && (!options.retryable || options.retryable(failure));
+            if (!canRetry) {
+                throw failure;
+            }
+
+            // The slot is free while backing off
+            const delay = this.getDelay(attempt, failure);
+            console.warn(`⚠️ ${key} request failed (${failure.message}), retrying in ${delay}ms (attempt ${attempt + 1} of ${retries + 1})`);
+            await RequestScheduler.sleep(delay, signal);
+        }
+    }
+
+    /**
+     * One attempt with its own signal: aborted by the caller or the timeout
+     */
+    async attempt(key, task, timeout, signal) {
+        const controller = new AbortController();
+        const abort = () => controller.abort(signal.reason);
+        let timedOut = false;
+        let timer = null;
+
+        if (signal) {
+            if (signal.aborted) abort();
+            signal.addEventListener('abort', abort);
+        }
+        if (timeout > 0) {
+            timer = setTimeout(() => {
+                timedOut = true;
+                controller.abort();
+            }, timeout);
+        }
+
+        try {
+            return await task(controller.signal);
+        } catch (error) {
+            if (timedOut && !(signal && signal.aborted)) {
+                const timeoutError = new Error(`${key} request timed out after ${timeout}ms`);
+                timeoutError.code = 'ETIMEDOUT';
+                throw timeoutError;
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+            if (signal) signal.removeEventListener('abort', abort);
+        }
+    }
+
+    /**
+     * Wait for a free slot in the lane; the caller's signal takes the call out of the queue
+     */
+    acquire(key, signal) {
+        if (signal && signal.aborted) {
+            return Promise.reject(RequestScheduler.abortError(signal));
+        }
+
+        return new Promise((resolve, reject) => {
+            const state = this.getState(key);
+            const waiter = {
+                resolve: () => {
+                    if (signal) signal.removeEventListener('abort', cancel);
+                    resolve();
+                }
+            };
+            const cancel = () => {
+                state.queue.splice(state.queue.indexOf(waiter), 1);
+                reject(RequestScheduler.abortError(signal));
+            };
+
+            if (signal) signal.addEventListener('abort', cancel, { once: true });
+            state.queue.push(waiter);
+            this.pump(key);
+        });
+    }
+
+    release(key) {
+        this.getState(key).active--;
+        this.pump(key);
+    }
+
+    /**
+     * Start queued calls while the lane has room; when only the rate limit is
+     * in the way, try again once the oldest start leaves the window
+     */
+    pump(key) {
+        const state = this.getState(key);
+        const { concurrency, requests, window } = this.getLane(key);
+
+        clearTimeout(state.timer);
+        state.timer = null;
+
+        while (state.queue.length > 0 && state.active < concurrency) {
+            const now = this.now();
+            if (requests) {
+                state.starts = state.starts.filter(time => time > now - window);
+                if (state.starts.length >= requests) {
+                    state.timer = setTimeout(() => this.pump(key), state.starts[0] + window - now);
+                    return;
+                }
+                state.starts.push(now);
+            }
+
+            state.active++;
+            state.queue.shift().resolve();
+        }
+    }
+
+    getState(key) {
+        if (!this.state.has(key)) {
+            this.state.set(key, { active: 0, queue: [], starts: [], timer: null });
+        }
+        return this.state.get(key);
+    }
+
+    /**
+     * Running and queued calls per key
+     */
+    getStats() {
+        return Object.fromEntries(Array.from(this.state, ([key, state]) => [key, { active: state.active, queued: state.queue.length }]));
+    }
+
+    /**
+     * Backoff before the next attempt: exponential, half of it random, at
+     * least the server's Retry-After
+     */
+    getDelay(attempt, error) {
+        const backoff = Math.min(this.maxDelay, this.baseDelay * 2 ** (attempt - 1));
+        const delay = Math.round(backoff / 2 + this.random() * backoff / 2);
+        return Math.max(delay, Math.min(this.maxDelay, Number(error.retryAfter) || 0));
+    }
+
+    /**
+     * Timeouts, network failures and 408/425/429/5xx responses are worth retrying
+     */
+    static isTransient(error) {
+        if (!error) return false;
+        if (error.code === 'ETIMEDOUT') return true;
+        if (error.status) return TRANSIENT_STATUSES.includes(Number(error.status));
+
+        const cause = error.cause || {};
+        return error.name === 'TypeError' && /fetch|network/i.test(error.message)
+            || ['ECONNRESET', 'ECONNREFUSED', 'EPIPE', 'ENOTFOUND', 'EAI_AGAIN', 'UND_ERR_SOCKET'].includes(error.code || cause.code);
+    }
+
+    static sleep(ms, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(RequestScheduler.abortError(signal));
+                return;
+            }
+            const done = () => {
+                if (signal) signal.removeEventListener('abort', cancel);
+                resolve();
+            };
+            const timer = setTimeout(done, ms);
+            const cancel = () => {
+                clearTimeout(timer);
+                reject(RequestScheduler.abortError(signal));
+            };
+            if (signal) signal.addEventListener('abort', cancel, { once: true });
+        });
+    }
+
+    static abortError(signal) {
+        if (signal.reason instanceof Error) {
+            return signal.reason;
+        }
+        const error = new Error('Request aborted');
+        error.name = 'AbortError';
+        return error;
+    }
+}
+
+RequestScheduler.LANES = SCHEDULER_LANES;
+
+// Export for different module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RequestScheduler;
+} else if (typeof window !== 'undefined') {
+    window.RequestScheduler = RequestScheduler;
+}
@@ -0,0 +1,376 @@
+/**
+ * Research Cache - Research results per company and dimension, with TTLs
+ *
+ * Entries expire after their dimension's TTL (news goes stale in an hour,
+ * technical details hold for a week), the least recently used are evicted
+ * above maxEntries, and a company's entries can be dropped at any time. Hits,
+ * misses, expirations and evictions are counted.
+ *
+ * Entries live in a pluggable store: memory (the default), a JSON file (Node)
+ * or IndexedDB (browser). Any object with async get, set, delete, entries and
+ * clear can be passed as the store, e.g. one backed by SQLite or Redis.
+ */
+
+const CACHE_HOUR = 60 * 60 * 1000;
+
+// How long research stays fresh, per dimension (ms)
+const CACHE_TTLS = {
+    latestNews: CACHE_HOUR,
+    recentDevelopments: 6 * CACHE_HOUR,
+    marketData: 24 * CACHE_HOUR,
+    competitors: 7 * 24 * CACHE_HOUR,
+    technicalInfo: 7 * 24 * CACHE_HOUR,
+    default: 6 * CACHE_HOUR
+};
+
+const CACHE_MAX_ENTRIES = 500;
+
+/**
+ * Entries in a Map, gone when the process or page goes
+ */
+class MemoryCacheStore {
+    constructor() {
+        this.name = 'memory';
+        this.data = new Map();
+    }
+
+    async get(key) {
+        return this.data.get(key);
+    }
+
+    async set(key, entry) {
+        this.data.set(key, entry);
+    }
+
+    async delete(key) {
+        this.data.delete(key);
+    }
+
+    async entries() {
+        return Array.from(this.data.entries());
+    }
+
+    async clear() {
+        this.data.clear();
+    }
+}
+
+/**
+ * Entries in one JSON file (Node). Changes made together are written once,
+ * and writes never overlap.
+ */
+class FileCacheStore {
+    constructor(options = {}) {
+        if (!options.path) {
+            throw new Error('The file cache store needs a path');
+        }
+        this.name = 'file';
+        this.path = options.path;
+        this.data = null;
+        this.writing = Promise.resolve();
+        this.queued = null;
+    }
+
+    async load() {
+        const fs = require('fs').promises;
+        try {
+            this.data = new Map(Object.entries(JSON.parse(await fs.readFile(this.path, 'utf8')).entries || {}));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn(`Research cache ${this.path} could not be read, starting empty:`, error.message);
+            }
+            this.data = new Map();
+        }
+        return this.data;
+    }
+
+    async get(key) {
+        return (this.data || await this.load()).get(key);
+    }
+
+    async set(key, entry) {
+        (this.data || await this.load()).set(key, entry);
+        return this.persist();
+    }
+
+    async delete(key) {
+        (this.data || await this.load()).delete(key);
+        return this.persist();
+    }
+
+    async entries() {
+        return Array.from((this.data || await this.load()).entries());
+    }
+
+    async clear() {
+        this.data = new Map();
+        return this.persist();
+    }
+
+    persist() {
+        if (!this.queued) {
+            this.queued = this.writing.then(() => {
+                this.queued = null;
+                return this.write();
+            });
+            this.writing = this.queued.catch(() => {});
+        }
+        return this.queued;
+    }
+
+    async write() {
+        const fs = require('fs').promises;
+        const path = require('path');
+
+        // Write then rename, so a crash never leaves half a cache behind
+        const temporary = `${this.path}.tmp`;
+        await fs.mkdir(path.dirname(this.path), { recursive: true });
+        await fs.writeFile(temporary, JSON.stringify({ entries: Object.fromEntries(this.data) }));
+        await fs.rename(temporary, this.path);
+    }
+}
+
+/**
+ * Entries in an IndexedDB object store (browser)
+ */
+class IndexedDBCacheStore {
+    constructor(options = {}) {
+        this.name = 'indexeddb';
+        this.database = options.database || 'composeon-research';
+        this.storeName = options.storeName || 'entries';
+        this.indexedDB = options.indexedDB || (typeof indexedDB !== 'undefined' ? indexedDB : null);
+        this.db = null;
+    }
+
+    open() {
+        if (!this.db) {
+            if (!this.indexedDB) {
+                return Promise.reject(new Error('IndexedDB is not available'));
+            }
+            this.db = new Promise((resolve, reject) => {
+                const request = this.indexedDB.open(this.database, 1);
+                request.onupgradeneeded = () => request.result.createObjectStore(this.storeName);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.db;
+    }
+
+    async request(mode, operation) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = operation(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+        });
+    }
+
+    get(key) {
+        return this.request('readonly', store => store.get(key));
+    }
+
+    set(key, entry) {
+        return this.request('readwrite', store => store.put(entry, key));
+    }
+
+    delete(key) {
+        return this.request('readwrite', store => store.delete(key));
+    }
+
+    async entries() {
+        const [keys, values] = await Promise.all([
+            this.request('readonly', store => store.getAllKeys()),
+            this.request('readonly', store => store.getAll())
+        ]);
+        return keys.map((key, index) => [key, values[index]]);
+    }
+
+    clear() {
+        return this.request('readwrite', store => store.clear());
+    }
+}
+
+const CACHE_STORE_TYPES = {
+    memory: MemoryCacheStore,
+    file: FileCacheStore,
+    indexeddb: IndexedDBCacheStore
+};
+
+class ResearchCache {
+    constructor(options = {}) {
+        this.store = ResearchCache.createStore(options.store);
+        this.ttl = { ...CACHE_TTLS, ...options.ttl };
+        this.maxEntries = options.maxEntries || CACHE_MAX_ENTRIES;
+        this.now = options.now || (() => Date.now());
+        this.stats = { hits: 0, misses: 0, expired: 0, evictions: 0, invalidations: 0 };
+
+        // Key to company and expiry, least recently used first
+        this.index = null;
+        this.ready = null;
+    }
+
+    /**
+     * A store from an instance or a spec like { type: 'file', path: './cache.json' }
+     */
+    static createStore(spec) {
+        if (spec && typeof spec.get === 'function') {
+            return spec;
+        }
+
+        const { type = 'memory', ...options } = spec || {};
+        const Store = CACHE_STORE_TYPES[type];
+        if (!Store) {
+            throw new Error(`Unknown cache store '${type}' (use ${Object.keys(CACHE_STORE_TYPES).join(', ')})`);
+        }
+        return new Store(options);
+    }
+
+    static normalizeCompany(company) {
+        return String(company || '').trim().toLowerCase();
+    }
+
+    /**
+     * Entry key; variant separates results researched with different options
+     */
+    static key(company, dimension, variant = '') {
+        return `${ResearchCache.normalizeCompany(company)}|${dimension}|${variant}`;
+    }
+
+    getTTL(dimension) {
+        return this.ttl[dimension] === undefined ? this.ttl.default : this.ttl[dimension];
+    }
+
+    /**
+     * Read the index from the store once; entries are ordered by last use
+     */
+    open() {
+        if (!this.ready) {
+            this.ready = this.store.entries().then(entries => {
+                entries.sort(([, a], [, b]) => (a.usedAt || 0) - (b.usedAt || 0));
+                this.index = new Map(entries.map(([key, entry]) => [key, { company: entry.company, expiresAt: entry.expiresAt }]));
+            }).catch(error => {
+                this.ready = null;
+                throw error;
+            });
+        }
+        return this.ready;
+    }
+
+    /**
+     * Cached value, or undefined when missing or expired
+     */
+    async get(company, dimension, variant = '') {
+        await this.open();
+        const key = ResearchCache.key(company, dimension, variant);
+        const entry = this.index.has(key) ? await this.store.get(key) : undefined;
+
+        if (!entry) {
+            this.stats.misses++;
+            return undefined;
+        }
+        if (entry.expiresAt <= this.now()) {
+            this.stats.expired++;
+            this.stats.misses++;
+            await this.remove(key);
+            return undefined;
+        }
+
+        this.stats.hits++;
+        this.index.delete(key);
+        this.index.set(key, { company: entry.company, expiresAt: entry.expiresAt });
+        await this.store.set(key, { ...entry, usedAt: this.now() });
+        return entry.value;
+    }
+
+    /**
+     * Store a value for its dimension's TTL, then evict down to maxEntries
+     */
+    async set(company, dimension, variant, value) {
+        await this.open();
+        const key = ResearchCache.key(company, dimension, variant);
+        const now = this.now();
+        const entry = {
+            company: ResearchCache.normalizeCompany(company),
+            dimension,
+            value,
+            storedAt: now,
+            usedAt: now,
+            expiresAt: now + this.getTTL(dimension)
+        };
+
+        this.index.delete(key);
+        this.index.set(key, { company: entry.company, expiresAt: entry.expiresAt });
+        await this.store.set(key, entry);
+        await this.evict();
+    }
+
+    /**
+     * Drop expired entries, then the least recently used above maxEntries
+     */
+    async evict() {
+        const now = this.now();
+        for (const [key, { expiresAt }] of this.index) {
+            if (expiresAt <= now) {
+                this.stats.expired++;
+                await this.remove(key);
+            }
+        }
+        while (this.index.size > this.maxEntries) {
+            this.stats.evictions++;
+            await this.remove(this.index.keys().next().value);
+        }
+    }
+
+    /**
+     * Drop everything cached for a company; returns how many entries went
+     */
+    async invalidate(company) {
+        await this.open();
+        const name = ResearchCache.normalizeCompany(company);
+        const keys = Array.from(this.index).filter(([, entry]) => entry.company === name).map(([key]) => key);
+
+        for (const key of keys) {
+            await this.remove(key);
+        }
+        this.stats.invalidations += keys.length;
+        return keys.length;
+    }
+
+    async clear() {
+        await this.open();
+        this.stats.invalidations += this.index.size;
+        this.index.clear();
+        await this.store.clear();
+    }
+
+    async remove(key) {
+        this.index.delete(key);
+        await this.store.delete(key);
+    }
+
+    /**
+     * Counters since the cache was created, with the entry count and hit rate
+     */
+    getStats() {
+        const lookups = this.stats.hits + this.stats.misses;
+        return {
+            store: this.store.name || 'custom',
+            ...this.stats,
+            entries: this.index ? this.index.size : 0,
+            hitRate: lookups ? this.stats.hits / lookups : 0
+        };
+    }
+}
+
+ResearchCache.TTLS = CACHE_TTLS;
+ResearchCache.STORES = CACHE_STORE_TYPES;
+
+// Export for different module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ResearchCache;
+} else if (typeof window !== 'undefined') {
+    window.ResearchCache = ResearchCache;
+}
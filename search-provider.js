@@ -0,0 +1,399 @@
+/**
+ * Search Provider - One interface over the web search backends
+ *
+ * Every provider takes a query plus per-call options and resolves to results
+ * normalized as { title, url, snippet, publishedAt, source }: publishedAt is an
+ * ISO date or null, source the publisher (or the site's host name).
+ *
+ * Options: type ('web' or 'news'), num (results wanted), dateRange ({ from, to }
+ * as YYYY-MM-DD), domains (only results from these sites and their
+ * subdomains) and signal. When domains are given, more results are fetched
+ * and filtered down; results dated outside dateRange are dropped.
+ *
+ * - serper: Google results through the Serper API
+ * - searxng: a SearXNG instance (JSON output must be enabled in its settings)
+ * - brave: the Brave Search API
+ * - bing: the Bing Web and News Search APIs
+ * - fixture: canned results for tests and offline demos
+ *
+ * SearchProvider.create({ type, ...options }) builds a provider from a plain spec.
+ */
+
+const SEARCH_DEFAULTS = {
+    num: 5,
+    maxNum: 20,
+    // Extra results fetched per wanted result when filtering by domain
+    domainOverfetch: 4
+};
+
+const SEARCH_DAY = 24 * 60 * 60 * 1000;
+
+class SearchProvider {
+    constructor(options = {}) {
+        this.name = options.name || this.constructor.TYPE;
+        this.fetch = options.fetch || ((...args) => fetch(...args));
+        // Most results the backend returns for one request
+        this.maxResults = options.maxResults || this.constructor.MAX_RESULTS || 20;
+    }
+
+    /**
+     * Search and normalize; see the module comment for the options
+     */
+    async search(query, options = {}) {
+        const num = options.num === undefined ? SEARCH_DEFAULTS.num : Number(options.num);
+        if (!(Number.isInteger(num) && num >= 1 && num <= SEARCH_DEFAULTS.maxNum)) {
+            throw new Error(`${this.name}: num must be an integer from 1 to ${SEARCH_DEFAULTS.maxNum}`);
+        }
+
+        const domains = (options.domains || []).map(domain => String(domain).toLowerCase().replace(/^www\./, ''));
+        const request = {
+            query: String(query),
+            type: options.type === 'news' ? 'news' : 'web',
+            num: domains.length > 0 ? Math.min(this.maxResults, num * SEARCH_DEFAULTS.domainOverfetch) : Math.min(this.maxResults, num),
+            dateRange: options.dateRange || null,
+            signal: options.signal
+        };
+
+        const seen = new Set();
+        return (await this.send(request))
+            .map(item => SearchProvider.normalize(item))
+            .filter(result => result.url && !seen.has(result.url) && seen.add(result.url))
+            .filter(result => domains.length === 0 || SearchProvider.matchesDomain(result.url, domains))
+            .filter(result => SearchProvider.inDateRange(result.publishedAt, request.dateRange))
+            .slice(0, num);
+    }
+
+    /**
+     * Backend call returning raw items with title, url, snippet, publishedAt and
+     * source fields - implemented by each provider
+     */
+    async send() {
+        throw new Error(`${this.name}: send() is not implemented`);
+    }
+
+    /**
+     * GET or POST and parse the JSON reply; failed requests carry `status` and
+     * `retryAfter` (ms) for RequestScheduler
+     */
+    async requestJSON(url, { method = 'GET', headers = {}, body, signal } = {}) {
+        const response = await this.fetch(url, {
+            method,
+            headers: { Accept: 'application/json', ...(body && { 'Content-Type': 'application/json' }), ...headers },
+            ...(body && { body: JSON.stringify(body) }),
+            signal
+        });
+
+        if (!response.ok) {
+            const details = await response.text().catch(() => '');
+            const error = new Error(`${this.name} search failed: ${response.status}${details ? ` ${details.slice(0, 200)}` : ''}`);
+            const retryAfter = Number(response.headers && response.headers.get('retry-after'));
+            error.status = response.status;
+            if (retryAfter > 0) error.retryAfter = retryAfter * 1000;
+            throw error;
+        }
+        return response.json();
+    }
+
+    /**
+     * { title, url, snippet, publishedAt, source } from a raw item
+     */
+    static normalize(item) {
+        const clean = value => String(value || '').replace(/<[^>]+>/g, '').replace(/\s+/g, ' ').trim();
+        const url = clean(item.url);
+        return {
+            title: clean(item.title) || url,
+            url,
+            snippet: clean(item.snippet),
+            publishedAt: SearchProvider.toDate(item.publishedAt),
+            source: clean(item.source) || SearchProvider.getHost(url)
+        };
+    }
+
+    static getHost(url) {
+        try {
+            return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+        } catch (error) {
+            return '';
+        }
+    }
+
+    /**
+     * Whether a URL is on one of the domains or their subdomains
+     */
+    static matchesDomain(url, domains) {
+        const host = SearchProvider.getHost(url);
+        return Boolean(host) && domains.some(domain => host === domain || host.endsWith(`.${domain}`));
+    }
+
+    /**
+     * Results without a date are kept; dated ones must fall inside the range
+     */
+    static inDateRange(publishedAt, dateRange) {
+        if (!publishedAt || !dateRange) return true;
+        const day = publishedAt.slice(0, 10);
+        return (!dateRange.from || day >= dateRange.from) && (!dateRange.to || day <= dateRange.to);
+    }
+
+    /**
+     * ISO date from a timestamp, a date string or a relative age ("3 days ago")
+     */
+    static toDate(value, now = Date.now()) {
+        if (!value) return null;
+
+        const relative = String(value).match(/^(\d+)\s*(minute|min|hour|day|week|month|year)s?\s+ago$/i);
+        if (relative) {
+            const units = { minute: 60000, min: 60000, hour: 3600000, day: SEARCH_DAY, week: 7 * SEARCH_DAY, month: 30 * SEARCH_DAY, year: 365 * SEARCH_DAY };
+            return new Date(now - Number(relative[1]) * units[relative[2].toLowerCase()]).toISOString();
+        }
+
+        const time = typeof value === 'number' ? value : Date.parse(value);
+        return Number.isFinite(time) ? new Date(time).toISOString() : null;
+    }
+
+    /**
+     * Build a provider from { type, ...options } (a provider instance is returned as is)
+     */
+    static create(spec) {
+        if (spec instanceof SearchProvider) {
+            return spec;
+        }
+
+        const { type, ...options } = typeof spec === 'string' ? { type: spec } : spec || {};
+        const Provider = SEARCH_PROVIDER_TYPES[type];
+        if (!Provider) {
+            throw new Error(`Unknown search provider '${type}' (use ${Object.keys(SEARCH_PROVIDER_TYPES).join(', ')})`);
+        }
+        return new Provider(options);
+    }
+}
+
+class SerperSearch extends SearchProvider {
+    constructor(options = {}) {
+        super(options);
+        this.baseURL = (options.baseURL || 'https://google.serper.dev').replace(/\/+$/, '');
+        this.apiKey = options.apiKey || null;
+    }
+
+    async send({ query, type, num, dateRange, signal }) {
+        if (!this.apiKey) {
+            throw new Error(`${this.name}: API key not configured`);
+        }
+
+        const data = await this.requestJSON(`${this.baseURL}/${type === 'news' ? 'news' : 'search'}`, {
+            method: 'POST',
+            headers: { 'X-API-KEY': this.apiKey },
+            body: { q: query, num, ...(dateRange && { tbs: SerperSearch.getDateFilter(dateRange) }) },
+            signal
+        });
+
+        return (data.news || data.organic || []).map(item => ({
+            title: item.title,
+            url: item.link,
+            snippet: item.snippet,
+            publishedAt: item.date,
+            source: item.source
+        }));
+    }
+
+    /**
+     * Google custom date range filter (cdr) with M/D/YYYY bounds
+     */
+    static getDateFilter({ from, to }) {
+        const format = date => {
+            const [year, month, day] = date.split('-');
+            return `${Number(month)}/${Number(day)}/${year}`;
+        };
+        return ['cdr:1', from && `cd_min:${format(from)}`, to && `cd_max:${format(to)}`].filter(Boolean).join(',');
+    }
+}
+
+class SearxngSearch extends SearchProvider {
+    constructor(options = {}) {
+        super(options);
+        this.baseURL = (options.baseURL || 'http://localhost:8888').replace(/\/+$/, '');
+        this.engines = options.engines || null;
+    }
+
+    async send({ query, type, dateRange, signal }) {
+        const params = new URLSearchParams({ q: query, format: 'json', categories: type === 'news' ? 'news' : 'general' });
+        if (this.engines) params.set('engines', [].concat(this.engines).join(','));
+        const timeRange = dateRange && dateRange.from && SearxngSearch.getTimeRange(dateRange.from);
+        if (timeRange) params.set('time_range', timeRange);
+
+        const data = await this.requestJSON(`${this.baseURL}/search?${params}`, { signal });
+        return (data.results || []).map(item => ({
+            title: item.title,
+            url: item.url,
+            snippet: item.content,
+            publishedAt: item.publishedDate,
+            source: null
+        }));
+    }
+
+    /**
+     * Smallest SearXNG time range (day, week, month, year) reaching back to `from`
+     */
+    static getTimeRange(from, now = Date.now()) {
+        const age = now - Date.parse(from);
+        const ranges = [['day', SEARCH_DAY], ['week', 7 * SEARCH_DAY], ['month', 31 * SEARCH_DAY], ['year', 366 * SEARCH_DAY]];
+        const range = ranges.find(([, span]) => age <= span);
+        return range ? range[0] : null;
+    }
+}
+
+class BraveSearch extends SearchProvider {
+    constructor(options = {}) {
+        super(options);
+        this.baseURL = (options.baseURL || 'https://api.search.brave.com/res/v1').replace(/\/+$/, '');
+        this.apiKey = options.apiKey || null;
+    }
+
+    async send({ query, type, num, dateRange, signal }) {
+        if (!this.apiKey) {
+            throw new Error(`${this.name}: API key not configured`);
+        }
+
+        const params = new URLSearchParams({ q: query, count: String(num) });
+        if (dateRange) {
+            const to = dateRange.to || new Date().toISOString().slice(0, 10);
+            params.set('freshness', `${dateRange.from || '1970-01-01'}to${to}`);
+        }
+
+        const data = await this.requestJSON(`${this.baseURL}/${type === 'news' ? 'news' : 'web'}/search?${params}`, {
+            headers: { 'X-Subscription-Token': this.apiKey },
+            signal
+        });
+
+        const items = type === 'news' ? data.results : data.web && data.web.results;
+        return (items || []).map(item => ({
+            title: item.title,
+            url: item.url,
+            snippet: item.description,
+            publishedAt: item.page_age || item.age,
+            source: item.meta_url && item.meta_url.hostname
+        }));
+    }
+}
+
+class BingSearch extends SearchProvider {
+    constructor(options = {}) {
+        super(options);
+        this.baseURL = (options.baseURL || 'https://api.bing.microsoft.com/v7.0').replace(/\/+$/, '');
+        this.apiKey = options.apiKey || null;
+        this.market = options.market || 'en-US';
+    }
+
+    async send({ query, type, num, dateRange, signal }) {
+        if (!this.apiKey) {
+            throw new Error(`${this.name}: API key not configured`);
+        }
+
+        const params = new URLSearchParams({ q: query, count: String(num), mkt: this.market });
+        const freshness = dateRange && BingSearch.getFreshness(dateRange, type);
+        if (freshness) params.set('freshness', freshness);
+
+        const data = await this.requestJSON(`${this.baseURL}/${type === 'news' ? 'news/search' : 'search'}?${params}`, {
+            headers: { 'Ocp-Apim-Subscription-Key': this.apiKey },
+            signal
+        });
+
+        if (type === 'news') {
+            return (data.value || []).map(item => ({
+                title: item.name,
+                url: item.url,
+                snippet: item.description,
+                publishedAt: item.datePublished,
+                source: item.provider && item.provider[0] && item.provider[0].name
+            }));
+        }
+        return ((data.webPages && data.webPages.value) || []).map(item => ({
+            title: item.name,
+            url: item.url,
+            snippet: item.snippet,
+            publishedAt: item.datePublished,
+            source: item.siteName
+        }));
+    }
+
+    /**
+     * Web search takes a date range; news only Day, Week or Month
+     */
+    static getFreshness({ from, to }, type, now = Date.now()) {
+        if (type !== 'news') {
+            return from ? `${from}..${to || new Date(now).toISOString().slice(0, 10)}` : null;
+        }
+        if (!from) return null;
+        const age = now - Date.parse(from);
+        return age <= SEARCH_DAY ? 'Day' : age <= 7 * SEARCH_DAY ? 'Week' : age <= 31 * SEARCH_DAY ? 'Month' : null;
+    }
+}
+
+/**
+ * Canned results for tests: `results` is a function of the request, an array
+ * returned for every query, or an object whose first key found in the query
+ * picks the results. In Node, `path` loads that object or array from a JSON
+ * file. Items use the normalized shape; every request is recorded in `calls`.
+ */
+class FixtureSearch extends SearchProvider {
+    constructor(options = {}) {
+        super(options);
+        this.results = options.results || null;
+        this.path = options.path || null;
+        this.calls = [];
+    }
+
+    async send(request) {
+        const { signal, ...recorded } = request;
+        this.calls.push(recorded);
+        if (signal && signal.aborted) {
+            throw new Error(`${this.name}: request aborted`);
+        }
+
+        if (!this.results && this.path) {
+            this.results = JSON.parse(await require('fs').promises.readFile(this.path, 'utf8'));
+        }
+
+        if (typeof this.results === 'function') {
+            return (await this.results(recorded)) || [];
+        }
+        if (Array.isArray(this.results)) {
+            return this.results;
+        }
+        const fixtures = this.results || {};
+        const key = Object.keys(fixtures).find(match => request.query.toLowerCase().includes(match.toLowerCase()));
+        return key === undefined ? [] : fixtures[key];
+    }
+}
+
+SerperSearch.TYPE = 'serper';
+SerperSearch.MAX_RESULTS = 100;
+SearxngSearch.TYPE = 'searxng';
+BraveSearch.TYPE = 'brave';
+BraveSearch.MAX_RESULTS = 20;
+BingSearch.TYPE = 'bing';
+BingSearch.MAX_RESULTS = 50;
+FixtureSearch.TYPE = 'fixture';
+FixtureSearch.MAX_RESULTS = 100;
+
+const SEARCH_PROVIDER_TYPES = {
+    serper: SerperSearch,
+    searxng: SearxngSearch,
+    brave: BraveSearch,
+    bing: BingSearch,
+    fixture: FixtureSearch
+};
+
+SearchProvider.TYPES = SEARCH_PROVIDER_TYPES;
+SearchProvider.DEFAULTS = SEARCH_DEFAULTS;
+SearchProvider.Serper = SerperSearch;
+SearchProvider.Searxng = SearxngSearch;
+SearchProvider.Brave = BraveSearch;
+SearchProvider.Bing = BingSearch;
+SearchProvider.Fixture = FixtureSearch;
+
+// Export for different module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SearchProvider;
+} else if (typeof window !== 'undefined') {
+    window.SearchProvider = SearchProvider;
+}
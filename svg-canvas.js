@@ -0,0 +1,433 @@
+/**
+ * SVG Canvas - Vector output backend for the Composeon visual post templates
+ *
+ * Records the subset of CanvasRenderingContext2D the templates use (rects, paths,
+ * arcs, text, linear gradients, shadows, clipping, drawImage) and serializes it as a
+ * standalone SVG document: text stays live <text>, gradients become
+ * <linearGradient>, shadows become filters and icons are inlined as nested <svg>.
+ * Works on plain strings so it runs both in Node and in the browser.
+ */
+
+const SvgCanvasTransformer = typeof SvgTransformer !== 'undefined' ? SvgTransformer : require('./svg-transform');
+
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+
+const TEXT_ANCHORS = {
+    left: 'start',
+    start: 'start',
+    center: 'middle',
+    right: 'end',
+    end: 'end'
+};
+
+const TEXT_BASELINES = {
+    top: 'text-before-edge',
+    hanging: 'hanging',
+    middle: 'central',
+    bottom: 'text-after-edge',
+    ideographic: 'ideographic'
+};
+
+// Rough average glyph width as a share of font size, for measureText without a font engine
+const AVERAGE_CHAR_WIDTH = 0.55;
+
+function formatNumber(value) {
+    return String(Math.round(value * 100) / 100);
+}
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+class SvgLinearGradient {
+    constructor(x0, y0, x1, y1) {
+        this.coordinates = [x0, y0, x1, y1];
+        this.stops = [];
+    }
+
+    addColorStop(offset, color) {
+        this.stops.push({ offset, color });
+    }
+}
+
+class SvgCanvasContext {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.elements = [];
+        this.definitions = [];
+        this.idCounter = 0;
+        this.filters = new Map();
+        this.transformer = new SvgCanvasTransformer();
+        this.path = [];
+        this.stack = [];
+        this.state = this.defaultState();
+    }
+
+    defaultState() {
+        return {
+            fillStyle: '#000000',
+            strokeStyle: '#000000',
+            lineWidth: 1,
+            font: '10px sans-serif',
+            textAlign: 'start',
+            textBaseline: 'alphabetic',
+            globalAlpha: 1,
+            shadowColor: 'transparent',
+            shadowBlur: 0,
+            shadowOffsetX: 0,
+            shadowOffsetY: 0,
+            clipPath: null,
+            transform: IDENTITY.slice()
+        };
+    }
+
+    save() {
+        this.stack.push({ ...this.state, transform: this.state.transform.slice() });
+    }
+
+    restore() {
+        if (this.stack.length > 0) {
+            this.state = this.stack.pop();
+        }
+    }
+
+    scale(x, y) {
+        const [a, b, c, d, e, f] = this.state.transform;
+        this.state.transform = [a * x, b * x, c * y, d * y, e, f];
+    }
+
+    translate(x, y) {
+        const [a, b, c, d, e, f] = this.state.transform;
+        this.state.transform = [a, b, c, d, e + a * x + c * y, f + b * x + d * y];
+    }
+
+    setTransform(a, b, c, d, e, f) {
+        this.state.transform = [a, b, c, d, e, f];
+    }
+
+    resetTransform() {
+        this.state.transform = IDENTITY.slice();
+    }
+
+    createLinearGradient(x0, y0, x1, y1) {
+        return new SvgLinearGradient(x0, y0, x1, y1);
+    }
+
+    /**
+     * SVG cannot erase, so only a full clear (start of a new post) is honored
+     */
+    clearRect(x, y, width, height) {
+        if (x <= 0 && y <= 0 && x + width >= this.canvas.width && y + height >= this.canvas.height) {
+            this.elements = [];
+            this.definitions = [];
+            this.filters.clear();
+        }
+    }
+
+    fillRect(x, y, width, height) {
+        this.addElement(
+            `<rect x="${formatNumber(x)}" y="${formatNumber(y)}" width="${formatNumber(width)}" height="${formatNumber(height)}"${this.paint('fill', this.state.fillStyle)}${this.effects()}/>`
+        );
+    }
+
+    strokeRect(x, y, width, height) {
+        this.addElement(
+            `<rect x="${formatNumber(x)}" y="${formatNumber(y)}" width="${formatNumber(width)}" height="${formatNumber(height)}" fill="none"${this.strokeAttributes()}${this.effects()}/>`
+        );
+    }
+
+    beginPath() {
+        this.path = [];
+    }
+
+    closePath() {
+        this.path.push('Z');
+    }
+
+    moveTo(x, y) {
+        this.path.push(`M${formatNumber(x)} ${formatNumber(y)}`);
+    }
+
+    lineTo(x, y) {
+        this.path.push(`L${formatNumber(x)} ${formatNumber(y)}`);
+    }
+
+    rect(x, y, width, height) {
+        this.path.push(`M${formatNumber(x)} ${formatNumber(y)}h${formatNumber(width)}v${formatNumber(height)}h${formatNumber(-width)}Z`);
+    }
+
+    /**
+     * Canvas arcs as SVG elliptical arc commands; full circles are split in two
+     */
+    arc(x, y, radius, startAngle, endAngle, anticlockwise = false) {
+        const point = angle => [x + radius * Math.cos(angle), y + radius * Math.sin(angle)];
+        const sweep = anticlockwise ? 0 : 1;
+        let delta = anticlockwise ? startAngle - endAngle : endAngle - startAngle;
+
+        const [startX, startY] = point(startAngle);
+        this.path.push(`${this.path.length === 0 ? 'M' : 'L'}${formatNumber(startX)} ${formatNumber(startY)}`);
+
+        if (delta >= 2 * Math.PI) {
+            const [midX, midY] = point(startAngle + (anticlockwise ? -Math.PI : Math.PI));
+            this.path.push(`A${formatNumber(radius)} ${formatNumber(radius)} 0 0 ${sweep} ${formatNumber(midX)} ${formatNumber(midY)}`);
+            this.path.push(`A${formatNumber(radius)} ${formatNumber(radius)} 0 0 ${sweep} ${formatNumber(startX)} ${formatNumber(startY)}`);
+            return;
+        }
+
+        delta = ((delta % (2 * Math.PI)) + 2 * Math.PI) % (2 * Math.PI);
+        const [endX, endY] = point(endAngle);
+        this.path.push(`A${formatNumber(radius)} ${formatNumber(radius)} 0 ${delta > Math.PI ? 1 : 0} ${sweep} ${formatNumber(endX)} ${formatNumber(endY)}`);
+    }
+
+    fill() {
+        if (this.path.length === 0) return;
+        this.addElement(`<path d="${this.path.join('')}"${this.paint('fill', this.state.fillStyle)}${this.effects()}/>`);
+    }
+
+    stroke() {
+        if (this.path.length === 0) return;
+        this.addElement(`<path d="${this.path.join('')}" fill="none"${this.strokeAttributes()}${this.effects()}/>`);
+    }
+
+    /**
+     * Clip later elements to the current path until restore; a new clip replaces
+     * the previous one instead of intersecting with it
+     */
+    clip() {
+        if (this.path.length === 0) return;
+
+        const id = this.nextId('clip');
+        this.definitions.push(`<clipPath id="${id}"><path d="${this.path.join('')}"/></clipPath>`);
+        this.state.clipPath = id;
+    }
+
+    fillText(text, x, y) {
+        const { family, size, weight, style } = this.parseFont(this.state.font);
+        const anchor = TEXT_ANCHORS[this.state.textAlign] || 'start';
+        const baseline = TEXT_BASELINES[this.state.textBaseline];
+
+        const attributes = [
+            `x="${formatNumber(x)}"`,
+            `y="${formatNumber(y)}"`,
+            `font-family="${escapeXml(family)}"`,
+            `font-size="${formatNumber(size)}"`,
+            weight !== 'normal' ? `font-weight="${weight}"` : '',
+            style !== 'normal' ? `font-style="${style}"` : '',
+            anchor !== 'start' ? `text-anchor="${anchor}"` : '',
+            baseline ? `dominant-baseline="${baseline}"` : ''
+        ].filter(Boolean).join(' ');
+
+        this.addElement(`<text ${attributes}${this.paint('fill', this.state.fillStyle)}${this.effects()}>${escapeXml(text)}</text>`);
+    }
+
+    /**
+     * Approximate metrics - the real width depends on the viewer's font
+     */
+    measureText(text) {
+        const { size } = this.parseFont(this.state.font);
+        return { width: String(text).length * size * AVERAGE_CHAR_WIDTH };
+    }
+
+    /**
+     * Inline SVG markup as a nested <svg>; other images are embedded as data URLs
+     */
+    drawImage(image, x, y, width, height) {
+        const markup = typeof image === 'string' ? image : image && image.svg;
+
+        if (markup) {
+            const namespaced = this.transformer.namespaceIds(markup, this.nextId('icon'));
+            const nested = namespaced.replace(/<svg\b[^>]*>/i, root => {
+                const attributes = root
+                    .replace(/^<svg\b|>$/gi, '')
+                    .replace(/\/$/, '')
+                    .replace(/\s(width|height|x|y|style)\s*=\s*("[^"]*"|'[^']*')/gi, '');
+                return `<svg x="${formatNumber(x)}" y="${formatNumber(y)}" width="${formatNumber(width)}" height="${formatNumber(height)}"${attributes}>`;
+            });
+            const effects = `${this.opacity()}${this.effects()}`;
+            this.addElement(effects ? `<g${effects}>${nested}</g>` : nested);
+            return;
+        }
+
+        const source = image && typeof image.toDataURL === 'function' ? image.toDataURL() : image && image.src;
+        if (source) {
+            this.addElement(
+                `<image x="${formatNumber(x)}" y="${formatNumber(y)}" width="${formatNumber(width)}" height="${formatNumber(height)}" href="${escapeXml(source)}" preserveAspectRatio="none"${this.opacity()}${this.effects()}/>`
+            );
+        }
+    }
+
+    /**
+     * Split a CSS font shorthand ("bold 48px Inter, sans-serif") into SVG attributes
+     */
+    parseFont(font) {
+        const match = String(font).match(/^\s*((?:(?:italic|oblique|normal|bold|bolder|lighter|small-caps|\d{3})\s+)*)([\d.]+)px(?:\/[\d.]+\w*)?\s+(.+)$/i);
+        if (!match) {
+            return { family: 'sans-serif', size: 10, weight: 'normal', style: 'normal' };
+        }
+
+        const modifiers = match[1].trim().split(/\s+/).filter(Boolean);
+        return {
+            family: match[3].trim(),
+            size: Number(match[2]),
+            weight: modifiers.find(modifier => /^(bold|bolder|lighter|\d{3})$/i.test(modifier)) || 'normal',
+            style: modifiers.find(modifier => /^(italic|oblique)$/i.test(modifier)) || 'normal'
+        };
+    }
+
+    /**
+     * Paint attribute for a color or gradient; alpha goes to a separate opacity attribute
+     */
+    paint(property, value) {
+        if (value instanceof SvgLinearGradient) {
+            return ` ${property}="url(#${this.defineGradient(value)})"`;
+        }
+
+        const { color, opacity } = this.splitAlpha(value);
+        const alpha = opacity * this.state.globalAlpha;
+        return ` ${property}="${color}"${alpha < 1 ? ` ${property}-opacity="${formatNumber(alpha)}"` : ''}`;
+    }
+
+    strokeAttributes() {
+        return `${this.paint('stroke', this.state.strokeStyle)} stroke-width="${formatNumber(this.state.lineWidth)}"`;
+    }
+
+    /**
+     * Turn #rrggbbaa, #rgba, rgba() and "transparent" into an opaque color plus opacity,
+     * which every SVG consumer (Figma, Illustrator, browsers) understands
+     */
+    splitAlpha(value) {
+        const color = String(value).trim();
+        if (/^transparent$/i.test(color)) {
+            return { color: '#000000', opacity: 0 };
+        }
+
+        const rgba = this.transformer.parseColor(color);
+        if (!rgba || rgba.a === 1) {
+            return { color, opacity: 1 };
+        }
+
+        const hex = `#${[rgba.r, rgba.g, rgba.b].map(channel => channel.toString(16).padStart(2, '0')).join('')}`;
+        return { color: hex, opacity: rgba.a };
+    }
+
+    defineGradient(gradient) {
+        const id = this.nextId('gradient');
+        const [x1, y1, x2, y2] = gradient.coordinates.map(formatNumber);
+        const stops = gradient.stops.map(stop => {
+            const { color, opacity } = this.splitAlpha(stop.color);
+            return `<stop offset="${formatNumber(stop.offset)}" stop-color="${color}"${opacity < 1 ? ` stop-opacity="${formatNumber(opacity)}"` : ''}/>`;
+        });
+
+        this.definitions.push(
+            `<linearGradient id="${id}" gradientUnits="userSpaceOnUse" x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}">${stops.join('')}</linearGradient>`
+        );
+        return id;
+    }
+
+    /**
+     * Group opacity for images, which have no fill to carry globalAlpha
+     */
+    opacity() {
+        return this.state.globalAlpha < 1 ? ` opacity="${formatNumber(this.state.globalAlpha)}"` : '';
+    }
+
+    /**
+     * Shadow (as a drop-shadow filter), clip region and current transform for the next element
+     */
+    effects() {
+        const { shadowColor, shadowBlur, shadowOffsetX, shadowOffsetY, transform } = this.state;
+        let attributes = '';
+
+        const { color, opacity } = this.splitAlpha(shadowColor);
+        if (opacity > 0 && (shadowBlur > 0 || shadowOffsetX !== 0 || shadowOffsetY !== 0)) {
+            const shadow = `<feDropShadow dx="${formatNumber(shadowOffsetX)}" dy="${formatNumber(shadowOffsetY)}" stdDeviation="${formatNumber(shadowBlur / 2)}" flood-color="${color}" flood-opacity="${formatNumber(opacity)}"/>`;
+
+            // Identical shadows share one filter definition
+            if (!this.filters.has(shadow)) {
+                const id = this.nextId('shadow');
+                this.filters.set(shadow, id);
+                this.definitions.push(`<filter id="${id}" x="-50%" y="-50%" width="200%" height="200%">${shadow}</filter>`);
+            }
+            attributes += ` filter="url(#${this.filters.get(shadow)})"`;
+        }
+
+        if (this.state.clipPath) {
+            attributes += ` clip-path="url(#${this.state.clipPath})"`;
+        }
+
+        if (transform.some((value, index) => value !== IDENTITY[index])) {
+            attributes += ` transform="matrix(${transform.map(formatNumber).join(' ')})"`;
+        }
+
+        return attributes;
+    }
+
+    nextId(prefix) {
+        this.idCounter += 1;
+        return `${prefix}-${this.idCounter}`;
+    }
+
+    addElement(markup) {
+        this.elements.push(markup);
+    }
+}
+
+// Canvas state properties are plain fields on the context
+['fillStyle', 'strokeStyle', 'lineWidth', 'font', 'textAlign', 'textBaseline', 'globalAlpha',
+    'shadowColor', 'shadowBlur', 'shadowOffsetX', 'shadowOffsetY'].forEach(property => {
+    Object.defineProperty(SvgCanvasContext.prototype, property, {
+        get() {
+            return this.state[property];
+        },
+        set(value) {
+            this.state[property] = value;
+        }
+    });
+});
+
+class SvgCanvas {
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+        this.context = null;
+    }
+
+    getContext() {
+        if (!this.context) {
+            this.context = new SvgCanvasContext(this);
+        }
+        return this.context;
+    }
+
+    /**
+     * Serialize everything drawn so far as a standalone SVG document
+     */
+    toSVG() {
+        const ctx = this.getContext();
+        const defs = ctx.definitions.length > 0 ? `<defs>${ctx.definitions.join('')}</defs>\n` : '';
+
+        return [
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${this.width}" height="${this.height}" viewBox="0 0 ${this.width} ${this.height}">`,
+            `${defs}${ctx.elements.join('\n')}`,
+            '</svg>',
+            ''
+        ].join('\n');
+    }
+
+    toDataURL() {
+        return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(this.toSVG())}`;
+    }
+}
+
+SvgCanvas.Context = SvgCanvasContext;
+
+// Export for different module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SvgCanvas;
+} else if (typeof window !== 'undefined') {
+    window.SvgCanvas = SvgCanvas;
+}
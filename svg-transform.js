@@ -0,0 +1,348 @@
+/**
+ * SVG Transform - Recoloring and theming pipeline for Composeon icons
+ *
+ * Applies brand colors to Lobe Icons SVG markup: fill color, currentColor swap,
+ * monochrome silhouette, lightness inversion for dark backgrounds and minification.
+ * Works on plain strings so it runs both in Node and in the browser.
+ */
+
+// Paint properties that can carry a color, as attributes or inline style declarations
+const PAINT_PROPERTIES = ['fill', 'stroke', 'stop-color', 'flood-color', 'lighting-color'];
+
+const NAMED_COLORS = {
+    black: '#000000',
+    white: '#ffffff'
+};
+
+// CSS named colors (CSS Color Module Level 4), plus the keywords that are valid paint
+const CSS_COLOR_NAMES = new Set([
+    'aliceblue', 'antiquewhite', 'aqua', 'aquamarine', 'azure', 'beige', 'bisque', 'black',
+    'blanchedalmond', 'blue', 'blueviolet', 'brown', 'burlywood', 'cadetblue', 'chartreuse',
+    'chocolate', 'coral', 'cornflowerblue', 'cornsilk', 'crimson', 'cyan', 'darkblue', 'darkcyan',
+    'darkgoldenrod', 'darkgray', 'darkgreen', 'darkgrey', 'darkkhaki', 'darkmagenta',
+    'darkolivegreen', 'darkorange', 'darkorchid', 'darkred', 'darksalmon', 'darkseagreen',
+    'darkslateblue', 'darkslategray', 'darkslategrey', 'darkturquoise', 'darkviolet', 'deeppink',
+    'deepskyblue', 'dimgray', 'dimgrey', 'dodgerblue', 'firebrick', 'floralwhite', 'forestgreen',
+    'fuchsia', 'gainsboro', 'ghostwhite', 'gold', 'goldenrod', 'gray', 'green', 'greenyellow',
+    'grey', 'honeydew', 'hotpink', 'indianred', 'indigo', 'ivory', 'khaki', 'lavender',
+    'lavenderblush', 'lawngreen', 'lemonchiffon', 'lightblue', 'lightcoral', 'lightcyan',
+    'lightgoldenrodyellow', 'lightgray', 'lightgreen', 'lightgrey', 'lightpink', 'lightsalmon',
+    'lightseagreen', 'lightskyblue', 'lightslategray', 'lightslategrey', 'lightsteelblue',
+    'lightyellow', 'lime', 'limegreen', 'linen', 'magenta', 'maroon', 'mediumaquamarine',
+    'mediumblue', 'mediumorchid', 'mediumpurple', 'mediumseagreen', 'mediumslateblue',
+    'mediumspringgreen', 'mediumturquoise', 'mediumvioletred', 'midnightblue', 'mintcream',
+    'mistyrose', 'moccasin', 'navajowhite', 'navy', 'oldlace', 'olive', 'olivedrab', 'orange',
+    'orangered', 'orchid', 'palegoldenrod', 'palegreen', 'paleturquoise', 'palevioletred',
+    'papayawhip', 'peachpuff', 'peru', 'pink', 'plum', 'powderblue', 'purple', 'rebeccapurple',
+    'red', 'rosybrown', 'royalblue', 'saddlebrown', 'salmon', 'sandybrown', 'seagreen', 'seashell',
+    'sienna', 'silver', 'skyblue', 'slateblue', 'slategray', 'slategrey', 'snow', 'springgreen',
+    'steelblue', 'tan', 'teal', 'thistle', 'tomato', 'turquoise', 'violet', 'wheat', 'white',
+    'whitesmoke', 'yellow', 'yellowgreen', 'transparent', 'currentcolor'
+]);
+
+const TRUE_VALUES = [true, 1, 'true', '1', 'yes', 'on'];
+
+class SvgTransformer {
+    /**
+     * Validate and normalize transform options (accepts strings from query params)
+     *
+     * - currentColor: replace currentColor only (tints mono icons, keeps brand colors)
+     * - fill: paint every filled shape, including gradient fills, with one color
+     * - monochrome: silhouette - fills, strokes and gradient stops in one color (true = black)
+     * - invert: flip lightness of dark colors, keeping hue (for dark backgrounds)
+     * - minify: strip comments, metadata and whitespace
+     */
+    normalizeOptions(options = {}) {
+        const normalized = {};
+
+        if (this.isSet(options.currentColor)) {
+            normalized.currentColor = this.normalizeColor(options.currentColor);
+        }
+        if (this.isSet(options.fill)) {
+            normalized.fill = this.normalizeColor(options.fill);
+        }
+        if (this.isSet(options.monochrome) && !this.isFalse(options.monochrome)) {
+            normalized.monochrome = TRUE_VALUES.includes(options.monochrome)
+                ? NAMED_COLORS.black
+                : this.normalizeColor(options.monochrome);
+        }
+
+        normalized.invert = TRUE_VALUES.includes(options.invert);
+        normalized.minify = TRUE_VALUES.includes(options.minify);
+
+        return normalized;
+    }
+
+    isSet(value) {
+        return value !== undefined && value !== null && value !== '';
+    }
+
+    isFalse(value) {
+        return [false, 0, 'false', '0', 'no', 'off'].includes(value);
+    }
+
+    /**
+     * Accept CSS colors, allowing bare hex values ("ff0000") from query strings;
+     * words must be CSS color names
+     */
+    normalizeColor(color) {
+        const value = String(color).trim();
+        if (/^([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i.test(value)) {
+            return `#${value}`;
+        }
+        if (CSS_COLOR_NAMES.has(value.toLowerCase())
+            || /^(#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})|(rgb|hsl)a?\([\d\s.,%]+\))$/i.test(value)) {
+            return value;
+        }
+        throw new Error(`Invalid color '${color}'`);
+    }
+
+    /**
+     * Check whether any transform would change the markup
+     */
+    hasTransforms(options) {
+        return Boolean(options.currentColor || options.fill || options.monochrome || options.invert || options.minify);
+    }
+
+    /**
+     * Apply the transform pipeline: currentColor -> fill -> monochrome -> invert -> minify
+     */
+    transform(svg, options = {}) {
+        const opts = this.normalizeOptions(options);
+        let result = svg;
+
+        if (opts.currentColor) {
+            result = this.replaceCurrentColor(result, opts.currentColor);
+        }
+        if (opts.fill) {
+            result = this.applyFill(result, opts.fill);
+        }
+        if (opts.monochrome) {
+            result = this.toMonochrome(result, opts.monochrome);
+        }
+        if (opts.invert) {
+            result = this.invert(result);
+        }
+        if (opts.minify) {
+            result = this.minify(result);
+        }
+
+        return result;
+    }
+
+    /**
+     * Rewrite paint values for the given properties, in attributes and inline styles
+     */
+    mapPaint(svg, properties, mapper) {
+        const names = properties.join('|');
+        const attributePattern = new RegExp(`(\\s(?:${names})\\s*=\\s*)(["'])([^"']*)\\2`, 'gi');
+        const stylePattern = /(\sstyle\s*=\s*)(["'])([^"']*)\2/gi;
+        const declarationPattern = new RegExp(`(^|;)(\\s*(?:${names})\\s*:\\s*)([^;]+)`, 'gi');
+
+        return svg
+            .replace(attributePattern, (match, prefix, quote, value) => {
+                const property = prefix.trim().replace(/\s*=$/, '').toLowerCase();
+                return `${prefix}${quote}${mapper(value.trim(), property)}${quote}`;
+            })
+            .replace(stylePattern, (match, prefix, quote, style) => {
+                const mapped = style.replace(declarationPattern, (declaration, separator, property, value) => {
+                    const name = property.replace(':', '').trim().toLowerCase();
+                    return `${separator}${property}${mapper(value.trim(), name)}`;
+                });
+                return `${prefix}${quote}${mapped}${quote}`;
+            });
+    }
+
+    /**
+     * Set (or replace) an attribute on the root <svg> element
+     */
+    setRootAttribute(svg, name, value) {
+        return svg.replace(/<svg\b[^>]*>/i, root => {
+            const pattern = new RegExp(`\\s${name}\\s*=\\s*("[^"]*"|'[^']*')`, 'i');
+            return pattern.test(root)
+                ? root.replace(pattern, ` ${name}="${value}"`)
+                : root.replace(/^<svg\b/i, `<svg ${name}="${value}"`);
+        });
+    }
+
+    getRootAttribute(svg, name) {
+        const root = (svg.match(/<svg\b[^>]*>/i) || [''])[0];
+        const match = root.match(new RegExp(`\\s${name}\\s*=\\s*["']([^"']*)["']`, 'i'));
+        return match ? match[1] : null;
+    }
+
+    isPaint(value) {
+        return value && !/^(none|transparent|inherit)$/i.test(value);
+    }
+
+    replaceCurrentColor(svg, color) {
+        return svg.replace(/currentColor/gi, color);
+    }
+
+    /**
+     * Paint every filled shape with one color; strokes are left alone
+     */
+    applyFill(svg, color) {
+        const result = this.mapPaint(svg, ['fill'], value => this.isPaint(value) ? color : value);
+        // Shapes without an explicit fill inherit from the root (black by default)
+        return this.setRootAttribute(result, 'fill', color);
+    }
+
+    /**
+     * Reduce the icon to a single-color silhouette
+     */
+    toMonochrome(svg, color) {
+        const result = this.mapPaint(svg, PAINT_PROPERTIES, value => this.isPaint(value) ? color : value);
+        return this.setRootAttribute(result, 'fill', color);
+    }
+
+    /**
+     * Make the icon readable on dark backgrounds: dark colors get their lightness
+     * flipped (black ink becomes white), light and mid-tone brand colors are kept
+     */
+    invert(svg) {
+        // Unset root fill means black ink - make it explicit so it gets inverted too
+        let result = this.getRootAttribute(svg, 'fill') === null
+            ? this.setRootAttribute(svg, 'fill', NAMED_COLORS.black)
+            : svg;
+
+        result = this.replaceCurrentColor(result, NAMED_COLORS.black);
+        return this.mapPaint(result, PAINT_PROPERTIES, value => this.invertColor(value));
+    }
+
+    /**
+     * Invert a single dark color; light colors and non-colors (url(), none) pass through
+     */
+    invertColor(value) {
+        const rgba = this.parseColor(value);
+        if (!rgba) {
+            return value;
+        }
+
+        const [h, s, l] = this.rgbToHsl(rgba.r, rgba.g, rgba.b);
+        if (l >= 0.5) {
+            return value;
+        }
+
+        const [r, g, b] = this.hslToRgb(h, s, 1 - l);
+        const hex = `#${[r, g, b].map(channel => channel.toString(16).padStart(2, '0')).join('')}`;
+
+        return rgba.a < 1 ? `rgba(${r}, ${g}, ${b}, ${rgba.a})` : hex;
+    }
+
+    parseColor(value) {
+        const color = NAMED_COLORS[value.toLowerCase()] || value;
+        const hex = color.match(/^#([0-9a-f]{3,8})$/i);
+
+        if (hex) {
+            let digits = hex[1];
+            if (digits.length === 3 || digits.length === 4) {
+                digits = digits.split('').map(digit => digit + digit).join('');
+            }
+            if (digits.length !== 6 && digits.length !== 8) {
+                return null;
+            }
+            return {
+                r: parseInt(digits.slice(0, 2), 16),
+                g: parseInt(digits.slice(2, 4), 16),
+                b: parseInt(digits.slice(4, 6), 16),
+                a: digits.length === 8 ? parseInt(digits.slice(6, 8), 16) / 255 : 1
+            };
+        }
+
+        const rgb = color.match(/^rgba?\(\s*([\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)(?:[\s,/]+([\d.]+))?\s*\)$/i);
+        if (rgb) {
+            return {
+                r: Math.round(Number(rgb[1])),
+                g: Math.round(Number(rgb[2])),
+                b: Math.round(Number(rgb[3])),
+                a: rgb[4] === undefined ? 1 : Number(rgb[4])
+            };
+        }
+
+        return null;
+    }
+
+    rgbToHsl(r, g, b) {
+        const [rn, gn, bn] = [r / 255, g / 255, b / 255];
+        const max = Math.max(rn, gn, bn);
+        const min = Math.min(rn, gn, bn);
+        const l = (max + min) / 2;
+
+        if (max === min) {
+            return [0, 0, l];
+        }
+
+        const d = max - min;
+        const s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+        let h;
+        if (max === rn) h = (gn - bn) / d + (gn < bn ? 6 : 0);
+        else if (max === gn) h = (bn - rn) / d + 2;
+        else h = (rn - gn) / d + 4;
+
+        return [h / 6, s, l];
+    }
+
+    hslToRgb(h, s, l) {
+        if (s === 0) {
+            const gray = Math.round(l * 255);
+            return [gray, gray, gray];
+        }
+
+        const hueToRgb = (p, q, t) => {
+            if (t < 0) t += 1;
+            if (t > 1) t -= 1;
+            if (t < 1 / 6) return p + (q - p) * 6 * t;
+            if (t < 1 / 2) return q;
+            if (t < 2 / 3) return p + (q - p) * (2 / 3 - t) * 6;
+            return p;
+        };
+
+        const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+        const p = 2 * l - q;
+
+        return [h + 1 / 3, h, h - 1 / 3].map(t => Math.round(hueToRgb(p, q, t) * 255));
+    }
+
+    /**
+     * Prefix internal ids (gradients, clip paths) so several icons can share one document
+     */
+    namespaceIds(svg, namespace) {
+        const ids = [...svg.matchAll(/\sid\s*=\s*["']([^"']+)["']/gi)].map(match => match[1]);
+        if (ids.length === 0) {
+            return svg;
+        }
+
+        const escape = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const pattern = new RegExp(`(\\sid\\s*=\\s*["']|url\\(\\s*["']?#|href\\s*=\\s*["']#)(${ids.map(escape).join('|')})(?=["')])`, 'g');
+
+        return svg.replace(pattern, (match, prefix, id) => `${prefix}${namespace}-${id}`);
+    }
+
+    /**
+     * Strip comments, metadata and insignificant whitespace
+     */
+    minify(svg) {
+        const compact = svg
+            .replace(/<\?xml[\s\S]*?\?>/gi, '')
+            .replace(/<!DOCTYPE[\s\S]*?>/gi, '')
+            .replace(/<!--[\s\S]*?-->/g, '')
+            .replace(/<metadata\b[\s\S]*?<\/metadata>/gi, '')
+            .replace(/>\s+</g, '><')
+            .replace(/\s{2,}/g, ' ')
+            .replace(/\s+(\/?>)/g, '$1')
+            .trim();
+
+        // Shorten hex colors only in color values, so id fragments such as
+        // url(#aabbcc) or href="#aabbcc" keep pointing at their targets
+        return this.mapPaint(compact, [...PAINT_PROPERTIES, 'color'],
+            value => value.replace(/^#([0-9a-f])\1([0-9a-f])\2([0-9a-f])\3$/i, '#$1$2$3'));
+    }
+}
+
+// Export for different module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SvgTransformer;
+} else if (typeof window !== 'undefined') {
+    window.SvgTransformer = SvgTransformer;
+}
@@ -0,0 +1,120 @@
+/**
+ * Template Loader - Reads user visual templates from a directory
+ *
+ * Every *.json, *.yaml and *.yml file in the directory is one template spec
+ * (see visual-template.js); the id defaults to the file name. Background images
+ * given as relative paths are read next to the template and inlined as data URLs,
+ * so rendering never touches the file system. Files are re-read only when they
+ * change, which lets templates be added or edited while the server is running.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const yaml = require('js-yaml');
+const VisualTemplate = require('./visual-template');
+
+const EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+const IMAGE_TYPES = {
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.svg': 'image/svg+xml'
+};
+
+class TemplateLoader {
+    constructor({ directory, reservedIds = [] }) {
+        this.directory = directory;
+        this.reservedIds = reservedIds;
+        this.cache = new Map();
+    }
+
+    /**
+     * Load every template in the directory; invalid files are reported, not thrown
+     */
+    async load() {
+        let files;
+        try {
+            files = await fs.readdir(this.directory);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return { templates: [], errors: [] };
+            }
+            throw error;
+        }
+
+        const templates = [];
+        const errors = [];
+        const seen = new Set();
+
+        for (const file of files.filter(name => EXTENSIONS.includes(path.extname(name).toLowerCase())).sort()) {
+            try {
+                const template = await this.loadFile(path.join(this.directory, file));
+                if (this.reservedIds.includes(template.id)) {
+                    throw new Error(`Template id '${template.id}' is taken by a built-in template`);
+                }
+                if (seen.has(template.id)) {
+                    throw new Error(`Duplicate template id '${template.id}'`);
+                }
+                seen.add(template.id);
+                templates.push(template);
+            } catch (error) {
+                errors.push({ file, error: error.message });
+            }
+        }
+
+        return { templates, errors };
+    }
+
+    async loadFile(filePath) {
+        const { mtimeMs } = await fs.stat(filePath);
+        const cached = this.cache.get(filePath);
+        if (cached && cached.mtimeMs === mtimeMs) {
+            return cached.template;
+        }
+
+        const source = await fs.readFile(filePath, 'utf8');
+        const extension = path.extname(filePath).toLowerCase();
+        const spec = extension === '.json' ? JSON.parse(source) : yaml.load(source);
+        if (!spec || typeof spec !== 'object') {
+            throw new Error('Template file is empty');
+        }
+
+        const background = spec.background && spec.background.type === 'image'
+            ? { ...spec.background, src: await TemplateLoader.inlineImage(spec.background.src, path.dirname(filePath)) }
+            : spec.background;
+
+        const template = new VisualTemplate({
+            ...spec,
+            id: spec.id || path.basename(filePath, extension),
+            background
+        });
+
+        this.cache.set(filePath, { mtimeMs, template });
+        return template;
+    }
+
+    /**
+     * Turn an image path relative to baseDirectory into a data URL; URLs are kept as they are
+     */
+    static async inlineImage(src, baseDirectory) {
+        if (!src || /^(data:|https?:\/\/)/i.test(src)) {
+            return src;
+        }
+
+        const filePath = path.resolve(baseDirectory, src);
+        const mimeType = IMAGE_TYPES[path.extname(filePath).toLowerCase()];
+        if (!mimeType) {
+            throw new Error(`${src}: unsupported image type '${path.extname(filePath)}'`);
+        }
+
+        const buffer = await fs.readFile(filePath);
+        return `data:${mimeType};base64,${buffer.toString('base64')}`;
+    }
+}
+
+TemplateLoader.EXTENSIONS = EXTENSIONS;
+
+module.exports = TemplateLoader;
@@ -0,0 +1,223 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const AIContentGenerator = require('../ai-content-generator');
+
+const ICONS = [
+    { name: 'openai', displayName: 'OpenAI', category: 'ai' },
+    { name: 'claude', displayName: 'Claude', category: 'ai' }
+];
+const RESEARCH = { dimensions: ['marketData', 'technicalInfo'] };
+
+async function generate(generator, options = {}) {
+    const events = [];
+    const carousel = await generator.generateCarousel(ICONS, 'tech-stack-review', null, {
+        research: RESEARCH,
+        onProgress: event => events.push(event),
+        ...options
+    });
+    return { carousel, events };
+}
+
+test('reports every research dimension, slide and the summary as it happens', async () => {
+    const generator = new AIContentGenerator({ llm: { provider: 'mock' } });
+    const { events } = await generate(generator);
+    const total = ICONS.length * RESEARCH.dimensions.length + 6 + 2;
+
+    assert.ok(events.every(event => event.total === total));
+    assert.deepStrictEqual(events.map(event => event.completed), [...events.map(event => event.completed)].sort((a, b) => a - b));
+    assert.deepStrictEqual(events[events.length - 1], {
+        stage: 'carousel', status: 'completed', message: 'Generated 6 slides', completed: total, total, progress: 1
+    });
+
+    const research = events.filter(event => event.stage === 'research');
+    for (const company of ['OpenAI', 'Claude']) {
+        for (const dimension of RESEARCH.dimensions) {
+            const statuses = research.filter(event => event.company === company && event.dimension === dimension).map(event => event.status);
+            assert.deepStrictEqual(statuses, ['started', 'completed'], `${company} ${dimension}`);
+        }
+    }
+
+    const slides = events.filter(event => event.stage === 'slide');
+    assert.deepStrictEqual(slides.map(event => `${event.slide} ${event.status}`), [1, 2, 3, 4, 5, 6].flatMap(slide => [`${slide} started`, `${slide} completed`]));
+    assert.strictEqual(slides[0].message, 'Slide 1 of 6: cover');
+    assert.deepStrictEqual(events.filter(event => event.stage === 'structure' || event.stage === 'summary').map(event => `${event.stage} ${event.status}`),
+        ['structure started', 'structure completed', 'summary started', 'summary completed']);
+
+    // A second run reads the research from the cache
+    const again = await generate(generator);
+    assert.deepStrictEqual(again.events.filter(event => event.stage === 'research').map(event => event.status), Array(4).fill('cached'));
+    assert.strictEqual(again.carousel.metadata.cache.hits, 4);
+});
+
+test('failed steps are reported and the run goes on', async () => {
+    const generator = new AIContentGenerator({ llm: { provider: 'mock' } });
+    const mock = generator.getLLMProvider('mock');
+    const sample = mock.send.bind(mock);
+    mock.send = request => (/technical analysis of Claude/.test(request.prompt) ? Promise.reject(new Error('model crashed')) : sample(request));
+
+    const events = [];
+    const { carousel } = await generate(generator, { onProgress: event => {
+        events.push(event);
+        throw new Error('a broken listener does not stop the run');
+    } });
+    assert.strictEqual(carousel.slides.length, 6);
+
+    const failed = events.filter(event => event.status === 'failed');
+    assert.deepStrictEqual(failed.map(event => [event.company, event.dimension, event.error]), [['Claude', 'technicalInfo', 'model crashed']]);
+    assert.strictEqual(events[events.length - 1].status, 'completed');
+});
+
+test('an abort signal cancels the run between steps', async () => {
+    const generator = new AIContentGenerator({ llm: { provider: 'mock' } });
+    const mock = generator.getLLMProvider('mock');
+    const controller = new AbortController();
+    const events = [];
+    let callsAtAbort;
+
+    await assert.rejects(generator.generateCarousel(ICONS, 'tech-stack-review', null, {
+        research: RESEARCH,
+        signal: controller.signal,
+        onProgress: event => {
+            events.push(event);
+            if (event.stage === 'slide' && event.slide === 2 && event.status === 'started') {
+                callsAtAbort = mock.calls.length;
+                controller.abort();
+            }
+        }
+    }), /abort/i);
+
+    assert.strictEqual(events[events.length - 1].status, 'cancelled');
+    assert.ok(!events.some(event => event.stage === 'summary'));
+    assert.ok(mock.calls.length <= callsAtAbort + 1);
+});
+
+test('unknown carousel types fail with a failed event', async () => {
+    const generator = new AIContentGenerator({ llm: { provider: 'mock' } });
+    const events = [];
+
+    await assert.rejects(generator.generateCarousel(ICONS, 'poetry', null, { research: RESEARCH, onProgress: event => events.push(event) }),
+        /Failed to generate carousel: Unknown carousel type: poetry/);
+    assert.deepStrictEqual(events[events.length - 1], {
+        stage: 'carousel', status: 'failed', message: 'Generation failed', error: 'Unknown carousel type: poetry',
+        completed: 4, total: 6, progress: 4 / 6
+    });
+});
+
+test('research options pick the dimensions and check their values', async () => {
+    const generator = new AIContentGenerator({ llm: { provider: 'mock' } });
+
+    assert.deepStrictEqual(generator.normalizeResearchOptions(null), {
+        dimensions: ['latestNews', 'marketData', 'technicalInfo', 'competitors', 'recentDevelopments'],
+        depth: 'standard', maxSources: 5, dateRange: null
+    });
+    assert.deepStrictEqual(generator.normalizeResearchOptions({ dateRange: { from: '2026-01-01T12:00:00Z' } }).dateRange, { from: '2026-01-01', to: null });
+    assert.throws(() => generator.normalizeResearchOptions({ dimensions: ['gossip'] }), /Unknown research dimension 'gossip'/);
+    assert.throws(() => generator.normalizeResearchOptions({ depth: 'bottomless' }), /Unknown research depth/);
+    assert.throws(() => generator.normalizeResearchOptions({ maxSources: 21 }), /maxSources must be an integer between 1 and 20/);
+    assert.throws(() => generator.normalizeResearchOptions({ dateRange: { from: 'soon' } }), /Invalid date in dateRange: soon/);
+    assert.throws(() => generator.normalizeResearchOptions({ dateRange: { from: '2026-02-01', to: '2026-01-01' } }), /must not be after/);
+
+    const research = await generator.researchCompany(ICONS[0], {}, () => {}, generator.normalizeResearchOptions({ dimensions: ['marketData'], depth: 'deep', maxSources: 3 }));
+    assert.deepStrictEqual(Object.keys(research.research), ['marketData']);
+    const [call] = generator.getLLMProvider('mock').calls;
+    assert.strictEqual(generator.getLLMProvider('mock').calls.length, 1);
+    assert.strictEqual(call.maxTokens, 2048);
+    assert.match(call.system, /Be thorough.*Draw on at most 3 sources\./);
+});
+
+test('the research period comes from the date range or today', () => {
+    const generator = new AIContentGenerator({ llm: { provider: 'mock' } });
+    const now = new Date('2026-10-19T08:00:00Z');
+
+    assert.deepStrictEqual(generator.getResearchPeriod(null, now), { text: 'in the 12 months up to 2026-10-19', years: '2026' });
+    assert.deepStrictEqual(generator.getResearchPeriod({ from: '2025-11-01', to: '2026-02-01' }, now), { text: 'between 2025-11-01 and 2026-02-01', years: '2025 2026' });
+    assert.deepStrictEqual(generator.getResearchPeriod({ from: '2026-01-01', to: null }, now), { text: 'since 2026-01-01', years: '2026' });
+    assert.deepStrictEqual(generator.getResearchPeriod({ from: null, to: '2025-06-30' }, now), { text: 'up to 2025-06-30', years: '2025' });
+});
+
+test('news queries and prompts name the research period, not a fixed year', async () => {
+    const search = { type: 'fixture', results: [] };
+    const generator = new AIContentGenerator({ llm: { provider: 'mock' }, search });
+    const mock = generator.getLLMProvider('mock');
+    const dateRange = { from: '2025-11-01', to: '2026-02-01' };
+
+    await generator.researchCompany(ICONS[0], {}, () => {}, generator.normalizeResearchOptions({ dimensions: ['latestNews', 'recentDevelopments'], dateRange }));
+    assert.strictEqual(generator.searchProvider.calls[0].query, '"OpenAI" news 2025 2026 latest updates');
+    assert.deepStrictEqual(generator.searchProvider.calls[0].dateRange, dateRange);
+    const prompts = mock.calls.map(call => call.prompt);
+    assert.ok(prompts.some(prompt => prompt.includes('Latest developments and news (between 2025-11-01 and 2026-02-01)')));
+    assert.ok(prompts.some(prompt => prompt.includes('most significant developments for OpenAI between 2025-11-01 and 2026-02-01?')));
+    assert.ok(prompts.every(prompt => !prompt.includes('2024')));
+
+    mock.calls.length = 0;
+    const today = new Date().toISOString().slice(0, 10);
+    await generator.researchCompany(ICONS[1], {}, () => {}, generator.normalizeResearchOptions({ dimensions: ['latestNews'] }));
+    assert.strictEqual(generator.searchProvider.calls[1].query, `"Claude" news ${today.slice(0, 4)} latest updates`);
+    assert.ok(mock.calls[0].prompt.includes(`Latest developments and news (in the 12 months up to ${today})`));
+});
+
+test('web news becomes the research and its sources', async () => {
+    const results = [
+        { title: 'OpenAI ships agents', url: 'https://techcrunch.com/openai-agents', snippet: 'Agents for everyone', publishedAt: '2026-01-15' },
+        { title: 'Old news', url: 'https://techcrunch.com/old', snippet: 'Out of range', publishedAt: '2024-01-15' }
+    ];
+    const generator = new AIContentGenerator({ llm: { provider: 'mock' }, search: { type: 'fixture', results: { OpenAI: results } } });
+
+    const news = await generator.fetchLatestNews('OpenAI', {}, generator.normalizeResearchOptions({ dateRange: { from: '2026-01-01' } }));
+    assert.strictEqual(news.searchProvider, 'fixture');
+    assert.deepStrictEqual(news.news.map(item => item.title), ['OpenAI ships agents']);
+    assert.deepStrictEqual(news.sources.map(source => [source.type, source.url]), [['web', 'https://techcrunch.com/openai-agents']]);
+    assert.strictEqual(generator.getLLMProvider('mock').calls.length, 0);
+});
+
+test('source records get stable ids from where they point', () => {
+    const generator = new AIContentGenerator({ llm: { provider: 'mock' } });
+    const page = generator.createSource({ type: 'web', url: 'https://example.com/a', snippet: `  ${'word '.repeat(60)}` });
+
+    assert.match(page.id, /^web-[0-9a-z]{7}$/);
+    assert.strictEqual(generator.createSource({ type: 'web', url: 'https://example.com/a' }).id, page.id);
+    assert.strictEqual(page.title, 'https://example.com/a');
+    assert.strictEqual(page.snippet, `${'word '.repeat(48)}...`);
+    assert.ok(!Number.isNaN(Date.parse(page.retrievedAt)));
+    assert.match(generator.createSource({ type: 'document', docId: 'notes.md', passage: 'notes.md#2' }).id, /^doc-/);
+
+    const research = generator.withSources({ provider: 'mock', model: 'm', sources: [page] }, [page]);
+    assert.deepStrictEqual(research.sources.map(source => source.type), ['web', 'model']);
+    assert.strictEqual(research.sources[1].title, 'Model knowledge (mock m) - verify before publishing');
+
+    // Model knowledge is numbered last, and plain URLs from older research still count
+    const used = generator.getUsedSources([
+        { research: { marketData: research } },
+        { research: { latestNews: { sources: ['https://example.com/b', page] } } }
+    ]);
+    assert.deepStrictEqual(used.map(source => source.url || source.type), ['https://example.com/a', 'https://example.com/b', 'model']);
+});
+
+test('slides cite the sources behind their research through to the export', async () => {
+    const news = [{ title: 'OpenAI ships agents', url: 'https://techcrunch.com/openai-agents', snippet: 'Agents for everyone', publishedAt: '2026-01-15' }];
+    const generator = new AIContentGenerator({ llm: { provider: 'mock' }, search: { type: 'fixture', results: { OpenAI: news } } });
+    const mock = generator.getLLMProvider('mock');
+    const webId = generator.createSource({ type: 'web', url: news[0].url }).id;
+    mock.responses = request => (request.prompt.includes('Slide 1: intro')
+        ? { headline: 'Agents arrive', bullets: ['Shipped in January'], sources: [webId, 'web-invented'] }
+        : undefined);
+
+    const carousel = await generator.generateCarousel([ICONS[0]], 'market-analysis', null, { research: { dimensions: ['latestNews', 'marketData'] } });
+    const sources = carousel.metadata.researchSources;
+    assert.deepStrictEqual(sources.map(source => source.type), ['web', 'model']);
+    assert.deepStrictEqual(carousel.visualCarousel.sources, sources);
+
+    // The model's citations are kept when they are real, else the slide lists all of its research
+    const [intro, overview] = carousel.slides;
+    assert.deepStrictEqual(intro.sourceIds, [webId]);
+    assert.deepStrictEqual(overview.sourceIds, [sources[1].id]);
+    assert.deepStrictEqual(carousel.visualCarousel.slides[0].sourceIds, [webId]);
+
+    const prompt = mock.calls.find(call => call.prompt.includes('Slide 1: intro')).prompt;
+    assert.ok(prompt.includes(`[${webId}] OpenAI ships agents - Agents for everyone`));
+    assert.ok(!prompt.split('Research Data:')[1].split('\nSources')[0].includes('"sources"'), 'the research data leaves the source records out');
+
+    const markdown = (await generator.exportCarousel(carousel, 'markdown')).content;
+    assert.match(markdown, /_Sources: \[1\]_/);
+    assert.match(markdown, /## Sources\n\n1\. \[OpenAI ships agents\]\(https:\/\/techcrunch\.com\/openai-agents\) - techcrunch\.com\/openai-agents · retrieved \d{4}-\d{2}-\d{2}\n   > Agents for everyone\n2\. \*\*Model knowledge \(mock mock\) - verify before publishing\*\* - model output, not independently verified · retrieved/);
+});
@@ -0,0 +1,137 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const BrandKit = require('../brand-kit');
+const IconCatalog = require('../icon-catalog');
+const VisualPostGenerator = require('../visual-post-generator');
+const VisualPostRenderer = require('../visual-post-renderer');
+const AIContentGenerator = require('../ai-content-generator');
+
+const ICONS_PATH = path.join(__dirname, '..', 'lobe-icons/packages/static-svg/icons');
+const MANIFEST_PATH = path.join(__dirname, '..', 'icons-manifest.json');
+const PIXEL = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==';
+
+const ACME = {
+    id: 'acme',
+    name: 'Acme',
+    palette: { primary: 'FF6600', accent: '#0c0' },
+    fonts: { heading: 'Poppins, sans-serif' },
+    logo: 'https://example.com/acme-white.png',
+    variants: {
+        light: { palette: { background: '#fffaf0' }, logo: 'https://example.com/acme-black.png' }
+    }
+};
+
+function tempDirectory(t) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'composeon-brand-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+    return directory;
+}
+
+test('variants layer the defaults, the shared palette and their own colors', () => {
+    const kit = new BrandKit(ACME);
+
+    assert.deepStrictEqual(kit.getPalette('dark'), { ...BrandKit.DEFAULT_PALETTES.dark, primary: '#ff6600', accent: '#00cc00' });
+    assert.strictEqual(kit.getPalette('light').background, '#fffaf0');
+    assert.strictEqual(kit.getPalette('light').text, BrandKit.DEFAULT_PALETTES.light.text);
+    assert.strictEqual(kit.getLogo(), 'https://example.com/acme-white.png');
+    assert.strictEqual(kit.getLogo('light'), 'https://example.com/acme-black.png');
+    assert.strictEqual(kit.fonts.heading, 'Poppins, sans-serif');
+    assert.strictEqual(kit.fonts.body, 'Inter, -apple-system, sans-serif');
+});
+
+test('rejects malformed kits with the field at fault', () => {
+    assert.throws(() => new BrandKit([]), /Brand kit must be an object/);
+    assert.throws(() => new BrandKit({ id: 'Acme Corp' }), /Invalid brand kit id/);
+    assert.throws(() => new BrandKit({ palette: { primary: 'red' } }), /palette\.primary: 'red' is not a hex color/);
+    assert.throws(() => new BrandKit({ palette: { link: '#000' } }), /palette: unknown color 'link'/);
+    assert.throws(() => new BrandKit({ fonts: { heading: ' ' } }), /fonts\.heading must not be empty/);
+    assert.throws(() => new BrandKit({ logo: 42 }), /logo must be an image URL/);
+    assert.throws(() => new BrandKit({ variants: { sepia: {} } }), /Unknown brand variant 'sepia'/);
+    assert.throws(() => new BrandKit({ defaultVariant: 'dim' }), /Unknown brand variant 'dim'/);
+});
+
+test('maps onto the post colors and the carousel theme', () => {
+    const kit = new BrandKit(ACME);
+
+    const colors = kit.toGeneratorColors('dark');
+    assert.strictEqual(colors.primary, '#ff6600');
+    assert.strictEqual(colors.dark, BrandKit.DEFAULT_PALETTES.dark.background);
+    assert.strictEqual(colors.light, BrandKit.DEFAULT_PALETTES.dark.text);
+    assert.strictEqual(colors.paper, '#fffaf0');
+
+    const theme = kit.toCarouselTheme('light');
+    assert.strictEqual(theme.theme, 'acme-light');
+    assert.strictEqual(theme.brandName, 'Acme');
+    assert.strictEqual(theme.colorScheme.background, '#fffaf0');
+    assert.strictEqual(theme.typography.headline, 'Poppins Bold 32px');
+    assert.strictEqual(theme.logo, 'https://example.com/acme-black.png');
+});
+
+test('round-trips through JSON and YAML files', async t => {
+    const directory = tempDirectory(t);
+    const kit = new BrandKit(ACME);
+
+    for (const file of ['acme.json', 'acme.yaml']) {
+        const filePath = await kit.save(path.join(directory, file));
+        assert.deepStrictEqual((await BrandKit.load(filePath)).toJSON(), kit.toJSON(), file);
+    }
+    assert.deepStrictEqual(BrandKit.from(JSON.stringify(kit)).toJSON(), kit.toJSON());
+    assert.strictEqual(BrandKit.from(kit), kit);
+});
+
+test('loading a file names the kit after it and embeds relative logos', async t => {
+    const directory = tempDirectory(t);
+    fs.writeFileSync(path.join(directory, 'logo.png'), Buffer.from(PIXEL, 'base64'));
+    fs.writeFileSync(path.join(directory, 'Team Kit.yml'), 'palette:\n  primary: "#123456"\nlogo: logo.png\nvariants:\n  light:\n    logo: logo.png\n');
+    fs.writeFileSync(path.join(directory, 'empty.json'), 'null');
+
+    const kit = await BrandKit.load(path.join(directory, 'Team Kit.yml'));
+    assert.strictEqual(kit.id, 'team-kit');
+    assert.strictEqual(kit.logo, `data:image/png;base64,${PIXEL}`);
+    assert.strictEqual(kit.getLogo('light'), `data:image/png;base64,${PIXEL}`);
+    await assert.rejects(BrandKit.load(path.join(directory, 'empty.json')), /Brand kit file is empty/);
+});
+
+test('posts take the kit colors and fonts and fall back to its logo', async () => {
+    const generator = new VisualPostGenerator({ brandKit: ACME, brandVariant: 'light' });
+    assert.strictEqual(generator.brandVariant, 'light');
+    assert.strictEqual(generator.colors.dark, '#fffaf0');
+    assert.strictEqual(generator.fonts.heading, 'Poppins, sans-serif');
+
+    generator.applyBrandKit(null);
+    assert.strictEqual(generator.brandKit, null);
+    assert.notStrictEqual(generator.colors.primary, '#ff6600');
+
+    const catalog = new IconCatalog();
+    await catalog.loadFromDisk({ manifestPath: MANIFEST_PATH, iconsPath: ICONS_PATH });
+    const kit = new BrandKit({ ...ACME, logo: `data:image/png;base64,${PIXEL}`, variants: {} });
+    const renderer = new VisualPostRenderer({ catalog, iconsPath: ICONS_PATH, brandKit: kit });
+    const image = await renderer.render(['openai'], { template: 'modern', format: 'svg' });
+    const svg = image.buffer.toString();
+
+    assert.strictEqual(image.brandKit, 'acme');
+    assert.strictEqual(image.variant, 'dark');
+    assert.match(svg, /#ff6600/);
+    assert.match(svg, /font-family="Poppins, sans-serif"/);
+    assert.ok(svg.includes(`href="data:image/png;base64,${PIXEL}"`));
+});
+
+test('AI carousels use the kit theme instead of the default look', async () => {
+    const plain = new AIContentGenerator({ llm: { provider: 'mock' } });
+    const defaultDesign = await plain.createVisualCarousel([]);
+    assert.strictEqual(defaultDesign.theme, 'professional-dark');
+    assert.strictEqual(defaultDesign.brandKit, null);
+
+    const branded = new AIContentGenerator({ llm: { provider: 'mock' }, brandKit: ACME, brandVariant: 'light' });
+    const design = await branded.createVisualCarousel([{ type: 'hook', content: { headline: 'Hi' }, relevantData: [] }]);
+    assert.strictEqual(design.theme, 'acme-light');
+    assert.strictEqual(design.brandKit, 'acme');
+    assert.strictEqual(design.colorScheme.primary, '#ff6600');
+    assert.strictEqual(design.logo, 'https://example.com/acme-black.png');
+    assert.strictEqual(design.slides.length, 1);
+
+    assert.throws(() => branded.applyBrandKit(ACME, 'sepia'), /Unknown brand variant/);
+});
@@ -0,0 +1,125 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const CarouselDesigner = require('../carousel-designer');
+const PdfDocument = require('../pdf-document');
+
+const SOURCES = [
+    { id: 'src-1', type: 'web', url: 'https://www.example.com/report', title: 'Report', retrievedAt: '2026-05-01T10:00:00Z' },
+    { id: 'src-2', type: 'model', title: 'Model knowledge' }
+];
+
+const DESIGN = {
+    colorScheme: { primary: '#0077B5', background: '#1A1A1A', text: '#FFFFFF' },
+    sources: SOURCES,
+    slides: [
+        { type: 'cover', layout: 'hero-centered', content: { headline: '**AI tools**', bullets: ['One', '', 'Two'] }, sourceIds: ['src-2', 'src-1'] },
+        { type: 'market-overview', layout: 'made-up', content: 'plain text', sourceIds: ['unknown'] }
+    ]
+};
+
+test('structured slide content is used as is', () => {
+    const designer = new CarouselDesigner();
+    const text = designer.getSlideText({
+        type: 'overview',
+        content: { headline: '# "Why now"', bullets: ['`a`', 'b', 'c', 'd', 'e', 'f'], statistic: '42% of teams ship weekly', cta: 'Which one do you use?' }
+    });
+
+    assert.deepStrictEqual(text, {
+        headline: 'Why now',
+        bullets: ['a', 'b', 'c', 'd', 'e'],
+        statistic: { value: '42%', label: 'of teams ship weekly' },
+        question: 'Which one do you use?'
+    });
+    assert.strictEqual(designer.getSlideText({ type: 'key-players', content: { bullets: ['x'] } }).headline, 'Key Players');
+});
+
+test('free LLM text is picked apart by labels, list markers and numbers', () => {
+    const designer = new CarouselDesigner();
+    const text = designer.getSlideText({
+        type: 'trends',
+        content: { analysis: [
+            '1. Headline: **Agents go mainstream**',
+            '- Adoption doubled in a year',
+            '- Spending reached $3.5B',
+            'Visual: a rising line chart',
+            'What will you automate next?'
+        ].join('\n') }
+    });
+
+    assert.strictEqual(text.headline, 'Agents go mainstream');
+    assert.deepStrictEqual(text.bullets, ['Adoption doubled in a year', 'Spending reached $3.5B']);
+    assert.deepStrictEqual(text.statistic, { value: '$3.5B', label: 'Spending reached' });
+    assert.strictEqual(text.question, 'What will you automate next?');
+
+    const prose = designer.getSlideText({ content: 'Short title\nFirst point here. Second point there.' });
+    assert.strictEqual(prose.headline, 'Short title');
+    assert.deepStrictEqual(prose.bullets, ['First point here.', 'Second point there.']);
+});
+
+test('parseStatistic splits a number from its label', () => {
+    const designer = new CarouselDesigner();
+
+    assert.deepStrictEqual(designer.parseStatistic('Revenue: 10x in two years'), { value: '10x', label: 'Revenue: in two years' });
+    assert.deepStrictEqual(designer.parseStatistic('1,200 users'), { value: '1,200', label: 'users' });
+    assert.deepStrictEqual(designer.parseStatistic('no numbers'), { value: 'no numbers', label: '' });
+});
+
+test('resolveDesign fills in the theme, numbers sources and adds a references slide', () => {
+    const designer = new CarouselDesigner();
+    const design = designer.resolveDesign({ visualCarousel: DESIGN });
+
+    assert.strictEqual(design.resolved, true);
+    assert.deepStrictEqual(design.dimensions, { width: 1080, height: 1350 });
+    assert.strictEqual(design.palette.secondary, '#0077B5');
+    assert.ok(/^#[0-9a-f]{6}$/i.test(design.palette.surface));
+    assert.deepStrictEqual(design.slides.map(slide => slide.layout), ['hero-centered', 'standard', 'references']);
+    assert.deepStrictEqual(design.slides.map(slide => slide.total), [3, 3, 3]);
+    assert.deepStrictEqual(design.slides[0].sources, [1, 2]);
+    assert.deepStrictEqual(design.slides[1].sources, []);
+    assert.strictEqual(designer.resolveDesign(design), design);
+
+    assert.strictEqual(designer.resolveDesign(DESIGN, { references: false }).slides.length, 2);
+    assert.throws(() => designer.resolveDesign({ slides: [] }), /Carousel has no slides/);
+});
+
+test('a brand kit option re-themes the design', () => {
+    const designer = new CarouselDesigner();
+    const design = designer.resolveDesign(DESIGN, {
+        brandKit: { id: 'acme', name: 'Acme', palette: { primary: '#ff6600' }, logo: 'https://example.com/logo.png' },
+        variant: 'light'
+    });
+
+    assert.strictEqual(design.palette.primary, '#ff6600');
+    assert.strictEqual(design.palette.background, '#ffffff');
+    assert.strictEqual(design.brand, 'Acme');
+    assert.strictEqual(design.logo, 'https://example.com/logo.png');
+});
+
+test('describeSource says where a source lives and when it was read', () => {
+    assert.strictEqual(CarouselDesigner.describeSource(SOURCES[0]), 'example.com/report · retrieved 2026-05-01');
+    assert.strictEqual(CarouselDesigner.describeSource(SOURCES[1]), 'model output, not independently verified');
+});
+
+test('PDF pages are JPEG images with a cross-reference table', () => {
+    const jpeg = Uint8Array.from([0xff, 0xd8, 0xff, 0xe0, 0x00, 0xff, 0xd9]);
+    const pdf = new PdfDocument({ title: 'Tools (2026)', author: 'Zoë', createdAt: new Date(Date.UTC(2026, 4, 1)) })
+        .addImagePage(jpeg, 1080, 1350)
+        .addImagePage(jpeg, 1080, 1350);
+    const text = Buffer.from(pdf.toBytes()).toString('latin1');
+
+    assert.ok(text.startsWith('%PDF-1.4'));
+    assert.ok(text.endsWith('%%EOF\n'));
+    assert.match(text, /\/Count 2 /);
+    assert.strictEqual(text.match(/\/MediaBox \[0 0 1080 1350\]/g).length, 2);
+    assert.match(text, /\/Title \(Tools \\\(2026\\\)\)/);
+    assert.match(text, /\/Author <FEFF005A006F00EB>/);
+    assert.match(text, /\/CreationDate \(D:20260501000000Z\)/);
+
+    const xref = Number(text.match(/startxref\n(\d+)/)[1]);
+    assert.ok(text.slice(xref).startsWith('xref\n0 10\n'));
+    const offsets = [...text.slice(xref).matchAll(/^(\d{10}) 00000 n $/gm)].map(match => Number(match[1]));
+    offsets.forEach((offset, index) => assert.ok(text.slice(offset).startsWith(`${index + 1} 0 obj`), `object ${index + 1}`));
+
+    assert.throws(() => new PdfDocument().addImagePage(Uint8Array.from([0x89, 0x50, 0x4e, 0x47]), 1, 1), /must be JPEG/);
+    assert.throws(() => new PdfDocument().toBytes(), /at least one page/);
+});
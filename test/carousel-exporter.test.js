@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const JSZip = require('jszip');
+const CarouselExporter = require('../carousel-exporter');
+const AIContentGenerator = require('../ai-content-generator');
+
+const SOURCES = [
+    { id: 'src-1', type: 'web', url: 'https://example.com/report', title: 'State of AI', snippet: 'Adoption doubled.', retrievedAt: '2026-05-01T10:00:00Z' }
+];
+
+const CAROUSEL = {
+    metadata: { type: 'tech-stack-review', companiesAnalyzed: 2, generatedAt: '2026-05-02T09:00:00Z', researchSources: SOURCES },
+    slides: [
+        { type: 'cover', content: { analysis: 'Headline: AI tools in 2026\n- Adoption doubled\n- Spending reached $3.5B' }, relevantData: [{ company: 'OpenAI' }], sourceIds: ['src-1'] },
+        { type: 'conclusion', content: { headline: 'Pick one', bullets: ['Start small'], question: 'Which one do you use?' }, relevantData: [] }
+    ],
+    visualCarousel: {
+        theme: 'professional-dark',
+        colorScheme: { primary: '#0077B5', background: '#1A1A1A', text: '#FFFFFF' },
+        slides: [
+            { type: 'cover', layout: 'hero-centered', content: { analysis: 'Headline: AI tools in 2026\n- Adoption doubled\n- Spending reached $3.5B' }, sourceIds: ['src-1'] },
+            { type: 'conclusion', layout: 'summary-action', content: { headline: 'Pick one', bullets: ['Start small'], question: 'Which one do you use?' } }
+        ]
+    },
+    textSummary: Promise.resolve({ analysis: 'Two tools, one decision.' })
+};
+
+test('every format names its file and type', async () => {
+    const exporter = new CarouselExporter({ fileName: 'stack' });
+
+    for (const [format, { extension, mimeType }] of Object.entries(CarouselExporter.FORMATS)) {
+        const file = await exporter.export(CAROUSEL, format);
+        assert.strictEqual(file.format, format);
+        assert.strictEqual(file.fileName, `stack.${extension}`);
+        assert.strictEqual(file.mimeType, mimeType);
+        assert.ok(file.content.length > 0, format);
+    }
+    await assert.rejects(exporter.export(CAROUSEL, 'keynote'), /Unsupported export format: keynote/);
+});
+
+test('PowerPoint has one slide per carousel slide with speaker notes', async () => {
+    const file = await new CarouselExporter().toPowerPoint(CAROUSEL);
+    const archive = await JSZip.loadAsync(file.content);
+    const read = name => archive.file(name).async('string');
+
+    const slides = Object.keys(archive.files).filter(name => /^ppt\/slides\/slide\d+\.xml$/.test(name));
+    assert.strictEqual(slides.length, 3);
+    assert.match(await read('ppt/slides/slide1.xml'), /AI tools in 2026/);
+    assert.match(await read('ppt/slides/slide1.xml'), /Sources: \[1\]/);
+    assert.match(await read('ppt/slides/slide2.xml'), /Which one do you use\?/);
+    assert.match(await read('ppt/slides/slide3.xml'), /State of AI/);
+
+    const notes = await read('ppt/notesSlides/notesSlide1.xml');
+    assert.match(notes, /Spending reached \$3\.5B/);
+    assert.match(notes, /Companies: OpenAI/);
+    assert.match(notes, /\[1\] State of AI - example\.com\/report · retrieved 2026-05-01/);
+    assert.match(await read('docProps/core.xml'), /<dc:title>AI tools in 2026<\/dc:title>/);
+});
+
+test('JSON exports read back into the same carousel', async () => {
+    const generator = new AIContentGenerator({ llm: { provider: 'mock' } });
+    const file = await generator.exportCarousel(CAROUSEL, 'json');
+    const exported = JSON.parse(file.content);
+
+    assert.strictEqual(exported.schema, CarouselExporter.SCHEMA);
+    assert.strictEqual(exported.schemaVersion, CarouselExporter.SCHEMA_VERSION);
+    assert.deepStrictEqual(exported.carousel.textSummary, { analysis: 'Two tools, one decision.' });
+
+    const carousel = generator.importCarousel(file.content);
+    assert.deepStrictEqual(carousel.slides, CAROUSEL.slides);
+    assert.deepStrictEqual(carousel.visualCarousel, CAROUSEL.visualCarousel);
+    assert.deepStrictEqual(carousel.metadata, CAROUSEL.metadata);
+
+    const markdown = await new CarouselExporter().toMarkdown(carousel);
+    assert.strictEqual(markdown.content, (await new CarouselExporter().toMarkdown(CAROUSEL)).content);
+});
+
+test('fromJSON refuses other documents and newer schema versions', () => {
+    const document = { schema: CarouselExporter.SCHEMA, schemaVersion: 1, carousel: { slides: [{}] } };
+
+    assert.throws(() => CarouselExporter.fromJSON({ slides: [] }), /Not a Composeon carousel export/);
+    assert.throws(() => CarouselExporter.fromJSON({ ...document, schemaVersion: '1' }), /Invalid carousel schemaVersion/);
+    assert.throws(() => CarouselExporter.fromJSON({ ...document, schemaVersion: 99 }), /newer than this version/);
+    assert.throws(() => CarouselExporter.fromJSON({ ...document, carousel: { slides: [] } }), /has no slides/);
+    assert.deepStrictEqual(CarouselExporter.fromJSON(document).metadata, {});
+});
+
+test('Markdown outlines the slides, notes and numbered sources', async () => {
+    const { content } = await new CarouselExporter().toMarkdown(CAROUSEL);
+
+    assert.ok(content.startsWith('# AI tools in 2026\n'));
+    assert.match(content, /\| Theme \| professional-dark \|/);
+    assert.match(content, /\| Slides \| 2 \|/);
+    assert.match(content, /## Summary\n\nTwo tools, one decision\./);
+    assert.match(content, /### 1\. AI tools in 2026\n\n_cover · hero-centered_/);
+    assert.match(content, /> \*\*\$3\.5B\*\* Spending reached/);
+    assert.match(content, /- Adoption doubled/);
+    assert.match(content, /_Sources: \[1\]_/);
+    assert.match(content, /\*\*Question:\*\* Which one do you use\?/);
+    assert.match(content, /<details><summary>Speaker notes<\/summary>/);
+    assert.match(content, /1\. \[State of AI\]\(https:\/\/example\.com\/report\) - example\.com\/report · retrieved 2026-05-01\n {3}> Adoption doubled\./);
+    assert.doesNotMatch(content, /### 3\./);
+});
+
+test('PDF export renders the slides', async () => {
+    const file = await new CarouselExporter().toPDF(CAROUSEL, { quality: 0.5 });
+    const text = Buffer.from(file.content).toString('latin1');
+
+    assert.ok(text.startsWith('%PDF-1.4'));
+    assert.match(text, /\/Count 3 /);
+    assert.match(text, /\/Title \(AI tools in 2026\)/);
+});
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const JSZip = require('jszip');
+const jpeg = require('jpeg-js');
+const CarouselRenderer = require('../carousel-renderer');
+const AIContentGenerator = require('../ai-content-generator');
+
+const LAYOUTS = ['hero-centered', 'data-focused', 'info-grid', 'timeline-vertical', 'chart-emphasis', 'summary-action', 'standard'];
+
+const ICONS = [
+    { name: 'openai', displayName: 'OpenAI', category: 'ai' },
+    { name: 'claude', displayName: 'Claude', category: 'ai' }
+];
+
+function carousel(slideCount = LAYOUTS.length) {
+    return {
+        colorScheme: { primary: '#0077B5', background: '#204060', text: '#FFFFFF' },
+        sources: [{ id: 'src-1', type: 'web', url: 'https://example.com/a', title: 'A' }],
+        slides: Array.from({ length: slideCount }, (value, index) => ({
+            layout: LAYOUTS[index % LAYOUTS.length],
+            content: {
+                headline: `A headline long enough to wrap onto a second line on slide ${index + 1}`,
+                bullets: ['Adoption doubled in a year', 'Spending reached $3.5B', 'Teams ship weekly'],
+                statistic: '42% of teams',
+                question: 'What will you automate next?'
+            },
+            relevantData: [{ company: 'OpenAI' }, { company: { name: 'Anthropic' } }],
+            sourceIds: ['src-1']
+        }))
+    };
+}
+
+test('an AI carousel renders into a PDF with one page per slide', async () => {
+    const generator = new AIContentGenerator({ llm: { provider: 'mock' } });
+    const generated = await generator.generateCarousel(ICONS, 'tech-stack-review');
+    const renderer = new CarouselRenderer();
+
+    const pdf = await renderer.render(generated);
+    const text = pdf.buffer.toString('latin1');
+    assert.strictEqual(pdf.mimeType, 'application/pdf');
+    assert.ok(text.startsWith('%PDF-1.4'));
+    assert.strictEqual(pdf.slides, generated.visualCarousel.slides.length + (generated.metadata.researchSources.length > 0 ? 1 : 0));
+    assert.match(text, new RegExp(`/Count ${pdf.slides} `));
+    assert.strictEqual(text.match(/\/Filter \/DCTDecode/g).length, pdf.slides);
+    assert.deepStrictEqual(pdf.layouts.slice(0, 2), ['hero-centered', 'data-focused']);
+});
+
+test('every layout draws a 1080x1350 slide on the theme background', async () => {
+    const renderer = new CarouselRenderer();
+
+    for (let slide = 1; slide <= LAYOUTS.length + 1; slide++) {
+        const image = await renderer.render(carousel(), { format: 'jpg', slide, quality: 1 });
+        assert.strictEqual(image.mimeType, 'image/jpeg');
+
+        const { width, height, data } = jpeg.decode(image.buffer);
+        assert.deepStrictEqual([width, height], [1080, 1350]);
+        // Bottom-left corner: background only, no text or chrome
+        const pixel = data.subarray(((height - 5) * width + 5) * 4, ((height - 5) * width + 5) * 4 + 3);
+        [0x20, 0x40, 0x60].forEach((channel, index) => assert.ok(Math.abs(pixel[index] - channel) <= 24, `slide ${slide}: ${[...pixel]}`));
+    }
+});
+
+test('zips slide images in order', async () => {
+    const renderer = new CarouselRenderer();
+    const zip = await renderer.render(carousel(2), { format: 'zip', references: false });
+    const archive = await JSZip.loadAsync(zip.buffer);
+
+    assert.deepStrictEqual(Object.keys(archive.files), ['slide-01.png', 'slide-02.png']);
+    const png = await archive.file('slide-01.png').async('nodebuffer');
+    assert.strictEqual(png.toString('latin1', 1, 4), 'PNG');
+    assert.strictEqual(png.readUInt32BE(16), 1080);
+});
+
+test('rejects bad options before drawing', () => {
+    const renderer = new CarouselRenderer();
+
+    assert.throws(() => renderer.prepare(carousel(), { format: 'gif' }), /Unsupported format 'gif'/);
+    assert.throws(() => renderer.prepare(carousel(), { format: 'png', slide: 99 }), /slide must be between 1 and 8/);
+    assert.throws(() => renderer.prepare(carousel(), { quality: 2 }), /quality must be greater than 0/);
+    assert.throws(() => renderer.prepare(carousel(CarouselRenderer.LIMITS.maxSlides + 1)), /at most 20 slides/);
+    assert.throws(() => renderer.prepare({ slides: [] }), /Carousel has no slides/);
+});
+
+test('a logo that cannot be loaded fails with status 400', async () => {
+    const renderer = new CarouselRenderer();
+    const design = { ...carousel(1), logo: '/etc/hostname' };
+
+    await assert.rejects(renderer.render(design, { format: 'png' }), error => error.status === 400 && /Could not load logo/.test(error.message));
+});
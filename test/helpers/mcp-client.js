@@ -0,0 +1,56 @@
+const { Client } = require('@modelcontextprotocol/sdk/client/index.js');
+const ComposeonMCPServer = require('../../mcp-server');
+
+/**
+ * One end of an in-process transport pair; messages are delivered on the next tick
+ */
+class LinkedTransport {
+    constructor() {
+        this.peer = null;
+    }
+
+    async start() {}
+
+    async send(message) {
+        setImmediate(() => this.peer.onmessage && this.peer.onmessage(message));
+    }
+
+    async close() {
+        if (this.onclose) this.onclose();
+    }
+}
+
+/**
+ * A Composeon MCP server with its catalog loaded, connected to an MCP client
+ */
+async function connectMCP() {
+    const mcp = new ComposeonMCPServer();
+    const log = console.error;
+    console.error = () => {};
+    try {
+        await mcp.initialize();
+    } finally {
+        console.error = log;
+    }
+
+    const serverTransport = new LinkedTransport();
+    const clientTransport = new LinkedTransport();
+    serverTransport.peer = clientTransport;
+    clientTransport.peer = serverTransport;
+
+    const server = mcp.setupServer();
+    await server.connect(serverTransport);
+    const client = new Client({ name: 'composeon-tests', version: '1.0.0' }, { capabilities: {} });
+    await client.connect(clientTransport);
+
+    return {
+        mcp,
+        client,
+        close: async () => {
+            await client.close();
+            await server.close();
+        }
+    };
+}
+
+module.exports = { connectMCP };
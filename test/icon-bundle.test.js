@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const JSZip = require('jszip');
+const IconCatalog = require('../icon-catalog');
+const IconBundler = require('../icon-bundle');
+
+const ICONS_PATH = path.join(__dirname, '..', 'lobe-icons/packages/static-svg/icons');
+const MANIFEST_PATH = path.join(__dirname, '..', 'icons-manifest.json');
+
+async function createBundler() {
+    const catalog = new IconCatalog();
+    await catalog.loadFromDisk({ manifestPath: MANIFEST_PATH, iconsPath: ICONS_PATH });
+    return new IconBundler({ catalog, iconsPath: ICONS_PATH });
+}
+
+test('parses names, variations and suffixes, and reports missing icons', async () => {
+    const bundler = await createBundler();
+    const { resolved, missing } = bundler.resolve('openai, claude/color, claude-color, , nope, claude/nope');
+
+    assert.deepStrictEqual(resolved.map(entry => entry.id), ['openai', 'claude-color']);
+    assert.strictEqual(resolved[1].fileName, 'claude-color.svg');
+    assert.deepStrictEqual(missing, ['nope', 'claude/nope']);
+    assert.deepStrictEqual(bundler.parseItems([{ name: 'openai', variation: 'text' }]), [{ name: 'openai', variation: 'text' }]);
+});
+
+test('sprite symbols keep paint attributes and namespace internal ids', async () => {
+    const bundler = await createBundler();
+    const bundle = await bundler.build(['openai', 'ai360/color'], { prefix: 'logo' });
+
+    assert.strictEqual(bundle.mimeType, 'image/svg+xml');
+    assert.deepStrictEqual(bundle.icons, ['openai', 'ai360-color']);
+    assert.match(bundle.content, /<symbol id="logo-openai" viewBox="0 0 24 24" fill="currentColor" fill-rule="evenodd">/);
+    assert.doesNotMatch(bundle.content, /<symbol[^>]*\swidth=/);
+    assert.match(bundle.content, /id="logo-ai360-color-lobe-icons-ai-360-fill-0"/);
+    assert.match(bundle.content, /url\(#logo-ai360-color-lobe-icons-ai-360-fill-0\)/);
+});
+
+test('css, json and zip bundles carry every icon', async () => {
+    const bundler = await createBundler();
+
+    const css = await bundler.build('openai,claude/color', { format: 'css', fill: 'ff0000' });
+    assert.match(css.content, /\.icon-openai \{\n {2}aspect-ratio: 24 \/ 24;\n {2}background-image: url\("data:image\/svg\+xml,/);
+    assert.match(css.content, /\.icon-claude-color \{/);
+    assert.match(css.content, /fill='%23f00'/);
+
+    const json = JSON.parse((await bundler.build(['openai'], { format: 'json', prefix: '' })).content);
+    assert.strictEqual(json.total, 1);
+    assert.strictEqual(json.icons.openai.className, 'openai');
+    assert.match(json.icons.openai.svg, /^<svg/);
+
+    const zip = await bundler.build(['openai', 'claude/color'], { format: 'zip' });
+    assert.ok(Buffer.isBuffer(zip.content));
+    const archive = await JSZip.loadAsync(zip.content);
+    assert.deepStrictEqual(Object.keys(archive.files).sort(), ['claude-color.svg', 'openai.svg']);
+});
+
+test('rejects bad options, empty and oversized bundles', async () => {
+    const bundler = await createBundler();
+
+    assert.throws(() => bundler.normalizeOptions({ format: 'pdf' }), /Unsupported format/);
+    assert.throws(() => bundler.normalizeOptions({ prefix: '1-bad prefix' }), /Invalid prefix/);
+    await assert.rejects(bundler.build([]), /No icons requested/);
+    await assert.rejects(bundler.build(['nope']), /No icons found: nope/);
+
+    const names = bundler.catalog.icons.flatMap(icon => icon.variations.map(variation => `${icon.name}/${variation}`));
+    assert.ok(names.length > IconBundler.LIMITS.maxIcons);
+    assert.throws(() => bundler.resolve(names), /at most 200 icons/);
+});
@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const IconCatalog = require('../icon-catalog');
+
+const ICONS_PATH = path.join(__dirname, '..', 'lobe-icons/packages/static-svg/icons');
+const MANIFEST_PATH = path.join(__dirname, '..', 'icons-manifest.json');
+
+test('groups variation files under their base icon', () => {
+    const catalog = new IconCatalog();
+    catalog.buildFromFiles(['claude.svg', 'claude-color.svg', 'claude-text-cn.svg', 'acme-brand.svg', 'notes.txt']);
+
+    assert.deepStrictEqual(catalog.icons.map(icon => icon.name).sort(), ['acme', 'claude']);
+    const claude = catalog.getIcon('claude');
+    assert.deepStrictEqual(claude.variations, ['default', 'color', 'text-cn']);
+    assert.strictEqual(claude.fileName, 'claude.svg');
+    assert.strictEqual(claude.variation, 'default');
+    assert.strictEqual(claude.paths.color, `${IconCatalog.ICON_WEB_PATH}claude-color.svg`);
+});
+
+test('an icon without a default file uses its first variation as main file', () => {
+    const catalog = new IconCatalog();
+    catalog.buildFromFiles(['acme-brand.svg', 'acme-mono.svg']);
+
+    const acme = catalog.getIcon('acme');
+    assert.strictEqual(acme.variation, 'brand');
+    assert.strictEqual(acme.fileName, 'acme-brand.svg');
+});
+
+test('names with a variation suffix resolve to the base icon', () => {
+    const catalog = new IconCatalog();
+    catalog.buildFromFiles(['openai.svg', 'claude.svg', 'claude-color.svg']);
+
+    assert.strictEqual(catalog.getIcon('claude-color').name, 'claude');
+    assert.strictEqual(catalog.getVariation('claude-color'), 'color');
+    assert.strictEqual(catalog.getIcon('missing'), null);
+    assert.deepStrictEqual(catalog.getIconsByNames(['openai', 'missing', 'claude']).map(icon => icon.name), ['openai', 'claude']);
+});
+
+test('categorizes by exact keywords before partial ones', () => {
+    const catalog = new IconCatalog();
+
+    assert.strictEqual(catalog.categorizeIcon('openai'), 'ai');
+    assert.strictEqual(catalog.categorizeIcon('googlecloud-color'), 'cloud');
+    assert.strictEqual(catalog.categorizeIcon('yiyan'), 'other');
+    assert.strictEqual(catalog.formatDisplayName('github-text'), 'GitHub');
+    assert.strictEqual(catalog.formatDisplayName('some-tool'), 'Some Tool');
+});
+
+test('search matches names, tags and categories; popular icons sort first', () => {
+    const catalog = new IconCatalog();
+    catalog.buildFromFiles(['zeta.svg', 'github.svg', 'openai.svg', 'docker.svg']);
+
+    assert.deepStrictEqual(catalog.icons.map(icon => icon.name), ['docker', 'github', 'openai', 'zeta']);
+    assert.deepStrictEqual(catalog.search('container').map(icon => icon.name), ['docker']);
+    assert.deepStrictEqual(catalog.search('', { category: 'ai' }).map(icon => icon.name), ['openai']);
+    assert.strictEqual(catalog.search('', { limit: 2 }).length, 2);
+});
+
+test('getIconFile returns null for an unknown variation', () => {
+    const catalog = new IconCatalog();
+    catalog.buildFromFiles(['claude.svg', 'claude-color.svg']);
+
+    assert.strictEqual(catalog.getIconFile('claude'), 'claude.svg');
+    assert.strictEqual(catalog.getIconFile('claude', 'color'), 'claude-color.svg');
+    assert.strictEqual(catalog.getIconFile('claude', 'mono'), null);
+    assert.strictEqual(catalog.getIconFile('nope'), null);
+});
+
+test('readIconSvg reads variations and rejects unknown ones', async () => {
+    const catalog = new IconCatalog();
+    await catalog.loadFromDisk({ manifestPath: MANIFEST_PATH, iconsPath: ICONS_PATH });
+
+    const svg = await catalog.readIconSvg(ICONS_PATH, 'claude', 'color');
+    assert.match(svg, /^<svg/);
+    await assert.rejects(catalog.readIconSvg(ICONS_PATH, 'claude', 'nope'), /has no 'nope' variation/);
+    await assert.rejects(catalog.readIconSvg(ICONS_PATH, 'not-an-icon'), /not found/);
+});
+
+test('the manifest round-trips and keeps the variation field', async () => {
+    const catalog = new IconCatalog();
+    await catalog.loadFromDisk({ manifestPath: MANIFEST_PATH, iconsPath: ICONS_PATH });
+    const manifest = catalog.toManifest();
+
+    assert.strictEqual(manifest.total, catalog.icons.length);
+    assert.ok(manifest.icons.every(icon => icon.variation && icon.paths[icon.variation] === icon.path));
+
+    const rebuilt = new IconCatalog();
+    rebuilt.buildFromManifest(JSON.parse(JSON.stringify(manifest)));
+    assert.deepStrictEqual(rebuilt.icons.map(icon => icon.name), catalog.icons.map(icon => icon.name));
+});
+
+test('loadFromDisk scans the directory when the manifest is missing', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'composeon-catalog-'));
+    fs.writeFileSync(path.join(directory, 'acme.svg'), '<svg/>');
+    fs.writeFileSync(path.join(directory, 'acme-color.svg'), '<svg/>');
+
+    const catalog = new IconCatalog();
+    const result = await catalog.loadFromDisk({ manifestPath: path.join(directory, 'missing.json'), iconsPath: directory });
+    assert.strictEqual(result.source, 'directory');
+    assert.deepStrictEqual(catalog.getIcon('acme').variations, ['default', 'color']);
+    fs.rmSync(directory, { recursive: true, force: true });
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const jpeg = require('jpeg-js');
+const IconRenderer = require('../icon-renderer');
+
+const ICONS_PATH = path.join(__dirname, '..', 'lobe-icons/packages/static-svg/icons');
+const SQUARE = '<svg xmlns="http://www.w3.org/2000/svg" width="1em" height="1em" viewBox="0 0 10 10"><rect width="10" height="10" fill="#ff0000"/></svg>';
+
+/**
+ * RGB of one pixel in a JPEG render
+ */
+function jpegPixel(buffer, x, y) {
+    const { data, width } = jpeg.decode(buffer, { useTArray: true });
+    const start = (y * width + x) * 4;
+    return [...data.subarray(start, start + 3)];
+}
+
+function assertColor(actual, expected) {
+    assert.ok(actual.every((channel, index) => Math.abs(channel - expected[index]) < 16), `${actual} is not ${expected}`);
+}
+
+test('renders PNG, WebP and JPEG with their signatures and sizes', async () => {
+    const renderer = new IconRenderer();
+    const svg = fs.readFileSync(path.join(ICONS_PATH, 'claude-color.svg'), 'utf8');
+
+    const png = await renderer.render(svg, { size: 64 });
+    assert.strictEqual(png.mimeType, 'image/png');
+    assert.deepStrictEqual([png.width, png.height], [64, 64]);
+    assert.strictEqual(png.buffer.toString('latin1', 1, 4), 'PNG');
+    assert.strictEqual(png.buffer.readUInt32BE(16), 64);
+
+    const webp = await renderer.render(svg, { format: 'webp', size: '32', scale: '2' });
+    assert.strictEqual(webp.mimeType, 'image/webp');
+    assert.strictEqual(webp.width, 64);
+    assert.strictEqual(webp.buffer.toString('latin1', 8, 12), 'WEBP');
+
+    const jpg = await renderer.render(svg, { format: 'jpg', size: 48 });
+    assert.strictEqual(jpg.format, 'jpeg');
+    assert.deepStrictEqual([...jpg.buffer.subarray(0, 2)], [0xff, 0xd8]);
+});
+
+test('padding keeps the background around the icon', async () => {
+    const renderer = new IconRenderer();
+    const { buffer } = await renderer.render(SQUARE, { format: 'jpeg', size: 40, padding: 10, background: '00ff00', quality: 1 });
+
+    assertColor(jpegPixel(buffer, 2, 2), [0, 255, 0]);
+    assertColor(jpegPixel(buffer, 20, 20), [255, 0, 0]);
+    assertColor(jpegPixel(buffer, 37, 20), [0, 255, 0]);
+});
+
+test('keeps the viewBox aspect ratio on the longest edge', async () => {
+    const renderer = new IconRenderer();
+    const wide = '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 40 10"><rect width="40" height="10"/></svg>';
+    const image = await renderer.render(wide, { size: 100 });
+
+    assert.deepStrictEqual([image.width, image.height], [100, 25]);
+});
+
+test('rejects invalid options and markup', async () => {
+    const renderer = new IconRenderer();
+
+    assert.throws(() => renderer.normalizeOptions({ format: 'gif' }), /Unsupported format/);
+    assert.throws(() => renderer.normalizeOptions({ size: 4 }), /size must be between/);
+    assert.throws(() => renderer.normalizeOptions({ size: 100, padding: 50 }), /padding/);
+    assert.throws(() => renderer.normalizeOptions({ background: 'javascript' }), /Invalid color/);
+    assert.strictEqual(renderer.normalizeOptions({ format: 'jpeg' }).background, '#ffffff');
+    await assert.rejects(renderer.render('<div/>'), /missing <svg> root/);
+    await assert.rejects(renderer.render(SQUARE, { size: 2048, scale: 4 }), /would exceed/);
+});
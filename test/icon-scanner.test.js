@@ -0,0 +1,113 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { Readable } = require('stream');
+const ComposeonIconScanner = require('../icon-scanner');
+
+function request(chunks, headers = {}) {
+    const req = Readable.from(chunks.map(chunk => Buffer.from(chunk)));
+    req.headers = headers;
+    return req;
+}
+
+test('readJsonBody parses JSON bodies and rejects invalid ones', async () => {
+    const scanner = new ComposeonIconScanner();
+
+    assert.deepStrictEqual(await scanner.readJsonBody(request(['{"icons":', '["openai"]}'])), { icons: ['openai'] });
+    assert.deepStrictEqual(await scanner.readJsonBody(request([])), {});
+    await assert.rejects(scanner.readJsonBody(request(['{nope'])), /Invalid JSON body/);
+});
+
+test('readJsonBody rejects oversized bodies with status 413', async () => {
+    const scanner = new ComposeonIconScanner();
+    const chunk = 'x'.repeat(1024 * 1024);
+
+    await assert.rejects(scanner.readJsonBody(request([], { 'content-length': String(64 * 1024 * 1024) })), error => error.status === 413);
+    await assert.rejects(scanner.readJsonBody(request(Array(9).fill(chunk))), error => error.status === 413);
+});
+
+/**
+ * A stand-in Ollama that records /api/generate requests, and the proxy in front of it
+ */
+async function withOllamaProxy(t) {
+    const received = [];
+    const ollama = http.createServer(async (req, res) => {
+        let body = '';
+        for await (const chunk of req) body += chunk;
+        const request = JSON.parse(body);
+        received.push(request);
+
+        if (!request.stream) {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ model: request.model, response: 'Hello', done: true }));
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': 'application/x-ndjson' });
+        res.write('{"response":"Hel"}\n{"resp');
+        res.write('onse":"lo"}\n');
+        if (request.prompt === 'endless') {
+            request.closed = new Promise(resolve => res.on('close', resolve));
+            return;
+        }
+        res.end('{"done":true}\n');
+    });
+    await new Promise(resolve => ollama.listen(0, '127.0.0.1', resolve));
+
+    const scanner = new ComposeonIconScanner();
+    scanner.ollamaUrl = `http://127.0.0.1:${ollama.address().port}`;
+    const proxy = http.createServer((req, res) => scanner.handleOllamaProxy(req, res));
+    await new Promise(resolve => proxy.listen(0, '127.0.0.1', resolve));
+
+    t.after(() => {
+        proxy.close();
+        ollama.closeAllConnections();
+        ollama.close();
+    });
+    return { url: `http://127.0.0.1:${proxy.address().port}/api/ollama`, received };
+}
+
+const post = (target, body, headers = {}) => fetch(target, { method: 'POST', headers, body: JSON.stringify(body) });
+
+test('the Ollama proxy answers with one JSON document unless asked to stream', async t => {
+    const { url, received } = await withOllamaProxy(t);
+
+    const response = await post(url, { model: 'llama3.2', prompt: 'hi' });
+    assert.strictEqual(response.headers.get('content-type'), 'application/json');
+    assert.deepStrictEqual(await response.json(), { model: 'llama3.2', response: 'Hello', done: true });
+    assert.strictEqual(received[0].stream, false);
+
+    const explicit = await post(url, { model: 'llama3.2', prompt: 'hi', stream: false });
+    assert.strictEqual((await explicit.json()).response, 'Hello');
+
+    assert.strictEqual((await fetch(url)).status, 405);
+    assert.strictEqual((await fetch(url, { method: 'POST', body: '{nope' })).status, 400);
+});
+
+test('streaming requests get NDJSON lines or Server-Sent Events', async t => {
+    const { url, received } = await withOllamaProxy(t);
+
+    const ndjson = await post(url, { prompt: 'hi', stream: true });
+    assert.strictEqual(ndjson.headers.get('content-type'), 'application/x-ndjson');
+    assert.strictEqual(await ndjson.text(), '{"response":"Hel"}\n{"response":"lo"}\n{"done":true}\n');
+    assert.strictEqual(received[0].stream, true);
+
+    const sse = await post(url, { prompt: 'hi', stream: true }, { Accept: 'text/event-stream' });
+    assert.strictEqual(sse.headers.get('content-type'), 'text/event-stream');
+    assert.strictEqual(await sse.text(), 'data: {"response":"Hel"}\n\ndata: {"response":"lo"}\n\ndata: {"done":true}\n\nevent: done\ndata: {}\n\n');
+
+    const query = await post(`${url}?sse=1`, { prompt: 'hi', stream: true });
+    assert.strictEqual(query.headers.get('content-type'), 'text/event-stream');
+    await query.text();
+});
+
+test('a client that disconnects stops the generation', async t => {
+    const { url, received } = await withOllamaProxy(t);
+    const controller = new AbortController();
+
+    const response = await fetch(url, { method: 'POST', body: JSON.stringify({ prompt: 'endless', stream: true }), signal: controller.signal });
+    const reader = response.body.getReader();
+    assert.match(new TextDecoder().decode((await reader.read()).value), /"Hel"/);
+    controller.abort();
+
+    await received[0].closed;
+});
@@ -0,0 +1,189 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const KnowledgeBase = require('../knowledge-base');
+const AIContentGenerator = require('../ai-content-generator');
+
+const DOCUMENTS = {
+    'openai.md': '---\ntags: ai\n---\n# OpenAI pricing notes\n\nOpenAI cut **API pricing** for [GPT models](https://openai.com) again this quarter.',
+    'vendors/anthropic.html': '<html><head><title>Anthropic &amp; safety</title><style>body { color: red }</style></head><body><h1>Ignored</h1><p>Anthropic publishes safety research&#39;s results.</p><script>alert(1)</script></body></html>',
+    'notes.txt': 'Kubernetes clusters need careful capacity planning.',
+    'image.png': 'not indexed',
+    '.hidden/secret.md': '# Secret'
+};
+
+/**
+ * One-page PDF with a line of text, written out with a valid cross-reference table
+ */
+function textPdf(title, line) {
+    const content = `BT /F1 12 Tf 72 720 Td (${line}) Tj ET`;
+    const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+        '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Resources << /Font << /F1 5 0 R >> >> /Contents 4 0 R >>',
+        `<< /Length ${content.length} >>\nstream\n${content}\nendstream`,
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>',
+        `<< /Title (${title}) >>`
+    ];
+
+    let pdf = '%PDF-1.4\n';
+    const offsets = objects.map((body, index) => {
+        const offset = pdf.length;
+        pdf += `${index + 1} 0 obj\n${body}\nendobj\n`;
+        return offset;
+    });
+    const xref = pdf.length;
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n${offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('')}`;
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info 6 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+    return pdf;
+}
+
+function documentDirectory(t, files = DOCUMENTS) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'composeon-kb-'));
+    for (const [name, content] of Object.entries(files)) {
+        fs.mkdirSync(path.dirname(path.join(directory, name)), { recursive: true });
+        fs.writeFileSync(path.join(directory, name), content);
+    }
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+    return directory;
+}
+
+/**
+ * Hashing embedder that counts the texts it embeds
+ */
+function countingEmbedder() {
+    const embedder = new KnowledgeBase.HashingEmbedder();
+    const embed = embedder.embed.bind(embedder);
+    embedder.embedded = 0;
+    embedder.embed = async texts => {
+        embedder.embedded += texts.length;
+        return embed(texts);
+    };
+    return embedder;
+}
+
+test('chunks follow paragraphs and repeat the tail of the previous passage', () => {
+    const paragraphs = Array.from({ length: 6 }, (value, index) => `Paragraph ${index} ${'word '.repeat(30).trim()}.`);
+    const chunks = KnowledgeBase.chunk(paragraphs.join('\n\n'), { chunkSize: 400, chunkOverlap: 60 });
+
+    assert.ok(chunks.length > 1);
+    assert.ok(chunks.every(chunk => chunk.length <= 400 + 60), chunks.map(chunk => chunk.length).join());
+    assert.ok(chunks[1].startsWith('word'), 'the overlap starts on a word boundary');
+    assert.ok(chunks[0].endsWith(chunks[1].split('\n')[0]));
+    assert.deepStrictEqual(KnowledgeBase.chunk('a\n\n\n\nb', { chunkSize: 10, chunkOverlap: 0 }), ['a\nb']);
+
+    const long = KnowledgeBase.chunk(`${'x'.repeat(250)}. Short.`, { chunkSize: 100, chunkOverlap: 0 });
+    assert.ok(long.every(chunk => chunk.length <= 100));
+});
+
+test('extracts titles and text from Markdown, HTML, text and PDF files', async t => {
+    const directory = documentDirectory(t, { ...DOCUMENTS, 'report.pdf': textPdf('Market Report', 'Revenue grew 40 percent') });
+
+    const markdown = await KnowledgeBase.extractText(path.join(directory, 'openai.md'));
+    assert.strictEqual(markdown.title, 'OpenAI pricing notes');
+    assert.match(markdown.text, /OpenAI cut API pricing for GPT models again/);
+    assert.doesNotMatch(markdown.text, /tags:|https:/);
+
+    const html = await KnowledgeBase.extractText(path.join(directory, 'vendors/anthropic.html'));
+    assert.strictEqual(html.title, 'Anthropic & safety');
+    assert.match(html.text, /Anthropic publishes safety research's results\./);
+    assert.doesNotMatch(html.text, /alert|color: red/);
+
+    assert.deepStrictEqual(await KnowledgeBase.extractText(path.join(directory, 'notes.txt')), { title: 'notes', text: DOCUMENTS['notes.txt'] });
+
+    const pdf = await KnowledgeBase.extractText(path.join(directory, 'report.pdf'));
+    assert.strictEqual(pdf.title, 'Market Report');
+    assert.match(pdf.text, /Revenue grew 40 percent/);
+});
+
+test('ingestion is incremental and the index survives a restart', async t => {
+    const directory = documentDirectory(t, { ...DOCUMENTS, 'broken.pdf': 'not a pdf' });
+    const embedder = countingEmbedder();
+    const kb = new KnowledgeBase({ directory, embedder });
+
+    const first = await kb.ingest();
+    assert.deepStrictEqual({ ...first, errors: first.errors.map(entry => entry.file) }, {
+        added: 3, updated: 0, removed: 0, unchanged: 0, errors: ['broken.pdf'], documents: 3, chunks: 3
+    });
+    assert.ok(fs.existsSync(path.join(directory, KnowledgeBase.DEFAULTS.indexFile)));
+    assert.strictEqual(embedder.embedded, 3);
+
+    fs.writeFileSync(path.join(directory, 'notes.txt'), 'Kubernetes clusters need careful capacity planning and autoscaling.');
+    fs.rmSync(path.join(directory, 'openai.md'));
+    const second = await kb.ingest();
+    assert.deepStrictEqual([second.added, second.updated, second.removed, second.unchanged], [0, 1, 1, 1]);
+    assert.strictEqual(embedder.embedded, 4);
+
+    // A new process reads the index instead of embedding everything again
+    const restarted = new KnowledgeBase({ directory, embedder });
+    const [hit] = await restarted.search('kubernetes autoscaling');
+    assert.strictEqual(hit.docId, 'notes.txt');
+    assert.strictEqual(embedder.embedded, 5);
+
+    // An index built with another embedder starts over
+    const other = new KnowledgeBase({ directory, embedder: { type: 'hashing', dimensions: 64 } });
+    assert.strictEqual((await other.ingest()).added, 2);
+});
+
+test('search ranks passages by similarity', async t => {
+    const directory = documentDirectory(t);
+    const kb = new KnowledgeBase({ directory, embedder: { type: 'hashing' } });
+
+    const results = await kb.search('Anthropic safety research', { k: 2 });
+    assert.strictEqual(results[0].id, 'vendors/anthropic.html#1');
+    assert.strictEqual(results[0].title, 'Anthropic & safety');
+    assert.strictEqual(results[0].path, path.join(directory, 'vendors/anthropic.html'));
+    assert.ok(results.length <= 2);
+    assert.ok(results.every((result, index) => index === 0 || result.score <= results[index - 1].score));
+    assert.deepStrictEqual(await kb.search('zebra giraffe'), []);
+
+    const missing = new KnowledgeBase({ directory: path.join(directory, 'nope'), embedder: { type: 'hashing' } });
+    await assert.rejects(missing.search('x'), /Knowledge base directory not found/);
+    assert.throws(() => new KnowledgeBase({}), /needs a directory/);
+    assert.throws(() => KnowledgeBase.createEmbedder({ type: 'word2vec' }), /Unknown embedder 'word2vec'/);
+});
+
+test('the Ollama embedder posts batches to /api/embed', async () => {
+    const requests = [];
+    const embedder = new KnowledgeBase.OllamaEmbedder({
+        baseURL: 'http://ollama:11434/',
+        fetch: async (url, options) => {
+            requests.push({ url, body: JSON.parse(options.body) });
+            return new Response(JSON.stringify({ embeddings: [[1, 0], [0, 1]] }));
+        }
+    });
+
+    assert.strictEqual(embedder.id, 'ollama:nomic-embed-text');
+    assert.deepStrictEqual(await embedder.embed(['a', 'b']), [[1, 0], [0, 1]]);
+    assert.deepStrictEqual(requests[0], { url: 'http://ollama:11434/api/embed', body: { model: 'nomic-embed-text', input: ['a', 'b'] } });
+    await assert.rejects(embedder.embed(['a']), /unexpected response/);
+
+    const failing = new KnowledgeBase.OllamaEmbedder({ fetch: async () => new Response('model not found', { status: 404 }) });
+    await assert.rejects(failing.embed(['a']), /Ollama embeddings failed: 404 model not found/);
+});
+
+test('research quotes our documents and cites them as sources', async t => {
+    const directory = documentDirectory(t);
+    const knowledgeBase = new KnowledgeBase({ directory, embedder: { type: 'hashing' } });
+    const generator = new AIContentGenerator({ llm: { provider: 'mock' }, knowledgeBase });
+    const icon = { name: 'openai', displayName: 'OpenAI', category: 'ai' };
+
+    const research = await generator.researchCompany(icon, {}, () => {}, generator.normalizeResearchOptions({ dimensions: ['marketData'] }));
+    const sources = research.research.marketData.sources;
+    const documents = sources.filter(source => source.type === 'document');
+    assert.ok(documents.some(source => source.docId === 'openai.md' && source.passage === 'openai.md#1' && source.title === 'OpenAI pricing notes'));
+    assert.ok(sources.some(source => source.type === 'model'));
+
+    const [call] = generator.getLLMProvider('mock').calls;
+    assert.match(call.system, /Passages from our own documents\. Prefer them over general knowledge and cite them by id/);
+    const cited = documents.find(source => source.docId === 'openai.md');
+    assert.ok(call.system.includes(`[${cited.id}] OpenAI pricing notes\nOpenAI pricing notes\nOpenAI cut API pricing`));
+
+    // Passages keep their ids, and documents are numbered before model knowledge
+    const again = await generator.researchCompany(icon, {}, () => {}, generator.normalizeResearchOptions({ dimensions: ['marketData'], depth: 'quick' }));
+    assert.ok(again.research.marketData.sources.some(source => source.id === cited.id));
+    const used = generator.getUsedSources([research]);
+    assert.strictEqual(used[used.length - 1].type, 'model');
+});
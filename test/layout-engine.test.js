@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const LayoutEngine = require('../layout-engine');
+const VisualPostGenerator = require('../visual-post-generator');
+
+const REGION = { top: 180, bottom: 520, left: 60, right: 1140 };
+const icons = (count, displayName = index => `Tool ${index}`) => Array.from({ length: count }, (value, index) => ({
+    name: `tool-${index}`,
+    displayName: displayName(index),
+    category: 'dev'
+}));
+
+test('fitGrid keeps every cell inside the region for any icon count', () => {
+    const engine = new LayoutEngine();
+
+    for (const count of [1, 2, 5, 8, 13, 24, 60]) {
+        const grid = engine.fitGrid(Array.from({ length: count }, (value, index) => `Tool ${index}`), REGION);
+
+        assert.strictEqual(grid.labels.length, count);
+        assert.ok(grid.cols * grid.rows >= count, `${count}`);
+        assert.ok(grid.top >= REGION.top - 0.01 && grid.top + grid.rows * grid.rowHeight <= REGION.bottom + 0.01, `${count}`);
+        assert.ok(grid.cols * grid.spacing <= REGION.right - REGION.left + 0.01, `${count}`);
+    }
+    assert.strictEqual(engine.fitGrid(['A'], REGION).legible, true);
+    assert.strictEqual(engine.fitGrid(Array(60).fill('A'), REGION).legible, false);
+});
+
+test('fitGrid flags labels that need more lines than it allows', () => {
+    const engine = new LayoutEngine();
+
+    assert.strictEqual(engine.fitGrid(['Short', 'Names'], REGION).cut, false);
+    const grid = engine.fitGrid(Array(24).fill('An extremely long product name that keeps going and going'), REGION);
+    assert.strictEqual(grid.cut, true);
+    assert.ok(grid.labels.every(lines => lines.length <= 2 && lines[lines.length - 1].endsWith('…')));
+});
+
+test('wrapText breaks long words and ellipsizes the last line', () => {
+    const engine = new LayoutEngine();
+
+    assert.deepStrictEqual(engine.wrapText('one two three', 1000, 10), ['one two three']);
+    assert.deepStrictEqual(engine.wrapText('one two three', 30, 10), ['one', 'two', 'three']);
+    assert.ok(engine.wrapText('supercalifragilistic', 30, 10).length > 1);
+    assert.deepStrictEqual(engine.wrapText('one two three four', 30, 10, 2), ['one', 'two…']);
+});
+
+test('fitColumns adds columns up to the maximum', () => {
+    const engine = new LayoutEngine();
+
+    assert.deepStrictEqual(engine.fitColumns(3, 300, { maxHeight: 100, preferredHeight: 80 }), { cols: 1, rows: 3, itemHeight: 100 });
+    assert.deepStrictEqual(engine.fitColumns(8, 400, { maxHeight: 100, preferredHeight: 80 }), { cols: 2, rows: 4, itemHeight: 100 });
+    assert.strictEqual(engine.fitColumns(40, 400, { maxHeight: 100, preferredHeight: 80 }).cols, 3);
+});
+
+test('describeIllegible explains small sizes and cut labels', () => {
+    const engine = new LayoutEngine();
+
+    assert.match(engine.describeIllegible(30, 20, 8, 12), /icons shrink to 20px and text to 8px .* select at most 12 icons/);
+    assert.match(engine.describeIllegible(30, 60, 14, 20, true), /labels are cut short .* select at most 20 icons/);
+    assert.match(engine.describeIllegible(30, 20, 8, 0), /use a larger preset$/);
+});
+
+test('the modern grid warns when labels are cut, like the tech layout', () => {
+    const generator = new VisualPostGenerator();
+
+    assert.strictEqual(generator.getGridLayout(icons(24)).warning, undefined);
+    const warning = generator.getGridLayout(icons(12, index => `Observability Platform Enterprise ${index}`)).warning;
+    assert.match(warning, /^12 icons do not fit legibly: labels are cut short .* select at most \d+ icons/);
+});
+
+test('tech decorations stay inside their cell and clear the icon', () => {
+    const generator = new VisualPostGenerator();
+    const capHeight = 0.75;
+
+    for (const count of [1, 5, 12, 24]) {
+        const tech = generator.getTechLayout(icons(count));
+        const k = tech.scale;
+
+        tech.items.forEach((item, index) => {
+            const top = tech.startY + (index % tech.rows) * tech.lineHeight;
+            const iconTop = item.iconY - 30 * k;
+            const iconBottom = item.iconY + 30 * k;
+
+            assert.ok(item.openY - 18 * k * capHeight >= top - 0.01, `${count}: "{" leaves its cell`);
+            assert.ok(item.openY <= iconTop, `${count}: "{" overlaps the icon`);
+            assert.ok(item.closeY - 18 * k * capHeight >= iconBottom, `${count}: "}," overlaps the icon`);
+            assert.ok(item.closeY <= top + tech.lineHeight + 0.01, `${count}: "}," leaves its cell`);
+            assert.ok(item.braceX + tech.columnWidth <= generator.canvasWidth, `${count}: column leaves the canvas`);
+        });
+
+        const lastRowBottom = tech.startY + tech.rows * tech.lineHeight;
+        assert.ok(tech.closingY - 36 * capHeight >= lastRowBottom, `${count}: "] }" overlaps the last entry`);
+    }
+});
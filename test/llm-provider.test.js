@@ -0,0 +1,171 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const LLMProvider = require('../llm-provider');
+const AIContentGenerator = require('../ai-content-generator');
+
+/**
+ * A fetch that records requests and answers with the given body (an object is
+ * sent as JSON, an array of strings as a streamed body)
+ */
+function fakeFetch(reply, init = {}) {
+    const requests = [];
+    const fetch = async (url, options) => {
+        requests.push({ url, headers: options.headers, body: JSON.parse(options.body) });
+        const body = Array.isArray(reply)
+            ? new ReadableStream({
+                start(controller) {
+                    reply.forEach(chunk => controller.enqueue(new TextEncoder().encode(chunk)));
+                    controller.close();
+                }
+            })
+            : typeof reply === 'string' ? reply : JSON.stringify(reply);
+        return new Response(body, { status: 200, ...init });
+    };
+    return { fetch, requests };
+}
+
+test('create builds providers from a spec and rejects unknown types', () => {
+    assert.ok(LLMProvider.create({ type: 'ollama' }) instanceof LLMProvider.Ollama);
+    assert.ok(LLMProvider.create('mock') instanceof LLMProvider.Mock);
+    const provider = LLMProvider.create({ type: 'openai', baseURL: 'http://localhost:8080/v1/', model: 'qwen' });
+    assert.strictEqual(provider.baseURL, 'http://localhost:8080/v1');
+    assert.strictEqual(provider.model, 'qwen');
+    assert.strictEqual(LLMProvider.create(provider), provider);
+    assert.throws(() => LLMProvider.create({ type: 'palm' }), /Unknown LLM provider 'palm' \(use ollama, openai, anthropic, mock\)/);
+});
+
+test('complete applies per-call options and checks them', async () => {
+    const provider = LLMProvider.create({ type: 'mock', temperature: 0.2 });
+
+    const result = await provider.complete('Hello\nworld', { model: 'tiny', maxTokens: 5, system: 'Be brief' });
+    assert.deepStrictEqual(result, { text: 'Mock response to: Hello', provider: 'mock', model: 'tiny', usage: { inputTokens: 11, outputTokens: 23 } });
+    assert.deepStrictEqual(provider.calls[0], { prompt: 'Hello\nworld', system: 'Be brief', model: 'tiny', temperature: 0.2, maxTokens: 5, format: null });
+
+    await assert.rejects(provider.complete('x', { temperature: 3 }), /mock: temperature must be between 0 and 2/);
+    await assert.rejects(provider.complete('x', { maxTokens: 1.5 }), /mock: maxTokens must be a positive integer/);
+    await assert.rejects(new LLMProvider({ name: 'bare' }).complete('x'), /bare: no model configured/);
+});
+
+test('ollama sends the generate request and reads its counts', async () => {
+    const { fetch, requests } = fakeFetch({ response: 'Hi', model: 'llama3.2', prompt_eval_count: 3, eval_count: 1 });
+    const provider = LLMProvider.create({ type: 'ollama', fetch });
+
+    const result = await provider.complete('Say hi', { format: 'json', maxTokens: 10 });
+    assert.deepStrictEqual(result, { text: 'Hi', provider: 'ollama', model: 'llama3.2', usage: { inputTokens: 3, outputTokens: 1 } });
+    assert.strictEqual(requests[0].url, 'http://localhost:3000/api/ollama');
+    assert.deepStrictEqual(requests[0].body, {
+        model: 'llama3.2', prompt: 'Say hi', format: 'json', stream: false,
+        options: { temperature: 0.7, top_p: 0.9, num_predict: 10 }
+    });
+});
+
+test('ollama streams NDJSON chunks split anywhere', async () => {
+    const { fetch, requests } = fakeFetch(['{"response":"He"}\n{"respo', 'nse":"llo"}\n{"done":true,"model":"m","eval_count":2}\n']);
+    const tokens = [];
+
+    const result = await LLMProvider.create({ type: 'ollama', fetch }).complete('x', { onToken: token => tokens.push(token) });
+    assert.deepStrictEqual(tokens, ['He', 'llo']);
+    assert.strictEqual(result.text, 'Hello');
+    assert.deepStrictEqual(result.usage, { inputTokens: 0, outputTokens: 2 });
+    assert.strictEqual(requests[0].body.stream, true);
+
+    const failing = fakeFetch(['{"error":"model not found"}\n']);
+    await assert.rejects(LLMProvider.create({ type: 'ollama', fetch: failing.fetch }).complete('x', { onToken() {} }), /ollama: model not found/);
+});
+
+test('openai-compatible servers get chat completions with a JSON schema', async () => {
+    const { fetch, requests } = fakeFetch({ model: 'gpt-4o-mini', choices: [{ message: { content: '{}' } }], usage: { prompt_tokens: 4, completion_tokens: 2 } });
+    const schema = { type: 'object' };
+
+    const result = await LLMProvider.create({ type: 'openai', apiKey: 'sk-test', fetch }).complete('x', { system: 'sys', format: schema });
+    assert.strictEqual(result.text, '{}');
+    assert.deepStrictEqual(result.usage, { inputTokens: 4, outputTokens: 2 });
+    assert.strictEqual(requests[0].url, 'https://api.openai.com/v1/chat/completions');
+    assert.strictEqual(requests[0].headers.Authorization, 'Bearer sk-test');
+    assert.deepStrictEqual(requests[0].body.messages, [{ role: 'system', content: 'sys' }, { role: 'user', content: 'x' }]);
+    assert.deepStrictEqual(requests[0].body.response_format, { type: 'json_schema', json_schema: { name: 'response', schema } });
+
+    const local = fakeFetch({ choices: [] });
+    await LLMProvider.create({ type: 'openai', baseURL: 'http://localhost:8080/v1', jsonMode: 'json_object', fetch: local.fetch }).complete('x', { format: schema });
+    assert.strictEqual(local.requests[0].headers.Authorization, undefined);
+    assert.deepStrictEqual(local.requests[0].body.response_format, { type: 'json_object' });
+});
+
+test('openai-compatible streams Server-Sent Events', async () => {
+    const { fetch } = fakeFetch([
+        'data: {"model":"m","choices":[{"delta":{"content":"He"}}]}\n\n',
+        'data: {"choices":[{"delta":{"content":"llo"}}]}\n\ndata: [DONE]\n\n'
+    ]);
+    const tokens = [];
+
+    const result = await LLMProvider.create({ type: 'openai', fetch }).complete('x', { onToken: token => tokens.push(token) });
+    assert.deepStrictEqual(tokens, ['He', 'llo']);
+    assert.deepStrictEqual([result.text, result.model], ['Hello', 'm']);
+});
+
+test('anthropic uses the Messages API and needs a key', async () => {
+    const { fetch, requests } = fakeFetch({ model: 'claude', content: [{ type: 'text', text: 'Hi' }, { type: 'tool_use' }], usage: { input_tokens: 5, output_tokens: 1 } });
+
+    const result = await LLMProvider.create({ type: 'anthropic', apiKey: 'key', fetch }).complete('x', { system: 'sys' });
+    assert.deepStrictEqual(result, { text: 'Hi', provider: 'anthropic', model: 'claude', usage: { inputTokens: 5, outputTokens: 1 } });
+    assert.strictEqual(requests[0].url, 'https://api.anthropic.com/v1/messages');
+    assert.deepStrictEqual(requests[0].headers, { 'Content-Type': 'application/json', 'x-api-key': 'key', 'anthropic-version': '2023-06-01' });
+    assert.strictEqual(requests[0].body.system, 'sys');
+
+    await assert.rejects(LLMProvider.create({ type: 'anthropic', fetch }).complete('x'), /anthropic: API key not configured/);
+
+    const stream = fakeFetch([
+        'event: message_start\ndata: {"type":"message_start","message":{"model":"claude","usage":{"input_tokens":5}}}\n\n',
+        'data: {"type":"content_block_delta","delta":{"type":"text_delta","text":"Hi"}}\n\n',
+        'data: {"type":"message_delta","usage":{"output_tokens":1}}\n\n'
+    ]);
+    const streamed = await LLMProvider.create({ type: 'anthropic', apiKey: 'key', fetch: stream.fetch }).complete('x', { onToken() {} });
+    assert.deepStrictEqual(streamed.usage, { inputTokens: 5, outputTokens: 1 });
+    assert.strictEqual(streamed.text, 'Hi');
+});
+
+test('failed requests carry the status and Retry-After', async () => {
+    const { fetch } = fakeFetch('slow down', { status: 429, headers: { 'Retry-After': '2' } });
+
+    await assert.rejects(LLMProvider.create({ type: 'openai', fetch }).complete('x'), error =>
+        error.status === 429 && error.retryAfter === 2000 && /openai request failed: 429 slow down/.test(error.message));
+});
+
+test('the mock provider answers from functions, lists, prompt keys and schemas', async () => {
+    const byFunction = LLMProvider.create({ type: 'mock', responses: request => `echo ${request.prompt}` });
+    assert.strictEqual((await byFunction.complete('a')).text, 'echo a');
+
+    const inTurn = LLMProvider.create({ type: 'mock', responses: ['one', 'two'] });
+    assert.deepStrictEqual([(await inTurn.complete('a')).text, (await inTurn.complete('b')).text, (await inTurn.complete('c')).text], ['one', 'two', 'one']);
+
+    const byKey = LLMProvider.create({ type: 'mock', responses: { market: { share: 3 } } });
+    assert.strictEqual((await byKey.complete('the market today')).text, '{"share":3}');
+
+    const schema = { type: 'object', properties: { title: { type: 'string', maxLength: 6 }, tags: { type: 'array', minItems: 2, items: { type: 'string' } }, kind: { enum: ['a', 'b'] }, score: { type: 'number' } } };
+    assert.deepStrictEqual(JSON.parse((await byKey.complete('other', { format: schema })).text), { title: 'Mock t', tags: ['Mock tags 1', 'Mock tags 2'], kind: 'a', score: 1 });
+
+    const tokens = [];
+    await byKey.complete('stream me please', { onToken: token => tokens.push(token) });
+    assert.strictEqual(tokens.join(''), 'Mock response to: stream me please');
+
+    const controller = new AbortController();
+    controller.abort();
+    await assert.rejects(byKey.complete('x', { signal: controller.signal }), /mock: request aborted/);
+});
+
+test('the content generator picks the provider, model and options per call', async () => {
+    const generator = new AIContentGenerator({
+        llm: { provider: 'mock', model: 'default-model' },
+        providers: { second: { type: 'mock', responses: ['from second'] } }
+    });
+
+    const first = await generator.queryLLM('hello');
+    assert.deepStrictEqual([first.provider, first.model], ['mock', 'default-model']);
+
+    const second = await generator.queryLLM('hello', { provider: 'second', model: 'other', temperature: 0, maxTokens: 7 });
+    assert.deepStrictEqual([second.text, second.provider, second.model], ['from second', 'second', 'other']);
+    assert.deepStrictEqual(generator.getLLMProvider('second').calls[0], { prompt: 'hello', system: null, model: 'other', temperature: 0, maxTokens: 7, format: null });
+
+    assert.throws(() => generator.getLLMProvider('nope'), /Unknown LLM provider 'nope' \(registered: .*mock.*second/);
+    assert.throws(() => new AIContentGenerator({ llm: { provider: 'nope' } }), /Unknown LLM provider 'nope'/);
+});
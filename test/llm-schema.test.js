@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const LLMSchema = require('../llm-schema');
+const LLMProvider = require('../llm-provider');
+const AIContentGenerator = require('../ai-content-generator');
+
+const SLIDE = { headline: 'Agents go mainstream', bullets: ['Adoption doubled'], statistic: { value: '42%', label: 'of teams' }, question: 'Ready?' };
+
+test('every stage has a schema its own sample passes', () => {
+    assert.deepStrictEqual(Object.keys(LLMSchema.STAGES), ['news', 'market', 'technical', 'competitive', 'developments', 'structure', 'slide', 'summary']);
+    for (const stage of Object.keys(LLMSchema.STAGES)) {
+        assert.deepStrictEqual(LLMSchema.validate(LLMSchema.forStage(stage), LLMProvider.Mock.sample(LLMSchema.forStage(stage))), [], stage);
+    }
+    assert.throws(() => LLMSchema.forStage('poem'), /No schema for LLM stage 'poem'/);
+});
+
+test('validate reports every problem with its path', () => {
+    const schema = LLMSchema.forStage('slide');
+
+    assert.deepStrictEqual(LLMSchema.validate(schema, SLIDE), []);
+    assert.deepStrictEqual(LLMSchema.validate(schema, {
+        headline: ' ',
+        bullets: ['a', 'b', 'c', 'd', 'e', 'f'],
+        statistic: { label: 3 },
+        sources: 'src-1'
+    }), [
+        '$.headline: must not be empty',
+        '$.bullets: expected at most 5 items',
+        '$.statistic.value: required',
+        '$.statistic.label: expected string, got number',
+        '$.sources: expected array, got string'
+    ]);
+    assert.deepStrictEqual(LLMSchema.validate(schema, []), ['$: expected object, got array']);
+    assert.deepStrictEqual(LLMSchema.validate({ enum: ['a'] }, 'b'), ['$: must be one of "a"']);
+    assert.deepStrictEqual(LLMSchema.validate({ type: 'integer' }, 1.5), ['$: expected integer, got number']);
+});
+
+test('extractJSON finds the JSON inside fences and prose', () => {
+    assert.deepStrictEqual(LLMSchema.extractJSON('Sure! ```json\n{"a": "} not the end", "b": [1, {"c": 2}]}\n``` Hope that helps {x}'), { a: '} not the end', b: [1, { c: 2 }] });
+    assert.deepStrictEqual(LLMSchema.extractJSON('[1, 2]'), [1, 2]);
+    assert.throws(() => LLMSchema.extractJSON('no json here'), /No JSON found/);
+    assert.throws(() => LLMSchema.extractJSON('{"a": [1}'), /Malformed JSON in the response \(unexpected '}'\)/);
+    assert.throws(() => LLMSchema.extractJSON('{"a": 1'), /Incomplete JSON/);
+});
+
+test('toText turns structured output into labelled lines', () => {
+    assert.strictEqual(LLMSchema.toText({ ...SLIDE, sources: [], visual: '' }),
+        'Headline: Agents go mainstream\n\nBullets:\n- Adoption doubled\n\nStatistic: 42% - of teams\n\nQuestion: Ready?');
+});
+
+test('invalid replies are sent back with the errors until they validate', async () => {
+    const generator = new AIContentGenerator({ llm: { provider: 'mock' } });
+    const mock = generator.getLLMProvider('mock');
+    mock.responses = ['I think the headline is great', { headline: 'x'.repeat(100), bullets: [] }, SLIDE];
+
+    const result = await generator.queryStructured('slide', 'Write the slide');
+    assert.deepStrictEqual(result.data, SLIDE);
+    assert.strictEqual(result.attempts, 3);
+    assert.strictEqual(mock.calls.length, 3);
+
+    assert.deepStrictEqual(mock.calls[0].format, LLMSchema.forStage('slide'));
+    assert.match(mock.calls[0].prompt, /^Write the slide\n\nRespond with a single JSON object and nothing else, matching this JSON schema:\n\{"type":"object"/);
+    assert.match(mock.calls[1].prompt, /did not match the required format:\nNo JSON found in the response\n\nPrevious reply:\nI think the headline is great\n\nFix these problems/);
+    assert.match(mock.calls[2].prompt, /\$\.headline: longer than 80 characters\n\$\.bullets: expected at least 1 items/);
+});
+
+test('gives up after structuredRetries repairs', async () => {
+    const generator = new AIContentGenerator({ llm: { provider: 'mock' }, structuredRetries: 1 });
+    const mock = generator.getLLMProvider('mock');
+    mock.responses = ['{"headline": "only"}'];
+
+    await assert.rejects(generator.queryStructured('slide', 'Write'), /Invalid slide output after 2 attempts: \$\.bullets: required/);
+    assert.strictEqual(mock.calls.length, 2);
+});
+
+test('each research stage returns validated fields plus the analysis text', async () => {
+    const generator = new AIContentGenerator({ llm: { provider: 'mock' } });
+    generator.getLLMProvider('mock').responses = { 'market analysis': { summary: 'Leader', metrics: [{ label: 'ARR', value: '$3.4B' }] } };
+
+    const market = await generator.fetchMarketData('OpenAI');
+    assert.strictEqual(market.type, 'market');
+    assert.strictEqual(market.company, 'OpenAI');
+    assert.deepStrictEqual(market.metrics, [{ label: 'ARR', value: '$3.4B' }]);
+    assert.strictEqual(market.analysis, 'Summary: Leader\n\nMetrics:\n- ARR - $3.4B');
+    assert.strictEqual(market.attempts, 1);
+
+    generator.getLLMProvider('mock').responses = ['not json'];
+    const failed = await generator.fetchMarketData('OpenAI');
+    assert.strictEqual(failed.fallback, 'Analysis unavailable for OpenAI');
+    assert.match(failed.error, /Invalid market output after 3 attempts/);
+});
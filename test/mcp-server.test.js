@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ErrorCode } = require('@modelcontextprotocol/sdk/types.js');
+const { connectMCP } = require('./helpers/mcp-client');
+
+const parse = result => JSON.parse(result.content.find(item => item.type === 'text').text);
+
+test('MCP server', async t => {
+    const { client, mcp, close } = await connectMCP();
+    t.after(close);
+
+    await t.test('search_icons and get_icon return catalog data', async () => {
+        const search = parse(await client.callTool({ name: 'search_icons', arguments: { query: 'claude', limit: 5 } }));
+        assert.ok(search.results.some(icon => icon.name === 'claude'));
+
+        const icon = parse(await client.callTool({ name: 'get_icon', arguments: { name: 'claude', variation: 'color' } }));
+        assert.strictEqual(icon.variation, 'color');
+        assert.strictEqual(icon.uri, 'icon://claude/color');
+        assert.match(icon.svgContent, /^<svg/);
+    });
+
+    await t.test('caller mistakes are InvalidParams', async () => {
+        const calls = [
+            { name: 'get_icon', arguments: { name: 'not-an-icon' } },
+            { name: 'get_icon', arguments: { name: 'claude', variation: 'nope' } },
+            { name: 'get_icon', arguments: { name: 'claude', fill: 'javascript' } },
+            { name: 'render_icon', arguments: { name: 'claude', variation: 'nope' } },
+            { name: 'generate_visual_post', arguments: { icons: ['openai'], avatar: 'data:image/png;base64,AAAA' } }
+        ];
+        for (const call of calls) {
+            await assert.rejects(client.callTool(call), error => error.code === ErrorCode.InvalidParams, JSON.stringify(call));
+        }
+    });
+
+    await t.test('unexpected failures stay InternalError', async () => {
+        const read = mcp.catalog.readIconSvg;
+        mcp.catalog.readIconSvg = async () => {
+            throw new Error('disk on fire');
+        };
+        try {
+            await assert.rejects(client.callTool({ name: 'get_icon', arguments: { name: 'claude' } }), error => error.code === ErrorCode.InternalError);
+        } finally {
+            mcp.catalog.readIconSvg = read;
+        }
+    });
+
+    await t.test('icons are listed and read as icon:// resources', async () => {
+        const first = await client.listResources();
+        assert.ok(first.resources.length > 0);
+        assert.ok(first.nextCursor);
+        assert.ok(first.resources.every(resource => resource.uri.startsWith('icon://')));
+
+        const second = await client.listResources({ cursor: first.nextCursor });
+        assert.notStrictEqual(second.resources[0].uri, first.resources[0].uri);
+
+        const templates = await client.listResourceTemplates();
+        assert.deepStrictEqual(templates.resourceTemplates.map(template => template.uriTemplate), ['icon://{name}', 'icon://{name}/{variation}']);
+
+        const resource = await client.readResource({ uri: 'icon://claude/color' });
+        assert.strictEqual(resource.contents[0].mimeType, 'image/svg+xml');
+        assert.match(resource.contents[0].text, /^<svg/);
+
+        for (const uri of ['icon://claude/nope', 'icon://not-an-icon', 'https://example.com/x.svg']) {
+            await assert.rejects(client.readResource({ uri }), error => error.code === ErrorCode.InvalidParams, uri);
+        }
+    });
+
+    await t.test('post templates are offered as prompts', async () => {
+        const { prompts } = await client.listPrompts();
+        assert.deepStrictEqual(prompts.map(prompt => prompt.name), ['tools-spotlight', 'tech-stack', 'comparison', 'trend-analysis']);
+        assert.ok(prompts.every(prompt => prompt.arguments.some(arg => arg.name === 'icons' && arg.required)));
+
+        const prompt = await client.getPrompt({
+            name: 'comparison',
+            arguments: { icons: 'openai, claude, not-an-icon', audience: 'startup founders' }
+        });
+        const text = prompt.messages[0].content.text;
+        assert.strictEqual(prompt.messages[0].role, 'user');
+        assert.match(text, /"Tool Comparison" template/);
+        assert.match(text, /icon:\/\/openai/);
+        assert.match(text, /Audience: startup founders/);
+        assert.match(text, /Unknown icons ignored: not-an-icon/);
+    });
+
+    await t.test('prompts reject unknown templates and missing icons', async () => {
+        const requests = [
+            { name: 'not-a-template', arguments: { icons: 'openai' } },
+            { name: 'tech-stack', arguments: { icons: ' , ' } },
+            { name: 'tech-stack', arguments: { icons: 'not-an-icon' } }
+        ];
+        for (const request of requests) {
+            await assert.rejects(client.getPrompt(request), error => error.code === ErrorCode.InvalidParams, JSON.stringify(request));
+        }
+    });
+});
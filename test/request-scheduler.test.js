@@ -0,0 +1,187 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const RequestScheduler = require('../request-scheduler');
+const AIContentGenerator = require('../ai-content-generator');
+
+function failure(status, retryAfter) {
+    const error = new Error(`request failed: ${status}`);
+    error.status = status;
+    if (retryAfter) error.retryAfter = retryAfter;
+    return error;
+}
+
+/**
+ * Task that counts how many of its kind run at once
+ */
+function tracked(ms = 10) {
+    const counter = { active: 0, max: 0, runs: 0 };
+    counter.task = async () => {
+        counter.active++;
+        counter.runs++;
+        counter.max = Math.max(counter.max, counter.active);
+        await RequestScheduler.sleep(ms);
+        counter.active--;
+        return counter.runs;
+    };
+    return counter;
+}
+
+test('a lane runs at most its concurrency and queues the rest', async () => {
+    const scheduler = new RequestScheduler({ lanes: { local: { concurrency: 2 } } });
+    const counter = tracked();
+
+    const running = Array.from({ length: 5 }, () => scheduler.schedule('local', counter.task));
+    assert.deepStrictEqual(scheduler.getStats().local, { active: 2, queued: 3 });
+    await Promise.all(running);
+
+    assert.strictEqual(counter.max, 2);
+    assert.strictEqual(counter.runs, 5);
+    assert.deepStrictEqual(scheduler.getStats().local, { active: 0, queued: 0 });
+    assert.strictEqual(scheduler.getLane('unknown').concurrency, RequestScheduler.LANES.default.concurrency);
+});
+
+test('calls above the rate limit wait for the window instead of failing', async () => {
+    const scheduler = new RequestScheduler({ lanes: { api: { concurrency: Infinity, requests: 2, window: 100 } } });
+    const started = [];
+    const begin = Date.now();
+
+    await Promise.all(Array.from({ length: 3 }, () => scheduler.schedule('api', async () => started.push(Date.now() - begin))));
+    assert.ok(started[1] < 50, started.join());
+    assert.ok(started[2] >= 95, started.join());
+});
+
+test('transient failures are retried with backoff, others fail at once', async () => {
+    const scheduler = new RequestScheduler({ baseDelay: 1, random: () => 0 });
+    let attempts = 0;
+
+    const result = await scheduler.schedule('api', async () => {
+        attempts++;
+        if (attempts < 3) throw failure(503);
+        return 'ok';
+    });
+    assert.deepStrictEqual([result, attempts], ['ok', 3]);
+
+    attempts = 0;
+    await assert.rejects(scheduler.schedule('api', async () => {
+        attempts++;
+        throw failure(400);
+    }), /request failed: 400/);
+    assert.strictEqual(attempts, 1);
+
+    attempts = 0;
+    await assert.rejects(scheduler.schedule('api', async () => {
+        attempts++;
+        throw failure(429);
+    }, { retries: 1 }), /request failed: 429/);
+    assert.strictEqual(attempts, 2);
+
+    attempts = 0;
+    await assert.rejects(scheduler.schedule('api', async () => {
+        attempts++;
+        throw failure(502);
+    }, { retryable: () => false }), /request failed: 502/);
+    assert.strictEqual(attempts, 1);
+});
+
+test('backoff doubles, is half random, is capped and honors Retry-After', () => {
+    const low = new RequestScheduler({ baseDelay: 100, maxDelay: 1000, random: () => 0 });
+    const high = new RequestScheduler({ baseDelay: 100, maxDelay: 1000, random: () => 1 });
+
+    assert.deepStrictEqual([1, 2, 3].map(attempt => low.getDelay(attempt, {})), [50, 100, 200]);
+    assert.deepStrictEqual([1, 2, 3, 6].map(attempt => high.getDelay(attempt, {})), [100, 200, 400, 1000]);
+    assert.strictEqual(low.getDelay(1, { retryAfter: 700 }), 700);
+    assert.strictEqual(low.getDelay(1, { retryAfter: 60000 }), 1000);
+});
+
+test('timeouts, network errors and 408/425/429/5xx count as transient', () => {
+    const network = new TypeError('fetch failed');
+    const refused = Object.assign(new Error('connect'), { cause: { code: 'ECONNREFUSED' } });
+
+    for (const error of [failure(408), failure(429), failure(500), network, refused, { code: 'ETIMEDOUT' }]) {
+        assert.ok(RequestScheduler.isTransient(error), error.message || error.code);
+    }
+    for (const error of [failure(400), failure(401), failure(404), new Error('bad JSON'), null]) {
+        assert.ok(!RequestScheduler.isTransient(error), error && error.message);
+    }
+});
+
+test('each attempt gets a signal that fires on timeout', async () => {
+    const scheduler = new RequestScheduler({ retries: 0 });
+    let attemptSignal;
+
+    await assert.rejects(scheduler.schedule('slow', signal => {
+        attemptSignal = signal;
+        return new Promise((resolve, reject) => signal.addEventListener('abort', () => reject(new Error('aborted'))));
+    }, { timeout: 20 }), error => error.code === 'ETIMEDOUT' && error.message === 'slow request timed out after 20ms');
+    assert.ok(attemptSignal.aborted);
+});
+
+test('the caller signal cancels waiting, running and backing off', async () => {
+    const scheduler = new RequestScheduler({ lanes: { one: { concurrency: 1 } }, baseDelay: 10000 });
+    const controller = new AbortController();
+    let release;
+
+    const running = scheduler.schedule('one', signal => new Promise((resolve, reject) => {
+        release = resolve;
+        signal.addEventListener('abort', () => reject(signal.reason));
+    }), { signal: controller.signal });
+    const queued = scheduler.schedule('one', async () => 'never', { signal: controller.signal });
+    await RequestScheduler.sleep(5);
+    assert.deepStrictEqual(scheduler.getStats().one, { active: 1, queued: 1 });
+
+    controller.abort(new Error('user cancelled'));
+    await assert.rejects(running, /user cancelled/);
+    await assert.rejects(queued, /user cancelled/);
+    assert.deepStrictEqual(scheduler.getStats().one, { active: 0, queued: 0 });
+    release();
+
+    const backingOff = new AbortController();
+    const retrying = scheduler.schedule('two', async () => {
+        setTimeout(() => backingOff.abort(), 5);
+        throw failure(503);
+    }, { signal: backingOff.signal });
+    await assert.rejects(retrying, { name: 'AbortError' });
+});
+
+test('research calls go through the provider lane and are retried', async () => {
+    const generator = new AIContentGenerator({ llm: { provider: 'mock' }, scheduler: { lanes: { mock: { concurrency: 1 } }, baseDelay: 1 } });
+    const mock = generator.getLLMProvider('mock');
+    const counter = tracked(5);
+    let failures = 1;
+    mock.responses = async request => {
+        await counter.task();
+        if (/market analysis/.test(request.prompt) && failures-- > 0) throw failure(503);
+        return undefined;
+    };
+
+    const research = await generator.researchCompany({ name: 'openai', displayName: 'OpenAI' }, {}, () => {},
+        generator.normalizeResearchOptions({ dimensions: ['marketData', 'technicalInfo', 'competitors'] }));
+    assert.strictEqual(counter.max, 1);
+    assert.strictEqual(mock.calls.length, 4);
+    assert.ok(!research.research.marketData.error);
+
+    // A reply that already streamed tokens is not sent again
+    mock.calls.length = 0;
+    const send = mock.send.bind(mock);
+    mock.send = async request => {
+        request.onToken('partial');
+        await send({ ...request, onToken: null });
+        throw failure(503);
+    };
+    await assert.rejects(generator.queryLLM('hi', { onToken() {} }), /request failed: 503/);
+    assert.strictEqual(mock.calls.length, 1);
+});
+
+test('web searches go through the search lane and are retried', async () => {
+    const generator = new AIContentGenerator({ llm: { provider: 'mock' }, search: { type: 'fixture', results: [{ title: 'A', url: 'https://techcrunch.com/a' }] }, scheduler: { baseDelay: 1 } });
+    const search = generator.searchProvider.search.bind(generator.searchProvider);
+    let attempts = 0;
+    generator.searchProvider.search = (query, options) => {
+        attempts++;
+        return attempts === 1 ? Promise.reject(failure(429, 1)) : search(query, options);
+    };
+
+    const results = await generator.searchWeb('OpenAI news');
+    assert.strictEqual(attempts, 2);
+    assert.deepStrictEqual(results.map(result => result.url), ['https://techcrunch.com/a']);
+});
@@ -0,0 +1,157 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ResearchCache = require('../research-cache');
+const AIContentGenerator = require('../ai-content-generator');
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Cache with a clock the test moves
+ */
+function clockedCache(options = {}) {
+    const clock = { now: 0 };
+    const cache = new ResearchCache({ ...options, now: () => clock.now });
+    return { cache, clock };
+}
+
+function cacheFile(t) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'composeon-cache-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+    return path.join(directory, 'nested', 'research.json');
+}
+
+test('entries expire after their dimension TTL', async () => {
+    const { cache, clock } = clockedCache({ ttl: { marketData: 3 * HOUR } });
+
+    await cache.set('OpenAI', 'latestNews', 'v1', { headline: 'news' });
+    await cache.set('OpenAI', 'marketData', 'v1', { share: 3 });
+    assert.deepStrictEqual(await cache.get(' openai ', 'latestNews', 'v1'), { headline: 'news' });
+    assert.strictEqual(await cache.get('OpenAI', 'latestNews', 'v2'), undefined);
+
+    clock.now = HOUR;
+    assert.strictEqual(await cache.get('OpenAI', 'latestNews', 'v1'), undefined);
+    assert.deepStrictEqual(await cache.get('OpenAI', 'marketData', 'v1'), { share: 3 });
+    clock.now = 3 * HOUR;
+    assert.strictEqual(await cache.get('OpenAI', 'marketData', 'v1'), undefined);
+
+    assert.strictEqual(cache.getTTL('technicalInfo'), ResearchCache.TTLS.technicalInfo);
+    assert.strictEqual(cache.getTTL('somethingElse'), ResearchCache.TTLS.default);
+    assert.deepStrictEqual(cache.getStats(), {
+        store: 'memory', hits: 2, misses: 3, expired: 2, evictions: 0, invalidations: 0, entries: 0, hitRate: 2 / 5
+    });
+});
+
+test('the least recently used entries go above maxEntries', async () => {
+    const { cache, clock } = clockedCache({ maxEntries: 2 });
+
+    await cache.set('A', 'marketData', '', 'a');
+    clock.now = 1;
+    await cache.set('B', 'marketData', '', 'b');
+    clock.now = 2;
+    await cache.get('A', 'marketData');
+    clock.now = 3;
+    await cache.set('C', 'marketData', '', 'c');
+
+    assert.strictEqual(await cache.get('B', 'marketData'), undefined);
+    assert.strictEqual(await cache.get('A', 'marketData'), 'a');
+    assert.strictEqual(await cache.get('C', 'marketData'), 'c');
+    assert.strictEqual(cache.getStats().evictions, 1);
+});
+
+test('a company or the whole cache can be dropped', async () => {
+    const { cache } = clockedCache();
+    await cache.set('OpenAI', 'latestNews', 'v1', 1);
+    await cache.set('openai', 'marketData', 'v2', 2);
+    await cache.set('Claude', 'marketData', 'v1', 3);
+
+    assert.strictEqual(await cache.invalidate('OPENAI'), 2);
+    assert.strictEqual(await cache.get('OpenAI', 'marketData', 'v2'), undefined);
+    assert.strictEqual(await cache.get('Claude', 'marketData', 'v1'), 3);
+
+    await cache.clear();
+    assert.strictEqual(cache.getStats().entries, 0);
+    assert.strictEqual(cache.getStats().invalidations, 3);
+});
+
+test('the file store keeps entries and their order across restarts', async t => {
+    const file = cacheFile(t);
+    const first = clockedCache({ store: { type: 'file', path: file }, maxEntries: 2 });
+
+    await Promise.all([
+        first.cache.set('A', 'marketData', '', 'a'),
+        first.cache.set('B', 'marketData', '', 'b')
+    ]);
+    first.clock.now = 1;
+    await first.cache.get('A', 'marketData');
+    assert.deepStrictEqual(Object.keys(JSON.parse(fs.readFileSync(file, 'utf8')).entries), ['a|marketData|', 'b|marketData|']);
+    assert.ok(!fs.existsSync(`${file}.tmp`));
+
+    // B was used least recently, so it goes first after a restart too
+    const second = clockedCache({ store: { type: 'file', path: file }, maxEntries: 2 });
+    second.clock.now = 2;
+    assert.strictEqual(second.cache.getStats().store, 'file');
+    await second.cache.set('C', 'marketData', '', 'c');
+    assert.strictEqual(await second.cache.get('A', 'marketData'), 'a');
+    assert.strictEqual(await second.cache.get('B', 'marketData'), undefined);
+
+    fs.writeFileSync(file, '{ broken');
+    const third = new ResearchCache({ store: { type: 'file', path: file } });
+    assert.strictEqual(await third.get('A', 'marketData'), undefined);
+});
+
+test('stores come from a spec or any object with the store methods', async () => {
+    assert.throws(() => new ResearchCache({ store: { type: 'redis' } }), /Unknown cache store 'redis' \(use memory, file, indexeddb\)/);
+    assert.throws(() => new ResearchCache({ store: { type: 'file' } }), /The file cache store needs a path/);
+
+    const data = new Map();
+    const store = {
+        get: async key => data.get(key),
+        set: async (key, entry) => data.set(key, entry),
+        delete: async key => data.delete(key),
+        entries: async () => Array.from(data.entries()),
+        clear: async () => data.clear()
+    };
+    const cache = new ResearchCache({ store });
+    await cache.set('OpenAI', 'marketData', 'v', 1);
+    assert.strictEqual(data.get('openai|marketData|v').value, 1);
+    assert.strictEqual(cache.getStats().store, 'custom');
+});
+
+test('research is cached per options, provider and model', async () => {
+    const generator = new AIContentGenerator({ llm: { provider: 'mock' }, providers: { other: { type: 'mock' } } });
+    const icon = { name: 'openai', displayName: 'OpenAI', category: 'ai' };
+    const options = generator.normalizeResearchOptions({ dimensions: ['marketData'] });
+    const mock = generator.getLLMProvider('mock');
+
+    const research = async (llmOptions = {}, researchOptions = options) => {
+        const stats = {};
+        await generator.researchCompany(icon, llmOptions, () => {}, researchOptions, stats);
+        return stats;
+    };
+
+    assert.deepStrictEqual(await research(), { misses: 1 });
+    assert.deepStrictEqual(await research(), { hits: 1 });
+    assert.deepStrictEqual(await research({ model: 'bigger' }), { misses: 1 });
+    assert.deepStrictEqual(await research({ provider: 'other' }), { misses: 1 });
+    assert.deepStrictEqual(await research({}, generator.normalizeResearchOptions({ dimensions: ['marketData'], depth: 'deep' })), { misses: 1 });
+    assert.strictEqual(mock.calls.length, 3);
+    assert.deepStrictEqual(JSON.parse(generator.getResearchVariant(options)), { provider: 'mock', model: 'mock', depth: 'standard', maxSources: 5, dateRange: null });
+
+    assert.strictEqual(await generator.invalidateResearch('openai'), 4);
+    assert.deepStrictEqual(await research(), { misses: 1 });
+});
+
+test('a broken cache store costs the caching, not the research', async () => {
+    const failing = async () => {
+        throw new Error('disk full');
+    };
+    const store = { get: failing, set: failing, delete: failing, entries: failing, clear: failing };
+    const generator = new AIContentGenerator({ llm: { provider: 'mock' }, cache: new ResearchCache({ store }) });
+
+    const carousel = await generator.generateCarousel([{ name: 'openai', displayName: 'OpenAI' }], 'tech-stack-review', null, { research: { dimensions: ['marketData'] } });
+    assert.strictEqual(carousel.slides.length, 6);
+    assert.deepStrictEqual(carousel.metadata.cache, { store: 'custom', hits: 0, misses: 1, hitRate: 0 });
+});
@@ -0,0 +1,135 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SearchProvider = require('../search-provider');
+const AIContentGenerator = require('../ai-content-generator');
+
+/**
+ * A fetch that records requests and answers with the given JSON
+ */
+function fakeFetch(reply, init = {}) {
+    const requests = [];
+    const fetch = async (url, options) => {
+        requests.push({ url: new URL(url), method: options.method, headers: options.headers, body: options.body && JSON.parse(options.body) });
+        return new Response(typeof reply === 'string' ? reply : JSON.stringify(reply), { status: 200, ...init });
+    };
+    return { fetch, requests };
+}
+
+const EXPECTED = [{ title: 'OpenAI ships agents', url: 'https://techcrunch.com/agents', snippet: 'Agents for everyone', publishedAt: '2026-01-15T00:00:00.000Z', source: 'TechCrunch' }];
+
+test('create builds providers from a spec and rejects unknown types', () => {
+    assert.ok(SearchProvider.create({ type: 'serper', apiKey: 'k' }) instanceof SearchProvider.Serper);
+    assert.ok(SearchProvider.create('fixture') instanceof SearchProvider.Fixture);
+    const searxng = SearchProvider.create({ type: 'searxng', baseURL: 'http://search.local/' });
+    assert.strictEqual(searxng.baseURL, 'http://search.local');
+    assert.strictEqual(SearchProvider.create(searxng), searxng);
+    assert.throws(() => SearchProvider.create({ type: 'yahoo' }), /Unknown search provider 'yahoo' \(use serper, searxng, brave, bing, fixture\)/);
+});
+
+test('serper posts the query and a Google date filter', async () => {
+    const { fetch, requests } = fakeFetch({ news: [{ title: 'OpenAI ships agents', link: 'https://techcrunch.com/agents', snippet: 'Agents for everyone', date: '2026-01-15', source: 'TechCrunch' }] });
+    const serper = SearchProvider.create({ type: 'serper', apiKey: 'key', fetch });
+
+    const results = await serper.search('OpenAI', { type: 'news', num: 3, dateRange: { from: '2026-01-01', to: '2026-02-01' } });
+    assert.deepStrictEqual(results, EXPECTED);
+    assert.strictEqual(requests[0].url.href, 'https://google.serper.dev/news');
+    assert.strictEqual(requests[0].headers['X-API-KEY'], 'key');
+    assert.deepStrictEqual(requests[0].body, { q: 'OpenAI', num: 3, tbs: 'cdr:1,cd_min:1/1/2026,cd_max:2/1/2026' });
+
+    await assert.rejects(SearchProvider.create({ type: 'serper', fetch }).search('x'), /serper: API key not configured/);
+});
+
+test('searxng asks for JSON in the news category with a time range', async () => {
+    const day = 24 * 60 * 60 * 1000;
+    const yesterday = new Date(Date.now() - day).toISOString();
+    const { fetch, requests } = fakeFetch({ results: [{ title: 'OpenAI ships <b>agents</b>', url: 'https://techcrunch.com/agents', content: 'Agents  for everyone', publishedDate: yesterday }] });
+    const from = new Date(Date.now() - 3 * day).toISOString().slice(0, 10);
+
+    const results = await SearchProvider.create({ type: 'searxng', engines: ['bing', 'ddg'], fetch }).search('OpenAI', { type: 'news', dateRange: { from } });
+    assert.deepStrictEqual(results, [{ ...EXPECTED[0], publishedAt: yesterday, source: 'techcrunch.com' }]);
+    assert.deepStrictEqual(Object.fromEntries(requests[0].url.searchParams), { q: 'OpenAI', format: 'json', categories: 'news', engines: 'bing,ddg', time_range: 'week' });
+    assert.strictEqual(SearchProvider.Searxng.getTimeRange('2020-01-01'), null);
+});
+
+test('brave and bing send their keys, counts and freshness', async () => {
+    const brave = fakeFetch({ results: [{ title: 'OpenAI ships agents', url: 'https://techcrunch.com/agents', description: 'Agents for everyone', page_age: '2026-01-15', meta_url: { hostname: 'TechCrunch' } }] });
+    assert.deepStrictEqual(await SearchProvider.create({ type: 'brave', apiKey: 'b', fetch: brave.fetch }).search('OpenAI', { type: 'news', num: 2, dateRange: { from: '2026-01-01', to: '2026-02-01' } }), EXPECTED);
+    assert.strictEqual(brave.requests[0].url.pathname, '/res/v1/news/search');
+    assert.strictEqual(brave.requests[0].headers['X-Subscription-Token'], 'b');
+    assert.deepStrictEqual(Object.fromEntries(brave.requests[0].url.searchParams), { q: 'OpenAI', count: '2', freshness: '2026-01-01to2026-02-01' });
+
+    const bing = fakeFetch({ webPages: { value: [{ name: 'OpenAI ships agents', url: 'https://techcrunch.com/agents', snippet: 'Agents for everyone', datePublished: '2026-01-15', siteName: 'TechCrunch' }] } });
+    assert.deepStrictEqual(await SearchProvider.create({ type: 'bing', apiKey: 'k', fetch: bing.fetch }).search('OpenAI', { dateRange: { from: '2026-01-01', to: '2026-02-01' } }), EXPECTED);
+    assert.strictEqual(bing.requests[0].url.pathname, '/v7.0/search');
+    assert.strictEqual(bing.requests[0].headers['Ocp-Apim-Subscription-Key'], 'k');
+    assert.deepStrictEqual(Object.fromEntries(bing.requests[0].url.searchParams), { q: 'OpenAI', count: '5', mkt: 'en-US', freshness: '2026-01-01..2026-02-01' });
+
+    const now = Date.parse('2026-01-10T00:00:00Z');
+    assert.strictEqual(SearchProvider.Bing.getFreshness({ from: '2026-01-05' }, 'news', now), 'Week');
+    assert.strictEqual(SearchProvider.Bing.getFreshness({ from: '2025-01-05' }, 'news', now), null);
+    assert.strictEqual(SearchProvider.Bing.getFreshness({ from: '2026-01-05' }, 'web', now), '2026-01-05..2026-01-10');
+});
+
+test('results are normalized, deduplicated and filtered by domain and date', async () => {
+    const fixture = SearchProvider.create({ type: 'fixture', results: [
+        { title: '', url: 'https://www.techcrunch.com/a', snippet: '<p>One</p>', publishedAt: '2 days ago' },
+        { title: 'Duplicate', url: 'https://www.techcrunch.com/a' },
+        { title: 'Sub', url: 'https://blog.openai.com/b', publishedAt: 'not a date' },
+        { title: 'Other site', url: 'https://example.com/c' },
+        { title: 'Too old', url: 'https://openai.com/d', publishedAt: '2020-01-01' },
+        { title: 'No url' }
+    ] });
+
+    const results = await fixture.search('anything', { domains: ['TechCrunch.com', 'www.openai.com'], dateRange: { from: '2025-01-01' } });
+    assert.deepStrictEqual(results.map(result => [result.title, result.source, result.publishedAt === null]), [
+        ['https://www.techcrunch.com/a', 'techcrunch.com', false],
+        ['Sub', 'blog.openai.com', true]
+    ]);
+    assert.strictEqual(results[0].snippet, 'One');
+    assert.strictEqual(fixture.calls[0].num, 20, 'domain filtering fetches more results');
+
+    assert.strictEqual((await fixture.search('anything', { num: 1 })).length, 1);
+    await assert.rejects(fixture.search('x', { num: 0 }), /fixture: num must be an integer from 1 to 20/);
+    assert.strictEqual(SearchProvider.toDate('3 hours ago', Date.parse('2026-01-01T12:00:00Z')), '2026-01-01T09:00:00.000Z');
+});
+
+test('failed requests carry the status and Retry-After', async () => {
+    const { fetch } = fakeFetch('quota exceeded', { status: 429, headers: { 'Retry-After': '3' } });
+
+    await assert.rejects(SearchProvider.create({ type: 'brave', apiKey: 'b', fetch }).search('x'), error =>
+        error.status === 429 && error.retryAfter === 3000 && /brave search failed: 429 quota exceeded/.test(error.message));
+});
+
+test('fixtures come from a function, a query key or a JSON file', async t => {
+    const byFunction = SearchProvider.create({ type: 'fixture', results: request => [{ title: request.type, url: 'https://a.com' }] });
+    assert.strictEqual((await byFunction.search('q', { type: 'news' }))[0].title, 'news');
+
+    const byKey = SearchProvider.create({ type: 'fixture', results: { openai: [{ title: 'A', url: 'https://a.com' }] } });
+    assert.strictEqual((await byKey.search('"OpenAI" news')).length, 1);
+    assert.deepStrictEqual(await byKey.search('Claude'), []);
+
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'composeon-search-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+    const file = path.join(directory, 'results.json');
+    fs.writeFileSync(file, JSON.stringify([{ title: 'From file', url: 'https://a.com' }]));
+    assert.strictEqual((await SearchProvider.create({ type: 'fixture', path: file }).search('q'))[0].title, 'From file');
+
+    const controller = new AbortController();
+    controller.abort();
+    await assert.rejects(byKey.search('q', { signal: controller.signal }), /fixture: request aborted/);
+});
+
+test('the content generator picks the provider from the environment', () => {
+    const generator = new AIContentGenerator({ llm: { provider: 'mock' } });
+
+    assert.strictEqual(generator.getSearchProviderFromEnv({}), null);
+    const serper = generator.getSearchProviderFromEnv({ SERPER_API_KEY: 'key' });
+    assert.deepStrictEqual([serper.name, serper.apiKey], ['serper', 'key']);
+    const searxng = generator.getSearchProviderFromEnv({ COMPOSEON_SEARCH_PROVIDER: 'searxng', SEARXNG_URL: 'http://searx:8080', SERPER_API_KEY: 'key' });
+    assert.deepStrictEqual([searxng.name, searxng.baseURL], ['searxng', 'http://searx:8080']);
+    assert.strictEqual(generator.getSearchProviderFromEnv({ COMPOSEON_SEARCH_PROVIDER: 'bing', BING_API_KEY: 'k' }).apiKey, 'k');
+    assert.throws(() => generator.getSearchProviderFromEnv({ COMPOSEON_SEARCH_PROVIDER: 'yahoo' }), /Unknown search provider 'yahoo'/);
+});
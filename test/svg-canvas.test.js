@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const SvgCanvas = require('../svg-canvas');
+const IconCatalog = require('../icon-catalog');
+const IconRenderer = require('../icon-renderer');
+const VisualPostRenderer = require('../visual-post-renderer');
+
+const ICONS_PATH = path.join(__dirname, '..', 'lobe-icons/packages/static-svg/icons');
+const MANIFEST_PATH = path.join(__dirname, '..', 'icons-manifest.json');
+
+test('records shapes, text and state as SVG elements', () => {
+    const canvas = new SvgCanvas(200, 100);
+    const ctx = canvas.getContext();
+
+    ctx.fillStyle = 'rgba(255, 0, 0, 0.5)';
+    ctx.fillRect(0, 0, 200, 100);
+    ctx.save();
+    ctx.translate(10, 20);
+    ctx.font = 'bold 24px Inter, sans-serif';
+    ctx.textAlign = 'center';
+    ctx.fillStyle = '#ffffff';
+    ctx.fillText('Tools & <Tips>', 0, 0);
+    ctx.restore();
+    ctx.beginPath();
+    ctx.moveTo(0, 0);
+    ctx.lineTo(10, 10);
+    ctx.strokeStyle = '#00ff00';
+    ctx.lineWidth = 2;
+    ctx.stroke();
+
+    const svg = canvas.toSVG();
+    assert.match(svg, /^<svg xmlns="http:\/\/www\.w3\.org\/2000\/svg" width="200" height="100" viewBox="0 0 200 100">/);
+    assert.match(svg, /fill="#ff0000" fill-opacity="0.5"/);
+    assert.match(svg, /<text x="0" y="0" font-family="Inter, sans-serif" font-size="24" font-weight="bold" text-anchor="middle" fill="#ffffff" transform="matrix\(1 0 0 1 10 20\)">Tools &amp; &lt;Tips&gt;<\/text>/);
+    assert.match(svg, /<path d="M0 0L10 10" fill="none" stroke="#00ff00" stroke-width="2"\/>/);
+});
+
+test('gradients, shadows and clips become definitions', () => {
+    const canvas = new SvgCanvas(100, 100);
+    const ctx = canvas.getContext();
+
+    const gradient = ctx.createLinearGradient(0, 0, 100, 0);
+    gradient.addColorStop(0, '#000000');
+    gradient.addColorStop(1, 'rgba(0, 0, 0, 0.25)');
+    ctx.fillStyle = gradient;
+    ctx.shadowColor = 'rgba(0, 0, 0, 0.3)';
+    ctx.shadowBlur = 8;
+    ctx.fillRect(0, 0, 50, 50);
+    ctx.fillRect(50, 50, 50, 50);
+    ctx.beginPath();
+    ctx.rect(0, 0, 10, 10);
+    ctx.clip();
+    ctx.fillRect(0, 0, 100, 100);
+
+    const svg = canvas.toSVG();
+    assert.match(svg, /<linearGradient id="gradient-\d+" gradientUnits="userSpaceOnUse" x1="0" y1="0" x2="100" y2="0">/);
+    assert.match(svg, /stop-color="#000000" stop-opacity="0.25"/);
+    assert.strictEqual(svg.match(/<filter /g).length, 1);
+    assert.match(svg, /<feDropShadow dx="0" dy="0" stdDeviation="4" flood-color="#000000" flood-opacity="0.3"\/>/);
+    assert.match(svg, /clip-path="url\(#clip-\d+\)"/);
+});
+
+test('inlines SVG images with namespaced ids and embeds other images by URL', () => {
+    const canvas = new SvgCanvas(100, 100);
+    const ctx = canvas.getContext();
+    const icon = '<svg width="1em" height="1em" viewBox="0 0 24 24"><defs><linearGradient id="a"/></defs><path fill="url(#a)" d="M0 0"/></svg>';
+
+    ctx.drawImage(icon, 10, 10, 48, 48);
+    ctx.drawImage(icon, 60, 10, 24, 24);
+    ctx.globalAlpha = 0.5;
+    ctx.drawImage({ src: 'data:image/png;base64,AAAA', width: 1, height: 1 }, 0, 0, 10, 10);
+
+    const svg = canvas.toSVG();
+    assert.match(svg, /<svg x="10" y="10" width="48" height="48" viewBox="0 0 24 24">/);
+    assert.ok(!/width="1em"/.test(svg));
+    const ids = [...svg.matchAll(/id="([^"]+-a)"/g)].map(match => match[1]);
+    assert.strictEqual(new Set(ids).size, 2);
+    assert.match(svg, /<image x="0" y="0" width="10" height="10" href="data:image\/png;base64,AAAA" preserveAspectRatio="none" opacity="0.5"\/>/);
+});
+
+test('a full clear starts a new document', () => {
+    const canvas = new SvgCanvas(10, 10);
+    const ctx = canvas.getContext();
+
+    ctx.fillRect(0, 0, 5, 5);
+    ctx.clearRect(2, 2, 2, 2);
+    assert.strictEqual(ctx.elements.length, 1);
+    ctx.clearRect(0, 0, 10, 10);
+    assert.strictEqual(ctx.elements.length, 0);
+    assert.ok(canvas.toDataURL().startsWith('data:image/svg+xml;charset=utf-8,%3Csvg'));
+});
+
+test('every template renders a well-formed SVG post with live text', async () => {
+    const catalog = new IconCatalog();
+    await catalog.loadFromDisk({ manifestPath: MANIFEST_PATH, iconsPath: ICONS_PATH });
+    const rasterizer = new IconRenderer();
+
+    for (const template of VisualPostRenderer.BUILT_IN_TEMPLATES) {
+        const renderer = new VisualPostRenderer({ catalog, iconsPath: ICONS_PATH });
+        const image = await renderer.render(['openai', 'ai360-color'], { template, format: 'svg', title: 'Q&A <stack>' });
+        const svg = image.buffer.toString();
+
+        assert.strictEqual(image.mimeType, 'image/svg+xml');
+        assert.match(svg, /<text [^>]*>[^<]*Q&amp;A &lt;stack&gt;/, template);
+        assert.strictEqual((svg.match(/viewBox="0 0 24 24"/g) || []).length, 2, template);
+
+        // resvg refuses malformed XML, so rasterizing doubles as a well-formedness check
+        const png = await rasterizer.render(svg, { size: 64 });
+        assert.strictEqual(png.buffer.toString('latin1', 1, 4), 'PNG', template);
+    }
+});
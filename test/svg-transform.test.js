@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const SvgTransformer = require('../svg-transform');
+
+const ICON = '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24"><defs><linearGradient id="g"><stop stop-color="#ff0000"/></linearGradient></defs><path fill="url(#g)" d="M0 0h1"/><path fill="none" stroke="currentColor" d="M1 1h1"/><path style="fill:#000000;opacity:.5" d="M2 2h1"/></svg>';
+
+test('normalizes colors from query strings and rejects anything else', () => {
+    const transformer = new SvgTransformer();
+
+    assert.strictEqual(transformer.normalizeColor('0a66c2'), '#0a66c2');
+    assert.strictEqual(transformer.normalizeColor('#fff8'), '#fff8');
+    assert.strictEqual(transformer.normalizeColor('RebeccaPurple'), 'RebeccaPurple');
+    assert.strictEqual(transformer.normalizeColor('rgba(0, 0, 0, .5)'), 'rgba(0, 0, 0, .5)');
+    for (const color of ['javascript', '#12345', 'url(#x)', 'red;fill:blue']) {
+        assert.throws(() => transformer.normalizeColor(color), /Invalid color/, color);
+    }
+
+    const options = transformer.normalizeOptions({ monochrome: 'true', invert: '1', minify: 'no' });
+    assert.deepStrictEqual(options, { monochrome: '#000000', invert: true, minify: false });
+    assert.strictEqual(transformer.hasTransforms(transformer.normalizeOptions({})), false);
+});
+
+test('currentColor tints only currentColor paints', () => {
+    const transformer = new SvgTransformer();
+    const result = transformer.transform(ICON, { currentColor: '0a66c2' });
+
+    assert.match(result, /stroke="#0a66c2"/);
+    assert.match(result, /stop-color="#ff0000"/);
+    assert.match(result, /fill:#000000/);
+});
+
+test('fill paints every filled shape, including gradients, and leaves none alone', () => {
+    const transformer = new SvgTransformer();
+    const result = transformer.transform(ICON, { fill: 'white' });
+
+    assert.match(result, /<svg fill="white"/);
+    assert.match(result, /<path fill="white" d="M0 0h1"/);
+    assert.match(result, /fill="none" stroke="currentColor"/);
+    assert.match(result, /style="fill:white;opacity:.5"/);
+});
+
+test('monochrome flattens every paint property', () => {
+    const transformer = new SvgTransformer();
+    const result = transformer.transform(ICON, { monochrome: '333' });
+
+    assert.match(result, /stop-color="#333"/);
+    assert.match(result, /stroke="#333"/);
+    assert.doesNotMatch(result, /#ff0000|#000000/);
+});
+
+test('invert lightens dark colors and keeps light brand colors', () => {
+    const transformer = new SvgTransformer();
+
+    assert.strictEqual(transformer.invertColor('#000000'), '#ffffff');
+    assert.strictEqual(transformer.invertColor('#ff0000'), '#ff0000');
+    assert.strictEqual(transformer.invertColor('rgba(0, 0, 0, 0.5)'), 'rgba(255, 255, 255, 0.5)');
+    assert.strictEqual(transformer.invertColor('url(#g)'), 'url(#g)');
+
+    const result = transformer.transform('<svg viewBox="0 0 1 1"><path d="M0 0"/></svg>', { invert: true });
+    assert.match(result, /<svg fill="#ffffff"/);
+});
+
+test('minify strips noise and shortens hex colors only in color values', () => {
+    const transformer = new SvgTransformer();
+    const svg = `<?xml version="1.0"?>
+<!-- logo -->
+<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink">
+    <metadata>made by hand</metadata>
+    <defs><linearGradient id="aabbcc"><stop stop-color="#AABBCC"/></linearGradient></defs>
+    <path fill="url(#aabbcc)" stroke="#112233" d="M0 0"/>
+    <use href="#aabbcc" xlink:href="#aabbcc" style="color: #ffffff; fill: #ffeedc"/>
+</svg>`;
+    const result = transformer.minify(svg);
+
+    assert.doesNotMatch(result, /<\?xml|<!--|metadata|>\s+</);
+    assert.match(result, /id="aabbcc"/);
+    assert.match(result, /fill="url\(#aabbcc\)"/);
+    assert.match(result, /href="#aabbcc" xlink:href="#aabbcc"/);
+    assert.match(result, /stop-color="#ABC"/);
+    assert.match(result, /stroke="#123"/);
+    assert.match(result, /color: #fff; fill: #ffeedc/);
+});
+
+test('namespaceIds rewrites ids and the references to them', () => {
+    const transformer = new SvgTransformer();
+    const result = transformer.namespaceIds(ICON.replace('<path fill="none"', '<use href="#g"/><path fill="none"'), 'icon1');
+
+    assert.match(result, /id="icon1-g"/);
+    assert.match(result, /fill="url\(#icon1-g\)"/);
+    assert.match(result, /href="#icon1-g"/);
+});
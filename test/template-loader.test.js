@@ -0,0 +1,124 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const IconCatalog = require('../icon-catalog');
+const TemplateLoader = require('../template-loader');
+const VisualTemplate = require('../visual-template');
+const VisualPostRenderer = require('../visual-post-renderer');
+
+const ICONS_PATH = path.join(__dirname, '..', 'lobe-icons/packages/static-svg/icons');
+const MANIFEST_PATH = path.join(__dirname, '..', 'icons-manifest.json');
+const TEMPLATES_PATH = path.join(__dirname, '..', 'templates');
+const PIXEL = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==';
+
+function templateDirectory(t, files) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'composeon-templates-'));
+    for (const [name, content] of Object.entries(files)) {
+        fs.writeFileSync(path.join(directory, name), content);
+    }
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+    return directory;
+}
+
+test('the example templates load without errors', async () => {
+    const loader = new TemplateLoader({ directory: TEMPLATES_PATH, reservedIds: VisualPostRenderer.BUILT_IN_TEMPLATES });
+    const { templates, errors } = await loader.load();
+
+    assert.deepStrictEqual(errors, []);
+    assert.deepStrictEqual(templates.map(template => template.id), ['blueprint', 'sunset']);
+    assert.deepStrictEqual(templates[1].describe(), {
+        id: 'sunset',
+        name: '🌅 Sunset',
+        description: 'Warm gradient with soft light spots',
+        source: 'user'
+    });
+});
+
+test('reports invalid, reserved and duplicate templates and keeps the rest', async t => {
+    const directory = templateDirectory(t, {
+        'a-valid.json': JSON.stringify({ name: 'Valid' }),
+        'b-copy.yaml': 'id: a-valid\n',
+        'broken.json': '{ "name": ',
+        'empty.yml': '',
+        'gradient.yaml': 'background:\n  type: gradient\n  colors: ["#000000"]\n',
+        'modern.json': '{}',
+        'notes.txt': 'not a template'
+    });
+    const loader = new TemplateLoader({ directory, reservedIds: VisualPostRenderer.BUILT_IN_TEMPLATES });
+    const { templates, errors } = await loader.load();
+
+    assert.deepStrictEqual(templates.map(template => template.id), ['a-valid']);
+    const byFile = Object.fromEntries(errors.map(entry => [entry.file, entry.error]));
+    assert.deepStrictEqual(Object.keys(byFile), ['b-copy.yaml', 'broken.json', 'empty.yml', 'gradient.yaml', 'modern.json']);
+    assert.match(byFile['b-copy.yaml'], /Duplicate template id 'a-valid'/);
+    assert.match(byFile['broken.json'], /JSON/);
+    assert.match(byFile['empty.yml'], /Template file is empty/);
+    assert.match(byFile['gradient.yaml'], /at least two colors/);
+    assert.match(byFile['modern.json'], /taken by a built-in template/);
+});
+
+test('a missing directory has no templates', async () => {
+    const loader = new TemplateLoader({ directory: path.join(os.tmpdir(), 'composeon-no-such-directory') });
+    assert.deepStrictEqual(await loader.load(), { templates: [], errors: [] });
+});
+
+test('validates template specs with readable messages', () => {
+    assert.throws(() => new VisualTemplate([]), /Template spec must be an object/);
+    assert.throws(() => new VisualTemplate({ id: 'Bad Id' }), /Invalid template id/);
+    assert.throws(() => new VisualTemplate({ id: 'x', background: { type: 'video' } }), /background\.type must be one of/);
+    assert.throws(() => new VisualTemplate({ id: 'x', background: { type: 'image' } }), /background\.src is required/);
+    assert.throws(() => new VisualTemplate({ id: 'x', palette: { neon: '#fff' } }), /palette key must be one of/);
+    assert.throws(() => new VisualTemplate({ id: 'x', decorations: {} }), /decorations must be a list/);
+    assert.throws(() => new VisualTemplate({ id: 'x', decorations: [{ type: 'circle', x: 2 }] }), /decorations\[0\]\.x must be between 0 and 1/);
+    assert.throws(() => new VisualTemplate({ id: 'x', decorations: [{ type: 'corner', size: -1 }] }), /decorations\[0\]\.size must be a positive number/);
+});
+
+test('inlines relative background images and rejects unknown image types', async t => {
+    const directory = templateDirectory(t, {
+        'photo.json': JSON.stringify({ background: { type: 'image', src: 'images/bg.png' } })
+    });
+    fs.mkdirSync(path.join(directory, 'images'));
+    fs.writeFileSync(path.join(directory, 'images', 'bg.png'), Buffer.from(PIXEL, 'base64'));
+
+    const { templates, errors } = await new TemplateLoader({ directory }).load();
+    assert.deepStrictEqual(errors, []);
+    assert.strictEqual(templates[0].background.src, `data:image/png;base64,${PIXEL}`);
+
+    assert.strictEqual(await TemplateLoader.inlineImage('https://example.com/bg.png', directory), 'https://example.com/bg.png');
+    await assert.rejects(TemplateLoader.inlineImage('bg.bmp', directory), /unsupported image type '\.bmp'/);
+});
+
+test('re-reads a template only when its file changes', async t => {
+    const directory = templateDirectory(t, { 'live.yaml': 'name: First\n' });
+    const file = path.join(directory, 'live.yaml');
+    const loader = new TemplateLoader({ directory });
+
+    const first = (await loader.load()).templates[0];
+    assert.strictEqual((await loader.load()).templates[0], first);
+
+    fs.writeFileSync(file, 'name: Second\n');
+    const later = new Date(Date.now() + 5000);
+    fs.utimesSync(file, later, later);
+    const second = (await loader.load()).templates[0];
+    assert.notStrictEqual(second, first);
+    assert.strictEqual(second.name, 'Second');
+});
+
+test('loaded templates render through the headless renderer', async () => {
+    const catalog = new IconCatalog();
+    await catalog.loadFromDisk({ manifestPath: MANIFEST_PATH, iconsPath: ICONS_PATH });
+    const { templates } = await new TemplateLoader({ directory: TEMPLATES_PATH }).load();
+    const renderer = new VisualPostRenderer({ catalog, iconsPath: ICONS_PATH, templates });
+
+    for (const template of templates) {
+        const svg = (await renderer.render(['openai', 'claude-color'], { template: template.id, format: 'svg' })).buffer.toString();
+        assert.match(svg, new RegExp(`>${template.header.title}<`), template.id);
+        assert.strictEqual((svg.match(/viewBox="0 0 24 24"/g) || []).length, 2, template.id);
+    }
+
+    const png = await renderer.render(['openai'], { template: 'sunset', preset: 'open-graph' });
+    assert.strictEqual(png.buffer.toString('latin1', 1, 4), 'PNG');
+    assert.strictEqual(png.template, 'sunset');
+});
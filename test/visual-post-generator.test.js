@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const IconCatalog = require('../icon-catalog');
+const VisualPostGenerator = require('../visual-post-generator');
+const VisualPostRenderer = require('../visual-post-renderer');
+
+const ICONS_PATH = path.join(__dirname, '..', 'lobe-icons/packages/static-svg/icons');
+const MANIFEST_PATH = path.join(__dirname, '..', 'icons-manifest.json');
+const { SIZE_PRESETS } = VisualPostGenerator;
+
+test('lists every preset and rejects unknown ones', () => {
+    const generator = new VisualPostGenerator();
+
+    assert.strictEqual(generator.preset, VisualPostGenerator.DEFAULT_PRESET);
+    assert.deepStrictEqual(generator.getAvailablePresets().map(preset => preset.id), Object.keys(SIZE_PRESETS));
+    assert.throws(() => generator.setPreset('poster'), /Unknown size preset 'poster'/);
+    assert.strictEqual(generator.preset, VisualPostGenerator.DEFAULT_PRESET);
+});
+
+test('layout regions reflow inside every preset', () => {
+    const generator = new VisualPostGenerator();
+
+    for (const [id, { width, height }] of Object.entries(SIZE_PRESETS)) {
+        generator.setPreset(id);
+        const { header, content, footer, growth } = generator.getLayout();
+
+        assert.strictEqual(generator.canvasWidth, width, id);
+        assert.ok(header.titleY > 0 && header.subtitleY < content.top, id);
+        assert.ok(content.top < content.bottom && content.bottom < footer.dividerY, id);
+        assert.ok(content.left >= 0 && content.right <= width, id);
+        assert.ok(footer.urlY < height, id);
+        assert.ok(growth >= 1 && growth <= 1.6, id);
+    }
+
+    // Taller formats push the footer down rather than leaving it mid-canvas
+    generator.setPreset('instagram-story');
+    assert.ok(generator.getLayout().footer.dividerY > SIZE_PRESETS['instagram-story'].height * 0.85);
+});
+
+test('every template renders at every preset size without layout warnings', async () => {
+    const catalog = new IconCatalog();
+    await catalog.loadFromDisk({ manifestPath: MANIFEST_PATH, iconsPath: ICONS_PATH });
+
+    for (const preset of Object.keys(SIZE_PRESETS)) {
+        for (const template of VisualPostRenderer.BUILT_IN_TEMPLATES) {
+            const renderer = new VisualPostRenderer({ catalog, iconsPath: ICONS_PATH });
+            const image = await renderer.render(['openai', 'github', 'docker', 'figma'], { template, preset, format: 'svg' });
+
+            assert.deepStrictEqual([image.width, image.height], [SIZE_PRESETS[preset].width, SIZE_PRESETS[preset].height], `${template}@${preset}`);
+            assert.deepStrictEqual(image.warnings, [], `${template}@${preset}`);
+        }
+    }
+});
+
+test('normalizes a post spec from a string, an object or nothing', () => {
+    const generator = new VisualPostGenerator();
+
+    assert.deepStrictEqual(generator.normalizePostSpec('  My stack '), {
+        title: 'My stack', subtitle: '', footer: '', author: null, logo: null, branding: true
+    });
+    assert.deepStrictEqual(generator.normalizePostSpec({ author: { handle: '@dev' }, branding: false }).author, { name: '', handle: '@dev', avatar: null });
+    assert.strictEqual(generator.normalizePostSpec({ branding: false }).branding, false);
+    assert.strictEqual(generator.normalizePostSpec(null).title, '');
+});
+
+test('every template draws the title, subtitle, footer, author and logo', async () => {
+    const catalog = new IconCatalog();
+    await catalog.loadFromDisk({ manifestPath: MANIFEST_PATH, iconsPath: ICONS_PATH });
+    const pixel = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==';
+    const options = {
+        format: 'svg',
+        title: 'Platform Team Picks',
+        subtitle: 'What we ship with',
+        footer: 'acme.dev/blog',
+        authorName: 'Sam Lee',
+        authorHandle: '@samlee',
+        avatar: pixel,
+        logo: pixel
+    };
+
+    for (const template of VisualPostRenderer.BUILT_IN_TEMPLATES) {
+        const renderer = new VisualPostRenderer({ catalog, iconsPath: ICONS_PATH });
+        const svg = (await renderer.render(['openai', 'github'], { template, ...options })).buffer.toString();
+
+        for (const text of ['Platform Team Picks', 'What we ship with', 'acme.dev/blog', 'Sam Lee', '@samlee']) {
+            assert.ok(svg.includes(text), `${template} is missing "${text}"`);
+        }
+        assert.strictEqual((svg.match(/<image /g) || []).length, 2, `${template} draws the avatar and logo`);
+        assert.ok(!svg.includes('Generated with Composeon AI'), `${template} keeps the default branding`);
+    }
+});
+
+test('branding can be switched off and long text is rejected', async () => {
+    const catalog = new IconCatalog();
+    await catalog.loadFromDisk({ manifestPath: MANIFEST_PATH, iconsPath: ICONS_PATH });
+    const renderer = new VisualPostRenderer({ catalog, iconsPath: ICONS_PATH });
+
+    const branded = (await renderer.render(['openai'], { format: 'svg' })).buffer.toString();
+    assert.ok(branded.includes('Generated with Composeon AI'));
+    const plain = (await renderer.render(['openai'], { format: 'svg', branding: 'false' })).buffer.toString();
+    assert.ok(!plain.includes('Composeon'));
+
+    assert.throws(() => renderer.prepare(['openai'], { title: 'x'.repeat(201) }), /title must be at most 200 characters/);
+    assert.throws(() => renderer.prepare(['openai'], { post: { author: { name: 'x'.repeat(201) } } }), /authorName must be at most/);
+    assert.deepStrictEqual(renderer.prepare(['openai'], { customText: 'Legacy title' }).post.title, 'Legacy title');
+});
@@ -0,0 +1,145 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const IconCatalog = require('../icon-catalog');
+const VisualPostRenderer = require('../visual-post-renderer');
+
+const ICONS_PATH = path.join(__dirname, '..', 'lobe-icons/packages/static-svg/icons');
+const MANIFEST_PATH = path.join(__dirname, '..', 'icons-manifest.json');
+const PIXEL = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==';
+
+async function createRenderer(options = {}) {
+    const catalog = new IconCatalog();
+    await catalog.loadFromDisk({ manifestPath: MANIFEST_PATH, iconsPath: ICONS_PATH });
+    return new VisualPostRenderer({ catalog, iconsPath: ICONS_PATH, ...options });
+}
+
+/**
+ * A local image server; tests reach it by letting loopback through the address guard
+ */
+async function withImageServer(t, handler) {
+    const server = http.createServer(handler);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const isBlockedAddress = VisualPostRenderer.isBlockedAddress;
+    VisualPostRenderer.isBlockedAddress = () => false;
+    t.after(() => {
+        VisualPostRenderer.isBlockedAddress = isBlockedAddress;
+        server.close();
+    });
+    return `http://127.0.0.1:${server.address().port}`;
+}
+
+test('renders every template headlessly and reports missing icons', async () => {
+    for (const template of VisualPostRenderer.BUILT_IN_TEMPLATES) {
+        const renderer = await createRenderer();
+        const image = await renderer.render(['openai', 'claude-color', 'not-an-icon'], { template, preset: 'open-graph' });
+
+        assert.strictEqual(image.template, template);
+        assert.strictEqual(image.buffer.toString('latin1', 1, 4), 'PNG', template);
+        assert.deepStrictEqual([image.width, image.height], [1200, 630]);
+        assert.deepStrictEqual(image.icons, ['openai', 'claude']);
+        assert.deepStrictEqual(image.missing, ['not-an-icon']);
+    }
+});
+
+test('encodes JPEG and scaled output', async () => {
+    const renderer = await createRenderer();
+    const image = await renderer.render(['openai'], { format: 'jpg', scale: 2, preset: 'open-graph' });
+
+    assert.strictEqual(image.mimeType, 'image/jpeg');
+    assert.deepStrictEqual([image.width, image.height], [2400, 1260]);
+    assert.deepStrictEqual([...image.buffer.subarray(0, 2)], [0xff, 0xd8]);
+});
+
+test('rejects bad options before drawing', async () => {
+    const renderer = await createRenderer();
+
+    assert.throws(() => renderer.prepare(['openai'], { template: 'nope' }), /Unknown template 'nope'/);
+    assert.throws(() => renderer.prepare(['openai'], { format: 'gif' }), /Unsupported format/);
+    assert.throws(() => renderer.prepare(['not-an-icon']), /No icons found: not-an-icon/);
+    assert.throws(() => renderer.prepare([]), /At least one icon/);
+    assert.throws(() => renderer.prepare(['openai'], { logo: '/etc/passwd' }), /logo must be an http\(s\) or data: URL/);
+});
+
+test('images that cannot be loaded fail the draw with status 400', async () => {
+    const renderer = await createRenderer();
+    const post = renderer.prepare(['openai'], { logo: 'data:image/png;base64,AAAA' });
+
+    await assert.rejects(renderer.draw(post), error => error.status === 400 && /Could not load logo/.test(error.message));
+});
+
+test('reads data: URLs, and files only when allowed', async () => {
+    const png = await VisualPostRenderer.readImageSource(`data:image/png;base64,${PIXEL}`);
+    assert.strictEqual(png.toString('latin1', 1, 4), 'PNG');
+    const svg = await VisualPostRenderer.readImageSource('data:image/svg+xml,%3Csvg%2F%3E');
+    assert.strictEqual(svg.toString(), '<svg/>');
+
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'composeon-post-')), 'logo.png');
+    fs.writeFileSync(file, Buffer.from(PIXEL, 'base64'));
+    await assert.rejects(VisualPostRenderer.readImageSource(file), /http\(s\) or data: URLs/);
+    assert.ok((await VisualPostRenderer.readImageSource(file, { allowFiles: true })).equals(png));
+    fs.rmSync(path.dirname(file), { recursive: true, force: true });
+});
+
+test('never fetches loopback, private or link-local addresses', async () => {
+    for (const address of ['127.0.0.1', '10.0.0.8', '172.20.1.1', '192.168.1.1', '169.254.169.254', '0.0.0.0', '::1', '::ffff:127.0.0.1', 'fd12::1', 'fe80::1']) {
+        assert.strictEqual(VisualPostRenderer.isBlockedAddress(address), true, address);
+    }
+    for (const address of ['8.8.8.8', '1.1.1.1', '2606:4700:4700::1111']) {
+        assert.strictEqual(VisualPostRenderer.isBlockedAddress(address), false, address);
+    }
+
+    const server = http.createServer((req, res) => res.end('should not be reached'));
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const { port } = server.address();
+    try {
+        for (const src of [`http://127.0.0.1:${port}/`, `http://localhost:${port}/`, `http://[::1]:${port}/`, `http://2130706433:${port}/`]) {
+            await assert.rejects(VisualPostRenderer.readImageSource(src), /private address/, src);
+        }
+    } finally {
+        server.close();
+    }
+});
+
+test('follows a few redirects and enforces the size limit while streaming', async t => {
+    const { maxImageBytes } = VisualPostRenderer.LIMITS;
+    let streamed = 0;
+    const base = await withImageServer(t, (req, res) => {
+        if (req.url === '/logo.png') {
+            res.end(Buffer.from(PIXEL, 'base64'));
+        } else if (req.url.startsWith('/hop/')) {
+            const hops = Number(req.url.split('/')[2]);
+            res.writeHead(302, { Location: hops > 0 ? `/hop/${hops - 1}` : '/logo.png' });
+            res.end();
+        } else if (req.url === '/declared') {
+            res.writeHead(200, { 'Content-Length': maxImageBytes + 1 });
+            res.end();
+        } else {
+            // Chunked, no Content-Length: the limit has to be applied as bytes arrive
+            res.writeHead(200);
+            const chunk = Buffer.alloc(256 * 1024);
+            const pump = () => {
+                while (streamed < maxImageBytes * 4) {
+                    streamed += chunk.length;
+                    if (!res.write(chunk)) {
+                        res.once('drain', pump);
+                        return;
+                    }
+                }
+                res.end();
+            };
+            res.on('close', () => res.removeAllListeners('drain'));
+            pump();
+        }
+    });
+
+    const png = await VisualPostRenderer.readImageSource(`${base}/hop/2`);
+    assert.strictEqual(png.toString('latin1', 1, 4), 'PNG');
+    await assert.rejects(VisualPostRenderer.readImageSource(`${base}/hop/3`), /too many redirects/);
+    await assert.rejects(VisualPostRenderer.readImageSource(`${base}/declared`), /larger than/);
+    await assert.rejects(VisualPostRenderer.readImageSource(`${base}/endless`), /larger than/);
+    assert.ok(streamed < maxImageBytes * 4);
+});
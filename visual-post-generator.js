@@ -3,31 +3,73 @@
  * Creates beautiful, shareable images for LinkedIn posts with selected icons
  */
 
+const SvgDocument = typeof SvgCanvas !== 'undefined' ? SvgCanvas : require('./svg-canvas');
+const PostLayout = typeof LayoutEngine !== 'undefined' ? LayoutEngine : require('./layout-engine');
+const PostTemplate = typeof VisualTemplate !== 'undefined' ? VisualTemplate : require('./visual-template');
+const PostBrand = typeof BrandKit !== 'undefined' ? BrandKit : require('./brand-kit');
+
+// Output sizes per destination
+const SIZE_PRESETS = {
+    'linkedin-feed': { name: 'LinkedIn feed', width: 1200, height: 627 },
+    'linkedin-square': { name: 'LinkedIn square', width: 1080, height: 1080 },
+    'carousel-portrait': { name: 'Carousel portrait', width: 1080, height: 1350 },
+    'twitter-card': { name: 'X/Twitter card', width: 1200, height: 675 },
+    'open-graph': { name: 'Open Graph', width: 1200, height: 630 },
+    'instagram-story': { name: 'Instagram story', width: 1080, height: 1920 }
+};
+
+const DEFAULT_PRESET = 'open-graph';
+
+// The templates were designed at 1200x630; sizes scale from this base
+const BASE_WIDTH = 1200;
+const BASE_HEIGHT = 630;
+
+// Design system; paper and ink are the light surface of the minimal template
+const COLORS = {
+    primary: '#58a6ff',
+    secondary: '#a5a1ff',
+    dark: '#0d1117',
+    darker: '#161b22',
+    light: '#f0f6fc',
+    muted: '#7d8590',
+    accent: '#3fb950',
+    paper: '#ffffff',
+    ink: '#0d1117'
+};
+
+const FONTS = {
+    heading: 'Inter, -apple-system, sans-serif',
+    body: 'Inter, -apple-system, sans-serif',
+    mono: 'JetBrains Mono, monospace'
+};
+
+// Templates drawn on paper, which take the light brand logo whatever the variant
+const LIGHT_TEMPLATES = ['minimal'];
+
 class VisualPostGenerator {
-    constructor() {
+    constructor(options = {}) {
         this.canvas = null;
         this.ctx = null;
-        this.canvasWidth = 1200;
-        this.canvasHeight = 630; // LinkedIn recommended aspect ratio
+        this.preset = null;
+        this.canvasWidth = BASE_WIDTH;
+        this.canvasHeight = BASE_HEIGHT;
+        this.setPreset(options.preset || DEFAULT_PRESET);
         this.selectedIcons = [];
         this.template = 'modern';
+        this.layoutWarnings = [];
+        this.postSpec = this.normalizePostSpec(null);
+        this.postImages = {};
+        this.layoutEngine = new PostLayout({
+            measureText: (text, fontSize, family) => this.measureText(text, fontSize, family)
+        });
 
-        // Design system
-        this.colors = {
-            primary: '#58a6ff',
-            secondary: '#a5a1ff',
-            dark: '#0d1117',
-            darker: '#161b22',
-            light: '#f0f6fc',
-            muted: '#7d8590',
-            accent: '#3fb950'
-        };
-
-        this.fonts = {
-            heading: 'Inter, -apple-system, sans-serif',
-            body: 'Inter, -apple-system, sans-serif',
-            mono: 'JetBrains Mono, monospace'
-        };
+        this.colors = { ...COLORS };
+        this.fonts = { ...FONTS };
+        this.brandKit = null;
+        this.brandVariant = null;
+        if (options.brandKit) {
+            this.applyBrandKit(options.brandKit, options.brandVariant);
+        }
 
         this.templates = {
             modern: this.modernTemplate,
@@ -35,6 +77,7 @@ class VisualPostGenerator {
             minimal: this.minimalTemplate,
             tech: this.techTemplate
         };
+        this.userTemplates = {};
     }
 
     /**
@@ -50,20 +93,61 @@ class VisualPostGenerator {
      * Create and setup canvas
      */
     createCanvas() {
-        this.canvas = document.createElement('canvas');
-        this.canvas.width = this.canvasWidth;
-        this.canvas.height = this.canvasHeight;
+        // Enable high DPI rendering
+        const dpr = this.getPixelRatio();
+        this.canvas = this.createCanvasElement(this.canvasWidth * dpr, this.canvasHeight * dpr);
         this.ctx = this.canvas.getContext('2d');
 
-        // Enable high DPI rendering
-        const dpr = window.devicePixelRatio || 1;
-        this.canvas.style.width = this.canvasWidth + 'px';
-        this.canvas.style.height = this.canvasHeight + 'px';
-        this.canvas.width = this.canvasWidth * dpr;
-        this.canvas.height = this.canvasHeight * dpr;
+        if (this.canvas.style) {
+            this.canvas.style.width = this.canvasWidth + 'px';
+            this.canvas.style.height = this.canvasHeight + 'px';
+        }
         this.ctx.scale(dpr, dpr);
     }
 
+    /**
+     * Platform hooks - overridden by the headless Node renderer (visual-post-renderer.js)
+     */
+    createCanvasElement(width, height) {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        return canvas;
+    }
+
+    getPixelRatio() {
+        return (typeof window !== 'undefined' && window.devicePixelRatio) || 1;
+    }
+
+    loadIconImage(icon, size) {
+        return this.loadImage(this.getIconUrl(icon));
+    }
+
+    /**
+     * Load an image by URL (including data: URLs), e.g. an avatar or logo
+     */
+    loadImage(src) {
+        return new Promise((resolve, reject) => {
+            const img = new Image();
+            img.crossOrigin = 'anonymous';
+            img.onload = () => resolve(img);
+            img.onerror = () => reject(new Error(`Failed to load image: ${src}`));
+            img.src = src;
+        });
+    }
+
+    async loadIconSvg(icon) {
+        const response = await fetch(this.getIconUrl(icon));
+        if (!response.ok) {
+            throw new Error(`Failed to load icon: ${response.status}`);
+        }
+        return response.text();
+    }
+
+    getIconUrl(icon) {
+        return icon.path || `http://localhost:3000/lobe-icons/packages/static-svg/icons/${icon.name}.svg`;
+    }
+
     /**
      * Load web fonts
      */
@@ -80,28 +164,375 @@ class VisualPostGenerator {
 
     /**
      * Generate visual post with selected icons
+     *
+     * customText is a post spec (see normalizePostSpec) or just a title string.
+     * Returns the canvas, or a standalone SVG document string with { format: 'svg' }.
+     * Pass { preset } to switch the output size (see getAvailablePresets).
      */
-    async generateVisualPost(icons, template = 'modern', customText = null) {
+    async generateVisualPost(icons, template = 'modern', customText = null, options = {}) {
+        if (options.preset && options.preset !== this.preset) {
+            this.setPreset(options.preset);
+            if (this.canvas && !(this.canvas instanceof SvgDocument)) {
+                this.createCanvas();
+            }
+        }
+
+        if (options.format === 'svg') {
+            return this.generateSvgPost(icons, template, customText);
+        }
+
         this.selectedIcons = icons;
         this.template = template;
+        this.layoutWarnings = [];
+        this.postSpec = this.normalizePostSpec(customText);
+        if (!this.postSpec.logo && this.brandKit) {
+            this.postSpec.logo = this.brandKit.getLogo(LIGHT_TEMPLATES.includes(template) ? 'light' : this.brandVariant);
+        }
+        this.postImages = await this.loadPostImages(this.postSpec);
 
         // Clear canvas
         this.ctx.clearRect(0, 0, this.canvasWidth, this.canvasHeight);
 
         // Apply template
         if (this.templates[template]) {
-            await this.templates[template].call(this, customText);
+            await this.templates[template].call(this, this.postSpec);
         } else {
-            await this.modernTemplate(customText);
+            await this.modernTemplate(this.postSpec);
         }
 
+        // Logo watermark on top of every template
+        this.drawLogo();
+
         return this.canvas;
     }
 
+    /**
+     * Normalize the post spec; a plain string is taken as the title
+     *
+     * - title, subtitle: header text (each template has its own default)
+     * - footer: footer text, replacing the Composeon branding
+     * - author: { name, handle, avatar } shown in the footer
+     * - logo: image URL drawn as a watermark in the top right corner
+     * - branding: false drops the "Generated with Composeon AI" footer
+     */
+    normalizePostSpec(spec) {
+        const source = typeof spec === 'string' ? { title: spec } : (spec || {});
+        const text = value => (value === undefined || value === null ? '' : String(value).trim());
+        const author = {
+            name: text(source.author && source.author.name),
+            handle: text(source.author && source.author.handle),
+            avatar: text(source.author && source.author.avatar) || null
+        };
+
+        return {
+            title: text(source.title),
+            subtitle: text(source.subtitle),
+            footer: text(source.footer),
+            author: author.name || author.handle || author.avatar ? author : null,
+            logo: text(source.logo) || null,
+            branding: source.branding !== false
+        };
+    }
+
+    /**
+     * Load the avatar and logo up front so drawing stays synchronous
+     */
+    async loadPostImages(spec) {
+        const load = async (src, label) => {
+            if (!src) return null;
+            try {
+                return await this.loadImage(src);
+            } catch (error) {
+                const failure = new Error(`Could not load ${label}: ${error.message}`);
+                failure.status = 400;
+                throw failure;
+            }
+        };
+
+        const [avatar, logo] = await Promise.all([
+            load(spec.author && spec.author.avatar, 'avatar'),
+            load(spec.logo, 'logo')
+        ]);
+        return { avatar, logo };
+    }
+
+    /**
+     * Register a template defined as data (a VisualTemplate or its spec);
+     * built-in templates cannot be replaced
+     */
+    registerTemplate(spec) {
+        const template = spec instanceof PostTemplate ? spec : new PostTemplate(spec);
+        if (this.templates[template.id] && !this.userTemplates[template.id]) {
+            throw new Error(`Template '${template.id}' is built in and cannot be replaced`);
+        }
+
+        this.userTemplates[template.id] = template;
+        this.templates[template.id] = function (post) {
+            return template.render(this, post);
+        };
+        return template;
+    }
+
+    /**
+     * Draw with a brand kit (a BrandKit or its spec) in its dark or light variant;
+     * passing null restores the Composeon colors and fonts
+     */
+    applyBrandKit(kit, variant = null) {
+        if (!kit) {
+            this.brandKit = null;
+            this.brandVariant = null;
+            this.colors = { ...COLORS };
+            this.fonts = { ...FONTS };
+            return null;
+        }
+
+        const brandKit = PostBrand.from(kit);
+        const brandVariant = variant || brandKit.defaultVariant;
+        this.colors = { ...COLORS, ...brandKit.toGeneratorColors(brandVariant) };
+        this.fonts = { ...brandKit.fonts };
+        this.brandKit = brandKit;
+        this.brandVariant = brandVariant;
+        return brandKit;
+    }
+
+    /**
+     * Switch the output size to a named preset
+     */
+    setPreset(presetId) {
+        const preset = SIZE_PRESETS[presetId];
+        if (!preset) {
+            throw new Error(`Unknown size preset '${presetId}' (use ${Object.keys(SIZE_PRESETS).join(', ')})`);
+        }
+
+        this.preset = presetId;
+        this.canvasWidth = preset.width;
+        this.canvasHeight = preset.height;
+    }
+
+    /**
+     * Header, content and footer regions for the current canvas size
+     *
+     * Type and spacing scale with the base design (unit); the extra height of
+     * taller formats (slack) is spread around the regions so nothing hugs the edges,
+     * and lets icon cells grow up to 60% larger (growth).
+     */
+    getLayout() {
+        const width = this.canvasWidth;
+        const height = this.canvasHeight;
+        const unit = Math.min(width / BASE_WIDTH, height / BASE_HEIGHT);
+        const slack = height - BASE_HEIGHT * unit;
+
+        const titleY = 120 * unit + slack * 0.08;
+        const subtitleY = titleY + 40 * unit;
+        const dividerY = height - 80 * unit - slack * 0.04;
+
+        return {
+            width,
+            height,
+            unit,
+            slack,
+            growth: 1 + Math.min(1, slack / (BASE_HEIGHT * unit)) * 0.6,
+            margin: 100 * unit,
+            header: {
+                titleY,
+                subtitleY,
+                titleSize: 48 * unit,
+                subtitleSize: 24 * unit
+            },
+            content: {
+                top: subtitleY + 20 * unit + slack * 0.04,
+                bottom: dividerY - 30 * unit,
+                left: 60 * unit,
+                right: width - 60 * unit
+            },
+            footer: {
+                dividerY,
+                brandY: dividerY + 30 * unit,
+                urlY: dividerY + 55 * unit,
+                brandSize: 18 * unit,
+                urlSize: 14 * unit
+            }
+        };
+    }
+
+    /**
+     * Fit the icon grid into the content region (see LayoutEngine.fitGrid),
+     * capped at the base 120px cell; labels wrap to two lines. Like the tech
+     * layout, carries a warning with the largest legible icon count when the grid
+     * gets too small to read or labels are cut short.
+     */
+    getGridLayout(icons, layout = this.getLayout()) {
+        const { content, unit, growth } = layout;
+        const options = { maxCell: 120 * unit * growth, family: this.fonts.body };
+        const fit = labels => this.layoutEngine.fitGrid(labels, content, options);
+        const readable = grid => grid.legible && !grid.cut;
+        const labels = icons.map(icon => icon.displayName);
+        const grid = fit(labels);
+
+        if (!readable(grid)) {
+            let maxLegible = labels.length - 1;
+            while (maxLegible > 0 && !readable(fit(labels.slice(0, maxLegible)))) {
+                maxLegible -= 1;
+            }
+            grid.warning = this.layoutEngine.describeIllegible(labels.length, grid.iconSize, grid.labelSize, maxLegible, grid.cut);
+        }
+
+        return grid;
+    }
+
+    /**
+     * Code-listing layout for the tech template: one column while entries fit at
+     * a readable size, then up to three columns; the block is centered vertically.
+     * Names wrap onto two lines of their column, categories take one. Carries a
+     * warning when entries drop below the legibility threshold or their text no
+     * longer fits the column.
+     */
+    getTechLayout(icons, layout = this.getLayout()) {
+        const { width, height, unit, growth } = layout;
+        const footerY = height - 40 * unit - layout.slack * 0.04;
+        const availableTop = 80 * unit;
+        const availableBottom = footerY - 30 * unit;
+        const headerHeight = 120 * unit;
+        const closingHeight = 60 * unit;
+        const listLeft = 140 * unit;
+        const budget = availableBottom - availableTop - headerHeight - closingHeight;
+        const fit = count => this.layoutEngine.fitColumns(count, budget, {
+            maxHeight: 100 * unit * growth,
+            preferredHeight: 80 * unit
+        });
+        const entries = icons.map(icon => ({ name: `"name": "${icon.displayName}",`, category: `"category": "${icon.category}"` }));
+
+        // Text starts right of the icon and stops short of the next column
+        const measure = lines => {
+            const scale = lines.itemHeight / 100;
+            const columnWidth = (width - listLeft * 2) / lines.cols;
+            return { scale, columnWidth, textWidth: columnWidth - 140 * scale, fontSize: 18 * scale };
+        };
+        const wrap = (entry, { textWidth, fontSize }, limit = true) => ({
+            name: this.layoutEngine.wrapText(entry.name, textWidth, fontSize, limit ? 2 : Infinity, this.fonts.mono),
+            category: this.layoutEngine.wrapText(entry.category, textWidth, fontSize, limit ? 1 : Infinity, this.fonts.mono)
+        });
+        const isLegible = (subset, lines) => {
+            const size = measure(lines);
+            return this.layoutEngine.isLegible(60 * size.scale, size.fontSize) && subset.every(entry => {
+                const wrapped = wrap(entry, size, false);
+                return wrapped.name.length <= 2 && wrapped.category.length <= 1;
+            });
+        };
+
+        const lines = fit(icons.length);
+        const { cols, rows, itemHeight: lineHeight } = lines;
+        const size = measure(lines);
+        const blockHeight = headerHeight + rows * lineHeight + closingHeight;
+        const promptY = availableTop + Math.max(0, (availableBottom - availableTop - blockHeight) / 2);
+        const startY = promptY + headerHeight;
+
+        // Entries fill columns top to bottom; every decoration stays inside its
+        // entry's cell - "{" above the icon and "}," below it - however small cells get
+        const items = icons.map((icon, i) => {
+            const top = startY + (i % rows) * lineHeight;
+            const braceX = listLeft + Math.floor(i / rows) * size.columnWidth;
+            return {
+                braceX,
+                openY: top + 16 * size.scale,
+                iconX: braceX + 40 * size.scale,
+                iconY: top + 50 * size.scale,
+                closeY: top + 96 * size.scale,
+                textX: braceX + 120 * size.scale
+            };
+        });
+
+        let warning = null;
+        if (!isLegible(entries, lines)) {
+            let maxLegible = icons.length - 1;
+            while (maxLegible > 0 && !isLegible(entries.slice(0, maxLegible), fit(maxLegible))) {
+                maxLegible -= 1;
+            }
+            warning = this.layoutEngine.describeIllegible(icons.length, 60 * size.scale, size.fontSize, maxLegible, true);
+        }
+
+        return {
+            cols,
+            rows,
+            lineHeight,
+            scale: size.scale,
+            promptX: 60 * unit,
+            promptY,
+            titleY: promptY + 60 * unit,
+            startY,
+            listLeft,
+            columnWidth: size.columnWidth,
+            items,
+            labels: entries.map(entry => wrap(entry, size)),
+            closingY: startY + rows * lineHeight + 40 * unit,
+            footerY,
+            warning
+        };
+    }
+
+    /**
+     * Width of text in the given font, measured on the active canvas
+     */
+    measureText(text, fontSize, family = this.fonts.body) {
+        if (!this.ctx) {
+            return PostLayout.estimateTextWidth(text, fontSize);
+        }
+
+        const font = this.ctx.font;
+        this.ctx.font = `${fontSize}px ${family}`;
+        const width = this.ctx.measureText(text).width;
+        this.ctx.font = font;
+        return width;
+    }
+
+    /**
+     * Shorten text with an ellipsis to fit maxWidth in the current ctx.font
+     */
+    fitText(text, maxWidth) {
+        const measure = new PostLayout({ measureText: value => this.ctx.measureText(value).width });
+        return measure.truncateText(text, maxWidth);
+    }
+
+    /**
+     * Record a layout problem (e.g. too many icons to stay legible) for the caller
+     */
+    addLayoutWarning(message) {
+        if (message && !this.layoutWarnings.includes(message)) {
+            this.layoutWarnings.push(message);
+        }
+    }
+
+    /**
+     * Get available output size presets
+     */
+    getAvailablePresets() {
+        return Object.entries(SIZE_PRESETS).map(([id, preset]) => ({ id, ...preset }));
+    }
+
+    /**
+     * Run a template against the SVG backend instead of the raster canvas
+     */
+    async generateSvgPost(icons, template, customText) {
+        const originalCanvas = this.canvas;
+        const originalCtx = this.ctx;
+
+        const svgCanvas = new SvgDocument(this.canvasWidth, this.canvasHeight);
+        this.canvas = svgCanvas;
+        this.ctx = svgCanvas.getContext('2d');
+
+        try {
+            await this.generateVisualPost(icons, template, customText);
+            return svgCanvas.toSVG();
+        } finally {
+            this.canvas = originalCanvas;
+            this.ctx = originalCtx;
+        }
+    }
+
     /**
      * Modern template - Clean, professional look
      */
-    async modernTemplate(customText) {
+    async modernTemplate(spec) {
         const ctx = this.ctx;
 
         // Background gradient
@@ -112,7 +543,7 @@ class VisualPostGenerator {
         ctx.fillRect(0, 0, this.canvasWidth, this.canvasHeight);
 
         // Header section
-        await this.drawHeader('🚀 My Tech Stack', 'Tools that power my daily workflow');
+        await this.drawHeader(spec.title || '🚀 My Tech Stack', spec.subtitle || 'Tools that power my daily workflow');
 
         // Icons grid
         await this.drawIconsGrid();
@@ -127,14 +558,15 @@ class VisualPostGenerator {
     /**
      * Gradient template - Vibrant, eye-catching
      */
-    async gradientTemplate(customText) {
+    async gradientTemplate(spec) {
         const ctx = this.ctx;
 
-        // Background gradient
+        // Background gradient, in the brand colors when a brand kit is applied
+        const stops = this.brandKit
+            ? [this.colors.primary, this.colors.secondary, this.colors.accent]
+            : ['#667eea', '#764ba2', '#f093fb'];
         const gradient = ctx.createLinearGradient(0, 0, this.canvasWidth, this.canvasHeight);
-        gradient.addColorStop(0, '#667eea');
-        gradient.addColorStop(0.5, '#764ba2');
-        gradient.addColorStop(1, '#f093fb');
+        stops.forEach((color, index) => gradient.addColorStop(index / (stops.length - 1), color));
         ctx.fillStyle = gradient;
         ctx.fillRect(0, 0, this.canvasWidth, this.canvasHeight);
 
@@ -143,7 +575,7 @@ class VisualPostGenerator {
         ctx.fillRect(0, 0, this.canvasWidth, this.canvasHeight);
 
         // Header
-        await this.drawHeader('✨ Amazing Tools', 'Transforming how we work and create', 'white');
+        await this.drawHeader(spec.title || '✨ Amazing Tools', spec.subtitle || 'Transforming how we work and create', 'white');
 
         // Icons with glow effect
         await this.drawIconsGrid(true);
@@ -155,15 +587,15 @@ class VisualPostGenerator {
     /**
      * Minimal template - Clean, simple
      */
-    async minimalTemplate(customText) {
+    async minimalTemplate(spec) {
         const ctx = this.ctx;
 
         // White background
-        ctx.fillStyle = 'white';
+        ctx.fillStyle = this.colors.paper;
         ctx.fillRect(0, 0, this.canvasWidth, this.canvasHeight);
 
         // Header
-        await this.drawHeader('Tech Tools I Use', 'Curated for productivity and innovation', this.colors.dark);
+        await this.drawHeader(spec.title || 'Tech Tools I Use', spec.subtitle || 'Curated for productivity and innovation', this.colors.ink);
 
         // Icons grid
         await this.drawIconsGrid(false, true);
@@ -178,18 +610,18 @@ class VisualPostGenerator {
     /**
      * Tech template - Developer focused
      */
-    async techTemplate(customText) {
+    async techTemplate(spec) {
         const ctx = this.ctx;
 
         // Dark tech background
-        ctx.fillStyle = '#0a0a0f';
+        ctx.fillStyle = this.brandKit ? this.colors.dark : '#0a0a0f';
         ctx.fillRect(0, 0, this.canvasWidth, this.canvasHeight);
 
         // Grid pattern background
         this.drawGridPattern();
 
         // Header with code-style formatting
-        await this.drawTechHeader();
+        await this.drawTechHeader(spec.title, spec.subtitle);
 
         // Icons in terminal-style layout
         await this.drawTechIconsGrid();
@@ -203,36 +635,44 @@ class VisualPostGenerator {
      */
     async drawHeader(title, subtitle, color = this.colors.light) {
         const ctx = this.ctx;
+        const { header, margin } = this.getLayout();
+        const maxWidth = this.canvasWidth - margin * 2;
 
         // Title
-        ctx.font = 'bold 48px ' + this.fonts.heading;
+        ctx.font = `bold ${header.titleSize}px ${this.fonts.heading}`;
         ctx.fillStyle = color;
         ctx.textAlign = 'center';
-        ctx.fillText(title, this.canvasWidth / 2, 120);
+        ctx.textBaseline = 'alphabetic';
+        ctx.fillText(this.fitText(title, maxWidth), this.canvasWidth / 2, header.titleY);
 
         // Subtitle
-        ctx.font = '24px ' + this.fonts.body;
+        ctx.font = `${header.subtitleSize}px ${this.fonts.body}`;
         ctx.fillStyle = color === 'white' ? 'rgba(255,255,255,0.8)' : this.colors.muted;
-        ctx.fillText(subtitle, this.canvasWidth / 2, 160);
+        ctx.fillText(this.fitText(subtitle, maxWidth), this.canvasWidth / 2, header.subtitleY);
     }
 
     /**
      * Draw tech-style header
      */
-    async drawTechHeader() {
+    async drawTechHeader(title = '', subtitle = '') {
         const ctx = this.ctx;
+        const { unit, margin } = this.getLayout();
+        const tech = this.getTechLayout(this.selectedIcons);
+        const prompt = subtitle ? `$ cat my-tech-stack.json # ${subtitle}` : '$ cat my-tech-stack.json';
+        const key = title ? title.replace(/\\/g, '\\\\').replace(/"/g, '\\"') : 'tools';
 
         // Terminal-style header
-        ctx.font = '20px ' + this.fonts.mono;
+        ctx.font = `${20 * unit}px ${this.fonts.mono}`;
         ctx.fillStyle = this.colors.primary;
         ctx.textAlign = 'left';
-        ctx.fillText('$ cat my-tech-stack.json', 60, 80);
+        ctx.textBaseline = 'alphabetic';
+        ctx.fillText(this.fitText(prompt, this.canvasWidth - tech.promptX * 2), tech.promptX, tech.promptY);
 
-        // JSON-style title
-        ctx.font = 'bold 36px ' + this.fonts.mono;
+        // JSON-style title; a custom title becomes the key
+        ctx.font = `bold ${36 * unit}px ${this.fonts.mono}`;
         ctx.fillStyle = this.colors.light;
         ctx.textAlign = 'center';
-        ctx.fillText('{ "tools": [', this.canvasWidth / 2, 140);
+        ctx.fillText(this.fitText(`{ "${key}": [`, this.canvasWidth - margin * 2), this.canvasWidth / 2, tech.titleY);
     }
 
     /**
@@ -241,25 +681,22 @@ class VisualPostGenerator {
     async drawIconsGrid(glowEffect = false, shadows = false) {
         if (this.selectedIcons.length === 0) return;
 
-        const iconSize = 80;
-        const spacing = 120;
-        const maxCols = 6;
-        const startY = 220;
+        const count = this.selectedIcons.length;
+        const grid = this.getGridLayout(this.selectedIcons);
+        this.addLayoutWarning(grid.warning);
 
-        // Calculate grid layout
-        const cols = Math.min(this.selectedIcons.length, maxCols);
-        const rows = Math.ceil(this.selectedIcons.length / maxCols);
-        const gridWidth = (cols - 1) * spacing;
-        const startX = (this.canvasWidth - gridWidth) / 2;
+        for (let i = 0; i < count; i++) {
+            const col = i % grid.cols;
+            const row = Math.floor(i / grid.cols);
 
-        for (let i = 0; i < this.selectedIcons.length; i++) {
-            const col = i % maxCols;
-            const row = Math.floor(i / maxCols);
-            const x = startX + col * spacing;
-            const y = startY + row * spacing;
+            // Center each row, including a partially filled last row
+            const rowCount = Math.min(grid.cols, count - row * grid.cols);
+            const startX = (this.canvasWidth - (rowCount - 1) * grid.spacing) / 2;
+            const x = startX + col * grid.spacing;
+            const y = grid.top + row * grid.rowHeight + grid.iconSize / 2;
 
-            await this.drawIcon(this.selectedIcons[i], x, y, iconSize, glowEffect, shadows);
-            this.drawIconLabel(this.selectedIcons[i], x, y + iconSize + 20);
+            await this.drawIcon(this.selectedIcons[i], x, y, grid.iconSize, glowEffect, shadows);
+            this.drawIconLabel(grid.labels[i], x, y + grid.iconSize / 2 + grid.labelGap, grid.labelSize, grid.labelLineHeight);
         }
     }
 
@@ -269,39 +706,51 @@ class VisualPostGenerator {
     async drawTechIconsGrid() {
         if (this.selectedIcons.length === 0) return;
 
-        const iconSize = 60;
-        const startX = 180;
-        const startY = 200;
-        const lineHeight = 100;
+        const ctx = this.ctx;
+        const { unit } = this.getLayout();
+        const tech = this.getTechLayout(this.selectedIcons);
+        const k = tech.scale;
+        this.addLayoutWarning(tech.warning);
+
+        ctx.textBaseline = 'alphabetic';
 
         for (let i = 0; i < this.selectedIcons.length; i++) {
-            const y = startY + i * lineHeight;
+            const { braceX, openY, iconX, iconY, closeY, textX } = tech.items[i];
 
             // JSON-style formatting
-            this.ctx.font = '18px ' + this.fonts.mono;
-            this.ctx.fillStyle = this.colors.muted;
-            this.ctx.textAlign = 'left';
-            this.ctx.fillText('  {', startX - 40, y - 20);
+            ctx.font = `${18 * k}px ${this.fonts.mono}`;
+            ctx.fillStyle = this.colors.muted;
+            ctx.textAlign = 'left';
+            ctx.fillText('  {', braceX, openY);
 
             // Icon
-            await this.drawIcon(this.selectedIcons[i], startX, y, iconSize);
-
-            // Icon name in JSON format
-            this.ctx.fillStyle = this.colors.primary;
-            this.ctx.fillText(`"name": "${this.selectedIcons[i].displayName}",`, startX + 80, y + 10);
-            this.ctx.fillStyle = this.colors.accent;
-            this.ctx.fillText(`"category": "${this.selectedIcons[i].category}"`, startX + 80, y + 35);
-
-            this.ctx.fillStyle = this.colors.muted;
-            this.ctx.fillText(i < this.selectedIcons.length - 1 ? '  },' : '  }', startX - 40, y + 60);
+            await this.drawIcon(this.selectedIcons[i], iconX, iconY, 60 * k);
+
+            // Icon name and category in JSON format, wrapped to the column and
+            // centered on the icon; lines sit closer when the name takes two
+            const { name, category } = tech.labels[i];
+            const pitch = name.length > 1 ? 22 * k : 25 * k;
+            let textY = iconY + 6 * k - (name.length + category.length - 1) * pitch / 2;
+            ctx.fillStyle = this.colors.primary;
+            for (const line of name) {
+                ctx.fillText(line, textX, textY);
+                textY += pitch;
+            }
+            ctx.fillStyle = this.colors.accent;
+            for (const line of category) {
+                ctx.fillText(line, textX, textY);
+                textY += pitch;
+            }
+
+            ctx.fillStyle = this.colors.muted;
+            ctx.fillText(i < this.selectedIcons.length - 1 ? '  },' : '  }', braceX, closeY);
         }
 
         // Closing bracket
-        this.ctx.font = 'bold 36px ' + this.fonts.mono;
-        this.ctx.fillStyle = this.colors.light;
-        this.ctx.textAlign = 'center';
-        const finalY = startY + this.selectedIcons.length * lineHeight + 40;
-        this.ctx.fillText('] }', this.canvasWidth / 2, finalY);
+        ctx.font = `bold ${36 * unit}px ${this.fonts.mono}`;
+        ctx.fillStyle = this.colors.light;
+        ctx.textAlign = 'center';
+        ctx.fillText('] }', this.canvasWidth / 2, tech.closingY);
     }
 
     /**
@@ -310,57 +759,42 @@ class VisualPostGenerator {
     async drawIcon(icon, x, y, size, glowEffect = false, shadow = false) {
         const ctx = this.ctx;
 
+        let img;
         try {
-            // Create image element
-            const img = new Image();
-            img.crossOrigin = 'anonymous';
-
-            // Return promise that resolves when image loads
-            await new Promise((resolve, reject) => {
-                img.onload = () => {
-                    // Add shadow if requested
-                    if (shadow) {
-                        ctx.shadowColor = 'rgba(0,0,0,0.2)';
-                        ctx.shadowBlur = 10;
-                        ctx.shadowOffsetX = 0;
-                        ctx.shadowOffsetY = 5;
-                    }
-
-                    // Add glow effect if requested
-                    if (glowEffect) {
-                        ctx.shadowColor = this.colors.primary;
-                        ctx.shadowBlur = 20;
-                        ctx.shadowOffsetX = 0;
-                        ctx.shadowOffsetY = 0;
-                    }
-
-                    // Draw icon
-                    ctx.drawImage(img, x - size/2, y - size/2, size, size);
-
-                    // Reset shadow
-                    ctx.shadowColor = 'transparent';
-                    ctx.shadowBlur = 0;
-                    ctx.shadowOffsetX = 0;
-                    ctx.shadowOffsetY = 0;
-
-                    resolve();
-                };
-
-                img.onerror = () => {
-                    // Fallback: draw colored circle with first letter
-                    this.drawIconFallback(icon, x, y, size);
-                    resolve();
-                };
-
-                // Set image source
-                const iconPath = icon.path || `http://localhost:3000/lobe-icons/packages/static-svg/icons/${icon.name}.svg`;
-                img.src = iconPath;
-            });
-
+            // Vector output inlines the icon markup instead of a decoded bitmap
+            img = this.canvas instanceof SvgDocument
+                ? await this.loadIconSvg(icon)
+                : await this.loadIconImage(icon, size);
         } catch (error) {
-            // Fallback for any errors
+            // Fallback: draw colored circle with first letter
             this.drawIconFallback(icon, x, y, size);
+            return;
+        }
+
+        // Add shadow if requested
+        if (shadow) {
+            ctx.shadowColor = 'rgba(0,0,0,0.2)';
+            ctx.shadowBlur = 10;
+            ctx.shadowOffsetX = 0;
+            ctx.shadowOffsetY = 5;
+        }
+
+        // Add glow effect if requested
+        if (glowEffect) {
+            ctx.shadowColor = this.colors.primary;
+            ctx.shadowBlur = 20;
+            ctx.shadowOffsetX = 0;
+            ctx.shadowOffsetY = 0;
         }
+
+        // Draw icon
+        ctx.drawImage(img, x - size/2, y - size/2, size, size);
+
+        // Reset shadow
+        ctx.shadowColor = 'transparent';
+        ctx.shadowBlur = 0;
+        ctx.shadowOffsetX = 0;
+        ctx.shadowOffsetY = 0;
     }
 
     /**
@@ -384,41 +818,55 @@ class VisualPostGenerator {
     }
 
     /**
-     * Draw icon label
+     * Draw icon label, one line per entry of a wrapped label
      */
-    drawIconLabel(icon, x, y) {
+    drawIconLabel(label, x, y, fontSize = 16, lineHeight = fontSize * 1.25) {
         const ctx = this.ctx;
+        const lines = Array.isArray(label) ? label : [label.displayName || label];
 
-        ctx.font = '16px ' + this.fonts.body;
+        ctx.font = `${fontSize}px ${this.fonts.body}`;
         ctx.fillStyle = this.colors.light;
         ctx.textAlign = 'center';
         ctx.textBaseline = 'top';
-        ctx.fillText(icon.displayName, x, y);
+        lines.forEach((line, index) => ctx.fillText(line, x, y + index * lineHeight));
     }
 
     /**
      * Draw footer
      */
-    drawFooter(color = this.colors.muted) {
+    drawFooter(color = this.colors.muted, divider = true) {
         const ctx = this.ctx;
+        const { margin, unit, footer } = this.getLayout();
 
         // Divider line
-        ctx.strokeStyle = color;
-        ctx.lineWidth = 2;
-        ctx.beginPath();
-        ctx.moveTo(100, this.canvasHeight - 80);
-        ctx.lineTo(this.canvasWidth - 100, this.canvasHeight - 80);
-        ctx.stroke();
+        if (divider) {
+            ctx.strokeStyle = color;
+            ctx.lineWidth = 2 * unit;
+            ctx.beginPath();
+            ctx.moveTo(margin, footer.dividerY);
+            ctx.lineTo(this.canvasWidth - margin, footer.dividerY);
+            ctx.stroke();
+        }
+
+        // Author on the left; footer text is centered in the room that is left
+        const authorWidth = this.drawAuthor(margin, footer.brandY - 6 * unit, 40 * unit, color);
+        const maxWidth = this.canvasWidth - (margin + authorWidth + 20 * unit) * 2;
 
-        // Branding
-        ctx.font = '18px ' + this.fonts.body;
+        ctx.font = `${footer.brandSize}px ${this.fonts.body}`;
         ctx.fillStyle = color;
         ctx.textAlign = 'center';
-        ctx.fillText('Generated with Composeon AI', this.canvasWidth / 2, this.canvasHeight - 50);
+        ctx.textBaseline = 'alphabetic';
+
+        if (this.postSpec.footer) {
+            ctx.fillText(this.fitText(this.postSpec.footer, maxWidth), this.canvasWidth / 2, footer.brandY + 6 * unit);
+        } else if (this.postSpec.branding) {
+            // Branding
+            ctx.fillText('Generated with Composeon AI', this.canvasWidth / 2, footer.brandY);
 
-        // URL
-        ctx.font = '14px ' + this.fonts.body;
-        ctx.fillText('composeon.ai', this.canvasWidth / 2, this.canvasHeight - 25);
+            // URL
+            ctx.font = `${footer.urlSize}px ${this.fonts.body}`;
+            ctx.fillText('composeon.ai', this.canvasWidth / 2, footer.urlY);
+        }
     }
 
     /**
@@ -426,12 +874,112 @@ class VisualPostGenerator {
      */
     drawTechFooter() {
         const ctx = this.ctx;
+        const { unit } = this.getLayout();
+        const { footerY, promptX } = this.getTechLayout(this.selectedIcons);
+
+        const authorWidth = this.drawAuthor(promptX, footerY + 4 * unit, 32 * unit, this.colors.muted, this.fonts.mono);
+        const maxWidth = this.canvasWidth - (promptX + authorWidth + 20 * unit) * 2;
 
-        ctx.font = '14px ' + this.fonts.mono;
+        let lines = [];
+        if (this.postSpec.footer) {
+            lines = [`# ${this.postSpec.footer}`];
+        } else if (this.postSpec.branding) {
+            lines = ['# Generated with Composeon AI ⚡', '# Discover more at composeon.ai'];
+        }
+
+        ctx.font = `${14 * unit}px ${this.fonts.mono}`;
         ctx.fillStyle = this.colors.muted;
         ctx.textAlign = 'center';
-        ctx.fillText('# Generated with Composeon AI ⚡', this.canvasWidth / 2, this.canvasHeight - 40);
-        ctx.fillText('# Discover more at composeon.ai', this.canvasWidth / 2, this.canvasHeight - 20);
+        ctx.textBaseline = 'alphabetic';
+        lines.forEach((line, index) => {
+            ctx.fillText(this.fitText(line, maxWidth), this.canvasWidth / 2, footerY + index * 20 * unit);
+        });
+    }
+
+    /**
+     * Draw the post author (round avatar, name and handle) from x; returns the width used
+     */
+    drawAuthor(x, centerY, size, color, family = this.fonts.body) {
+        const author = this.postSpec.author;
+        if (!author) return 0;
+
+        const ctx = this.ctx;
+        const avatar = this.postImages.avatar;
+        const textX = avatar ? x + size * 1.3 : x;
+        const maxTextWidth = this.canvasWidth * 0.22;
+        let textWidth = 0;
+
+        if (avatar) {
+            this.drawAvatar(avatar, x, centerY - size / 2, size);
+        }
+
+        const nameSize = size * 0.4;
+        const handleSize = size * 0.35;
+        const twoLines = Boolean(author.name && author.handle);
+
+        ctx.fillStyle = color;
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'middle';
+
+        if (author.name) {
+            ctx.font = `bold ${nameSize}px ${family}`;
+            const name = this.fitText(author.name, maxTextWidth);
+            ctx.fillText(name, textX, twoLines ? centerY - nameSize * 0.6 : centerY);
+            textWidth = Math.max(textWidth, ctx.measureText(name).width);
+        }
+
+        if (author.handle) {
+            ctx.font = `${handleSize}px ${family}`;
+            const handle = this.fitText(author.handle, maxTextWidth);
+            ctx.globalAlpha = 0.75;
+            ctx.fillText(handle, textX, twoLines ? centerY + handleSize * 0.7 : centerY);
+            ctx.globalAlpha = 1;
+            textWidth = Math.max(textWidth, ctx.measureText(handle).width);
+        }
+
+        return textX - x + textWidth;
+    }
+
+    /**
+     * Draw an image cropped to a circle, covering the square at x, y
+     */
+    drawAvatar(image, x, y, size) {
+        const ctx = this.ctx;
+        const { width, height } = this.getImageSize(image);
+        const ratio = Math.max(size / width, size / height);
+
+        ctx.save();
+        ctx.beginPath();
+        ctx.arc(x + size / 2, y + size / 2, size / 2, 0, 2 * Math.PI);
+        ctx.clip();
+        ctx.drawImage(image, x + (size - width * ratio) / 2, y + (size - height * ratio) / 2, width * ratio, height * ratio);
+        ctx.restore();
+    }
+
+    /**
+     * Draw the logo watermark in the top right corner, fitted into a 160x48 box
+     */
+    drawLogo() {
+        const logo = this.postImages.logo;
+        if (!logo) return;
+
+        const ctx = this.ctx;
+        const { unit } = this.getLayout();
+        const { width, height } = this.getImageSize(logo);
+        const ratio = Math.min(160 * unit / width, 48 * unit / height);
+        const inset = 40 * unit;
+
+        ctx.save();
+        ctx.globalAlpha = 0.9;
+        ctx.drawImage(logo, this.canvasWidth - inset - width * ratio, inset, width * ratio, height * ratio);
+        ctx.restore();
+    }
+
+    getImageSize(image) {
+        return {
+            width: image.naturalWidth || image.width || 1,
+            height: image.naturalHeight || image.height || 1
+        };
     }
 
     /**
@@ -439,20 +987,21 @@ class VisualPostGenerator {
      */
     drawModernDecorations() {
         const ctx = this.ctx;
+        const size = 200 * this.getLayout().unit;
 
         // Corner accent
-        const gradient = ctx.createLinearGradient(0, 0, 200, 200);
+        const gradient = ctx.createLinearGradient(0, 0, size, size);
         gradient.addColorStop(0, this.colors.primary + '40');
         gradient.addColorStop(1, 'transparent');
         ctx.fillStyle = gradient;
-        ctx.fillRect(0, 0, 200, 200);
+        ctx.fillRect(0, 0, size, size);
 
         // Bottom right accent
-        const gradient2 = ctx.createLinearGradient(this.canvasWidth - 200, this.canvasHeight - 200, this.canvasWidth, this.canvasHeight);
+        const gradient2 = ctx.createLinearGradient(this.canvasWidth - size, this.canvasHeight - size, this.canvasWidth, this.canvasHeight);
         gradient2.addColorStop(0, 'transparent');
         gradient2.addColorStop(1, this.colors.secondary + '40');
         ctx.fillStyle = gradient2;
-        ctx.fillRect(this.canvasWidth - 200, this.canvasHeight - 200, 200, 200);
+        ctx.fillRect(this.canvasWidth - size, this.canvasHeight - size, size, size);
     }
 
     /**
@@ -460,13 +1009,14 @@ class VisualPostGenerator {
      */
     drawMinimalDecorations() {
         const ctx = this.ctx;
+        const { unit, header } = this.getLayout();
 
         // Simple accent line
         ctx.strokeStyle = this.colors.primary;
-        ctx.lineWidth = 4;
+        ctx.lineWidth = 4 * unit;
         ctx.beginPath();
-        ctx.moveTo(this.canvasWidth / 2 - 100, 180);
-        ctx.lineTo(this.canvasWidth / 2 + 100, 180);
+        ctx.moveTo(this.canvasWidth / 2 - 100 * unit, header.subtitleY + 20 * unit);
+        ctx.lineTo(this.canvasWidth / 2 + 100 * unit, header.subtitleY + 20 * unit);
         ctx.stroke();
     }
 
@@ -480,21 +1030,22 @@ class VisualPostGenerator {
         ctx.strokeStyle = this.colors.primary + '20';
         ctx.lineWidth = 1;
 
+        // One path for the whole grid (a single primitive in SVG output)
+        ctx.beginPath();
+
         // Vertical lines
         for (let x = 0; x <= this.canvasWidth; x += gridSize) {
-            ctx.beginPath();
             ctx.moveTo(x, 0);
             ctx.lineTo(x, this.canvasHeight);
-            ctx.stroke();
         }
 
         // Horizontal lines
         for (let y = 0; y <= this.canvasHeight; y += gridSize) {
-            ctx.beginPath();
             ctx.moveTo(0, y);
             ctx.lineTo(this.canvasWidth, y);
-            ctx.stroke();
         }
+
+        ctx.stroke();
     }
 
     /**
@@ -521,10 +1072,11 @@ class VisualPostGenerator {
      */
     getAvailableTemplates() {
         return [
-            { id: 'modern', name: '🚀 Modern', description: 'Clean, professional look' },
-            { id: 'gradient', name: '✨ Gradient', description: 'Vibrant, eye-catching' },
-            { id: 'minimal', name: '⚪ Minimal', description: 'Simple and clean' },
-            { id: 'tech', name: '💻 Tech', description: 'Developer focused' }
+            { id: 'modern', name: '🚀 Modern', description: 'Clean, professional look', source: 'built-in' },
+            { id: 'gradient', name: '✨ Gradient', description: 'Vibrant, eye-catching', source: 'built-in' },
+            { id: 'minimal', name: '⚪ Minimal', description: 'Simple and clean', source: 'built-in' },
+            { id: 'tech', name: '💻 Tech', description: 'Developer focused', source: 'built-in' },
+            ...Object.values(this.userTemplates).map(template => template.describe())
         ];
     }
 
@@ -532,9 +1084,11 @@ class VisualPostGenerator {
      * Preview template without generating full image
      */
     async previewTemplate(templateId) {
-        const tempCanvas = document.createElement('canvas');
-        tempCanvas.width = 300;
-        tempCanvas.height = 157;
+        if (!this.templates[templateId]) {
+            throw new Error(`Unknown template '${templateId}'`);
+        }
+
+        const tempCanvas = this.createCanvasElement(300, 157);
         const tempCtx = tempCanvas.getContext('2d');
 
         // Draw template preview
@@ -542,6 +1096,7 @@ class VisualPostGenerator {
         const originalCtx = this.ctx;
         const originalWidth = this.canvasWidth;
         const originalHeight = this.canvasHeight;
+        const originalIcons = this.selectedIcons;
 
         this.canvas = tempCanvas;
         this.ctx = tempCtx;
@@ -553,19 +1108,27 @@ class VisualPostGenerator {
             { name: 'sample1', displayName: 'Tool 1', category: 'dev' },
             { name: 'sample2', displayName: 'Tool 2', category: 'ai' }
         ];
+        this.selectedIcons = sampleIcons;
 
-        await this.templates[templateId].call(this, 'Preview');
-
-        // Restore original canvas
-        this.canvas = originalCanvas;
-        this.ctx = originalCtx;
-        this.canvasWidth = originalWidth;
-        this.canvasHeight = originalHeight;
+        try {
+            await this.templates[templateId].call(this, this.postSpec);
+        } finally {
+            // Restore original canvas
+            this.canvas = originalCanvas;
+            this.ctx = originalCtx;
+            this.canvasWidth = originalWidth;
+            this.canvasHeight = originalHeight;
+            this.selectedIcons = originalIcons;
+        }
 
         return tempCanvas.toDataURL();
     }
 }
 
+VisualPostGenerator.BUILT_IN_TEMPLATES = ['modern', 'gradient', 'minimal', 'tech'];
+VisualPostGenerator.SIZE_PRESETS = SIZE_PRESETS;
+VisualPostGenerator.DEFAULT_PRESET = DEFAULT_PRESET;
+
 // Export for use in main application
 if (typeof window !== 'undefined') {
     window.VisualPostGenerator = VisualPostGenerator;
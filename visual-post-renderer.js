@@ -0,0 +1,454 @@
+/**
+ * Visual Post Renderer - Headless rendering of Composeon visual posts
+ *
+ * Runs the VisualPostGenerator templates (modern, gradient, minimal, tech) in
+ * plain Node on a Skia canvas (@napi-rs/canvas), reading icons straight from the
+ * catalog instead of loading them by URL. Used by the MCP server and the HTTP API.
+ * Avatars and logos load from data: or http(s) URLs, and from local files when
+ * the caller allows it (the MCP server does, the HTTP API does not). Remote
+ * images never resolve to loopback, private or link-local addresses. A brand kit
+ * (see brand-kit.js) recolors every template and supplies the default logo.
+ *
+ * Each instance owns one canvas - create a renderer per request.
+ */
+
+const fs = require('fs').promises;
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+const { createCanvas, GlobalFonts, Image } = require('@napi-rs/canvas');
+const VisualPostGenerator = require('./visual-post-generator');
+const IconRenderer = require('./icon-renderer');
+const SvgCanvas = require('./svg-canvas');
+const SvgTransformer = require('./svg-transform');
+const BrandKit = require('./brand-kit');
+
+const FORMATS = {
+    ...IconRenderer.FORMATS,
+    svg: 'image/svg+xml'
+};
+
+const LIMITS = {
+    maxIcons: 24,
+    maxScale: 3,
+    maxTextLength: 200,
+    maxImageBytes: 5 * 1024 * 1024,
+    imageTimeout: 10000,
+    maxRedirects: 3
+};
+
+// Addresses an image URL must not reach: this host, private networks and cloud
+// metadata endpoints. IPv4-mapped IPv6 addresses are checked against the IPv4 rules.
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+    ['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+// Magic numbers of the image types Skia decodes
+const IMAGE_SIGNATURES = [
+    { mimeType: 'image/png', test: buffer => buffer.slice(0, 4).toString('hex') === '89504e47' },
+    { mimeType: 'image/jpeg', test: buffer => buffer.slice(0, 3).toString('hex') === 'ffd8ff' },
+    { mimeType: 'image/gif', test: buffer => buffer.slice(0, 4).toString() === 'GIF8' },
+    { mimeType: 'image/webp', test: buffer => buffer.slice(8, 12).toString() === 'WEBP' },
+    { mimeType: 'image/svg+xml', test: buffer => /<svg\b/i.test(buffer.slice(0, 1024).toString()) }
+];
+
+// System fonts standing in for the web fonts when they are not installed
+const FONT_FALLBACKS = {
+    Inter: [/^(Helvetica|Arial|Liberation Sans|Noto Sans|DejaVu Sans|Roboto)$/i, /Sans(?!.*(Mono|Serif))/i],
+    'JetBrains Mono': [/^(Menlo|Consolas|Liberation Mono|Noto Sans Mono|DejaVu Sans Mono)$/i, /Mono/i]
+};
+
+let fontsRegistered = false;
+
+class VisualPostRenderer extends VisualPostGenerator {
+    constructor({ catalog, iconsPath, scale = 1, allowFiles = false, templates = [], brandKit = null, brandVariant = null }) {
+        super({ brandKit, brandVariant });
+        this.catalog = catalog;
+        this.iconsPath = iconsPath;
+        this.scale = scale;
+        this.allowFiles = allowFiles;
+        this.iconRenderer = new IconRenderer();
+        this.transformer = new SvgTransformer();
+        templates.forEach(template => this.registerTemplate(template));
+    }
+
+    createCanvasElement(width, height) {
+        return createCanvas(Math.round(width), Math.round(height));
+    }
+
+    getPixelRatio() {
+        return this.scale;
+    }
+
+    /**
+     * Set up the canvas quietly - stdout is the MCP transport
+     */
+    async initialize() {
+        this.loadFonts();
+        this.createCanvas();
+    }
+
+    /**
+     * Alias missing web fonts to installed system fonts so headings stay sans-serif
+     * and the tech template stays monospaced
+     */
+    loadFonts() {
+        VisualPostRenderer.loadFonts();
+    }
+
+    /**
+     * Register the font aliases once per process (shared with the carousel renderer)
+     */
+    static loadFonts() {
+        if (fontsRegistered) return;
+        fontsRegistered = true;
+
+        const families = GlobalFonts.families.map(font => font.family);
+        for (const [font, patterns] of Object.entries(FONT_FALLBACKS)) {
+            if (families.includes(font)) continue;
+
+            const match = patterns
+                .map(pattern => families.find(family => pattern.test(family)))
+                .find(Boolean);
+            if (match) {
+                GlobalFonts.setAlias(match, font);
+            }
+        }
+    }
+
+    /**
+     * Read the icon from disk and decode it at the size it will be drawn
+     */
+    async loadIconImage(icon, size) {
+        const svg = await this.loadIconSvg(icon);
+        const pixels = Math.round(size * this.scale);
+
+        return this.decodeImage(Buffer.from(this.iconRenderer.withPixelSize(svg, pixels, pixels)));
+    }
+
+    async loadIconSvg(icon) {
+        return this.catalog.readIconSvg(this.iconsPath, icon.name, icon.variation);
+    }
+
+    /**
+     * Decode an avatar or logo; SVG output embeds it as a data URL instead
+     */
+    async loadImage(src) {
+        const buffer = await this.readImageSource(src);
+        const signature = IMAGE_SIGNATURES.find(entry => entry.test(buffer));
+        if (!signature) {
+            throw new Error('unsupported image type (use PNG, JPEG, GIF, WebP or SVG)');
+        }
+
+        const image = await this.decodeImage(buffer);
+
+        if (this.canvas instanceof SvgCanvas) {
+            return {
+                src: `data:${signature.mimeType};base64,${buffer.toString('base64')}`,
+                width: image.width,
+                height: image.height
+            };
+        }
+        return image;
+    }
+
+    /**
+     * Decode encoded image bytes (including SVG markup) into a drawable Skia image
+     */
+    decodeImage(buffer) {
+        return new Promise((resolve, reject) => {
+            const decoded = new Image();
+            decoded.onload = () => resolve(decoded);
+            decoded.onerror = error => reject(new Error(`failed to decode image: ${error.message || error}`));
+            decoded.src = buffer;
+        });
+    }
+
+    async readImageSource(src) {
+        return VisualPostRenderer.readImageSource(src, { allowFiles: this.allowFiles });
+    }
+
+    /**
+     * Read an image from a data: or http(s) URL, or from a file when allowed
+     */
+    static async readImageSource(src, { allowFiles = false } = {}) {
+        if (/^data:/i.test(src)) {
+            const match = src.match(/^data:[^,]*?(;base64)?,(.*)$/is);
+            if (!match) {
+                throw new Error('invalid data URL');
+            }
+            return match[1] ? Buffer.from(match[2], 'base64') : Buffer.from(decodeURIComponent(match[2]));
+        }
+
+        if (/^https?:\/\//i.test(src)) {
+            return VisualPostRenderer.fetchImage(new URL(src));
+        }
+
+        // Brand kit and carousel logos arrive here without passing buildPostSpec
+        if (!allowFiles) {
+            throw new Error('images must be http(s) or data: URLs');
+        }
+        return fs.readFile(src);
+    }
+
+    static isBlockedAddress(address) {
+        const family = net.isIP(address);
+        return family === 0 || BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+    }
+
+    /**
+     * dns.lookup that refuses blocked addresses, so the connection goes to the
+     * address that was checked (no DNS rebinding between check and connect)
+     */
+    static guardedLookup(hostname, options, callback) {
+        dns.lookup(hostname, options, (error, address, family) => {
+            if (error) {
+                callback(error);
+                return;
+            }
+            const addresses = Array.isArray(address) ? address : [{ address, family }];
+            const blocked = addresses.find(entry => VisualPostRenderer.isBlockedAddress(entry.address));
+            if (blocked) {
+                callback(new Error(`${hostname} resolves to a private address`));
+                return;
+            }
+            callback(null, address, family);
+        });
+    }
+
+    /**
+     * Download a public image, following a few redirects; the size limit is
+     * enforced while streaming, not after the whole body is in memory
+     */
+    static fetchImage(target, redirects = 0) {
+        return new Promise((resolve, reject) => {
+            if (target.protocol !== 'http:' && target.protocol !== 'https:') {
+                reject(new Error('images must be http(s) or data: URLs'));
+                return;
+            }
+
+            // IP literals never reach the lookup function
+            const host = target.hostname.replace(/^\[|\]$/g, '');
+            if (net.isIP(host) && VisualPostRenderer.isBlockedAddress(host)) {
+                reject(new Error(`${host} is a private address`));
+                return;
+            }
+
+            const client = target.protocol === 'https:' ? https : http;
+            const request = client.get(target, { lookup: VisualPostRenderer.guardedLookup }, response => {
+                const { statusCode, headers } = response;
+
+                if (statusCode >= 300 && statusCode < 400 && headers.location) {
+                    response.resume();
+                    if (redirects >= LIMITS.maxRedirects) {
+                        reject(new Error('too many redirects'));
+                        return;
+                    }
+                    resolve(VisualPostRenderer.fetchImage(new URL(headers.location, target), redirects + 1));
+                    return;
+                }
+                if (statusCode < 200 || statusCode >= 300) {
+                    response.resume();
+                    reject(new Error(`HTTP ${statusCode}`));
+                    return;
+                }
+
+                const tooLarge = new Error(`image is larger than ${LIMITS.maxImageBytes} bytes`);
+                if (Number(headers['content-length']) > LIMITS.maxImageBytes) {
+                    request.destroy();
+                    reject(tooLarge);
+                    return;
+                }
+
+                const chunks = [];
+                let size = 0;
+                response.on('data', chunk => {
+                    size += chunk.length;
+                    if (size > LIMITS.maxImageBytes) {
+                        request.destroy(tooLarge);
+                        return;
+                    }
+                    chunks.push(chunk);
+                });
+                response.on('end', () => resolve(Buffer.concat(chunks)));
+                response.on('error', reject);
+            });
+
+            const timer = setTimeout(() => request.destroy(new Error(`timed out after ${LIMITS.imageTimeout}ms`)), LIMITS.imageTimeout);
+            request.on('close', () => clearTimeout(timer));
+            request.on('error', reject);
+        });
+    }
+
+    /**
+     * Validate and normalize render options (accepts strings from query params)
+     */
+    normalizeOptions(options = {}) {
+        const template = options.template || 'modern';
+        if (!this.templates[template]) {
+            throw new Error(`Unknown template '${template}' (use ${Object.keys(this.templates).join(', ')})`);
+        }
+
+        const format = String(options.format || 'png').toLowerCase().replace('jpg', 'jpeg');
+        if (!FORMATS[format]) {
+            throw new Error(`Unsupported format '${options.format}' (use ${Object.keys(FORMATS).join(', ')})`);
+        }
+
+        const scale = this.iconRenderer.parseNumber(options.scale, 1, 'scale');
+        if (scale <= 0 || scale > LIMITS.maxScale) {
+            throw new Error(`scale must be greater than 0 and at most ${LIMITS.maxScale}`);
+        }
+
+        const quality = this.iconRenderer.parseNumber(options.quality, 0.92, 'quality');
+        if (quality <= 0 || quality > 1) {
+            throw new Error('quality must be greater than 0 and at most 1');
+        }
+
+        const preset = options.preset || VisualPostGenerator.DEFAULT_PRESET;
+        if (!VisualPostGenerator.SIZE_PRESETS[preset]) {
+            throw new Error(`Unknown size preset '${preset}' (use ${Object.keys(VisualPostGenerator.SIZE_PRESETS).join(', ')})`);
+        }
+
+        return { template, format, scale, quality, preset };
+    }
+
+    /**
+     * Collect the post spec from a `post` object or from flat options (title,
+     * subtitle, footer, authorName, authorHandle, avatar, logo, branding)
+     */
+    buildPostSpec(options = {}) {
+        const source = options.post && typeof options.post === 'object' ? options.post : {
+            title: options.title !== undefined ? options.title : options.customText,
+            subtitle: options.subtitle,
+            footer: options.footer,
+            author: { name: options.authorName, handle: options.authorHandle, avatar: options.avatar },
+            logo: options.logo
+        };
+        const branding = options.post && typeof options.post === 'object' ? options.post.branding : options.branding;
+        const spec = this.normalizePostSpec({ ...source, branding: !this.transformer.isFalse(branding) });
+        const author = spec.author || {};
+
+        const texts = { title: spec.title, subtitle: spec.subtitle, footer: spec.footer, authorName: author.name, authorHandle: author.handle };
+        for (const [field, value] of Object.entries(texts)) {
+            if (value && value.length > LIMITS.maxTextLength) {
+                throw new Error(`${field} must be at most ${LIMITS.maxTextLength} characters`);
+            }
+        }
+
+        const images = { avatar: author.avatar, logo: spec.logo };
+        if (this.brandKit) {
+            BrandKit.VARIANTS.forEach(variant => {
+                images[`brand ${variant} logo`] = this.brandKit.getLogo(variant);
+            });
+        }
+
+        for (const [field, value] of Object.entries(images)) {
+            if (value && !/^(data:|https?:\/\/)/i.test(value) && !this.allowFiles) {
+                throw new Error(`${field} must be an http(s) or data: URL`);
+            }
+        }
+
+        return spec;
+    }
+
+    /**
+     * Resolve icon names ("openai", "claude-color" or "claude/color") to catalog
+     * icons, collecting the ones that do not exist
+     */
+    resolveIcons(names) {
+        const list = typeof names === 'string' ? names.split(',') : (names || []);
+        const icons = [];
+        const missing = [];
+
+        for (const entry of list.map(name => String(name).trim()).filter(Boolean)) {
+            const [name, variation] = entry.split('/');
+            const icon = this.catalog.getIcon(name);
+            const file = icon && this.catalog.getIconFile(name, variation || this.catalog.getVariation(name));
+            if (file) {
+                icons.push({ ...icon, variation: variation || this.catalog.getVariation(name) });
+            } else {
+                missing.push(entry);
+            }
+        }
+
+        if (icons.length > LIMITS.maxIcons) {
+            throw new Error(`A visual post can show at most ${LIMITS.maxIcons} icons`);
+        }
+
+        return { icons, missing };
+    }
+
+    /**
+     * Validate options and icons up front so callers can report bad input separately
+     */
+    prepare(names, options = {}) {
+        const normalized = this.normalizeOptions(options);
+        const { icons, missing } = this.resolveIcons(names);
+
+        if (icons.length === 0) {
+            throw new Error(missing.length > 0
+                ? `No icons found: ${missing.join(', ')}`
+                : 'At least one icon must be selected');
+        }
+
+        return { ...normalized, post: this.buildPostSpec(options), icons, missing };
+    }
+
+    /**
+     * Render a visual post to an image buffer
+     */
+    async render(names, options = {}) {
+        return this.draw(this.prepare(names, options));
+    }
+
+    /**
+     * Draw a prepared post (see prepare) and encode it; SVG output ignores scale
+     */
+    async draw({ template, format, scale, quality, preset, post, icons, missing }) {
+        this.scale = scale;
+        this.setPreset(preset);
+        await this.initialize();
+
+        let buffer;
+        let width = this.canvas.width;
+        let height = this.canvas.height;
+
+        if (format === 'svg') {
+            const svg = await this.generateVisualPost(icons, template, post, { format: 'svg' });
+            buffer = Buffer.from(svg);
+            width = this.canvasWidth;
+            height = this.canvasHeight;
+        } else {
+            await this.generateVisualPost(icons, template, post);
+            buffer = format === 'png'
+                ? this.canvas.toBuffer(FORMATS.png)
+                : this.canvas.toBuffer(FORMATS[format], Math.round(quality * 100));
+        }
+
+        return {
+            buffer,
+            mimeType: FORMATS[format],
+            format,
+            template,
+            preset,
+            brandKit: this.brandKit ? this.brandKit.id : null,
+            variant: this.brandVariant,
+            width,
+            height,
+            icons: icons.map(icon => icon.name),
+            missing,
+            warnings: this.layoutWarnings
+        };
+    }
+}
+
+VisualPostRenderer.FORMATS = FORMATS;
+VisualPostRenderer.LIMITS = LIMITS;
+
+module.exports = VisualPostRenderer;
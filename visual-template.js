@@ -0,0 +1,372 @@
+/**
+ * Visual Template - Visual post templates defined as data
+ *
+ * A template spec (JSON or YAML, see templates/) describes the background
+ * (solid, gradient, image or pattern), color palette, fonts, the header, grid and
+ * footer regions and decorations. The spec is validated up front and rendered
+ * with the VisualPostGenerator drawing primitives, so user templates get the same
+ * layout engine, size presets, post spec and SVG output as the built-in ones.
+ */
+
+const TemplateColors = typeof SvgTransformer !== 'undefined' ? SvgTransformer : require('./svg-transform');
+
+const BACKGROUND_TYPES = ['solid', 'gradient', 'image', 'pattern'];
+const PATTERNS = ['grid', 'dots', 'diagonal'];
+const GRADIENT_DIRECTIONS = ['diagonal', 'horizontal', 'vertical'];
+const IMAGE_FITS = ['cover', 'contain'];
+const DECORATION_TYPES = ['corner', 'accent-line', 'circle', 'rect'];
+const CORNERS = ['top-left', 'top-right', 'bottom-left', 'bottom-right'];
+const LAYERS = ['back', 'front'];
+const PALETTE_KEYS = ['primary', 'secondary', 'dark', 'darker', 'light', 'muted', 'accent'];
+const FONT_KEYS = ['heading', 'body', 'mono'];
+
+class VisualTemplate {
+    constructor(spec) {
+        if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+            throw new Error('Template spec must be an object');
+        }
+
+        this.colors = new TemplateColors();
+        this.id = String(spec.id || '').trim();
+        if (!/^[a-z0-9][a-z0-9-]*$/.test(this.id)) {
+            throw new Error(`Invalid template id '${this.id}' (lowercase letters, digits and '-' only)`);
+        }
+
+        this.name = String(spec.name || this.id);
+        this.description = String(spec.description || '');
+        this.background = this.normalizeBackground(spec.background || { type: 'solid', color: '#0d1117' });
+        this.palette = this.normalizeMap(spec.palette, PALETTE_KEYS, 'palette', value => this.color(value, 'palette'));
+        this.fonts = this.normalizeMap(spec.fonts, FONT_KEYS, 'fonts', value => String(value));
+
+        const header = spec.header || {};
+        this.header = {
+            visible: header.visible !== false,
+            title: String(header.title || this.name),
+            subtitle: String(header.subtitle || this.description),
+            color: header.color ? this.color(header.color, 'header.color') : null
+        };
+
+        const grid = spec.grid || {};
+        this.grid = {
+            glow: Boolean(grid.glow),
+            shadow: Boolean(grid.shadow)
+        };
+
+        const footer = spec.footer || {};
+        this.footer = {
+            visible: footer.visible !== false,
+            divider: footer.divider !== false,
+            color: footer.color ? this.color(footer.color, 'footer.color') : null
+        };
+
+        if (spec.decorations !== undefined && !Array.isArray(spec.decorations)) {
+            throw new Error('decorations must be a list');
+        }
+        this.decorations = (spec.decorations || []).map((decoration, index) => this.normalizeDecoration(decoration, index));
+    }
+
+    normalizeBackground(background) {
+        const type = background.type || 'solid';
+        this.oneOf(type, BACKGROUND_TYPES, 'background.type');
+
+        const normalized = {
+            type,
+            color: this.color(background.color || '#0d1117', 'background.color'),
+            overlay: background.overlay ? this.color(background.overlay, 'background.overlay') : null
+        };
+
+        if (type === 'gradient') {
+            if (!Array.isArray(background.colors) || background.colors.length < 2) {
+                throw new Error('background.colors needs at least two colors for a gradient');
+            }
+            normalized.colors = background.colors.map(color => this.color(color, 'background.colors'));
+            normalized.direction = background.direction || 'diagonal';
+            this.oneOf(normalized.direction, GRADIENT_DIRECTIONS, 'background.direction');
+        }
+
+        if (type === 'image') {
+            if (!background.src) {
+                throw new Error('background.src is required for an image background');
+            }
+            normalized.src = String(background.src);
+            normalized.fit = background.fit || 'cover';
+            this.oneOf(normalized.fit, IMAGE_FITS, 'background.fit');
+        }
+
+        if (type === 'pattern') {
+            normalized.pattern = background.pattern || 'grid';
+            this.oneOf(normalized.pattern, PATTERNS, 'background.pattern');
+            normalized.patternColor = this.color(background.patternColor || '#58a6ff20', 'background.patternColor');
+            normalized.size = this.number(background.size, 40, 'background.size');
+        }
+
+        return normalized;
+    }
+
+    normalizeDecoration(decoration, index) {
+        const label = `decorations[${index}]`;
+        if (!decoration || typeof decoration !== 'object') {
+            throw new Error(`${label} must be an object`);
+        }
+
+        const type = decoration.type;
+        this.oneOf(type, DECORATION_TYPES, `${label}.type`);
+
+        const normalized = {
+            type,
+            layer: decoration.layer || 'front',
+            color: this.color(decoration.color || '#58a6ff40', `${label}.color`)
+        };
+        this.oneOf(normalized.layer, LAYERS, `${label}.layer`);
+
+        if (type === 'corner') {
+            normalized.position = decoration.position || 'top-left';
+            this.oneOf(normalized.position, CORNERS, `${label}.position`);
+            normalized.size = this.number(decoration.size, 200, `${label}.size`);
+        }
+        if (type === 'accent-line') {
+            normalized.width = this.number(decoration.width, 200, `${label}.width`);
+            normalized.thickness = this.number(decoration.thickness, 4, `${label}.thickness`);
+        }
+        if (type === 'circle') {
+            normalized.x = this.fraction(decoration.x, `${label}.x`);
+            normalized.y = this.fraction(decoration.y, `${label}.y`);
+            normalized.radius = this.number(decoration.radius, 100, `${label}.radius`);
+        }
+        if (type === 'rect') {
+            normalized.x = this.fraction(decoration.x, `${label}.x`);
+            normalized.y = this.fraction(decoration.y, `${label}.y`);
+            normalized.width = this.fraction(decoration.width, `${label}.width`);
+            normalized.height = this.fraction(decoration.height, `${label}.height`);
+        }
+
+        return normalized;
+    }
+
+    normalizeMap(values, keys, label, normalize) {
+        const normalized = {};
+        for (const [key, value] of Object.entries(values || {})) {
+            this.oneOf(key, keys, `${label} key`);
+            normalized[key] = normalize(value);
+        }
+        return normalized;
+    }
+
+    color(value, label) {
+        try {
+            return this.colors.normalizeColor(value);
+        } catch (error) {
+            throw new Error(`${label}: ${error.message}`);
+        }
+    }
+
+    number(value, fallback, label) {
+        if (value === undefined) return fallback;
+        const number = Number(value);
+        if (!Number.isFinite(number) || number < 0) {
+            throw new Error(`${label} must be a positive number`);
+        }
+        return number;
+    }
+
+    /**
+     * Positions and sizes as a share of the canvas (0-1), so they fit every preset
+     */
+    fraction(value, label) {
+        const number = this.number(value, 0, label);
+        if (number > 1) {
+            throw new Error(`${label} must be between 0 and 1 (a share of the canvas)`);
+        }
+        return number;
+    }
+
+    oneOf(value, allowed, label) {
+        if (!allowed.includes(value)) {
+            throw new Error(`${label} must be one of ${allowed.join(', ')} (got '${value}')`);
+        }
+    }
+
+    /**
+     * Entry for VisualPostGenerator.getAvailableTemplates
+     */
+    describe() {
+        return { id: this.id, name: this.name, description: this.description, source: 'user' };
+    }
+
+    /**
+     * Draw the template on the generator's canvas with its palette and fonts
+     */
+    async render(generator, post) {
+        const colors = generator.colors;
+        const fonts = generator.fonts;
+        generator.colors = { ...colors, ...this.palette };
+        generator.fonts = { ...fonts, ...this.fonts };
+
+        try {
+            await this.drawBackground(generator);
+            this.drawDecorations(generator, 'back');
+
+            if (this.header.visible) {
+                await generator.drawHeader(
+                    post.title || this.header.title,
+                    post.subtitle || this.header.subtitle,
+                    this.header.color || generator.colors.light
+                );
+            }
+
+            await generator.drawIconsGrid(this.grid.glow, this.grid.shadow);
+
+            if (this.footer.visible) {
+                generator.drawFooter(this.footer.color || generator.colors.muted, this.footer.divider);
+            }
+
+            this.drawDecorations(generator, 'front');
+        } finally {
+            generator.colors = colors;
+            generator.fonts = fonts;
+        }
+    }
+
+    async drawBackground(generator) {
+        const ctx = generator.ctx;
+        const width = generator.canvasWidth;
+        const height = generator.canvasHeight;
+        const background = this.background;
+
+        ctx.fillStyle = background.color;
+        ctx.fillRect(0, 0, width, height);
+
+        if (background.type === 'gradient') {
+            const end = { diagonal: [width, height], horizontal: [width, 0], vertical: [0, height] }[background.direction];
+            const gradient = ctx.createLinearGradient(0, 0, end[0], end[1]);
+            background.colors.forEach((color, index) => gradient.addColorStop(index / (background.colors.length - 1), color));
+            ctx.fillStyle = gradient;
+            ctx.fillRect(0, 0, width, height);
+        }
+
+        if (background.type === 'image') {
+            const image = await generator.loadImage(background.src);
+            const size = generator.getImageSize(image);
+            const ratio = background.fit === 'cover'
+                ? Math.max(width / size.width, height / size.height)
+                : Math.min(width / size.width, height / size.height);
+            const drawWidth = size.width * ratio;
+            const drawHeight = size.height * ratio;
+            ctx.drawImage(image, (width - drawWidth) / 2, (height - drawHeight) / 2, drawWidth, drawHeight);
+        }
+
+        if (background.type === 'pattern') {
+            this.drawPattern(generator);
+        }
+
+        if (background.overlay) {
+            ctx.fillStyle = background.overlay;
+            ctx.fillRect(0, 0, width, height);
+        }
+    }
+
+    /**
+     * Pattern as a single path (one primitive in SVG output)
+     */
+    drawPattern(generator) {
+        const ctx = generator.ctx;
+        const width = generator.canvasWidth;
+        const height = generator.canvasHeight;
+        const { pattern, patternColor } = this.background;
+        const size = Math.max(4, this.background.size * generator.getLayout().unit);
+
+        ctx.beginPath();
+
+        if (pattern === 'dots') {
+            const radius = Math.max(1, size / 16);
+            for (let x = size / 2; x < width; x += size) {
+                for (let y = size / 2; y < height; y += size) {
+                    ctx.moveTo(x + radius, y);
+                    ctx.arc(x, y, radius, 0, 2 * Math.PI);
+                }
+            }
+            ctx.fillStyle = patternColor;
+            ctx.fill();
+            return;
+        }
+
+        if (pattern === 'grid') {
+            for (let x = 0; x <= width; x += size) {
+                ctx.moveTo(x, 0);
+                ctx.lineTo(x, height);
+            }
+            for (let y = 0; y <= height; y += size) {
+                ctx.moveTo(0, y);
+                ctx.lineTo(width, y);
+            }
+        } else {
+            for (let offset = -height; offset <= width; offset += size) {
+                ctx.moveTo(offset, height);
+                ctx.lineTo(offset + height, 0);
+            }
+        }
+
+        ctx.strokeStyle = patternColor;
+        ctx.lineWidth = 1;
+        ctx.stroke();
+    }
+
+    drawDecorations(generator, layer) {
+        const ctx = generator.ctx;
+        const width = generator.canvasWidth;
+        const height = generator.canvasHeight;
+        const { unit, header } = generator.getLayout();
+
+        for (const decoration of this.decorations.filter(entry => entry.layer === layer)) {
+            if (decoration.type === 'corner') {
+                // Fades from the corner towards the center, like the modern template
+                const size = decoration.size * unit;
+                const left = decoration.position.endsWith('left');
+                const top = decoration.position.startsWith('top');
+                const x = left ? 0 : width - size;
+                const y = top ? 0 : height - size;
+                const gradient = ctx.createLinearGradient(
+                    left ? 0 : width, top ? 0 : height,
+                    left ? size : width - size, top ? size : height - size
+                );
+                gradient.addColorStop(0, decoration.color);
+                gradient.addColorStop(1, 'transparent');
+                ctx.fillStyle = gradient;
+                ctx.fillRect(x, y, size, size);
+            }
+
+            if (decoration.type === 'accent-line') {
+                const lineY = header.subtitleY + 20 * unit;
+                ctx.strokeStyle = decoration.color;
+                ctx.lineWidth = decoration.thickness * unit;
+                ctx.beginPath();
+                ctx.moveTo(width / 2 - decoration.width / 2 * unit, lineY);
+                ctx.lineTo(width / 2 + decoration.width / 2 * unit, lineY);
+                ctx.stroke();
+            }
+
+            if (decoration.type === 'circle') {
+                ctx.fillStyle = decoration.color;
+                ctx.beginPath();
+                ctx.arc(decoration.x * width, decoration.y * height, decoration.radius * unit, 0, 2 * Math.PI);
+                ctx.fill();
+            }
+
+            if (decoration.type === 'rect') {
+                ctx.fillStyle = decoration.color;
+                ctx.fillRect(decoration.x * width, decoration.y * height, decoration.width * width, decoration.height * height);
+            }
+        }
+    }
+}
+
+VisualTemplate.BACKGROUND_TYPES = BACKGROUND_TYPES;
+VisualTemplate.PATTERNS = PATTERNS;
+VisualTemplate.DECORATION_TYPES = DECORATION_TYPES;
+
+// Export for different module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = VisualTemplate;
+} else if (typeof window !== 'undefined') {
+    window.VisualTemplate = VisualTemplate;
+}